@@ -1,26 +1,75 @@
 import { useState, useEffect } from 'react';
-import { Camera, BarChart3, TrendingDown } from 'lucide-react';
+import { Camera, BarChart3, TrendingDown, LogOut } from 'lucide-react';
 import ImageUpload from './components/ImageUpload';
 import WasteHistory from './components/WasteHistory';
 import Analytics from './components/Analytics';
 import Suggestions from './components/Suggestions';
-import { getWasteStats, getSuggestions } from './services/api';
+import LocationSwitcher from './components/LocationSwitcher';
+import Login from './components/Login';
+import Catalog from './components/Catalog';
+import PendingUploads from './components/PendingUploads';
+import {
+  getWasteStats, getSuggestions, getLocations, getCurrentUser, hasAuthToken, setAuthToken, logout, onUnauthorized,
+  startImageTokenRefresh
+} from './services/api';
+import { startOfflineSync } from './services/offlineQueue';
+
+const LOCATION_STORAGE_KEY = 'scrapsnap.locationId';
 
 function App() {
+  const [user, setUser] = useState(null);
+  const [checkingAuth, setCheckingAuth] = useState(hasAuthToken());
   const [activeTab, setActiveTab] = useState('upload');
   const [stats, setStats] = useState(null);
   const [suggestions, setSuggestions] = useState([]);
   const [refreshKey, setRefreshKey] = useState(0);
+  const [locations, setLocations] = useState([]);
+  // Selected kitchen; null shows every location. Remembered per device.
+  const [locationId, setLocationId] = useState(() => localStorage.getItem(LOCATION_STORAGE_KEY) || null);
+
+  useEffect(() => {
+    // Any 401 means the session is gone; fall back to the login screen
+    const stopListening = onUnauthorized(() => {
+      setAuthToken(null);
+      setUser(null);
+    });
+    if (hasAuthToken()) {
+      getCurrentUser()
+        .then(setUser)
+        .catch(() => setAuthToken(null))
+        .finally(() => setCheckingAuth(false));
+    }
+    return stopListening;
+  }, []);
 
   useEffect(() => {
+    if (!user) return;
+    getLocations()
+      .then(setLocations)
+      .catch(error => console.error('Error loading locations:', error));
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+    return startImageTokenRefresh();
+  }, [user]);
+
+  // Uploads saved while offline are sent once signed in and connected
+  useEffect(() => {
+    if (!user) return;
+    return startOfflineSync(() => setRefreshKey(prev => prev + 1));
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
     loadData();
-  }, [refreshKey]);
+  }, [refreshKey, locationId, user]);
 
   const loadData = async () => {
     try {
       const [statsData, suggestionsData] = await Promise.all([
-        getWasteStats(),
-        getSuggestions()
+        getWasteStats({ locationId }),
+        getSuggestions({ locationId })
       ]);
       setStats(statsData);
       setSuggestions(suggestionsData);
@@ -29,11 +78,34 @@ function App() {
     }
   };
 
+  const handleLocationChange = (id) => {
+    setLocationId(id);
+    if (id) {
+      localStorage.setItem(LOCATION_STORAGE_KEY, id);
+    } else {
+      localStorage.removeItem(LOCATION_STORAGE_KEY);
+    }
+  };
+
+  const handleLocationCreated = (location) => {
+    setLocations(prev => [...prev, location].sort((a, b) => a.name.localeCompare(b.name)));
+    handleLocationChange(String(location.id));
+  };
+
   const handleUploadSuccess = () => {
     setRefreshKey(prev => prev + 1);
     setActiveTab('history');
   };
 
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    setUser(null);
+  };
+
   const switchTab = (tabId) => {
     setActiveTab(tabId);
     var scrollTo = null;
@@ -56,8 +128,35 @@ function App() {
     scrollTo?.scrollIntoView({ behavior: 'smooth' });
   }
 
+  if (checkingAuth) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-slate-600">
+        Loading...
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Login onLogin={setUser} />;
+  }
+
   return (
     <div className="min-h-screen bg-background">
+      <div className="bg-emerald-700 text-emerald-50 text-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex justify-end items-center gap-4">
+          <span>
+            Signed in as <strong>{user.displayName}</strong> ({user.role})
+          </span>
+          <button
+            type="button"
+            onClick={handleLogout}
+            className="inline-flex items-center gap-1 hover:text-white"
+          >
+            <LogOut className="h-4 w-4" />
+            Sign out
+          </button>
+        </div>
+      </div>
       {/* Hero Section */}
       <section className="relative overflow-hidden bg-gradient-hero border-b border-emerald-100">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16 md:py-24">
@@ -103,7 +202,8 @@ function App() {
               { id: 'upload', label: 'Upload'},
               { id: 'history', label: 'History'},
               { id: 'analytics', label: 'Analytics'},
-              { id: 'suggestions', label: 'Suggestions'}
+              { id: 'suggestions', label: 'Suggestions'},
+              ...(user.role === 'staff' ? [] : [{ id: 'catalog', label: 'Catalog' }])
             ].map(tab => (
               <button
                 key={tab.id}
@@ -118,21 +218,32 @@ function App() {
               </button>
             ))}
           </div>
+          <LocationSwitcher
+            locations={locations}
+            locationId={locationId}
+            onChange={handleLocationChange}
+            onCreated={handleLocationCreated}
+            canManage={user.role === 'admin'}
+          />
         </div>
       </nav>
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <PendingUploads />
         {activeTab === 'upload' && (
-          <ImageUpload onSuccess={handleUploadSuccess} />
+          <ImageUpload onSuccess={handleUploadSuccess} locationId={locationId} />
         )}
         {activeTab === 'history' && (
-          <WasteHistory refreshKey={refreshKey} />
+          <WasteHistory refreshKey={refreshKey} locationId={locationId} user={user} />
         )}
         {activeTab === 'analytics' && (
-          <Analytics stats={stats} />
+          <Analytics stats={stats} locationId={locationId} />
         )}
         {activeTab === 'suggestions' && (
-          <Suggestions suggestions={suggestions} />
+          <Suggestions suggestions={suggestions} locationId={locationId} />
+        )}
+        {activeTab === 'catalog' && (
+          <Catalog locations={locations} locationId={locationId} onChanged={() => setRefreshKey(prev => prev + 1)} />
         )}
       </main>
     </div>
@@ -13,6 +13,12 @@ import {
 } from 'chart.js';
 import { Bar, Line, Doughnut } from 'react-chartjs-2';
 import { format, parseISO } from 'date-fns';
+import ExportButton from './ExportButton';
+import { formatWeight } from '../utils/quantity';
+import { dispositionColor, dispositionLabel } from '../utils/disposition';
+import { formatCo2e, formatWater } from '../utils/impact';
+import { wasteStreamColor, wasteStreamLabel } from '../utils/wasteStream';
+import { MEAL_PERIODS, mealPeriodColor, mealPeriodLabel, stationLabel } from '../utils/servicePeriod';
 
 ChartJS.register(
   CategoryScale,
@@ -26,7 +32,7 @@ ChartJS.register(
   ArcElement
 );
 
-function Analytics({ stats }) {
+function Analytics({ stats, locationId }) {
   if (!stats) {
     return (
       <div className="text-center py-12">
@@ -36,7 +42,7 @@ function Analytics({ stats }) {
     );
   }
 
-  const { overall, topItems, dailyStats, categoryStats } = stats;
+  const { overall, topItems, dailyStats, categoryStats, locationStats, dispositionStats, streamStats, serviceHeatmap, stationStats, shiftStats, coverStats, productionStats } = stats;
 
   // Daily waste trend chart
   const dailyChartData = {
@@ -52,6 +58,57 @@ function Analytics({ stats }) {
     ]
   };
 
+  // Waste per cover on the days with covers recorded
+  const coverChartData = {
+    labels: coverStats?.map(day => format(parseISO(day.date), 'MMM dd')) || [],
+    datasets: [
+      {
+        label: 'Waste Value per Cover ($)',
+        data: coverStats?.map(day => day.value_per_cover) || [],
+        borderColor: 'rgb(234, 88, 12)',
+        backgroundColor: 'rgba(234, 88, 12, 0.1)',
+        tension: 0.4
+      }
+    ]
+  };
+
+  // Daily weight trend in kg; only entries with a stated or derived weight count
+  const dailyWeightChartData = {
+    labels: dailyStats?.map(day => format(parseISO(day.date), 'MMM dd')) || [],
+    datasets: [
+      {
+        label: 'Daily Waste Weight (kg)',
+        data: dailyStats?.map(day => (day.total_weight_grams || 0) / 1000) || [],
+        borderColor: 'rgb(59, 130, 246)',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        tension: 0.4
+      }
+    ]
+  };
+
+  // Daily carbon and water footprints on separate axes
+  const dailyImpactChartData = {
+    labels: dailyStats?.map(day => format(parseISO(day.date), 'MMM dd')) || [],
+    datasets: [
+      {
+        label: 'CO2e (kg)',
+        data: dailyStats?.map(day => Math.round((day.co2e_kg || 0) * 100) / 100) || [],
+        borderColor: 'rgb(22, 163, 74)',
+        backgroundColor: 'rgba(22, 163, 74, 0.1)',
+        tension: 0.4,
+        yAxisID: 'co2e'
+      },
+      {
+        label: 'Water (L)',
+        data: dailyStats?.map(day => Math.round(day.water_litres || 0)) || [],
+        borderColor: 'rgb(14, 165, 233)',
+        backgroundColor: 'rgba(14, 165, 233, 0.1)',
+        tension: 0.4,
+        yAxisID: 'water'
+      }
+    ]
+  };
+
   // Top wasted items chart
   const topItemsChartData = {
     labels: topItems?.slice(0, 5).map(item => item.name) || [],
@@ -87,15 +144,93 @@ function Analytics({ stats }) {
     ]
   };
 
+  const categoryWeightChartData = {
+    labels: categoryStats?.map(cat => cat.category) || [],
+    datasets: [
+      {
+        label: 'Weight (kg)',
+        data: categoryStats?.map(cat => (cat.total_weight_grams || 0) / 1000) || [],
+        backgroundColor: 'rgba(59, 130, 246, 0.8)'
+      }
+    ]
+  };
+
+  const hasWeights = (overall?.weighed_entries || 0) > 0;
+
+  // Where the waste went, by weight; "Not recorded" covers entries logged without a disposition
+  const weighedDispositions = dispositionStats?.filter(d => d.total_weight_grams > 0) || [];
+  const dispositionChartData = {
+    labels: weighedDispositions.map(d => dispositionLabel(d.disposition)),
+    datasets: [
+      {
+        data: weighedDispositions.map(d => d.total_weight_grams / 1000),
+        backgroundColor: weighedDispositions.map(d => dispositionColor(d.disposition))
+      }
+    ]
+  };
+
+  // Value lost per waste stream; unconfirmed AI suggestions count towards their stream
+  const streamChartData = {
+    labels: streamStats?.map(s => wasteStreamLabel(s.waste_stream)) || [],
+    datasets: [
+      {
+        label: 'Total Waste Value ($)',
+        data: streamStats?.map(s => s.total_value) || [],
+        backgroundColor: streamStats?.map(s => wasteStreamColor(s.waste_stream)) || []
+      }
+    ]
+  };
+
+  // Day of week x meal period, shaded by value lost relative to the worst cell
+  const heatmapCell = (weekday, mealPeriod) =>
+    serviceHeatmap?.cells.find(cell => cell.weekday === weekday && cell.meal_period === mealPeriod) || null;
+  const heatmapMax = Math.max(0, ...(serviceHeatmap?.cells || []).map(cell => cell.total_value));
+
+  // Value per station, stacked by meal period
+  const stationChartData = {
+    labels: stationStats?.map(s => stationLabel(s.station)) || [],
+    datasets: [...MEAL_PERIODS.map(period => period.id), 'unassigned']
+      .filter(period => stationStats?.some(s => s.by_meal_period[period]))
+      .map(period => ({
+        label: mealPeriodLabel(period),
+        data: stationStats.map(s => s.by_meal_period[period] || 0),
+        backgroundColor: mealPeriodColor(period)
+      }))
+  };
+
+  // Cross-location comparison; the selected location is highlighted
+  const locationChartData = {
+    labels: locationStats?.map(loc => loc.name) || [],
+    datasets: [
+      {
+        label: 'Total Waste Value ($)',
+        data: locationStats?.map(loc => loc.total_value) || [],
+        backgroundColor: locationStats?.map(loc =>
+          locationId && String(loc.location_id) === String(locationId)
+            ? 'rgba(16, 185, 129, 0.8)'
+            : 'rgba(148, 163, 184, 0.8)'
+        ) || []
+      },
+      {
+        label: 'Average Per Entry ($)',
+        data: locationStats?.map(loc => loc.avg_value) || [],
+        backgroundColor: 'rgba(245, 158, 11, 0.8)'
+      }
+    ]
+  };
+
   return (
     <div id="analytics-section"
           className="space-y-6">
-      <h2 className="text-2xl font-bold text-gray-900 mb-4">
-        Analytics Dashboard
-      </h2>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold text-gray-900">
+          Analytics Dashboard
+        </h2>
+        <ExportButton filters={{ locationId }} />
+      </div>
 
       {/* Summary Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-white rounded-lg shadow-md p-6">
           <div className="text-sm text-gray-600 mb-1">Total Entries</div>
           <div className="text-3xl font-bold text-gray-900">
@@ -116,6 +251,80 @@ function Analytics({ stats }) {
             ${parseFloat(overall?.avg_value || 0).toFixed(2)}
           </div>
         </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="text-sm text-gray-600 mb-1">Total Waste Weight</div>
+          <div className="text-3xl font-bold text-blue-600">
+            {formatWeight(overall?.total_weight_grams || 0)}
+          </div>
+          <div className="text-xs text-gray-500 mt-1">
+            {overall?.weighed_entries || 0} of {overall?.total_entries || 0} entries with a weight
+            {overall?.measured_entries > 0 && <>, {overall.measured_entries} measured</>}
+            {hasWeights && <> · {formatWeight(overall.avg_weight_grams)} avg</>}
+          </div>
+        </div>
+      </div>
+
+      {/* Environmental impact */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="text-sm text-gray-600 mb-1">Carbon Footprint</div>
+          <div className="text-3xl font-bold text-green-700">
+            {formatCo2e(overall?.total_co2e_kg || 0)}
+          </div>
+          <div className="text-xs text-gray-500 mt-1">
+            Emissions from producing the wasted food; every kg less is avoided
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="text-sm text-gray-600 mb-1">Water Footprint</div>
+          <div className="text-3xl font-bold text-sky-600">
+            {formatWater(overall?.total_water_litres || 0)}
+          </div>
+          <div className="text-xs text-gray-500 mt-1">
+            Water used to produce the wasted food
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="text-sm text-gray-600 mb-1">Diversion Rate</div>
+          <div className="text-3xl font-bold text-green-600">
+            {overall?.diversion_rate != null ? `${Math.round(overall.diversion_rate * 100)}%` : '—'}
+          </div>
+          <div className="text-xs text-gray-500 mt-1">
+            {overall?.diversion_rate != null
+              ? <>{formatWeight(overall.diverted_weight_grams)} kept out of landfill</>
+              : 'Record where waste goes to see how much is diverted'}
+          </div>
+        </div>
+      </div>
+
+      {/* Business volume */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="text-sm text-gray-600 mb-1">Waste per Cover</div>
+          <div className="text-3xl font-bold text-orange-600">
+            {overall?.waste_value_per_cover != null ? `$${overall.waste_value_per_cover.toFixed(2)}` : '—'}
+          </div>
+          <div className="text-xs text-gray-500 mt-1">
+            {overall?.waste_value_per_cover != null
+              ? <>{overall.total_covers} covers{hasWeights && <> · {formatWeight(overall.waste_grams_per_cover)} per cover</>}</>
+              : 'Record daily covers in the catalog to compare waste with business volume'}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="text-sm text-gray-600 mb-1">Produced Portions Wasted</div>
+          <div className="text-3xl font-bold text-red-600">
+            {overall?.percent_produced_wasted != null ? `${overall.percent_produced_wasted.toFixed(1)}%` : '—'}
+          </div>
+          <div className="text-xs text-gray-500 mt-1">
+            {overall?.percent_produced_wasted != null
+              ? <>{overall.wasted_produced_portions} of {overall.produced_portions} portions</>
+              : 'Record production counts in the catalog to see how much of it is wasted'}
+          </div>
+        </div>
       </div>
 
       {/* Charts */}
@@ -198,6 +407,367 @@ function Analytics({ stats }) {
           )}
         </div>
 
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Daily Waste Weight (Last 30 Days)
+          </h3>
+          {hasWeights && dailyStats && dailyStats.length > 0 ? (
+            <Line
+              data={dailyWeightChartData}
+              options={{
+                responsive: true,
+                plugins: {
+                  legend: { display: false }
+                },
+                scales: {
+                  y: {
+                    beginAtZero: true,
+                    ticks: {
+                      callback: function(value) {
+                        return value + ' kg';
+                      }
+                    }
+                  }
+                }
+              }}
+            />
+          ) : (
+            <p className="text-gray-500 text-center py-8">No weight data available</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Daily Carbon &amp; Water Footprint (Last 30 Days)
+          </h3>
+          {hasWeights && dailyStats && dailyStats.length > 0 ? (
+            <Line
+              data={dailyImpactChartData}
+              options={{
+                responsive: true,
+                plugins: {
+                  legend: { position: 'bottom' }
+                },
+                scales: {
+                  co2e: {
+                    type: 'linear',
+                    position: 'left',
+                    beginAtZero: true,
+                    ticks: {
+                      callback: function(value) {
+                        return value + ' kg';
+                      }
+                    }
+                  },
+                  water: {
+                    type: 'linear',
+                    position: 'right',
+                    beginAtZero: true,
+                    grid: { drawOnChartArea: false },
+                    ticks: {
+                      callback: function(value) {
+                        return value + ' L';
+                      }
+                    }
+                  }
+                }
+              }}
+            />
+          ) : (
+            <p className="text-gray-500 text-center py-8">No weight data available</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Weight by Category
+          </h3>
+          {hasWeights && categoryStats && categoryStats.length > 0 ? (
+            <Bar
+              data={categoryWeightChartData}
+              options={{
+                responsive: true,
+                plugins: {
+                  legend: { display: false }
+                },
+                scales: {
+                  y: {
+                    beginAtZero: true,
+                    ticks: {
+                      callback: function(value) {
+                        return value + ' kg';
+                      }
+                    }
+                  }
+                }
+              }}
+            />
+          ) : (
+            <p className="text-gray-500 text-center py-8">No weight data available</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Waste by Disposition
+          </h3>
+          {weighedDispositions.length > 0 ? (
+            <Doughnut
+              data={dispositionChartData}
+              options={{
+                responsive: true,
+                plugins: {
+                  legend: { position: 'bottom' },
+                  tooltip: {
+                    callbacks: {
+                      label: (context) => `${context.label}: ${formatWeight(context.parsed * 1000)}`
+                    }
+                  }
+                }
+              }}
+            />
+          ) : (
+            <p className="text-gray-500 text-center py-8">No weight data available</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Waste by Stream
+          </h3>
+          {streamStats && streamStats.length > 0 ? (
+            <>
+              <Bar
+                data={streamChartData}
+                options={{
+                  responsive: true,
+                  plugins: {
+                    legend: { display: false }
+                  },
+                  scales: {
+                    y: {
+                      beginAtZero: true,
+                      ticks: {
+                        callback: function(value) {
+                          return '$' + value.toFixed(2);
+                        }
+                      }
+                    }
+                  }
+                }}
+              />
+              <div className="mt-4 space-y-1 text-sm">
+                {streamStats.map(s => (
+                  <div key={s.waste_stream} className="flex justify-between gap-4">
+                    <span style={{ color: wasteStreamColor(s.waste_stream) }}>{wasteStreamLabel(s.waste_stream)}</span>
+                    <span className="text-gray-500 text-right">
+                      {s.top_items.length > 0 && <>{s.top_items.map(item => item.name).join(', ')} · </>}
+                      {s.confirmed_entries}/{s.entries} confirmed
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </>
+          ) : (
+            <p className="text-gray-500 text-center py-8">No waste stream data available</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 lg:col-span-2">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Waste by Day and Meal Period
+          </h3>
+          {serviceHeatmap && serviceHeatmap.cells.length > 0 ? (
+            <>
+              <table className="w-full text-sm border-separate border-spacing-1">
+                <thead>
+                  <tr>
+                    <th />
+                    {serviceHeatmap.meal_periods.map(period => (
+                      <th key={period} className="font-medium text-gray-600">{mealPeriodLabel(period)}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {serviceHeatmap.weekdays.map(weekday => (
+                    <tr key={weekday}>
+                      <th className="font-medium text-gray-600 text-left w-12">{weekday}</th>
+                      {serviceHeatmap.meal_periods.map(period => {
+                        const cell = heatmapCell(weekday, period);
+                        const intensity = cell && heatmapMax > 0 ? cell.total_value / heatmapMax : 0;
+                        return (
+                          <td
+                            key={period}
+                            title={cell ? `${cell.entries} entries · ${formatWeight(cell.total_weight_grams)}` : 'No waste logged'}
+                            className={`text-center rounded py-2 ${intensity > 0.6 ? 'text-white' : 'text-gray-700'}`}
+                            style={{ backgroundColor: cell ? `rgba(220, 38, 38, ${0.1 + intensity * 0.8})` : '#f9fafb' }}
+                          >
+                            {cell ? `$${cell.total_value.toFixed(2)}` : '–'}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="mt-3 flex flex-wrap justify-between gap-2 text-xs text-gray-500">
+                <span>Times in {serviceHeatmap.time_zone}</span>
+                {shiftStats && shiftStats.length > 0 && (
+                  <span>
+                    {shiftStats.map(s => `${s.shift === 'unassigned' ? 'No shift' : `${s.shift} shift`}: $${s.total_value.toFixed(2)}`).join(' · ')}
+                  </span>
+                )}
+              </div>
+            </>
+          ) : (
+            <p className="text-gray-500 text-center py-8">No meal period data available</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Waste by Station
+          </h3>
+          {stationStats && stationStats.some(s => s.station !== 'unassigned') ? (
+            <>
+              <Bar
+                data={stationChartData}
+                options={{
+                  responsive: true,
+                  plugins: {
+                    legend: { position: 'bottom' }
+                  },
+                  scales: {
+                    x: { stacked: true },
+                    y: {
+                      stacked: true,
+                      beginAtZero: true,
+                      ticks: {
+                        callback: function(value) {
+                          return '$' + value.toFixed(2);
+                        }
+                      }
+                    }
+                  }
+                }}
+              />
+              <div className="mt-4 space-y-1 text-sm">
+                {stationStats.map(s => (
+                  <div key={s.station} className="flex justify-between gap-4">
+                    <span className="text-gray-700">{stationLabel(s.station)}</span>
+                    <span className="text-gray-500 text-right">
+                      {s.top_items.length > 0 && <>{s.top_items.map(item => item.name).join(', ')} · </>}
+                      {s.entries} entries
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </>
+          ) : (
+            <p className="text-gray-500 text-center py-8">Choose a station when logging waste to compare stations</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Location Comparison
+          </h3>
+          {locationStats && locationStats.length > 1 ? (
+            <Bar
+              data={locationChartData}
+              options={{
+                responsive: true,
+                plugins: {
+                  legend: { position: 'bottom' }
+                },
+                scales: {
+                  y: {
+                    beginAtZero: true,
+                    ticks: {
+                      callback: function(value) {
+                        return '$' + value.toFixed(2);
+                      }
+                    }
+                  }
+                }
+              }}
+            />
+          ) : (
+            <p className="text-gray-500 text-center py-8">Log waste at more than one location to compare them</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Waste per Cover (Last 30 Days)
+          </h3>
+          {coverStats && coverStats.length > 0 ? (
+            <Line
+              data={coverChartData}
+              options={{
+                responsive: true,
+                plugins: {
+                  legend: { display: false }
+                },
+                scales: {
+                  y: {
+                    beginAtZero: true,
+                    ticks: {
+                      callback: function(value) {
+                        return '$' + value.toFixed(2);
+                      }
+                    }
+                  }
+                }
+              }}
+            />
+          ) : (
+            <p className="text-gray-500 text-center py-8">No covers recorded in the last 30 days</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Share of Production Wasted
+          </h3>
+          {productionStats && productionStats.length > 0 ? (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2">Item</th>
+                  <th className="py-2 text-right">Produced</th>
+                  <th className="py-2 text-right">Wasted</th>
+                  <th className="py-2 text-right">Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {productionStats.slice(0, 8).map(production => (
+                  <tr key={production.catalog_item_id || production.name} className="border-b border-gray-100">
+                    <td className="py-2 font-medium text-gray-900">{production.name}</td>
+                    <td className="py-2 text-right text-gray-600">{production.portions_produced}</td>
+                    <td className="py-2 text-right text-gray-600">
+                      {production.portions_wasted}
+                      {production.wasted_items_without_portions > 0 && (
+                        <span
+                          className="text-amber-600"
+                          title={`${production.wasted_items_without_portions} wasted items were weighed rather than counted in portions`}
+                        >
+                          {' '}(+{production.wasted_items_without_portions} weighed)
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 text-right font-semibold text-red-600">
+                      {production.percent_wasted != null ? `${production.percent_wasted.toFixed(1)}%` : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-gray-500 text-center py-8">Record production counts to see how much of each item is wasted</p>
+          )}
+        </div>
+
         <div className="bg-white rounded-lg shadow-md p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">
             Top Wasted Items Details
@@ -217,6 +787,7 @@ function Analytics({ stats }) {
                       </div>
                       <div className="text-xs text-gray-500">
                         {item.frequency} times
+                        {item.total_weight_grams > 0 && <> · {formatWeight(item.total_weight_grams)}</>}
                       </div>
                     </div>
                   </div>
@@ -0,0 +1,349 @@
+import { useState, useRef } from 'react';
+import { uploadWasteBatch, waitForBatch, retryBatch } from '../services/api';
+import { queueUpload, isOfflineError } from '../services/offlineQueue';
+import { formatWeight } from '../utils/quantity';
+import { prepareImage } from '../utils/image';
+import { checkImageQuality } from '../utils/imageQuality';
+
+const MAX_BATCH_PHOTOS = 20;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  analyzing: 'Analyzing...',
+  done: 'Logged',
+  failed: 'Failed'
+};
+
+// Many bins at once: every photo becomes its own entry. Files are sent in one
+// request, then each photo's analysis job is followed through the batch.
+function BatchUpload({ onSuccess, locationId, disposition, wasteStream, station }) {
+  // [{ file, preview, warnings }], in upload order; batch.files lines up with it
+  const [files, setFiles] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [uploadedBytes, setUploadedBytes] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [retrying, setRetrying] = useState(false);
+  const [error, setError] = useState(null);
+  const [savedOffline, setSavedOffline] = useState(0);
+  const [isDragging, setIsDragging] = useState(false);
+  const [preparing, setPreparing] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const finished = batch?.status === 'finished';
+  // Photos the server rejected before analysis need a new photo, not a retry
+  const retryable = batch ? batch.files.filter(file => file.retryable).length : 0;
+
+  const addFiles = async (selected) => {
+    const candidates = selected.filter(file => file.type.startsWith('image/'));
+    // One at a time: decoding twenty full-size photos at once can exhaust a phone's memory
+    setPreparing(true);
+    const images = [];
+    const refused = [];
+    for (const file of candidates.slice(0, MAX_BATCH_PHOTOS - files.length)) {
+      const prepared = await prepareImage(file);
+      const quality = await checkImageQuality(prepared);
+      if (quality?.rejected) {
+        const reasons = quality.issues.filter(issue => issue.severity === 'reject').map(issue => issue.message);
+        refused.push(`${file.name}: ${reasons.join('; ')}`);
+      } else {
+        images.push({ file: prepared, warnings: quality?.issues || [] });
+      }
+    }
+    setPreparing(false);
+
+    const tooLarge = images.filter(({ file }) => file.size > MAX_FILE_SIZE);
+    const accepted = images.filter(({ file }) => file.size <= MAX_FILE_SIZE);
+
+    const skipped = [];
+    if (candidates.length < selected.length) skipped.push(`${selected.length - candidates.length} non-image file(s)`);
+    if (tooLarge.length > 0) skipped.push(`${tooLarge.length} photo(s) over 10MB`);
+    if (candidates.length > images.length + refused.length) skipped.push(`photos beyond the ${MAX_BATCH_PHOTOS}-photo limit`);
+    if (refused.length > 0) skipped.push(`${refused.length} photo(s) failing the quality check:\n${refused.join('\n')}`);
+    setError(skipped.length > 0 ? `Skipped ${skipped.join(', ')}` : null);
+
+    setFiles(prev => [...prev, ...accepted.map(({ file, warnings }) => ({ file, preview: URL.createObjectURL(file), warnings }))]);
+  };
+
+  const removeFile = (index) => {
+    setFiles(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const reset = () => {
+    setFiles([]);
+    setBatch(null);
+    setUploadedBytes(null);
+    setError(null);
+  };
+
+  const handleFileSelect = (e) => {
+    addFiles(Array.from(e.target.files || []));
+    e.target.value = '';
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
+    addFiles(Array.from(e.dataTransfer.files || []));
+  };
+
+  const follow = async (batchId) => {
+    const result = await waitForBatch(batchId, setBatch);
+    if (result.counts.failed === 0 && onSuccess) {
+      setTimeout(() => onSuccess(), 2000);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (files.length === 0) return;
+
+    setUploading(true);
+    setUploadedBytes(0);
+    setError(null);
+    setSavedOffline(0);
+    let created = null;
+    try {
+      ({ batch: created } = await uploadWasteBatch(files.map(({ file }) => file), {
+        locationId,
+        disposition,
+        wasteStream,
+        station,
+        onUploadProgress: setUploadedBytes
+      }));
+      setBatch(created);
+      setUploading(false);
+      await follow(created.id);
+    } catch (err) {
+      setUploadedBytes(null);
+      setUploading(false);
+      // No connection: every photo is saved on the device as its own upload
+      if (!created && isOfflineError(err)) {
+        await Promise.all(files.map(({ file }) => queueUpload([{ file, role: null }], { locationId, disposition, wasteStream, station })));
+        setSavedOffline(files.length);
+        setFiles([]);
+        return;
+      }
+      setError(err.response?.data?.error || err.response?.data?.message || err.message || 'Failed to upload photos');
+    }
+  };
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    setError(null);
+    try {
+      const result = await retryBatch(batch.id);
+      setBatch(result.batch);
+      setRetrying(false);
+      await follow(batch.id);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to retry');
+      setRetrying(false);
+    }
+  };
+
+  // The request body carries the photos in order, so each photo's share of the
+  // bytes sent so far approximates its own upload progress
+  const uploadPercent = (index) => {
+    const before = files.slice(0, index).reduce((sum, { file }) => sum + file.size, 0);
+    const size = files[index].file.size || 1;
+    return Math.max(0, Math.min(100, Math.round(((uploadedBytes - before) / size) * 100)));
+  };
+
+  const renderStatus = (index) => {
+    const status = batch?.files[index];
+    if (status) {
+      const color = status.status === 'done'
+        ? 'text-green-700'
+        : status.status === 'failed' ? 'text-red-700' : 'text-blue-700';
+      return (
+        <div className={`text-sm ${color}`}>
+          {status.status === 'done' ? '✅' : status.status === 'failed' ? '❌' : '⏳'} {STATUS_LABELS[status.status]}
+          {status.status === 'queued' && status.queuePosition && ` (#${status.queuePosition} in line)`}
+          {status.status === 'done' && (
+            <span className="text-gray-600">
+              {' '}· ${parseFloat(status.totalEstimatedValue || 0).toFixed(2)}
+              {status.weightGrams != null && ` · ${formatWeight(status.weightGrams)}`}
+              {` · ${status.itemCount} item${status.itemCount === 1 ? '' : 's'}`}
+            </span>
+          )}
+          {status.error && <div className="text-xs text-red-600">{status.error}</div>}
+        </div>
+      );
+    }
+    if (uploadedBytes !== null) {
+      const percent = uploadPercent(index);
+      return (
+        <div>
+          <div className="text-sm text-blue-700">Uploading {percent}%</div>
+          <div className="mt-1 h-1.5 bg-gray-200 rounded">
+            <div className="h-1.5 bg-blue-600 rounded" style={{ width: `${percent}%` }} />
+          </div>
+        </div>
+      );
+    }
+    return <div className="text-sm text-gray-500">Ready</div>;
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {!batch && !uploading && (
+        <div
+          className={`border-2 border-dashed rounded-lg p-8 text-center transition-colors ${
+            isDragging ? 'border-green-500 bg-green-50' : 'border-gray-300 hover:border-green-400'
+          }`}
+          onDragEnter={handleDragOver}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        >
+          <div className="text-6xl mb-4">{isDragging ? '⬇️' : '🗂️'}</div>
+          <p className="text-lg font-medium text-gray-700">
+            {isDragging ? 'Drop photos here' : 'Drag & drop photos or choose several files'}
+          </p>
+          <p className="text-sm text-gray-500 mt-1 mb-4">
+            {preparing
+              ? 'Preparing photos...'
+              : `One photo per bin or tray, up to ${MAX_BATCH_PHOTOS} at a time (JPG, PNG, WebP or HEIC)`}
+          </p>
+          <label className="cursor-pointer">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={handleFileSelect}
+              className="hidden"
+            />
+            <span className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+              📁 Choose Files
+            </span>
+          </label>
+        </div>
+      )}
+
+      {files.length > 0 && (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {files.map((item, idx) => (
+            <li key={item.preview} className="flex items-center gap-3 p-2">
+              <img src={item.preview} alt={item.file.name} className="h-14 w-14 object-cover rounded" />
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-gray-900 truncate">{item.file.name}</div>
+                {item.warnings.length > 0 && !batch?.files[idx] && (
+                  <div className="text-xs text-yellow-700">
+                    ⚠️ {item.warnings.map(warning => warning.message).join('; ')}
+                  </div>
+                )}
+                {renderStatus(idx)}
+              </div>
+              {!batch && !uploading && (
+                <button
+                  type="button"
+                  onClick={() => removeFile(idx)}
+                  className="px-2 py-1 text-xs text-red-600 hover:text-red-700"
+                >
+                  Remove
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {savedOffline > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg text-sm">
+          📶 No connection. {savedOffline} photo(s) are saved on this device and will be analyzed automatically when
+          it comes back.
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm whitespace-pre-line">
+          {error}
+        </div>
+      )}
+
+      {finished && (
+        <div className={`border rounded-lg p-4 space-y-3 ${
+          batch.counts.failed > 0 ? 'bg-yellow-50 border-yellow-200' : 'bg-green-50 border-green-200'
+        }`}>
+          <h3 className="font-semibold text-gray-900">
+            {batch.counts.failed > 0
+              ? `⚠️ ${batch.counts.done} of ${batch.files.length} photos logged`
+              : `✅ All ${batch.files.length} photos logged`}
+          </h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <div>
+              <div className="text-gray-500">Entries</div>
+              <div className="font-semibold">{batch.totals.entries}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Items</div>
+              <div className="font-semibold">{batch.totals.items}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Estimated Value</div>
+              <div className="font-semibold">${batch.totals.estimatedValue.toFixed(2)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Weight</div>
+              <div className="font-semibold">
+                {batch.totals.weightGrams != null ? formatWeight(batch.totals.weightGrams) : '—'}
+              </div>
+            </div>
+          </div>
+          {batch.counts.failed > 0 && (
+            <p className="text-sm text-yellow-800">
+              {batch.counts.failed} photo(s) failed; the reasons are listed above. Retry them or start a new batch.
+            </p>
+          )}
+        </div>
+      )}
+
+      {!batch ? (
+        <button
+          type="submit"
+          disabled={files.length === 0 || uploading || preparing}
+          className="w-full py-3 px-4 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          {uploading ? 'Uploading...' : `Analyze ${files.length || ''} Photo${files.length === 1 ? '' : 's'}`}
+        </button>
+      ) : finished && (
+        <div className="flex gap-3">
+          {retryable > 0 && (
+            <button
+              type="button"
+              onClick={handleRetry}
+              disabled={retrying}
+              className="flex-1 py-3 px-4 bg-yellow-500 text-white font-semibold rounded-lg hover:bg-yellow-600 disabled:bg-gray-400 transition-colors"
+            >
+              {retrying ? 'Retrying...' : `🔁 Retry ${retryable} Failed`}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={reset}
+            className="flex-1 py-3 px-4 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 transition-colors"
+          >
+            New Batch
+          </button>
+        </div>
+      )}
+    </form>
+  );
+}
+
+export default BatchUpload;
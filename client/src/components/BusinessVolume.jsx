@@ -0,0 +1,292 @@
+import { useState, useEffect } from 'react';
+import { format, subDays } from 'date-fns';
+import {
+  getCovers, setCovers, deleteCovers, getProduction, setProduction, deleteProduction, importVolume
+} from '../services/api';
+
+const DATE_FORMATS = [
+  { id: 'mdy', label: 'MM/DD/YYYY' },
+  { id: 'dmy', label: 'DD/MM/YYYY' }
+];
+
+const today = () => format(new Date(), 'yyyy-MM-dd');
+
+// Daily covers and portions produced, the denominators of waste per cover and of the
+// share of production wasted. Records belong to the location selected in the header.
+function BusinessVolume({ catalog, locations, locationId, onChanged }) {
+  const [covers, setCoversList] = useState([]);
+  const [production, setProductionList] = useState([]);
+  const [error, setError] = useState(null);
+  const [coversDraft, setCoversDraft] = useState({ date: today(), covers: '' });
+  const [productionDraft, setProductionDraft] = useState({ date: today(), catalogItemId: '', name: '', portions: '' });
+  const [file, setFile] = useState(null);
+  const [dateFormat, setDateFormat] = useState('mdy');
+  const [report, setReport] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const locationName = locations.find(location => location.id === Number(locationId))?.name;
+
+  useEffect(() => {
+    loadVolume();
+  }, [locationId]);
+
+  const loadVolume = async () => {
+    try {
+      const options = { startDate: format(subDays(new Date(), 14), 'yyyy-MM-dd'), locationId };
+      const [coversData, productionData] = await Promise.all([getCovers(options), getProduction(options)]);
+      setCoversList(coversData);
+      setProductionList(productionData);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load covers and production');
+      console.error(err);
+    }
+  };
+
+  const runAction = async (action) => {
+    try {
+      await action();
+      await loadVolume();
+      onChanged();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Update failed');
+      console.error(err);
+      return false;
+    }
+  };
+
+  const handleSaveCovers = async (e) => {
+    e.preventDefault();
+    if (coversDraft.covers === '') return;
+    const saved = await runAction(() => setCovers({
+      date: coversDraft.date,
+      locationId: locationId || null,
+      covers: Number(coversDraft.covers)
+    }));
+    if (saved) setCoversDraft(prev => ({ ...prev, covers: '' }));
+  };
+
+  const handleSaveProduction = async (e) => {
+    e.preventDefault();
+    if ((!productionDraft.catalogItemId && !productionDraft.name.trim()) || productionDraft.portions === '') return;
+    const saved = await runAction(() => setProduction({
+      date: productionDraft.date,
+      locationId: locationId || null,
+      ...(productionDraft.catalogItemId
+        ? { catalogItemId: Number(productionDraft.catalogItemId) }
+        : { name: productionDraft.name }),
+      portions: Number(productionDraft.portions)
+    }));
+    if (saved) setProductionDraft(prev => ({ ...prev, catalogItemId: '', name: '', portions: '' }));
+  };
+
+  // A dry run first, so the rows that would be skipped can be fixed before anything is written
+  const handleImport = async (dryRun) => {
+    if (!file) return;
+    setImporting(true);
+    try {
+      const result = await importVolume(file, { dryRun, locationId, dateFormat });
+      setReport(result);
+      setError(null);
+      if (!dryRun) {
+        setFile(null);
+        await loadVolume();
+        onChanged();
+      }
+    } catch (err) {
+      setReport(null);
+      setError(err.response?.data?.error || 'Import failed');
+      console.error(err);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Covers &amp; production</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Guests served and portions produced each day{locationName ? ` at ${locationName}` : ''}. Waste is divided
+        by them for waste per cover and the share of production wasted. Saving a day again replaces its count.
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSaveCovers} className="flex flex-col md:flex-row gap-2 mb-2 text-sm">
+        <input
+          type="date"
+          value={coversDraft.date}
+          onChange={(e) => setCoversDraft(prev => ({ ...prev, date: e.target.value }))}
+          className="border border-gray-300 rounded-lg px-2 py-2"
+        />
+        <input
+          type="number"
+          min="0"
+          step="1"
+          value={coversDraft.covers}
+          placeholder="Covers"
+          onChange={(e) => setCoversDraft(prev => ({ ...prev, covers: e.target.value }))}
+          className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+        />
+        <button type="submit" className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700">
+          Save covers
+        </button>
+      </form>
+
+      <form onSubmit={handleSaveProduction} className="flex flex-col md:flex-row gap-2 mb-4 text-sm">
+        <input
+          type="date"
+          value={productionDraft.date}
+          onChange={(e) => setProductionDraft(prev => ({ ...prev, date: e.target.value }))}
+          className="border border-gray-300 rounded-lg px-2 py-2"
+        />
+        <select
+          value={productionDraft.catalogItemId}
+          onChange={(e) => setProductionDraft(prev => ({ ...prev, catalogItemId: e.target.value }))}
+          className="flex-1 border border-gray-300 rounded-lg px-2 py-2"
+        >
+          <option value="">Other item…</option>
+          {catalog.map(catalogItem => (
+            <option key={catalogItem.id} value={catalogItem.id}>{catalogItem.name}</option>
+          ))}
+        </select>
+        {!productionDraft.catalogItemId && (
+          <input
+            type="text"
+            value={productionDraft.name}
+            placeholder="Menu item"
+            onChange={(e) => setProductionDraft(prev => ({ ...prev, name: e.target.value }))}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+          />
+        )}
+        <input
+          type="number"
+          min="0"
+          step="1"
+          value={productionDraft.portions}
+          placeholder="Portions"
+          onChange={(e) => setProductionDraft(prev => ({ ...prev, portions: e.target.value }))}
+          className="w-28 border border-gray-300 rounded-lg px-3 py-2"
+        />
+        <button type="submit" className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700">
+          Save production
+        </button>
+      </form>
+
+      <div className="border-t pt-4 mb-4 text-sm">
+        <div className="text-gray-700 mb-2">Import a POS export (CSV or JSON)</div>
+        <div className="flex flex-col md:flex-row gap-2">
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={(e) => { setFile(e.target.files[0] || null); setReport(null); }}
+            className="flex-1"
+          />
+          <select
+            value={dateFormat}
+            onChange={(e) => { setDateFormat(e.target.value); setReport(null); }}
+            className="border border-gray-300 rounded-lg px-2 py-2"
+          >
+            {DATE_FORMATS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            disabled={!file || importing}
+            onClick={() => handleImport(true)}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Preview
+          </button>
+          <button
+            type="button"
+            disabled={!file || importing || !report?.dryRun}
+            onClick={() => handleImport(false)}
+            className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50"
+          >
+            Import
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          Columns: date, covers, item and portions; a location column overrides the selected location.
+        </p>
+
+        {report && (
+          <div className="mt-3 bg-gray-50 rounded-lg p-3">
+            <div className="font-medium text-gray-900">{report.message}</div>
+            {[...report.errors.map(issue => ({ ...issue, kind: 'Skipped' })), ...report.warnings.map(issue => ({ ...issue, kind: 'Warning' }))]
+              .map((issue, idx) => (
+                <div key={idx} className={issue.kind === 'Skipped' ? 'text-red-700' : 'text-amber-700'}>
+                  {issue.kind}, row {issue.row}: {issue.message}
+                </div>
+              ))}
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm">
+        <div>
+          <div className="text-gray-700 mb-2">Covers, last 14 days</div>
+          {covers.length === 0 ? (
+            <p className="text-gray-500">No covers recorded.</p>
+          ) : (
+            <table className="w-full">
+              <tbody>
+                {covers.map(record => (
+                  <tr key={record.id} className="border-b border-gray-100">
+                    <td className="py-1 text-gray-600">{record.date}</td>
+                    <td className="py-1 text-right font-medium text-gray-900">{record.covers}</td>
+                    <td className="py-1 text-right">
+                      <button
+                        type="button"
+                        onClick={() => runAction(() => deleteCovers(record.id))}
+                        className="text-red-600 hover:text-red-700"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <div>
+          <div className="text-gray-700 mb-2">Production, last 14 days</div>
+          {production.length === 0 ? (
+            <p className="text-gray-500">No production recorded.</p>
+          ) : (
+            <table className="w-full">
+              <tbody>
+                {production.map(record => (
+                  <tr key={record.id} className="border-b border-gray-100">
+                    <td className="py-1 text-gray-600">{record.date}</td>
+                    <td className="py-1 text-gray-900">{record.name}</td>
+                    <td className="py-1 text-right font-medium text-gray-900">{record.portions}</td>
+                    <td className="py-1 text-right">
+                      <button
+                        type="button"
+                        onClick={() => runAction(() => deleteProduction(record.id))}
+                        className="text-red-600 hover:text-red-700"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BusinessVolume;
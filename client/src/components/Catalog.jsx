@@ -0,0 +1,256 @@
+import { useState, useEffect } from 'react';
+import {
+  getCatalog, createCatalogItem, updateCatalogItem, deleteCatalogItem, getCatalogReview, resolveCatalogName
+} from '../services/api';
+import PriceList from './PriceList';
+import ImpactFactors from './ImpactFactors';
+import ServiceSettings from './ServiceSettings';
+import BusinessVolume from './BusinessVolume';
+import { ITEM_CATEGORIES } from '../utils/itemCategory';
+
+function splitAliases(text) {
+  return text.split(',').map(alias => alias.trim()).filter(Boolean);
+}
+
+function Catalog({ locations, locationId, onChanged }) {
+  const [catalog, setCatalog] = useState([]);
+  const [review, setReview] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState({ name: '', category: 'main dish', aliases: '' });
+  const [linkTargets, setLinkTargets] = useState({});
+  const [editingId, setEditingId] = useState(null);
+  const [editAliases, setEditAliases] = useState('');
+
+  useEffect(() => {
+    loadCatalog();
+  }, []);
+
+  const loadCatalog = async () => {
+    try {
+      const [catalogData, reviewData] = await Promise.all([getCatalog(), getCatalogReview()]);
+      setCatalog(catalogData);
+      setReview(reviewData);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load catalog');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Every change can relink items, so reload both lists and let the app refresh stats
+  const runAction = async (action) => {
+    try {
+      await action();
+      await loadCatalog();
+      onChanged();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Catalog update failed');
+      console.error(err);
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!draft.name.trim()) return;
+    const created = await runAction(() => createCatalogItem({
+      name: draft.name,
+      category: draft.category,
+      aliases: splitAliases(draft.aliases)
+    }));
+    if (created) setDraft({ name: '', category: draft.category, aliases: '' });
+  };
+
+  const handleSaveAliases = async (catalogItem) => {
+    const saved = await runAction(() => updateCatalogItem(catalogItem.id, { aliases: splitAliases(editAliases) }));
+    if (saved) setEditingId(null);
+  };
+
+  const handleDelete = (catalogItem) => {
+    if (!window.confirm(`Delete "${catalogItem.name}" from the catalog? Linked items are matched again.`)) return;
+    runAction(() => deleteCatalogItem(catalogItem.id));
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-600">Loading catalog...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-gray-900">Item Catalog</h2>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Needs review</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Item names that did not match any catalog item. Link them to an existing item or add them to the catalog.
+        </p>
+        {review.length === 0 ? (
+          <p className="text-sm text-gray-500">Every logged item is matched to the catalog.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {review.map(entry => (
+              <div key={entry.name} className="py-3 flex flex-col md:flex-row md:items-center gap-2 text-sm">
+                <div className="flex-1">
+                  <span className="font-medium text-gray-900">{entry.name}</span>
+                  <span className="text-gray-500"> · {entry.count}× · ${entry.total_value.toFixed(2)}</span>
+                  {entry.variants.length > 1 && (
+                    <div className="text-xs text-gray-500">Also written as: {entry.variants.filter(v => v !== entry.name).join(', ')}</div>
+                  )}
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  {entry.suggestions.map(suggestion => (
+                    <button
+                      key={suggestion.catalogItemId}
+                      type="button"
+                      onClick={() => runAction(() => resolveCatalogName(entry.name, suggestion.catalogItemId))}
+                      className="px-2 py-1 rounded bg-emerald-50 text-emerald-700 hover:bg-emerald-100"
+                      title={`Match score ${Math.round(suggestion.score * 100)}%`}
+                    >
+                      → {suggestion.name}
+                    </button>
+                  ))}
+                  <select
+                    value={linkTargets[entry.name] || ''}
+                    onChange={(e) => setLinkTargets(prev => ({ ...prev, [entry.name]: e.target.value }))}
+                    className="border border-gray-300 rounded px-2 py-1"
+                  >
+                    <option value="">Link to…</option>
+                    {catalog.map(catalogItem => (
+                      <option key={catalogItem.id} value={catalogItem.id}>{catalogItem.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    disabled={!linkTargets[entry.name]}
+                    onClick={() => runAction(() => resolveCatalogName(entry.name, Number(linkTargets[entry.name])))}
+                    className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300"
+                  >
+                    Link
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setDraft(prev => ({ ...prev, name: entry.name }))}
+                    className="px-2 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+                  >
+                    Add to catalog
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Catalog items</h3>
+
+        <form onSubmit={handleCreate} className="flex flex-col md:flex-row gap-2 mb-4 text-sm">
+          <input
+            type="text"
+            value={draft.name}
+            placeholder="Canonical name, e.g. Chicken Breast"
+            onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <select
+            value={draft.category}
+            onChange={(e) => setDraft(prev => ({ ...prev, category: e.target.value }))}
+            className="border border-gray-300 rounded-lg px-2 py-2"
+          >
+            {ITEM_CATEGORIES.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={draft.aliases}
+            placeholder="Aliases, comma separated"
+            onChange={(e) => setDraft(prev => ({ ...prev, aliases: e.target.value }))}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <button type="submit" className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700">
+            Add
+          </button>
+        </form>
+
+        {catalog.length === 0 ? (
+          <p className="text-sm text-gray-500">The catalog is empty.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Item</th>
+                <th className="py-2">Category</th>
+                <th className="py-2">Aliases</th>
+                <th className="py-2 text-right">Logged</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {catalog.map(catalogItem => (
+                <tr key={catalogItem.id} className="border-b border-gray-100 align-top">
+                  <td className="py-2 font-medium text-gray-900">{catalogItem.name}</td>
+                  <td className="py-2 text-gray-600">{catalogItem.category}</td>
+                  <td className="py-2 text-gray-600">
+                    {editingId === catalogItem.id ? (
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={editAliases}
+                          autoFocus
+                          onChange={(e) => setEditAliases(e.target.value)}
+                          className="flex-1 border border-gray-300 rounded px-2 py-1"
+                        />
+                        <button type="button" onClick={() => handleSaveAliases(catalogItem)} className="text-emerald-700">Save</button>
+                        <button type="button" onClick={() => setEditingId(null)} className="text-gray-500">Cancel</button>
+                      </div>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => { setEditingId(catalogItem.id); setEditAliases(catalogItem.aliases.join(', ')); }}
+                        className="text-left hover:text-emerald-700"
+                        title="Edit aliases"
+                      >
+                        {catalogItem.aliases.join(', ') || '—'}
+                      </button>
+                    )}
+                  </td>
+                  <td className="py-2 text-right text-gray-600">{catalogItem.itemCount}</td>
+                  <td className="py-2 text-right">
+                    <button type="button" onClick={() => handleDelete(catalogItem)} className="text-red-600 hover:text-red-700">
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <PriceList catalog={catalog} locations={locations} />
+
+      <ImpactFactors catalog={catalog} />
+
+      <ServiceSettings />
+
+      <BusinessVolume catalog={catalog} locations={locations} locationId={locationId} onChanged={onChanged} />
+    </div>
+  );
+}
+
+export default Catalog;
@@ -0,0 +1,22 @@
+import { DISPOSITIONS } from '../utils/disposition';
+
+// Where the waste goes. An empty value means not recorded, or for an item, the
+// same as the rest of the entry (emptyLabel says which).
+function DispositionSelect({ id, value, onChange, disabled, emptyLabel = 'Not recorded', className = 'rounded-lg px-2 py-2' }) {
+  return (
+    <select
+      id={id}
+      value={value || ''}
+      disabled={disabled}
+      onChange={(e) => onChange(e.target.value || null)}
+      className={`border border-gray-300 ${className}`}
+    >
+      <option value="">{emptyLabel}</option>
+      {DISPOSITIONS.map(d => (
+        <option key={d.id} value={d.id}>{d.label}</option>
+      ))}
+    </select>
+  );
+}
+
+export default DispositionSelect;
@@ -0,0 +1,256 @@
+import { useState } from 'react';
+import { updateWasteEntry, addWasteItem, updateWasteItem, removeWasteItem } from '../services/api';
+import DispositionSelect from './DispositionSelect';
+import WasteStreamSelect from './WasteStreamSelect';
+import StationSelect from './StationSelect';
+import { MEAL_PERIODS } from '../utils/servicePeriod';
+import { ITEM_CATEGORIES } from '../utils/itemCategory';
+
+const CONDITIONS = ['untouched', 'partially eaten', 'spoiled', 'expired', 'uncertain'];
+
+const EDITABLE_FIELDS = ['name', 'category', 'estimatedAmount', 'condition', 'estimatedValue', 'disposition'];
+
+function toDraft(item) {
+  return {
+    id: item.id,
+    name: item.name || '',
+    category: ITEM_CATEGORIES.includes(item.category) ? item.category : 'other',
+    estimatedAmount: item.estimatedAmount || '',
+    condition: CONDITIONS.includes(item.condition) ? item.condition : 'uncertain',
+    estimatedValue: item.estimatedValue ?? 0,
+    // null follows the entry's disposition
+    disposition: item.disposition || null,
+    removed: false
+  };
+}
+
+function EntryEditor({ entry, serviceSettings, onSaved, onCancel }) {
+  const [items, setItems] = useState(() => (entry.items || []).map(toDraft));
+  const [notes, setNotes] = useState(entry.notes || '');
+  const [disposition, setDisposition] = useState(entry.disposition || null);
+  const [wasteStream, setWasteStream] = useState(entry.waste_stream || null);
+  const [mealPeriod, setMealPeriod] = useState(entry.meal_period || null);
+  const [shift, setShift] = useState(entry.shift || null);
+  const [station, setStation] = useState(entry.station || null);
+  const [saving, setSaving] = useState(false);
+  // A shift removed from the settings stays selectable on entries that have it
+  const shiftNames = [...new Set([...(serviceSettings?.shifts || []).map(window => window.name), entry.shift].filter(Boolean))];
+  const [error, setError] = useState(null);
+
+  const updateDraft = (index, field, value) => {
+    setItems(prev => prev.map((item, idx) => (idx === index ? { ...item, [field]: value } : item)));
+  };
+
+  const addDraft = () => {
+    setItems(prev => [...prev, toDraft({ name: '', category: 'other', condition: 'uncertain', estimatedValue: 0 })]);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      let latest = null;
+      const originals = new Map((entry.items || []).map(item => [item.id, item]));
+
+      for (const draft of items) {
+        if (!draft.id) {
+          if (draft.removed || !draft.name.trim()) continue;
+          const { id, removed, ...item } = draft;
+          latest = (await addWasteItem(entry.id, { ...item, estimatedValue: Number(item.estimatedValue) })).entry;
+          continue;
+        }
+        if (draft.removed) {
+          latest = (await removeWasteItem(entry.id, draft.id)).entry;
+          continue;
+        }
+        // Only send fields that actually changed so untouched items keep no correction mark
+        const original = toDraft(originals.get(draft.id));
+        const changes = {};
+        EDITABLE_FIELDS.forEach(field => {
+          if (String(draft[field]) !== String(original[field])) {
+            changes[field] = field === 'estimatedValue' ? Number(draft[field]) : draft[field];
+          }
+        });
+        if (Object.keys(changes).length > 0) {
+          latest = (await updateWasteItem(entry.id, draft.id, changes)).entry;
+        }
+      }
+
+      const entryChanges = {};
+      if (notes !== (entry.notes || '')) entryChanges.notes = notes;
+      if (disposition !== (entry.disposition || null)) entryChanges.disposition = disposition;
+      if (wasteStream && wasteStream !== entry.waste_stream) entryChanges.wasteStream = wasteStream;
+      if (mealPeriod !== (entry.meal_period || null)) entryChanges.mealPeriod = mealPeriod;
+      if (shift !== (entry.shift || null)) entryChanges.shift = shift;
+      if (station !== (entry.station || null)) entryChanges.station = station;
+      if (Object.keys(entryChanges).length > 0) {
+        latest = (await updateWasteEntry(entry.id, entryChanges)).entry;
+      }
+
+      onSaved(latest || entry);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save corrections');
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-3">
+      <strong className="text-sm text-gray-700">Correct Items:</strong>
+      {items.map((item, idx) => (
+        <div
+          key={item.id || `new-${idx}`}
+          className={`grid grid-cols-2 md:grid-cols-7 gap-2 items-center text-sm ${item.removed ? 'opacity-40' : ''}`}
+        >
+          <input
+            type="text"
+            value={item.name}
+            placeholder="Item name"
+            disabled={item.removed}
+            onChange={(e) => updateDraft(idx, 'name', e.target.value)}
+            className="col-span-2 md:col-span-1 border border-gray-300 rounded px-2 py-1"
+          />
+          <select
+            value={item.category}
+            disabled={item.removed}
+            onChange={(e) => updateDraft(idx, 'category', e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {ITEM_CATEGORIES.map(cat => <option key={cat} value={cat}>{cat}</option>)}
+          </select>
+          <select
+            value={item.condition}
+            disabled={item.removed}
+            onChange={(e) => updateDraft(idx, 'condition', e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            {CONDITIONS.map(cond => <option key={cond} value={cond}>{cond}</option>)}
+          </select>
+          <input
+            type="text"
+            value={item.estimatedAmount}
+            placeholder="Amount"
+            disabled={item.removed}
+            onChange={(e) => updateDraft(idx, 'estimatedAmount', e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={item.estimatedValue}
+            disabled={item.removed}
+            onChange={(e) => updateDraft(idx, 'estimatedValue', e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+          <DispositionSelect
+            value={item.disposition}
+            disabled={item.removed}
+            emptyLabel="Same as entry"
+            onChange={(value) => updateDraft(idx, 'disposition', value)}
+            className="rounded px-2 py-1"
+          />
+          <button
+            type="button"
+            onClick={() => updateDraft(idx, 'removed', !item.removed)}
+            className="text-xs text-red-600 hover:text-red-700"
+          >
+            {item.removed ? 'Undo remove' : 'Remove'}
+          </button>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addDraft}
+        className="text-sm text-green-700 hover:text-green-800"
+      >
+        + Add missed item
+      </button>
+
+      <div className="flex items-center gap-2 text-sm">
+        <label htmlFor={`disposition-${entry.id}`} className="text-gray-700"><strong>Disposition:</strong></label>
+        <DispositionSelect
+          id={`disposition-${entry.id}`}
+          value={disposition}
+          onChange={setDisposition}
+          className="rounded px-2 py-1"
+        />
+        <label htmlFor={`waste-stream-${entry.id}`} className="ml-4 text-gray-700"><strong>Waste stream:</strong></label>
+        <WasteStreamSelect
+          id={`waste-stream-${entry.id}`}
+          value={wasteStream}
+          onChange={setWasteStream}
+          emptyLabel={entry.waste_stream ? null : 'Unclassified'}
+          className="rounded px-2 py-1"
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <label htmlFor={`meal-period-${entry.id}`} className="text-gray-700"><strong>Service:</strong></label>
+        <select
+          id={`meal-period-${entry.id}`}
+          value={mealPeriod || ''}
+          onChange={(e) => setMealPeriod(e.target.value || null)}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          <option value="">No meal period</option>
+          {MEAL_PERIODS.map(period => <option key={period.id} value={period.id}>{period.label}</option>)}
+        </select>
+        <select
+          value={shift || ''}
+          onChange={(e) => setShift(e.target.value || null)}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          <option value="">No shift</option>
+          {shiftNames.map(name => <option key={name} value={name}>{name} shift</option>)}
+        </select>
+        <StationSelect
+          value={station}
+          stations={serviceSettings?.stations}
+          onChange={setStation}
+          className="rounded px-2 py-1"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm text-gray-700 mb-1"><strong>Notes:</strong></label>
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={2}
+          className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+        />
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-2 justify-end">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={saving}
+          className="px-3 py-1.5 text-sm bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 disabled:opacity-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save corrections'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default EntryEditor;
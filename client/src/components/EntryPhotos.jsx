@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import { imageUrl } from '../services/api';
+
+const ROLE_LABELS = { served: 'Served', returned: 'Returned' };
+
+// Photo gallery of one entry: the selected photo large, the others as thumbnails.
+// Opens with the main photo (the returned plate for before/after captures).
+function EntryPhotos({ entry }) {
+  const images = entry.images || [];
+  const [selected, setSelected] = useState(() => Math.max(0, images.findIndex(image => image.path === entry.image_path)));
+
+  if (images.length === 0) {
+    return (
+      <div className="w-32 h-32 rounded-lg bg-gray-100 flex items-center justify-center text-center text-xs text-gray-500">
+        Imported log<br />(no photo)
+      </div>
+    );
+  }
+
+  const current = images[selected] || images[0];
+  return (
+    <div className="w-32 space-y-1">
+      <a href={imageUrl(current.path)} target="_blank" rel="noopener noreferrer" className="block relative">
+        <img
+          src={imageUrl(current.path)}
+          alt={ROLE_LABELS[current.role] || 'Waste entry'}
+          className="w-32 h-32 object-cover rounded-lg"
+        />
+        {current.role && (
+          <span className="absolute bottom-1 left-1 px-1.5 py-0.5 rounded bg-black/60 text-white text-xs">
+            {ROLE_LABELS[current.role]}
+          </span>
+        )}
+      </a>
+      {images.length > 1 && (
+        <div className="flex gap-1">
+          {images.map((image, idx) => (
+            <button
+              key={image.path}
+              type="button"
+              onClick={() => setSelected(idx)}
+              title={ROLE_LABELS[image.role] || `Photo ${idx + 1}`}
+              className={`rounded overflow-hidden border-2 ${idx === selected ? 'border-emerald-500' : 'border-transparent'}`}
+            >
+              <img src={imageUrl(image.path)} alt="" className="w-7 h-7 object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EntryPhotos;
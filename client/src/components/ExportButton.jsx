@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { Download } from 'lucide-react';
+import { downloadExport } from '../services/api';
+import { ITEM_CATEGORIES } from '../utils/itemCategory';
+
+// Date inputs are local days; the API filters on ISO timestamps
+function startOfDay(date) {
+  return date ? new Date(`${date}T00:00:00`).toISOString() : undefined;
+}
+
+function endOfDay(date) {
+  return date ? new Date(`${date}T23:59:59.999`).toISOString() : undefined;
+}
+
+// filters are the page's current filters ({ locationId, startDate, endDate, category },
+// dates as yyyy-MM-dd); the form starts from them each time it is opened
+function ExportButton({ filters = {} }) {
+  const [open, setOpen] = useState(false);
+  const [options, setOptions] = useState({ format: 'csv', view: 'entries', from: '', to: '', category: '' });
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const setOption = (field, value) => setOptions(prev => ({ ...prev, [field]: value }));
+
+  const toggleOpen = () => {
+    if (!open) {
+      setOptions(prev => ({
+        ...prev,
+        from: filters.startDate || '',
+        to: filters.endDate || '',
+        category: filters.category || ''
+      }));
+      setError(null);
+    }
+    setOpen(!open);
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError(null);
+      await downloadExport({
+        format: options.format,
+        view: options.view,
+        startDate: startOfDay(options.from),
+        endDate: endOfDay(options.to),
+        category: options.category,
+        locationId: filters.locationId
+      });
+      setOpen(false);
+    } catch (err) {
+      setError('Export failed');
+      console.error(err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={toggleOpen}
+        className="inline-flex items-center gap-1 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors"
+      >
+        <Download className="h-4 w-4" />
+        Export
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-white rounded-lg shadow-lg border border-gray-200 p-4 z-40 space-y-3 text-sm">
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-gray-700">
+              Format
+              <select value={options.format} onChange={(e) => setOption('format', e.target.value)} className="mt-1 w-full border border-gray-300 rounded px-2 py-1">
+                <option value="csv">CSV</option>
+                <option value="xlsx">Excel (XLSX)</option>
+              </select>
+            </label>
+            <label className="text-gray-700">
+              Rows
+              <select value={options.view} onChange={(e) => setOption('view', e.target.value)} className="mt-1 w-full border border-gray-300 rounded px-2 py-1">
+                <option value="entries">Entries</option>
+                <option value="items">Items</option>
+              </select>
+            </label>
+            <label className="text-gray-700">
+              From
+              <input type="date" value={options.from} onChange={(e) => setOption('from', e.target.value)} className="mt-1 w-full border border-gray-300 rounded px-2 py-1" />
+            </label>
+            <label className="text-gray-700">
+              To
+              <input type="date" value={options.to} onChange={(e) => setOption('to', e.target.value)} className="mt-1 w-full border border-gray-300 rounded px-2 py-1" />
+            </label>
+          </div>
+          <label className="block text-gray-700">
+            Category
+            <select value={options.category} onChange={(e) => setOption('category', e.target.value)} className="mt-1 w-full border border-gray-300 rounded px-2 py-1">
+              <option value="">All categories</option>
+              {ITEM_CATEGORIES.map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+          </label>
+          <p className="text-xs text-gray-500">Uses the location selected at the top of the page.</p>
+          {error && <p className="text-red-600">{error}</p>}
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={exporting}
+            className="w-full py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:bg-gray-400"
+          >
+            {exporting ? 'Exporting...' : 'Download'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportButton;
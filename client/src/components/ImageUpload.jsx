@@ -1,28 +1,161 @@
 import { useState, useRef, useEffect } from 'react';
-import { uploadWasteImage } from '../services/api';
+import { uploadWasteImage, waitForJob, getServiceSettings } from '../services/api';
+import { queueUpload, isOfflineError } from '../services/offlineQueue';
+import { formatWeight } from '../utils/quantity';
+import { prepareImage, drawToJpeg } from '../utils/image';
+import { checkImageQuality } from '../utils/imageQuality';
+import { wasteStreamLabel } from '../utils/wasteStream';
+import { mealPeriodLabel, stationLabel } from '../utils/servicePeriod';
+import MeasuredWeightInput from './MeasuredWeightInput';
+import DispositionSelect from './DispositionSelect';
+import WasteStreamSelect from './WasteStreamSelect';
+import StationSelect from './StationSelect';
+import BatchUpload from './BatchUpload';
 
-function ImageUpload({ onSuccess }) {
-  const [image, setImage] = useState(null);
-  const [preview, setPreview] = useState(null);
+const JOB_STAGES = [
+  { id: 'uploading', label: 'Uploading' },
+  { id: 'queued', label: 'Queued' },
+  { id: 'analyzing', label: 'Analyzing' },
+  { id: 'done', label: 'Done' }
+];
+
+const MAX_PHOTOS = 4;
+
+const CAPTURE_MODES = [
+  { id: 'angles', label: 'Waste photos', hint: `Up to ${MAX_PHOTOS} angles of the same waste` },
+  { id: 'before_after', label: 'Served & returned', hint: 'Plate-waste audit: one photo when served, one when returned' },
+  { id: 'batch', label: 'Batch', hint: 'Many bins at once: every photo is logged as its own entry' }
+];
+
+const ROLE_LABELS = { served: 'Served', returned: 'Returned' };
+
+// Bins usually go to the same place, so the last disposition is kept for the next upload
+const DISPOSITION_KEY = 'wasteDisposition';
+// A device usually sits at one station, so it is remembered the same way
+const STATION_KEY = 'wasteStation';
+
+function ImageUpload({ onSuccess, locationId }) {
+  const [mode, setMode] = useState('angles');
+  // [{ file, preview, role, warnings }]; role is 'served' / 'returned' in before/after mode
+  const [photos, setPhotos] = useState([]);
+  // Photos still being resized and stripped of metadata
+  const [preparing, setPreparing] = useState(0);
   const [uploading, setUploading] = useState(false);
+  // uploading -> queued -> analyzing -> done, mirrors the server job status
+  const [jobStatus, setJobStatus] = useState(null);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  // Set when the upload was saved on the device because the server was unreachable
+  const [savedOffline, setSavedOffline] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
+  const [measuredWeight, setMeasuredWeight] = useState({ weight: '', unit: 'g', scaleId: null });
+  const [disposition, setDisposition] = useState(() => localStorage.getItem(DISPOSITION_KEY) || null);
+  // Chosen per upload: unlike the disposition, the stream changes from bin to bin
+  const [wasteStream, setWasteStream] = useState(null);
+  const [station, setStation] = useState(() => localStorage.getItem(STATION_KEY) || null);
+  const [stations, setStations] = useState([]);
   const [showCamera, setShowCamera] = useState(false);
   const [stream, setStream] = useState(null);
   const fileInputRef = useRef(null);
   const cameraInputRef = useRef(null);
   const videoRef = useRef(null);
-  const canvasRef = useRef(null);
+
+  const maxPhotos = mode === 'before_after' ? 2 : MAX_PHOTOS;
+  const readyToUpload = preparing === 0 && (mode === 'before_after' ? photos.length === 2 : photos.length > 0);
+  const nextRole = mode === 'before_after'
+    ? (photos.some(photo => photo.role === 'served') ? 'returned' : 'served')
+    : null;
+
+  const addPreparedPhoto = (file, warnings = []) => {
+    setPhotos(prev => {
+      if (prev.length >= maxPhotos) return prev;
+      const role = mode === 'before_after'
+        ? (prev.some(photo => photo.role === 'served') ? 'returned' : 'served')
+        : null;
+      return [...prev, { file, preview: URL.createObjectURL(file), role, warnings }];
+    });
+    setResult(null);
+    setError(null);
+    setSavedOffline(false);
+  };
+
+  // Runs the local quality check; resolves to the reason a photo is refused, or
+  // adds it (with any warnings) and resolves to null
+  const addCheckedPhoto = async (file) => {
+    const quality = await checkImageQuality(file);
+    if (quality?.rejected) {
+      return quality.issues.filter(issue => issue.severity === 'reject').map(issue => issue.message).join('; ');
+    }
+    addPreparedPhoto(file, quality?.issues || []);
+    return null;
+  };
+
+  // Prepared together but added in order, so served/returned roles follow the selection
+  const addPhotos = async (files) => {
+    setPreparing(prev => prev + files.length);
+    try {
+      const prepared = await Promise.all(files.map(prepareImage));
+      const refused = [];
+      for (const file of prepared) {
+        const reason = await addCheckedPhoto(file);
+        if (reason) refused.push(files.length > 1 ? `${file.name}: ${reason}` : reason);
+      }
+      if (refused.length > 0) {
+        setError(`Photo not added. ${refused.join('\n')}`);
+      }
+    } finally {
+      setPreparing(prev => prev - files.length);
+    }
+  };
+
+  const removePhoto = (index) => {
+    setPhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const clearPhotos = () => {
+    setPhotos([]);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+    if (cameraInputRef.current) cameraInputRef.current.value = '';
+  };
+
+  const changeMode = (nextMode) => {
+    setMode(nextMode);
+    clearPhotos();
+    setResult(null);
+  };
+
+  // Offline the list stays empty; the remembered station is still offered
+  useEffect(() => {
+    getServiceSettings()
+      .then(settings => setStations(settings.stations))
+      .catch(err => console.error(err));
+  }, []);
+
+  const changeStation = (next) => {
+    setStation(next);
+    if (next) {
+      localStorage.setItem(STATION_KEY, next);
+    } else {
+      localStorage.removeItem(STATION_KEY);
+    }
+  };
+
+  const changeDisposition = (next) => {
+    setDisposition(next);
+    if (next) {
+      localStorage.setItem(DISPOSITION_KEY, next);
+    } else {
+      localStorage.removeItem(DISPOSITION_KEY);
+    }
+  };
 
   const handleFileSelect = (e) => {
     const file = e.target.files[0];
     if (file) {
-      setImage(file);
-      setPreview(URL.createObjectURL(file));
-      setResult(null);
-      setError(null);
+      addPhotos([file]);
     }
+    // Lets the same file be picked again after removing it
+    e.target.value = '';
   };
 
   const handleDragEnter = (e) => {
@@ -47,14 +180,11 @@ function ImageUpload({ onSuccess }) {
     e.stopPropagation();
     setIsDragging(false);
 
-    const files = e.dataTransfer.files;
-    if (files && files.length > 0) {
-      const file = files[0];
-      if (file.type.startsWith('image/')) {
-        setImage(file);
-        setPreview(URL.createObjectURL(file));
-        setResult(null);
-        setError(null);
+    const files = Array.from(e.dataTransfer.files || []);
+    if (files.length > 0) {
+      const images = files.filter(file => file.type.startsWith('image/'));
+      if (images.length > 0) {
+        addPhotos(images.slice(0, maxPhotos - photos.length));
       } else {
         setError('Please drop an image file (JPG, PNG)');
       }
@@ -88,25 +218,21 @@ function ImageUpload({ onSuccess }) {
     setShowCamera(false);
   };
 
-  const capturePhoto = () => {
-    if (videoRef.current && canvasRef.current) {
+  const capturePhoto = async () => {
+    if (videoRef.current) {
       const video = videoRef.current;
-      const canvas = canvasRef.current;
-      
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-      
-      const context = canvas.getContext('2d');
-      context.drawImage(video, 0, 0);
-      
-      canvas.toBlob((blob) => {
-        const file = new File([blob], `camera-${Date.now()}.jpg`, { type: 'image/jpeg' });
-        setImage(file);
-        setPreview(URL.createObjectURL(file));
-        setResult(null);
-        setError(null);
-        stopCamera();
-      }, 'image/jpeg', 0.95);
+      try {
+        const file = await drawToJpeg(video, video.videoWidth, video.videoHeight, `camera-${Date.now()}.jpg`);
+        const reason = await addCheckedPhoto(file);
+        if (reason) {
+          // Keep the camera open so the photo can be retaken right away
+          setError(`Please retake the photo. ${reason}`);
+          return;
+        }
+      } catch (err) {
+        setError('Could not capture the photo. Please try again or use file upload.');
+      }
+      stopCamera();
     }
   };
 
@@ -124,27 +250,47 @@ function ImageUpload({ onSuccess }) {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!image) return;
+    if (!readyToUpload) return;
 
     setUploading(true);
+    setJobStatus('uploading');
     setError(null);
+    setSavedOffline(false);
 
+    const upload = photos.map(({ file, role }) => ({ file, role }));
+    let jobId = null;
     try {
-      const data = await uploadWasteImage(image);
+      ({ jobId } = await uploadWasteImage(upload, { locationId, disposition, wasteStream, station, measuredWeight }));
+      setJobStatus('queued');
+      const data = await waitForJob(jobId, job => setJobStatus(job.status));
       setResult(data);
-      setImage(null);
-      setPreview(null);
-      if (fileInputRef.current) fileInputRef.current.value = '';
-      if (cameraInputRef.current) cameraInputRef.current.value = '';
+      clearPhotos();
+      setMeasuredWeight({ weight: '', unit: measuredWeight.unit, scaleId: null });
       
       if (onSuccess) {
         setTimeout(() => onSuccess(), 2000);
       }
     } catch (err) {
+      // Never reached the server: keep the photos on the device and send them later
+      if (!jobId && isOfflineError(err)) {
+        try {
+          await queueUpload(upload, { locationId, disposition, wasteStream, station, measuredWeight });
+          setSavedOffline(true);
+          clearPhotos();
+          setMeasuredWeight({ weight: '', unit: measuredWeight.unit, scaleId: null });
+          setJobStatus(null);
+          return;
+        } catch (queueError) {
+          console.error('Error saving upload offline:', queueError);
+        }
+      }
+
       let errorMessage = 'Failed to analyze image';
       
       if (err.response?.data?.message) {
         errorMessage = err.response.data.message;
+      } else if (err.response?.data?.error) {
+        errorMessage = err.response.data.error;
       } else if (err.message) {
         errorMessage = err.message;
       }
@@ -161,6 +307,7 @@ function ImageUpload({ onSuccess }) {
       }
       
       setError(errorMessage);
+      setJobStatus(null);
     } finally {
       setUploading(false);
     }
@@ -174,205 +321,335 @@ function ImageUpload({ onSuccess }) {
           Upload Food Waste Photo
         </h2>
         
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <div 
-            className={`border-2 border-dashed rounded-lg p-8 text-center transition-colors ${
-              isDragging 
-                ? 'border-green-500 bg-green-50' 
-                : 'border-gray-300 hover:border-green-400'
-            }`}
-            onDragEnter={handleDragEnter}
-            onDragOver={handleDragOver}
-            onDragLeave={handleDragLeave}
-            onDrop={handleDrop}
-          >
-            {preview ? (
+        <div className="flex flex-col items-center gap-1 mb-6">
+          <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+            {CAPTURE_MODES.map(option => (
+              <button
+                key={option.id}
+                type="button"
+                onClick={() => changeMode(option.id)}
+                disabled={uploading}
+                className={`px-4 py-2 ${mode === option.id ? 'bg-green-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">{CAPTURE_MODES.find(option => option.id === mode).hint}</p>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-center gap-2 mb-6 text-sm">
+          <label htmlFor="upload-waste-stream" className="text-gray-700">Waste from</label>
+          <WasteStreamSelect
+            id="upload-waste-stream"
+            value={wasteStream}
+            onChange={setWasteStream}
+            disabled={uploading}
+          />
+          <label htmlFor="upload-disposition" className="text-gray-700 ml-2">goes to</label>
+          <DispositionSelect
+            id="upload-disposition"
+            value={disposition}
+            onChange={changeDisposition}
+            disabled={uploading}
+          />
+          <label htmlFor="upload-station" className="text-gray-700 ml-2">at</label>
+          <StationSelect
+            id="upload-station"
+            value={station}
+            stations={stations}
+            onChange={changeStation}
+            disabled={uploading}
+          />
+        </div>
+
+        {mode === 'batch' ? (
+          <BatchUpload onSuccess={onSuccess} locationId={locationId} disposition={disposition} wasteStream={wasteStream} station={station} />
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div 
+              className={`border-2 border-dashed rounded-lg p-8 text-center transition-colors ${
+                isDragging 
+                  ? 'border-green-500 bg-green-50' 
+                  : 'border-gray-300 hover:border-green-400'
+              }`}
+              onDragEnter={handleDragEnter}
+              onDragOver={handleDragOver}
+              onDragLeave={handleDragLeave}
+              onDrop={handleDrop}
+            >
               <div className="space-y-4">
-                <img
-                  src={preview}
-                  alt="Preview"
-                  className="max-h-64 mx-auto rounded-lg shadow-md"
-                />
-                <button
-                  type="button"
-                  onClick={() => {
-                    setImage(null);
-                    setPreview(null);
-                    setResult(null);
-                    if (fileInputRef.current) fileInputRef.current.value = '';
-                  }}
-                  className="text-sm text-red-600 hover:text-red-700"
-                >
-                  Remove image
-                </button>
+                {photos.length > 0 ? (
+                  <div className="grid grid-cols-2 gap-3">
+                    {photos.map((photo, idx) => (
+                      <div key={photo.preview} className="relative">
+                        <img
+                          src={photo.preview}
+                          alt={ROLE_LABELS[photo.role] || `Photo ${idx + 1}`}
+                          className="h-40 w-full object-cover rounded-lg shadow-md"
+                        />
+                        <span className="absolute top-1 left-1 px-2 py-0.5 rounded bg-black/60 text-white text-xs">
+                          {ROLE_LABELS[photo.role] || `Photo ${idx + 1}`}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => removePhoto(idx)}
+                          disabled={uploading}
+                          className="absolute top-1 right-1 px-2 py-0.5 rounded bg-white/90 text-red-600 text-xs hover:text-red-700"
+                        >
+                          Remove
+                        </button>
+                        {photo.warnings.length > 0 && (
+                          <div
+                            className="absolute bottom-1 inset-x-1 px-2 py-0.5 rounded bg-yellow-100/95 text-yellow-800 text-xs text-left"
+                            title={photo.warnings.map(warning => warning.message).join('\n')}
+                          >
+                            ⚠️ {photo.warnings[0].message}
+                            {photo.warnings.length > 1 && ` (+${photo.warnings.length - 1})`}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="text-6xl">{isDragging ? '⬇️' : '📷'}</div>
+                )}
+
+                {photos.length < maxPhotos && (
+                  <>
+                    <div className="image-upload-instructions">
+                      <p className="text-lg font-medium text-gray-700">
+                        {isDragging
+                          ? 'Drop image here'
+                          : nextRole
+                            ? `Add the ${nextRole} photo`
+                            : photos.length > 0
+                              ? 'Add another angle (optional)'
+                              : 'Drag & drop, take a photo, or upload an image'}
+                      </p>
+                      <p className="text-sm text-gray-500 mt-1">
+                        JPG, PNG, WebP or HEIC; large photos are resized before upload
+                      </p>
+                    </div>
+                    <div className="flex gap-4 justify-center">
+                      <label className="cursor-pointer">
+                        <input
+                          ref={fileInputRef}
+                          type="file"
+                          accept="image/*"
+                          onChange={handleFileSelect}
+                          className="hidden"
+                        />
+                        <span className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+                          📁 Choose File
+                        </span>
+                      </label>
+                      <button
+                        type="button"
+                        onClick={startCamera}
+                        className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                      >
+                        📸 Use Camera
+                      </button>
+                      <label className="cursor-pointer md:hidden">
+                        <input
+                          ref={cameraInputRef}
+                          type="file"
+                          accept="image/*"
+                          capture="environment"
+                          onChange={handleFileSelect}
+                          className="hidden"
+                        />
+                        <span className="inline-flex items-center px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors">
+                          📱 Mobile Camera
+                        </span>
+                      </label>
+                    </div>
+                  </>
+                )}
               </div>
-            ) : (
-              <div className="space-y-4">
-                <div className="text-6xl">{isDragging ? '⬇️' : '📷'}</div>
-                <div className="image-upload-instructions">
-                  <p className="text-lg font-medium text-gray-700">
-                    {isDragging ? 'Drop image here' : 'Drag & drop, take a photo, or upload an image'}
-                  </p>
-                  <p className="text-sm text-gray-500 mt-1">
-                    Supported formats: JPG, PNG (max 10MB)
-                  </p>
+            </div>
+
+            {photos.length > 0 && (
+              <MeasuredWeightInput value={measuredWeight} onChange={setMeasuredWeight} disabled={uploading} />
+            )}
+
+            {showCamera && (
+              <div className="bg-gray-900 rounded-lg p-4 space-y-4">
+                <div className="relative">
+                  <video
+                    ref={videoRef}
+                    autoPlay
+                    playsInline
+                    className="w-full rounded-lg"
+                  />
                 </div>
                 <div className="flex gap-4 justify-center">
-                  <label className="cursor-pointer">
-                    <input
-                      ref={fileInputRef}
-                      type="file"
-                      accept="image/*"
-                      onChange={handleFileSelect}
-                      className="hidden"
-                    />
-                    <span className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
-                      📁 Choose File
-                    </span>
-                  </label>
                   <button
                     type="button"
-                    onClick={startCamera}
-                    className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                    onClick={capturePhoto}
+                    className="px-6 py-3 bg-white text-gray-900 font-semibold rounded-lg hover:bg-gray-100 transition-colors"
                   >
-                    📸 Use Camera
+                    📸 Capture Photo
+                  </button>
+                  <button
+                    type="button"
+                    onClick={stopCamera}
+                    className="px-6 py-3 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700 transition-colors"
+                  >
+                    ✖️ Cancel
                   </button>
-                  <label className="cursor-pointer md:hidden">
-                    <input
-                      ref={cameraInputRef}
-                      type="file"
-                      accept="image/*"
-                      capture="environment"
-                      onChange={handleFileSelect}
-                      className="hidden"
-                    />
-                    <span className="inline-flex items-center px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors">
-                      📱 Mobile Camera
-                    </span>
-                  </label>
                 </div>
               </div>
             )}
-          </div>
 
-          {showCamera && (
-            <div className="bg-gray-900 rounded-lg p-4 space-y-4">
-              <div className="relative">
-                <video
-                  ref={videoRef}
-                  autoPlay
-                  playsInline
-                  className="w-full rounded-lg"
-                />
-                <canvas ref={canvasRef} className="hidden" />
-              </div>
-              <div className="flex gap-4 justify-center">
-                <button
-                  type="button"
-                  onClick={capturePhoto}
-                  className="px-6 py-3 bg-white text-gray-900 font-semibold rounded-lg hover:bg-gray-100 transition-colors"
-                >
-                  📸 Capture Photo
-                </button>
-                <button
-                  type="button"
-                  onClick={stopCamera}
-                  className="px-6 py-3 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700 transition-colors"
-                >
-                  ✖️ Cancel
-                </button>
-              </div>
-            </div>
-          )}
-
-          {error && (
-            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
-              <div className="font-semibold mb-1">Error</div>
-              <div className="text-sm whitespace-pre-line">{error}</div>
-              {error.includes('quota') && (
-                <div className="mt-3 pt-3 border-t border-red-200">
-                  <a 
-                    href="https://console.cloud.google.com/" 
-                    target="_blank" 
-                    rel="noopener noreferrer"
-                    className="text-sm underline hover:text-red-800"
-                  >
-                    Open Google Cloud Console →
-                  </a>
-                </div>
-              )}
-              {(error.includes('API key') || error.includes('API_KEY') || error.includes('not set')) && (
-                <div className="mt-3 pt-3 border-t border-red-200">
-                  <a 
-                    href="https://aistudio.google.com/app/apikey" 
-                    target="_blank" 
-                    rel="noopener noreferrer"
-                    className="text-sm underline hover:text-red-800"
-                  >
-                    Get Gemini API Key →
-                  </a>
-                </div>
-              )}
-            </div>
-          )}
-
-          {result && (
-            <div className="bg-green-50 border border-green-200 rounded-lg p-4 space-y-3">
-              <h3 className="font-semibold text-green-900">✅ Analysis Complete!</h3>
-              <div className="space-y-2 text-sm">
-                <div>
-                  <strong>Items Identified:</strong>
-                  <ul className="list-disc list-inside mt-1 space-y-1">
-                    {result.analysis.items.map((item, idx) => (
-                      <li key={idx}>
-                        {item.name} ({item.category}) - 
-                        {item.estimatedAmount && ` ${item.estimatedAmount}`}
-                        {item.estimatedValue && ` - $${item.estimatedValue.toFixed(2)}`}
-                      </li>
-                    ))}
-                  </ul>
-                </div>
-                <div>
-                  <strong>Total Estimated Value:</strong> ${result.analysis.totalEstimatedValue.toFixed(2)}
-                </div>
-                {result.analysis.estimatedWaste?.weight && (
-                  <div>
-                    <strong>Estimated Weight:</strong> {result.analysis.estimatedWaste.weight}
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                <div className="font-semibold mb-1">Error</div>
+                <div className="text-sm whitespace-pre-line">{error}</div>
+                {error.includes('quota') && (
+                  <div className="mt-3 pt-3 border-t border-red-200">
+                    <a 
+                      href="https://console.cloud.google.com/" 
+                      target="_blank" 
+                      rel="noopener noreferrer"
+                      className="text-sm underline hover:text-red-800"
+                    >
+                      Open Google Cloud Console →
+                    </a>
                   </div>
                 )}
-                {result.analysis.notes && (
-                  <div>
-                    <strong>Notes:</strong> {result.analysis.notes}
+                {(error.includes('API key') || error.includes('API_KEY') || error.includes('not set')) && (
+                  <div className="mt-3 pt-3 border-t border-red-200">
+                    <a 
+                      href="https://aistudio.google.com/app/apikey" 
+                      target="_blank" 
+                      rel="noopener noreferrer"
+                      className="text-sm underline hover:text-red-800"
+                    >
+                      Get Gemini API Key →
+                    </a>
                   </div>
                 )}
-                {typeof result.analysis.confidence === 'number' && (
+              </div>
+            )}
+
+            {savedOffline && (
+              <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg text-sm">
+                📶 No connection. The photos are saved on this device and will be analyzed automatically when it
+                comes back.
+              </div>
+            )}
+
+            {uploading && jobStatus && (
+              <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                <div className="flex justify-between text-sm">
+                  {JOB_STAGES.map((stage, idx) => {
+                    const currentIdx = JOB_STAGES.findIndex(s => s.id === jobStatus);
+                    return (
+                      <div
+                        key={stage.id}
+                        className={`flex-1 text-center ${
+                          idx < currentIdx
+                            ? 'text-green-700'
+                            : idx === currentIdx
+                              ? 'text-blue-700 font-semibold'
+                              : 'text-gray-400'
+                        }`}
+                      >
+                        {idx < currentIdx ? '✅' : idx === currentIdx ? '⏳' : '⚪'} {stage.label}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {result && (
+              <div className="bg-green-50 border border-green-200 rounded-lg p-4 space-y-3">
+                <h3 className="font-semibold text-green-900">✅ Analysis Complete!</h3>
+                <div className="space-y-2 text-sm">
                   <div>
-                    <strong>Confidence:</strong> {(result.analysis.confidence * 100).toFixed(0)}%
-                  </div>
-                )}
-                {result.analysis.uncertaintyDisclaimer && (
-                  <div className="text-yellow-800">
-                    <strong>Disclaimer:</strong> {result.analysis.uncertaintyDisclaimer}
+                    <strong>Items Identified:</strong>
+                    <ul className="list-disc list-inside mt-1 space-y-1">
+                      {result.analysis.items.map((item, idx) => (
+                        <li key={idx}>
+                          {item.name} ({item.category}) - 
+                          {item.estimatedAmount && ` ${item.estimatedAmount}`}
+                          {item.quantity?.grams != null && ` (≈ ${formatWeight(item.quantity.grams)})`}
+                          {item.estimatedValue && ` - $${item.estimatedValue.toFixed(2)}`}
+                          {item.percentUneaten != null && ` - ${Math.round(item.percentUneaten)}% left`}
+                        </li>
+                      ))}
+                    </ul>
                   </div>
-                )}
-                {result.analysis.needsBetterPhoto && (
-                  <div className="text-yellow-700">
-                    📷 Please upload a clearer photo (reduce glare, avoid reflections, focus subject).
+                  <div>
+                    <strong>Total Estimated Value:</strong> ${result.analysis.totalEstimatedValue.toFixed(2)}
                   </div>
-                )}
+                  {result.analysis.percentUneaten != null && (
+                    <div>
+                      <strong>Left Uneaten:</strong> {Math.round(result.analysis.percentUneaten)}% of the served meal
+                    </div>
+                  )}
+                  {(result.analysis.totalWeightGrams != null || result.analysis.estimatedWaste?.weight) && (
+                    <div>
+                      <strong>{result.analysis.weightSource === 'measured' ? 'Measured Weight:' : 'Estimated Weight:'}</strong>{' '}
+                      {result.analysis.totalWeightGrams != null
+                        ? formatWeight(result.analysis.totalWeightGrams)
+                        : result.analysis.estimatedWaste.weight}
+                    </div>
+                  )}
+                  {result.wasteEntry?.wasteStream && (
+                    <div>
+                      <strong>Waste Stream:</strong> {wasteStreamLabel(result.wasteEntry.wasteStream)}
+                      {!result.wasteEntry.wasteStreamConfirmed && (
+                        <span className="text-gray-500"> (suggested; confirm it in the waste history)</span>
+                      )}
+                    </div>
+                  )}
+                  {result.wasteEntry?.mealPeriod && (
+                    <div>
+                      <strong>Service:</strong> {mealPeriodLabel(result.wasteEntry.mealPeriod)}
+                      {result.wasteEntry.shift && <> · {result.wasteEntry.shift} shift</>}
+                      {result.wasteEntry.station && <> · {stationLabel(result.wasteEntry.station)}</>}
+                    </div>
+                  )}
+                  {result.analysis.notes && (
+                    <div>
+                      <strong>Notes:</strong> {result.analysis.notes}
+                    </div>
+                  )}
+                  {typeof result.analysis.confidence === 'number' && (
+                    <div>
+                      <strong>Confidence:</strong> {(result.analysis.confidence * 100).toFixed(0)}%
+                    </div>
+                  )}
+                  {result.analysis.uncertaintyDisclaimer && (
+                    <div className="text-yellow-800">
+                      <strong>Disclaimer:</strong> {result.analysis.uncertaintyDisclaimer}
+                    </div>
+                  )}
+                  {result.analysis.needsBetterPhoto && (
+                    <div className="text-yellow-700">
+                      📷 Please upload a clearer photo (reduce glare, avoid reflections, focus subject).
+                    </div>
+                  )}
+                </div>
               </div>
-            </div>
-          )}
-
-          <button
-            type="submit"
-            disabled={!image || uploading}
-            className="w-full py-3 px-4 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
-          >
-            {uploading ? 'Analyzing...' : 'Analyze Waste'}
+            )}
+
+            <button
+              type="submit"
+              disabled={!readyToUpload || uploading}
+              className="w-full py-3 px-4 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+            >
+              {uploading
+                ? `${JOB_STAGES.find(stage => stage.id === jobStatus)?.label || 'Analyzing'}...`
+                : preparing > 0 ? 'Preparing photos...' : 'Analyze Waste'}
             
-          </button>
-        </form>
+            </button>
+          </form>
+        )}
       </div>
     </div>
   );
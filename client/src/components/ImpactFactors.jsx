@@ -0,0 +1,193 @@
+import { useState, useEffect } from 'react';
+import { getImpactFactors, createImpactFactor, updateImpactFactor, deleteImpactFactor } from '../services/api';
+
+const EMPTY_DRAFT = { catalogItemId: '', co2ePerKg: '', waterLitresPerKg: '' };
+
+function factorKey(factor) {
+  return factor.catalogItemId != null ? `item-${factor.catalogItemId}` : `category-${factor.category}`;
+}
+
+function ImpactFactors({ catalog }) {
+  const [factors, setFactors] = useState([]);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editingKey, setEditingKey] = useState(null);
+  const [editValues, setEditValues] = useState({ co2ePerKg: '', waterLitresPerKg: '' });
+
+  useEffect(() => {
+    loadFactors();
+  }, []);
+
+  const loadFactors = async () => {
+    try {
+      setFactors(await getImpactFactors());
+      setError(null);
+    } catch (err) {
+      setError('Failed to load impact factors');
+      console.error(err);
+    }
+  };
+
+  // Factors apply to items logged or corrected from now on; existing items keep their footprint
+  const runAction = async (action) => {
+    try {
+      await action();
+      await loadFactors();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Impact factor update failed');
+      console.error(err);
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!draft.catalogItemId || draft.co2ePerKg === '' || draft.waterLitresPerKg === '') return;
+    const created = await runAction(() => createImpactFactor({
+      catalogItemId: Number(draft.catalogItemId),
+      co2ePerKg: Number(draft.co2ePerKg),
+      waterLitresPerKg: Number(draft.waterLitresPerKg)
+    }));
+    if (created) setDraft(EMPTY_DRAFT);
+  };
+
+  const startEditing = (factor) => {
+    setEditingKey(factorKey(factor));
+    setEditValues({ co2ePerKg: String(factor.co2ePerKg), waterLitresPerKg: String(factor.waterLitresPerKg) });
+  };
+
+  // A category still on its default gets its own factor on the first edit
+  const handleSave = async (factor) => {
+    const values = { co2ePerKg: Number(editValues.co2ePerKg), waterLitresPerKg: Number(editValues.waterLitresPerKg) };
+    const saved = await runAction(() => (factor.id == null
+      ? createImpactFactor({ category: factor.category, ...values })
+      : updateImpactFactor(factor.id, values)));
+    if (saved) setEditingKey(null);
+  };
+
+  const handleDelete = (factor) => {
+    const question = factor.catalogItemId != null
+      ? `Delete the impact factor for "${factor.catalogItemName}"?`
+      : `Reset "${factor.category}" to the default factor?`;
+    if (!window.confirm(question)) return;
+    runAction(() => deleteImpactFactor(factor.id));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Carbon &amp; water factors</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        kg CO2e and litres of water per kg of wasted food. Items use the factor of their catalog item, then of their
+        category; the category defaults are rough averages, so add factors for foods far from them (beef, salad, ...).
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-col md:flex-row gap-2 mb-4 text-sm">
+        <select
+          value={draft.catalogItemId}
+          onChange={(e) => setDraft(prev => ({ ...prev, catalogItemId: e.target.value }))}
+          className="flex-1 border border-gray-300 rounded-lg px-2 py-2"
+        >
+          <option value="">Catalog item…</option>
+          {catalog.map(catalogItem => (
+            <option key={catalogItem.id} value={catalogItem.id}>{catalogItem.name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="0.1"
+          value={draft.co2ePerKg}
+          placeholder="kg CO2e / kg"
+          onChange={(e) => setDraft(prev => ({ ...prev, co2ePerKg: e.target.value }))}
+          className="w-32 border border-gray-300 rounded-lg px-3 py-2"
+        />
+        <input
+          type="number"
+          min="0"
+          step="10"
+          value={draft.waterLitresPerKg}
+          placeholder="L water / kg"
+          onChange={(e) => setDraft(prev => ({ ...prev, waterLitresPerKg: e.target.value }))}
+          className="w-32 border border-gray-300 rounded-lg px-3 py-2"
+        />
+        <button type="submit" className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700">
+          Add
+        </button>
+      </form>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            <th className="py-2">Category / item</th>
+            <th className="py-2 text-right">kg CO2e / kg</th>
+            <th className="py-2 text-right">L water / kg</th>
+            <th className="py-2" />
+          </tr>
+        </thead>
+        <tbody>
+          {factors.map(factor => (
+            <tr key={factorKey(factor)} className="border-b border-gray-100">
+              <td className="py-2">
+                <span className="font-medium text-gray-900">{factor.catalogItemName || factor.category}</span>
+                {factor.isDefault && <span className="ml-2 text-xs text-gray-400">default</span>}
+              </td>
+              {editingKey === factorKey(factor) ? (
+                <>
+                  <td className="py-2 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={editValues.co2ePerKg}
+                      autoFocus
+                      onChange={(e) => setEditValues(prev => ({ ...prev, co2ePerKg: e.target.value }))}
+                      className="w-20 border border-gray-300 rounded px-2 py-1"
+                    />
+                  </td>
+                  <td className="py-2 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      step="10"
+                      value={editValues.waterLitresPerKg}
+                      onChange={(e) => setEditValues(prev => ({ ...prev, waterLitresPerKg: e.target.value }))}
+                      className="w-24 border border-gray-300 rounded px-2 py-1"
+                    />
+                  </td>
+                  <td className="py-2 text-right space-x-2">
+                    <button type="button" onClick={() => handleSave(factor)} className="text-emerald-700">Save</button>
+                    <button type="button" onClick={() => setEditingKey(null)} className="text-gray-500">Cancel</button>
+                  </td>
+                </>
+              ) : (
+                <>
+                  <td className="py-2 text-right text-gray-600">{factor.co2ePerKg}</td>
+                  <td className="py-2 text-right text-gray-600">{factor.waterLitresPerKg}</td>
+                  <td className="py-2 text-right space-x-2">
+                    <button type="button" onClick={() => startEditing(factor)} className="text-gray-600 hover:text-emerald-700">
+                      Edit
+                    </button>
+                    {!factor.isDefault && (
+                      <button type="button" onClick={() => handleDelete(factor)} className="text-red-600 hover:text-red-700">
+                        {factor.catalogItemId != null ? 'Delete' : 'Reset'}
+                      </button>
+                    )}
+                  </td>
+                </>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ImpactFactors;
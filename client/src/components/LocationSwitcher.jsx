@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { MapPin } from 'lucide-react';
+import { createLocation } from '../services/api';
+
+function LocationSwitcher({ locations, locationId, onChange, onCreated, canManage }) {
+  const [adding, setAdding] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    try {
+      const { location } = await createLocation({ name });
+      setName('');
+      setAdding(false);
+      setError(null);
+      onCreated(location);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create location');
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2 py-2 text-sm">
+      <MapPin className="h-4 w-4 text-emerald-600" />
+      <select
+        value={locationId || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="border border-emerald-200 rounded-lg px-2 py-1 bg-white text-slate-700"
+      >
+        <option value="">All locations</option>
+        {locations.map(location => (
+          <option key={location.id} value={location.id}>{location.name}</option>
+        ))}
+      </select>
+      {!canManage ? null : adding ? (
+        <form onSubmit={handleCreate} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={name}
+            autoFocus
+            placeholder="Kitchen name"
+            onChange={(e) => setName(e.target.value)}
+            className="border border-emerald-200 rounded-lg px-2 py-1"
+          />
+          <button type="submit" className="text-emerald-700 hover:text-emerald-800">Add</button>
+          <button type="button" onClick={() => { setAdding(false); setError(null); }} className="text-slate-500 hover:text-slate-700">
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button type="button" onClick={() => setAdding(true)} className="text-emerald-700 hover:text-emerald-800">
+          + Add location
+        </button>
+      )}
+      {error && <span className="text-red-600">{error}</span>}
+    </div>
+  );
+}
+
+export default LocationSwitcher;
@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react';
+import { TrendingDown } from 'lucide-react';
+import { getAuthStatus, login, setupAdmin } from '../services/api';
+
+function Login({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [needsSetup, setNeedsSetup] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getAuthStatus()
+      .then(status => setNeedsSetup(status.needsSetup))
+      .catch(() => setError('Cannot reach the server'));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const user = needsSetup
+        ? await setupAdmin(username, password)
+        : await login(username, password);
+      onLogin(user);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-hero flex items-center justify-center px-4">
+      <div className="bg-white rounded-lg shadow-lg p-8 w-full max-w-sm">
+        <div className="flex items-center justify-center gap-2 text-emerald-600 mb-2">
+          <TrendingDown className="h-5 w-5" />
+          <span className="text-2xl font-bold bg-gradient-to-r from-emerald-500 to-lime-500 bg-clip-text text-transparent">
+            ScrapSnap AI
+          </span>
+        </div>
+        <p className="text-center text-sm text-slate-600 mb-6">
+          {needsSetup ? 'Create the first admin account' : 'Sign in to log and review waste'}
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="text"
+            value={username}
+            autoFocus
+            autoComplete="username"
+            placeholder="Username"
+            onChange={(e) => setUsername(e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <input
+            type="password"
+            value={password}
+            autoComplete={needsSetup ? 'new-password' : 'current-password'}
+            placeholder={needsSetup ? 'Password (8+ characters)' : 'Password'}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+          />
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={!username || !password || submitting}
+            className="w-full py-2 px-4 bg-emerald-600 text-white font-semibold rounded-lg hover:bg-emerald-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+          >
+            {submitting ? 'Signing in...' : needsSetup ? 'Create Admin' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
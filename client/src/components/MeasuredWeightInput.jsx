@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { getScaleReading } from '../services/api';
+import { formatWeight } from '../utils/quantity';
+
+const UNITS = ['g', 'kg', 'lb', 'oz'];
+const SCALE_KEY = 'wasteScaleId';
+
+// Optional measured weight for an upload: typed in, or read from a scale that
+// pushes its readings to the server. value is { weight, unit, scaleId }; scaleId
+// is only set while the weight is the unchanged scale reading.
+function MeasuredWeightInput({ value, onChange, disabled }) {
+  const [scaleId, setScaleId] = useState(() => localStorage.getItem(SCALE_KEY) || '');
+  const [reading, setReading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleReadScale = async () => {
+    if (!scaleId.trim()) return;
+    localStorage.setItem(SCALE_KEY, scaleId.trim());
+    try {
+      setReading(true);
+      const result = await getScaleReading(scaleId.trim());
+      onChange({ weight: String(result.grams), unit: 'g', scaleId: result.scaleId });
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not read the scale');
+    } finally {
+      setReading(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-2 text-sm">
+      <div className="font-medium text-gray-700">Measured weight (optional)</div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={value.weight}
+          placeholder="Weight"
+          disabled={disabled}
+          onChange={(e) => onChange({ weight: e.target.value, unit: value.unit, scaleId: null })}
+          className="w-28 border border-gray-300 rounded-lg px-3 py-2"
+        />
+        <select
+          value={value.unit}
+          disabled={disabled}
+          onChange={(e) => onChange({ ...value, unit: e.target.value, scaleId: null })}
+          className="border border-gray-300 rounded-lg px-2 py-2"
+        >
+          {UNITS.map(unit => (
+            <option key={unit} value={unit}>{unit}</option>
+          ))}
+        </select>
+        <span className="text-gray-400">or</span>
+        <input
+          type="text"
+          value={scaleId}
+          placeholder="Scale ID"
+          disabled={disabled}
+          onChange={(e) => setScaleId(e.target.value)}
+          className="w-28 border border-gray-300 rounded-lg px-3 py-2"
+        />
+        <button
+          type="button"
+          onClick={handleReadScale}
+          disabled={disabled || reading || !scaleId.trim()}
+          className="px-3 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 disabled:bg-gray-300"
+        >
+          {reading ? 'Reading…' : '⚖️ Read scale'}
+        </button>
+      </div>
+      {value.scaleId && (
+        <div className="text-xs text-emerald-700">
+          {formatWeight(Number(value.weight))} from scale "{value.scaleId}"
+        </div>
+      )}
+      {error && <div className="text-xs text-red-600">{error}</div>}
+      <p className="text-xs text-gray-500">
+        A measured weight replaces the estimate from the photo and is split across the detected items.
+      </p>
+    </div>
+  );
+}
+
+export default MeasuredWeightInput;
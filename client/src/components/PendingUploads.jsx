@@ -0,0 +1,120 @@
+import { useState, useEffect, useMemo } from 'react';
+import { format } from 'date-fns';
+import {
+  getQueuedUploads, onQueueChange, syncQueuedUploads, retryQueuedUpload, discardQueuedUpload
+} from '../services/offlineQueue';
+
+const STATUS_LABELS = {
+  pending: 'Waiting for connection',
+  uploading: 'Uploading...',
+  failed: 'Rejected by the server'
+};
+
+// Uploads saved on this device while offline, shown until they reach the server
+function PendingUploads() {
+  const [uploads, setUploads] = useState([]);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [syncing, setSyncing] = useState(false);
+
+  useEffect(() => {
+    const load = () => getQueuedUploads()
+      .then(setUploads)
+      .catch(error => console.error('Error loading offline uploads:', error));
+    const updateOnline = () => setOnline(navigator.onLine);
+
+    load();
+    const stopListening = onQueueChange(load);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      stopListening();
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  const previews = useMemo(
+    () => Object.fromEntries(uploads.map(upload => [upload.id, URL.createObjectURL(upload.photos[0].file)])),
+    [uploads]
+  );
+  useEffect(() => () => Object.values(previews).forEach(url => URL.revokeObjectURL(url)), [previews]);
+
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      await syncQueuedUploads();
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleDiscard = async (upload) => {
+    if (!window.confirm('Discard this upload? Its photos are only stored on this device.')) return;
+    await discardQueuedUpload(upload.id);
+  };
+
+  if (online && uploads.length === 0) return null;
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+      <div className="flex justify-between items-center gap-4">
+        <div className="text-sm text-yellow-900">
+          {online
+            ? <><strong>{uploads.length} upload(s)</strong> saved on this device are waiting to be sent.</>
+            : <><strong>You are offline.</strong> Photos you analyze are saved on this device and sent when the connection returns.</>}
+        </div>
+        {uploads.length > 0 && (
+          <button
+            type="button"
+            onClick={handleSync}
+            disabled={!online || syncing}
+            className="px-3 py-1.5 text-sm bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 disabled:bg-gray-400 whitespace-nowrap"
+          >
+            {syncing ? 'Syncing...' : 'Sync now'}
+          </button>
+        )}
+      </div>
+
+      {uploads.length > 0 && (
+        <ul className="mt-3 divide-y divide-yellow-200">
+          {uploads.map(upload => (
+            <li key={upload.id} className="flex items-center gap-3 py-2">
+              <img src={previews[upload.id]} alt="Queued waste photo" className="h-12 w-12 object-cover rounded" />
+              <div className="flex-1 min-w-0 text-sm">
+                <div className="text-gray-900">
+                  Captured {format(new Date(upload.capturedAt), 'PPp')}
+                  <span className="text-gray-500"> · {upload.photos.length} photo{upload.photos.length === 1 ? '' : 's'}</span>
+                </div>
+                <div className={upload.status === 'failed' ? 'text-red-700' : 'text-gray-600'}>
+                  {STATUS_LABELS[upload.status]}
+                  {upload.error && `: ${upload.error}`}
+                </div>
+              </div>
+              {upload.status === 'failed' && (
+                <button
+                  type="button"
+                  onClick={() => retryQueuedUpload(upload.id)}
+                  disabled={!online}
+                  className="px-2 py-1 text-xs text-blue-600 hover:text-blue-700 disabled:text-gray-400"
+                >
+                  Retry
+                </button>
+              )}
+              {upload.status !== 'uploading' && (
+                <button
+                  type="button"
+                  onClick={() => handleDiscard(upload)}
+                  className="px-2 py-1 text-xs text-red-600 hover:text-red-700"
+                >
+                  Discard
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PendingUploads;
@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import { getPrices, createPrice, updatePrice, deletePrice } from '../services/api';
+
+const UNITS = ['kg', 'portion'];
+
+function PriceList({ catalog, locations }) {
+  const [prices, setPrices] = useState([]);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState({ catalogItemId: '', locationId: '', unit: 'kg', cost: '' });
+  const [editingId, setEditingId] = useState(null);
+  const [editCost, setEditCost] = useState('');
+
+  useEffect(() => {
+    loadPrices();
+  }, []);
+
+  const loadPrices = async () => {
+    try {
+      setPrices(await getPrices());
+      setError(null);
+    } catch (err) {
+      setError('Failed to load prices');
+      console.error(err);
+    }
+  };
+
+  // Prices value items logged from now on; existing entries keep their values
+  const runAction = async (action) => {
+    try {
+      await action();
+      await loadPrices();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Price update failed');
+      console.error(err);
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!draft.catalogItemId || draft.cost === '') return;
+    const created = await runAction(() => createPrice({
+      catalogItemId: Number(draft.catalogItemId),
+      locationId: draft.locationId ? Number(draft.locationId) : null,
+      unit: draft.unit,
+      cost: Number(draft.cost)
+    }));
+    if (created) setDraft(prev => ({ ...prev, catalogItemId: '', cost: '' }));
+  };
+
+  const handleSaveCost = async (price) => {
+    const saved = await runAction(() => updatePrice(price.id, { cost: Number(editCost) }));
+    if (saved) setEditingId(null);
+  };
+
+  const handleDelete = (price) => {
+    if (!window.confirm(`Delete the price for "${price.catalogItemName}"?`)) return;
+    runAction(() => deletePrice(price.id));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Price list</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Cost per kg or per portion. Logged items are valued from the price for their location, then the
+        price for all locations, and fall back to the AI estimate when neither applies.
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-col md:flex-row gap-2 mb-4 text-sm">
+        <select
+          value={draft.catalogItemId}
+          onChange={(e) => setDraft(prev => ({ ...prev, catalogItemId: e.target.value }))}
+          className="flex-1 border border-gray-300 rounded-lg px-2 py-2"
+        >
+          <option value="">Catalog item…</option>
+          {catalog.map(catalogItem => (
+            <option key={catalogItem.id} value={catalogItem.id}>{catalogItem.name}</option>
+          ))}
+        </select>
+        <select
+          value={draft.locationId}
+          onChange={(e) => setDraft(prev => ({ ...prev, locationId: e.target.value }))}
+          className="border border-gray-300 rounded-lg px-2 py-2"
+        >
+          <option value="">All locations</option>
+          {locations.map(location => (
+            <option key={location.id} value={location.id}>{location.name}</option>
+          ))}
+        </select>
+        <select
+          value={draft.unit}
+          onChange={(e) => setDraft(prev => ({ ...prev, unit: e.target.value }))}
+          className="border border-gray-300 rounded-lg px-2 py-2"
+        >
+          {UNITS.map(unit => (
+            <option key={unit} value={unit}>per {unit}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={draft.cost}
+          placeholder="Cost ($)"
+          onChange={(e) => setDraft(prev => ({ ...prev, cost: e.target.value }))}
+          className="w-32 border border-gray-300 rounded-lg px-3 py-2"
+        />
+        <button type="submit" className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700">
+          Add
+        </button>
+      </form>
+
+      {prices.length === 0 ? (
+        <p className="text-sm text-gray-500">No prices yet; every item is valued by the AI estimate.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2">Item</th>
+              <th className="py-2">Location</th>
+              <th className="py-2 text-right">Cost</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {prices.map(price => (
+              <tr key={price.id} className="border-b border-gray-100">
+                <td className="py-2 font-medium text-gray-900">{price.catalogItemName}</td>
+                <td className="py-2 text-gray-600">{price.locationName || 'All locations'}</td>
+                <td className="py-2 text-right text-gray-600">
+                  {editingId === price.id ? (
+                    <div className="flex justify-end gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={editCost}
+                        autoFocus
+                        onChange={(e) => setEditCost(e.target.value)}
+                        className="w-24 border border-gray-300 rounded px-2 py-1"
+                      />
+                      <button type="button" onClick={() => handleSaveCost(price)} className="text-emerald-700">Save</button>
+                      <button type="button" onClick={() => setEditingId(null)} className="text-gray-500">Cancel</button>
+                    </div>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => { setEditingId(price.id); setEditCost(String(price.cost)); }}
+                      className="hover:text-emerald-700"
+                      title="Edit cost"
+                    >
+                      ${price.cost.toFixed(2)} / {price.unit}
+                    </button>
+                  )}
+                </td>
+                <td className="py-2 text-right">
+                  <button type="button" onClick={() => handleDelete(price)} className="text-red-600 hover:text-red-700">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default PriceList;
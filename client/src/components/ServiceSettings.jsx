@@ -0,0 +1,195 @@
+import { useState, useEffect } from 'react';
+import { getServiceSettings, updateServiceSettings } from '../services/api';
+import { MEAL_PERIODS } from '../utils/servicePeriod';
+
+// Editable form of the settings: every meal period has a row, unchecked when not served
+function toDraft(settings) {
+  return {
+    timeZone: settings.timeZone || '',
+    mealPeriods: MEAL_PERIODS.map(period => {
+      const window = settings.mealPeriods.find(w => w.mealPeriod === period.id);
+      return { mealPeriod: period.id, served: Boolean(window), start: window?.start || '', end: window?.end || '' };
+    }),
+    shifts: settings.shifts.map(shift => ({ ...shift })),
+    stations: settings.stations.join(', ')
+  };
+}
+
+function ServiceSettings() {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getServiceSettings()
+      .then(settings => setDraft(toDraft(settings)))
+      .catch(err => {
+        setError('Failed to load service settings');
+        console.error(err);
+      });
+  }, []);
+
+  const change = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setSaved(false);
+  };
+
+  const changeRow = (list, index, changes) => {
+    change({ [list]: draft[list].map((row, idx) => (idx === index ? { ...row, ...changes } : row)) });
+  };
+
+  // Windows apply to waste logged from now on; existing entries keep their meal period and shift
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const result = await updateServiceSettings({
+        timeZone: draft.timeZone.trim() || null,
+        mealPeriods: draft.mealPeriods
+          .filter(period => period.served)
+          .map(({ mealPeriod, start, end }) => ({ mealPeriod, start, end })),
+        shifts: draft.shifts.filter(shift => shift.name.trim()),
+        stations: draft.stations.split(',').map(station => station.trim()).filter(Boolean)
+      });
+      setDraft(toDraft(result.settings));
+      setError(null);
+      setSaved(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save service settings');
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Service periods &amp; stations</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Entries are placed in a meal period and shift from the time they were logged. Windows that end before they
+        start run past midnight.
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      {draft && (
+        <form onSubmit={handleSave} className="space-y-4 text-sm">
+          <div className="flex items-center gap-2">
+            <label htmlFor="service-time-zone" className="text-gray-700 w-28">Time zone</label>
+            <input
+              id="service-time-zone"
+              type="text"
+              value={draft.timeZone}
+              placeholder="Server time zone (e.g. Europe/London)"
+              onChange={(e) => change({ timeZone: e.target.value })}
+              className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </div>
+
+          <div>
+            <div className="text-gray-700 mb-1">Meal periods</div>
+            {draft.mealPeriods.map((period, idx) => (
+              <div key={period.mealPeriod} className="flex items-center gap-2 mb-1">
+                <label className="w-28 flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={period.served}
+                    onChange={(e) => changeRow('mealPeriods', idx, { served: e.target.checked })}
+                  />
+                  {MEAL_PERIODS[idx].label}
+                </label>
+                <input
+                  type="time"
+                  value={period.start}
+                  disabled={!period.served}
+                  onChange={(e) => changeRow('mealPeriods', idx, { start: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1 disabled:opacity-50"
+                />
+                <span className="text-gray-500">to</span>
+                <input
+                  type="time"
+                  value={period.end}
+                  disabled={!period.served}
+                  onChange={(e) => changeRow('mealPeriods', idx, { end: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1 disabled:opacity-50"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <div className="text-gray-700 mb-1">Shifts</div>
+            {draft.shifts.map((shift, idx) => (
+              <div key={idx} className="flex items-center gap-2 mb-1">
+                <input
+                  type="text"
+                  value={shift.name}
+                  placeholder="Name"
+                  onChange={(e) => changeRow('shifts', idx, { name: e.target.value })}
+                  className="w-28 border border-gray-300 rounded px-2 py-1"
+                />
+                <input
+                  type="time"
+                  value={shift.start}
+                  onChange={(e) => changeRow('shifts', idx, { start: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1"
+                />
+                <span className="text-gray-500">to</span>
+                <input
+                  type="time"
+                  value={shift.end}
+                  onChange={(e) => changeRow('shifts', idx, { end: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1"
+                />
+                <button
+                  type="button"
+                  onClick={() => change({ shifts: draft.shifts.filter((_, i) => i !== idx) })}
+                  className="text-red-600 hover:text-red-700"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => change({ shifts: [...draft.shifts, { name: '', start: '', end: '' }] })}
+              className="text-green-700 hover:text-green-800"
+            >
+              + Add shift
+            </button>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <label htmlFor="service-stations" className="text-gray-700 w-28">Stations</label>
+            <input
+              id="service-stations"
+              type="text"
+              value={draft.stations}
+              placeholder="grill, salad bar, bakery"
+              onChange={(e) => change({ stations: e.target.value })}
+              className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+            />
+          </div>
+
+          <div className="flex items-center justify-end gap-3">
+            {saved && <span className="text-green-700">Saved</span>}
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ServiceSettings;
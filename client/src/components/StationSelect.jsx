@@ -0,0 +1,23 @@
+import { stationLabel } from '../utils/servicePeriod';
+
+// The part of the kitchen the waste came from, out of the configured stations; a
+// station no longer in the list stays selectable for entries that already have it
+function StationSelect({ id, value, stations = [], onChange, disabled, emptyLabel = 'No station', className = 'rounded-lg px-2 py-2' }) {
+  const options = value && !stations.includes(value) ? [...stations, value] : stations;
+  return (
+    <select
+      id={id}
+      value={value || ''}
+      disabled={disabled}
+      onChange={(e) => onChange(e.target.value || null)}
+      className={`border border-gray-300 ${className}`}
+    >
+      <option value="">{emptyLabel}</option>
+      {options.map(station => (
+        <option key={station} value={station}>{stationLabel(station)}</option>
+      ))}
+    </select>
+  );
+}
+
+export default StationSelect;
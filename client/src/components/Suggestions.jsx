@@ -1,7 +1,8 @@
 import { useEffect, useState } from 'react';
 import { getWasteHistory } from '../services/api';
+import { wasteStreamLabel } from '../utils/wasteStream';
 
-function Suggestions() {
+function Suggestions({ suggestions = [], locationId }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [recentEntries, setRecentEntries] = useState([]);
@@ -12,7 +13,7 @@ function Suggestions() {
       try {
         setLoading(true);
         setError(null);
-        const entries = await getWasteHistory({ limit: 3 });
+        const entries = await getWasteHistory({ limit: 3, locationId });
         setRecentEntries(entries || []);
 
         if ((entries || []).length >= 3) {
@@ -27,7 +28,7 @@ function Suggestions() {
       }
     };
     loadRecent();
-  }, []);
+  }, [locationId]);
 
   const generateSuggestionsFromEntries = (entries) => {
     const suggestions = [];
@@ -124,7 +125,12 @@ function Suggestions() {
     );
   }
 
-  if (recentEntries.length < 3) {
+  // Stream-level advice and data-quality nudges come from the server's view of all
+  // history; they lead, followed by the patterns spotted in the last few entries
+  const serverSuggestions = suggestions.filter(s => s.wasteStream || s.type === 'data_quality');
+  const allSuggestions = [...serverSuggestions, ...computedSuggestions];
+
+  if (recentEntries.length < 3 && serverSuggestions.length === 0) {
     return (
       <div className="space-y-4">
         <div className="flex justify-between items-center mb-4">
@@ -181,6 +187,14 @@ function Suggestions() {
         return '⚠️';
       case 'best_practice':
         return '💡';
+      case 'prep_yield':
+        return '🔪';
+      case 'ordering':
+        return '📦';
+      case 'production_planning':
+        return '🍳';
+      case 'data_quality':
+        return '✅';
       default:
         return '📌';
     }
@@ -194,12 +208,12 @@ function Suggestions() {
           AI Suggestions
         </h2>
         <div className="text-sm text-gray-600">
-          {computedSuggestions.length} suggestion{computedSuggestions.length !== 1 ? 's' : ''}
+          {allSuggestions.length} suggestion{allSuggestions.length !== 1 ? 's' : ''}
         </div>
       </div>
 
       <div className="grid gap-4">
-        {computedSuggestions.map((suggestion, idx) => (
+        {allSuggestions.map((suggestion, idx) => (
           <div
             key={idx}
             className={`bg-white rounded-lg shadow-md p-6 border-l-4 ${
@@ -239,7 +253,10 @@ function Suggestions() {
 
             <div className="mt-4 pt-4 border-t border-gray-200">
               <div className="text-xs text-gray-500">
-                <span className="font-medium">Type:</span> {suggestion.type.replace('_', ' ')}
+                <span className="font-medium">Type:</span> {suggestion.type.replaceAll('_', ' ')}
+                {suggestion.wasteStream && (
+                  <> · <span className="font-medium">Waste stream:</span> {wasteStreamLabel(suggestion.wasteStream)}</>
+                )}
               </div>
             </div>
           </div>
@@ -251,7 +268,7 @@ function Suggestions() {
           How These Suggestions Work
         </h3>
         <p className="text-sm text-green-800">
-          We analyze your last three entries to identify repeat items, spoilage, and high-value waste, then recommend focused actions (portioning, storage, or menu fit). Review and iterate regularly to reduce waste and save money.
+          We analyze your last three entries to identify repeat items, spoilage, and high-value waste, then recommend focused actions (portioning, storage, or menu fit). Waste streams that account for a large share of your waste get advice for that stage: trim yields for prep, ordering for spoilage, production planning for overproduction and portions for plate waste. Review and iterate regularly to reduce waste and save money.
         </p>
       </div>
     </div>
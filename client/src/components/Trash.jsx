@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { getTrash, restoreWasteEntry, restoreClearedEntries, emptyTrash, imageUrl } from '../services/api';
+
+function Trash({ locationId, canPurge, onRestored }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadTrash();
+  }, [locationId]);
+
+  const loadTrash = async () => {
+    try {
+      setLoading(true);
+      setEntries(await getTrash({ locationId }));
+      setError(null);
+    } catch (err) {
+      setError('Failed to load trash');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action, failureMessage) => {
+    try {
+      setBusy(true);
+      await action();
+      await loadTrash();
+      onRestored();
+    } catch (err) {
+      setError(err.response?.data?.error || failureMessage);
+      console.error(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEmptyTrash = () => {
+    if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+    runAction(emptyTrash, 'Failed to empty trash');
+  };
+
+  if (loading) {
+    return <p className="text-gray-600 py-4">Loading trash...</p>;
+  }
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex justify-between items-center">
+        <h3 className="text-lg font-semibold text-gray-900">Trash</h3>
+        {canPurge && entries.length > 0 && (
+          <button
+            type="button"
+            onClick={handleEmptyTrash}
+            disabled={busy}
+            className="px-3 py-1.5 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            Empty trash
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-600">The trash is empty.</p>
+      ) : (
+        entries.map(entry => (
+          <div key={entry.id} className="bg-white rounded-lg shadow-sm p-3 flex gap-3 items-center">
+            {entry.image_path ? (
+              <img
+                src={imageUrl(entry.image_path)}
+                alt="Deleted waste entry"
+                className="w-16 h-16 object-cover rounded-lg"
+              />
+            ) : (
+              <div className="w-16 h-16 rounded-lg bg-gray-100 flex items-center justify-center text-xs text-gray-500">
+                No photo
+              </div>
+            )}
+            <div className="flex-1 text-sm">
+              <div className="font-semibold text-gray-900">
+                Entry #{entry.id} · {format(new Date(entry.timestamp), 'PPp')}
+              </div>
+              <div className="text-gray-600">
+                {entry.items.map(item => item.name).join(', ') || 'No items'}
+                {' · '}${parseFloat(entry.total_estimated_value || 0).toFixed(2)}
+              </div>
+              <div className="text-xs text-gray-500">
+                {entry.deletion_batch ? 'Cleared' : 'Deleted'} {format(new Date(entry.deleted_at), 'PPp')}
+                {entry.deleted_by && <> by {entry.deleted_by.username}</>}
+              </div>
+            </div>
+            <div className="flex flex-col gap-1">
+              <button
+                type="button"
+                onClick={() => runAction(() => restoreWasteEntry(entry.id), 'Failed to restore entry')}
+                disabled={busy}
+                className="px-3 py-1 text-sm bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50"
+              >
+                Restore
+              </button>
+              {entry.deletion_batch && (
+                <button
+                  type="button"
+                  onClick={() => runAction(() => restoreClearedEntries(entry.deletion_batch), 'Failed to restore entries')}
+                  disabled={busy}
+                  className="px-3 py-1 text-xs text-emerald-700 hover:text-emerald-800 disabled:opacity-50"
+                  title="Restore every entry removed by the same Clear History"
+                >
+                  Restore whole clear
+                </button>
+              )}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default Trash;
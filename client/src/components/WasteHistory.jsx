@@ -1,23 +1,52 @@
 import { useState, useEffect } from 'react';
-import { getWasteHistory, clearWasteHistory, deleteWasteEntry } from '../services/api';
+import {
+  getWasteHistory, clearWasteHistory, deleteWasteEntry, restoreWasteEntry, restoreClearedEntries, confirmWasteStream,
+  getServiceSettings
+} from '../services/api';
 import { format } from 'date-fns';
+import EntryEditor from './EntryEditor';
+import Trash from './Trash';
+import EntryPhotos from './EntryPhotos';
+import ExportButton from './ExportButton';
+import WasteStreamSelect from './WasteStreamSelect';
+import { formatQuantity, formatWeight } from '../utils/quantity';
+import { dispositionLabel } from '../utils/disposition';
+import { formatCo2e, formatWater } from '../utils/impact';
+import { wasteStreamLabel, wasteStreamColor } from '../utils/wasteStream';
+import { mealPeriodLabel, stationLabel } from '../utils/servicePeriod';
 
-function WasteHistory({ refreshKey }) {
+function WasteHistory({ refreshKey, locationId, user }) {
+  const canEdit = user?.role === 'manager' || user?.role === 'admin';
+  const canClear = user?.role === 'admin';
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [clearing, setClearing] = useState(false);
   const [showConfirm, setShowConfirm] = useState(false);
-  const [cleared, setCleared] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  // Last delete or clear, kept so it can be undone from the notice
+  const [undo, setUndo] = useState(null);
+  // Stream picked for an unconfirmed entry before pressing Confirm, by entry id
+  const [streamChoices, setStreamChoices] = useState({});
+  // Shifts and stations offered in the correction editor
+  const [serviceSettings, setServiceSettings] = useState(null);
 
   useEffect(() => {
     loadHistory();
-  }, [refreshKey]);
+  }, [refreshKey, locationId]);
+
+  useEffect(() => {
+    if (!canEdit) return;
+    getServiceSettings()
+      .then(setServiceSettings)
+      .catch(err => console.error(err));
+  }, [canEdit]);
 
   const loadHistory = async () => {
     try {
       setLoading(true);
-      const data = await getWasteHistory({ limit: 50 });
+      const data = await getWasteHistory({ limit: 50, locationId });
       setHistory(data);
       setError(null);
     } catch (err) {
@@ -31,10 +60,10 @@ function WasteHistory({ refreshKey }) {
   const handleClearHistory = async () => {
     try {
       setClearing(true);
-      await clearWasteHistory();
+      const result = await clearWasteHistory();
       setHistory([]);
       setShowConfirm(false);
-      setCleared(true);
+      setUndo({ message: result.message, restore: () => restoreClearedEntries(result.batchId) });
       setError(null);
     } catch (err) {
       setError('Failed to clear waste history');
@@ -48,7 +77,8 @@ function WasteHistory({ refreshKey }) {
     try {
       // optimistic update
       setHistory(prev => prev.filter(h => h.id !== entryId));
-      await deleteWasteEntry(entryId);
+      const result = await deleteWasteEntry(entryId);
+      setUndo({ message: result.message, restore: () => restoreWasteEntry(entryId) });
     } catch (err) {
       // revert on error by reloading
       await loadHistory();
@@ -57,6 +87,36 @@ function WasteHistory({ refreshKey }) {
     }
   };
 
+  const handleUndo = async () => {
+    try {
+      await undo.restore();
+      setUndo(null);
+      await loadHistory();
+    } catch (err) {
+      setError('Failed to restore');
+      console.error(err);
+    }
+  };
+
+  const handleConfirmStream = async (entry) => {
+    try {
+      const result = await confirmWasteStream(entry.id, streamChoices[entry.id] || entry.waste_stream);
+      setHistory(prev => prev.map(h => (h.id === entry.id ? result.entry : h)));
+      setStreamChoices(prev => {
+        const { [entry.id]: _confirmed, ...rest } = prev;
+        return rest;
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to confirm waste stream');
+      console.error(err);
+    }
+  };
+
+  const handleEntrySaved = (updated) => {
+    setHistory(prev => prev.map(h => (h.id === updated.id ? updated : h)));
+    setEditingId(null);
+  };
+
   if (loading) {
     return (
       <div className="text-center py-12">
@@ -74,28 +134,6 @@ function WasteHistory({ refreshKey }) {
     );
   }
 
-  if (history.length === 0) {
-    return (
-      <div className="space-y-4">
-        {cleared && (
-          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
-            <div className="font-semibold mb-1">✅ History Cleared Successfully</div>
-            <div className="text-sm">Refresh site to see changes</div>
-          </div>
-        )}
-        <div  className="text-center py-12 bg-white rounded-lg shadow">
-          <div className="text-6xl mb-4">📋</div>
-          <h3 className="text-xl font-semibold text-gray-900 mb-2">
-            No waste entries yet
-          </h3>
-          <p className="text-gray-600">
-            Start tracking food waste by uploading your first photo!
-          </p>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="space-y-4">
       <div  id="history-section"
@@ -103,16 +141,31 @@ function WasteHistory({ refreshKey }) {
         <h2 className="text-2xl font-bold text-gray-900">
           Waste History
         </h2>
-        {history.length > 0 && (
-          <button
-            onClick={() => setShowConfirm(true)}
-            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
-          >
-            🗑️ Clear History
-          </button>
-        )}
+        <div className="flex gap-2">
+          <ExportButton filters={{ locationId }} />
+          {canEdit && (
+            <button
+              onClick={() => setShowTrash(prev => !prev)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              {showTrash ? 'Hide Trash' : '♻️ Trash'}
+            </button>
+          )}
+          {history.length > 0 && canClear && (
+            <button
+              onClick={() => setShowConfirm(true)}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+            >
+              🗑️ Clear History
+            </button>
+          )}
+        </div>
       </div>
 
+      {showTrash && (
+        <Trash locationId={locationId} canPurge={canClear} onRestored={loadHistory} />
+      )}
+
       {showConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 max-w-md mx-4">
@@ -120,7 +173,7 @@ function WasteHistory({ refreshKey }) {
               Clear All History?
             </h3>
             <p className="text-gray-600 mb-6">
-              This will permanently delete all waste entries and cannot be undone. Are you sure?
+              This moves every waste entry to the trash. Managers can restore them from there until the trash is emptied. Are you sure?
             </p>
             <div className="flex gap-4 justify-end">
               <button
@@ -142,13 +195,27 @@ function WasteHistory({ refreshKey }) {
         </div>
       )}
 
-      {cleared && (
-        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
-          <div className="font-semibold mb-1">✅ History Cleared Successfully</div>
-          <div className="text-sm">Refresh site to see changes</div>
+      {undo && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg flex justify-between items-center">
+          <span>✅ {undo.message}</span>
+          <button onClick={handleUndo} className="font-semibold hover:text-green-900">
+            Undo
+          </button>
         </div>
       )}
-      
+
+      {history.length === 0 && (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <div className="text-6xl mb-4">📋</div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">
+            No waste entries yet
+          </h3>
+          <p className="text-gray-600">
+            Start tracking food waste by uploading your first photo!
+          </p>
+        </div>
+      )}
+
       <div className="grid gap-4">
         {history.map(entry => (
           <div
@@ -157,11 +224,7 @@ function WasteHistory({ refreshKey }) {
           >
             <div className="flex flex-col md:flex-row gap-4">
               <div className="flex-shrink-0">
-                <img
-                  src={`http://localhost:3001${entry.image_path}`}
-                  alt="Waste entry"
-                  className="w-32 h-32 object-cover rounded-lg"
-                />
+                <EntryPhotos entry={entry} />
               </div>
               
               <div className="flex-1">
@@ -172,6 +235,7 @@ function WasteHistory({ refreshKey }) {
                     </h3>
                     <p className="text-sm text-gray-500">
                       Entry #{entry.id}
+                      {entry.created_by && <> · logged by {entry.created_by.username}</>}
                     </p>
                   </div>
                   <div className="text-right">
@@ -182,7 +246,14 @@ function WasteHistory({ refreshKey }) {
                   </div>
                 </div>
 
-                {entry.items && entry.items.length > 0 && (
+                {editingId === entry.id ? (
+                  <EntryEditor
+                    entry={entry}
+                    serviceSettings={serviceSettings}
+                    onSaved={handleEntrySaved}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : entry.items && entry.items.length > 0 && (
                   <div className="mt-3">
                     <strong className="text-sm text-gray-700">Items Wasted:</strong>
                     <div className="flex flex-wrap gap-2 mt-2">
@@ -192,8 +263,32 @@ function WasteHistory({ refreshKey }) {
                           className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800"
                         >
                           {item.name}
+                          {item.quantity && (
+                            <span className="ml-1 font-normal">· {formatQuantity(item.quantity)}</span>
+                          )}
+                          {item.percentUneaten != null && (
+                            <span className="ml-1 font-normal">· {Math.round(item.percentUneaten)}% left</span>
+                          )}
                           {item.estimatedValue && (
-                            <span className="ml-1">(${parseFloat(item.estimatedValue).toFixed(2)})</span>
+                            <span
+                              className="ml-1"
+                              title={item.valueSource === 'price_list' ? 'Valued from the price list' : undefined}
+                            >
+                              (${parseFloat(item.estimatedValue).toFixed(2)})
+                            </span>
+                          )}
+                          {item.disposition && item.disposition !== entry.disposition && (
+                            <span className="ml-1 text-xs text-gray-500">→ {dispositionLabel(item.disposition)}</span>
+                          )}
+                          {(item.aiOriginal || item.source === 'manual') && (
+                            <span
+                              className="ml-1"
+                              title={item.aiOriginal
+                                ? `AI: ${item.aiOriginal.name} ($${parseFloat(item.aiOriginal.estimated_value || 0).toFixed(2)})`
+                                : 'Added manually'}
+                            >
+                              ✏️
+                            </span>
                           )}
                         </span>
                       ))}
@@ -201,13 +296,88 @@ function WasteHistory({ refreshKey }) {
                   </div>
                 )}
 
-                {entry.estimated_weight && (
+                {entry.percent_uneaten != null && (
+                  <div className="mt-2 text-sm text-gray-600">
+                    <strong>Left uneaten:</strong> {Math.round(entry.percent_uneaten)}% of the served meal
+                  </div>
+                )}
+
+                {entry.quality_warnings?.length > 0 && (
+                  <div className="mt-2 text-xs text-yellow-700" title="Found by the photo check before analysis">
+                    ⚠️ Photo quality: {entry.quality_warnings.map(code => code.replace(/_/g, ' ')).join(', ')}
+                  </div>
+                )}
+
+                {(entry.weight_grams != null || entry.estimated_weight) && (
+                  <div className="mt-2 text-sm text-gray-600">
+                    <strong>Weight:</strong>{' '}
+                    {entry.weight_grams != null ? formatWeight(entry.weight_grams) : entry.estimated_weight}
+                    <span className="ml-1 text-xs text-gray-500">
+                      ({entry.weight_source === 'measured'
+                        ? `measured${entry.measured_weight?.scale_id ? ` on scale ${entry.measured_weight.scale_id}` : ''}`
+                        : 'estimated'})
+                    </span>
+                  </div>
+                )}
+
+                {entry.co2e_kg != null && (
+                  <div className="mt-2 text-sm text-gray-600">
+                    <strong>Footprint:</strong> {formatCo2e(entry.co2e_kg)} · {formatWater(entry.water_litres)}
+                  </div>
+                )}
+
+                {(entry.meal_period || entry.shift || entry.station) && (
+                  <div className="mt-2 text-sm text-gray-600">
+                    <strong>Service:</strong>{' '}
+                    {[
+                      entry.meal_period && mealPeriodLabel(entry.meal_period),
+                      entry.shift && `${entry.shift} shift`,
+                      entry.station && stationLabel(entry.station)
+                    ].filter(Boolean).join(' · ')}
+                  </div>
+                )}
+
+                {entry.disposition && (
                   <div className="mt-2 text-sm text-gray-600">
-                    <strong>Weight:</strong> {entry.estimated_weight}
+                    <strong>Disposition:</strong> {dispositionLabel(entry.disposition)}
                   </div>
                 )}
 
-                {entry.notes && (
+                {entry.waste_stream_confirmed_at ? (
+                  <div className="mt-2 text-sm text-gray-600">
+                    <strong>Waste stream:</strong>{' '}
+                    <span style={{ color: wasteStreamColor(entry.waste_stream) }}>{wasteStreamLabel(entry.waste_stream)}</span>
+                  </div>
+                ) : editingId !== entry.id && (
+                  <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                    <strong>Waste stream:</strong>
+                    <span className="px-2 py-0.5 text-xs bg-amber-100 text-amber-800 rounded-full">
+                      {entry.waste_stream ? 'AI suggestion' : 'Unclassified'}
+                    </span>
+                    {canEdit || entry.created_by?.id === user?.id ? (
+                      <>
+                        <WasteStreamSelect
+                          value={streamChoices[entry.id] || entry.waste_stream}
+                          emptyLabel={entry.waste_stream ? null : 'Choose…'}
+                          onChange={(value) => setStreamChoices(prev => ({ ...prev, [entry.id]: value }))}
+                          className="rounded px-2 py-1"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => handleConfirmStream(entry)}
+                          disabled={!(streamChoices[entry.id] || entry.waste_stream)}
+                          className="px-2 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+                        >
+                          Confirm
+                        </button>
+                      </>
+                    ) : entry.waste_stream && (
+                      <span style={{ color: wasteStreamColor(entry.waste_stream) }}>{wasteStreamLabel(entry.waste_stream)}</span>
+                    )}
+                  </div>
+                )}
+
+                {entry.notes && editingId !== entry.id && (
                   <div className="mt-2 text-sm text-gray-600">
                     <strong>Notes:</strong> {entry.notes}
                   </div>
@@ -219,15 +389,37 @@ function WasteHistory({ refreshKey }) {
                   </div>
                 )}
 
-                <div className="mt-4 flex justify-end">
-                  <button
-                    type="button"
-                    onClick={() => handleDeleteEntry(entry.id)}
-                    className="px-3 py-1.5 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700"
-                    title="Delete this entry"
-                  >
-                    🗑️ Delete entry
-                  </button>
+                {entry.corrected_at && (
+                  <div className="mt-1 text-xs text-gray-500">
+                    Corrected {format(new Date(entry.corrected_at), 'PPp')}
+                    {entry.corrected_by && <> by {entry.corrected_by.username}</>}
+                    {typeof entry.ai_total_estimated_value === 'number' && (
+                      <> · AI estimate was ${entry.ai_total_estimated_value.toFixed(2)}</>
+                    )}
+                  </div>
+                )}
+
+                <div className="mt-4 flex justify-end gap-2">
+                  {canEdit && editingId !== entry.id && (
+                    <button
+                      type="button"
+                      onClick={() => setEditingId(entry.id)}
+                      className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                      title="Correct the AI-detected items"
+                    >
+                      ✏️ Edit
+                    </button>
+                  )}
+                  {canEdit && (
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteEntry(entry.id)}
+                      className="px-3 py-1.5 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700"
+                      title="Delete this entry"
+                    >
+                      🗑️ Delete entry
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -0,0 +1,22 @@
+import { WASTE_STREAMS } from '../utils/wasteStream';
+
+// Where in the operation the waste happened. An empty value leaves the choice to
+// the AI (emptyLabel says so); pass emptyLabel={null} to require a stream.
+function WasteStreamSelect({ id, value, onChange, disabled, emptyLabel = 'Let the AI suggest', className = 'rounded-lg px-2 py-2' }) {
+  return (
+    <select
+      id={id}
+      value={value || ''}
+      disabled={disabled}
+      onChange={(e) => onChange(e.target.value || null)}
+      className={`border border-gray-300 ${className}`}
+    >
+      {emptyLabel !== null && <option value="">{emptyLabel}</option>}
+      {WASTE_STREAMS.map(stream => (
+        <option key={stream.id} value={stream.id}>{stream.label}</option>
+      ))}
+    </select>
+  );
+}
+
+export default WasteStreamSelect;
@@ -1,37 +1,227 @@
 import axios from 'axios';
 
 const API_BASE_URL = 'http://localhost:3001/api';
+const SERVER_URL = 'http://localhost:3001';
+const TOKEN_STORAGE_KEY = 'scrapsnap.authToken';
 
-export async function uploadWasteImage(imageFile) {
+let authToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+// Short-lived token that only opens uploaded images; see refreshImageToken
+let imageToken = null;
+if (authToken) {
+  axios.defaults.headers.common.Authorization = `Bearer ${authToken}`;
+}
+
+export function setAuthToken(token) {
+  authToken = token;
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    delete axios.defaults.headers.common.Authorization;
+    imageToken = null;
+  }
+}
+
+export function hasAuthToken() {
+  return Boolean(authToken);
+}
+
+// Calls handler whenever the server rejects the session (expired, logged out, disabled)
+export function onUnauthorized(handler) {
+  const id = axios.interceptors.response.use(
+    response => response,
+    error => {
+      if (error.response?.status === 401 && !error.config?.url?.includes('/auth/login')) {
+        handler();
+      }
+      return Promise.reject(error);
+    }
+  );
+  return () => axios.interceptors.response.eject(id);
+}
+
+// Uploaded images need authentication too, but <img> cannot send headers. They carry
+// the image token rather than the session token, as these URLs end up in history and logs.
+export function imageUrl(path) {
+  return `${SERVER_URL}${path}?token=${encodeURIComponent(imageToken || '')}`;
+}
+
+export async function refreshImageToken() {
+  const response = await axios.get(`${API_BASE_URL}/auth/image-token`);
+  imageToken = response.data.imageToken;
+  return response.data.expiresAt;
+}
+
+// Renews the image token halfway through its lifetime while signed in; returns a stop function
+export function startImageTokenRefresh() {
+  let timer = null;
+  const schedule = (expiresAt) => {
+    timer = setTimeout(renew, Math.max(60 * 1000, (new Date(expiresAt) - Date.now()) / 2));
+  };
+  const renew = () => {
+    refreshImageToken()
+      .then(schedule)
+      .catch(error => {
+        console.error('Error renewing the image token:', error);
+        timer = setTimeout(renew, 60 * 1000);
+      });
+  };
+  renew();
+  return () => clearTimeout(timer);
+}
+
+export async function getAuthStatus() {
+  const response = await axios.get(`${API_BASE_URL}/auth/status`);
+  return response.data;
+}
+
+export async function login(username, password) {
+  const response = await axios.post(`${API_BASE_URL}/auth/login`, { username, password });
+  setAuthToken(response.data.token);
+  await refreshImageToken();
+  return response.data.user;
+}
+
+export async function setupAdmin(username, password) {
+  const response = await axios.post(`${API_BASE_URL}/auth/setup`, { username, password });
+  setAuthToken(response.data.token);
+  await refreshImageToken();
+  return response.data.user;
+}
+
+export async function logout() {
+  try {
+    await axios.post(`${API_BASE_URL}/auth/logout`);
+  } finally {
+    setAuthToken(null);
+  }
+}
+
+export async function getCurrentUser() {
+  const response = await axios.get(`${API_BASE_URL}/auth/me`);
+  await refreshImageToken();
+  return response.data;
+}
+
+// photos is one image file or a list of { file, role } for the same entry: angles
+// (no role) or a before/after pair (role 'served' and 'returned')
+export async function uploadWasteImage(photos, options = {}) {
   const formData = new FormData();
-  formData.append('image', imageFile);
+  const list = Array.isArray(photos) ? photos : [{ file: photos, role: null }];
+  list.forEach(({ file, role }) => formData.append(role || 'images', file));
+  if (options.locationId) formData.append('locationId', options.locationId);
+  if (options.disposition) formData.append('disposition', options.disposition);
+  if (options.wasteStream) formData.append('wasteStream', options.wasteStream);
+  if (options.station) formData.append('station', options.station);
+  if (options.capturedAt) formData.append('capturedAt', options.capturedAt);
+  if (options.measuredWeight?.weight) {
+    formData.append('measuredWeight', options.measuredWeight.weight);
+    formData.append('measuredWeightUnit', options.measuredWeight.unit || 'g');
+    if (options.measuredWeight.scaleId) formData.append('scaleId', options.measuredWeight.scaleId);
+  }
 
   const response = await axios.post(`${API_BASE_URL}/analyze-waste`, formData, {
     headers: {
-      'Content-Type': 'multipart/form-data'
+      'Content-Type': 'multipart/form-data',
+      ...(options.idempotencyKey && { 'Idempotency-Key': options.idempotencyKey })
     }
   });
 
   return response.data;
 }
 
+// Uploads many photos at once; each becomes its own entry. onUploadProgress
+// receives the bytes sent so far.
+export async function uploadWasteBatch(files, options = {}) {
+  const formData = new FormData();
+  files.forEach(file => formData.append('images', file));
+  if (options.locationId) formData.append('locationId', options.locationId);
+  if (options.disposition) formData.append('disposition', options.disposition);
+  if (options.wasteStream) formData.append('wasteStream', options.wasteStream);
+  if (options.station) formData.append('station', options.station);
+
+  const response = await axios.post(`${API_BASE_URL}/analyze-waste/batch`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    },
+    onUploadProgress: event => options.onUploadProgress?.(event.loaded)
+  });
+
+  return response.data;
+}
+
+export async function getBatch(batchId) {
+  const response = await axios.get(`${API_BASE_URL}/batches/${batchId}`);
+  return response.data;
+}
+
+export async function retryBatch(batchId) {
+  const response = await axios.post(`${API_BASE_URL}/batches/${batchId}/retry`);
+  return response.data;
+}
+
+// Polls a batch until every photo is done or failed, reporting each update
+export async function waitForBatch(batchId, onUpdate, intervalMs = 1500) {
+  for (;;) {
+    const batch = await getBatch(batchId);
+    if (onUpdate) onUpdate(batch);
+    if (batch.status === 'finished') return batch;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+// Latest weight pushed by a kitchen scale (404 when it sent nothing recently)
+export async function getScaleReading(scaleId) {
+  const response = await axios.get(`${API_BASE_URL}/scale/readings/${encodeURIComponent(scaleId)}`);
+  return response.data;
+}
+
+export async function getJob(jobId) {
+  const response = await axios.get(`${API_BASE_URL}/jobs/${jobId}`);
+  return response.data;
+}
+
+// Polls an analysis job until it is done or failed, reporting each status change.
+// Resolves with the job result; rejects with the job's error message on failure.
+export async function waitForJob(jobId, onStatus, intervalMs = 1500) {
+  for (;;) {
+    const job = await getJob(jobId);
+    if (onStatus) onStatus(job);
+    if (job.status === 'done') return job.result;
+    if (job.status === 'failed') {
+      const error = new Error(job.error?.message || 'Analysis failed');
+      error.statusCode = job.error?.statusCode;
+      throw error;
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
 export async function getWasteHistory(options = {}) {
   const params = new URLSearchParams();
   if (options.limit) params.append('limit', options.limit);
   if (options.startDate) params.append('startDate', options.startDate);
   if (options.endDate) params.append('endDate', options.endDate);
+  if (options.locationId) params.append('locationId', options.locationId);
 
   const response = await axios.get(`${API_BASE_URL}/waste-history?${params}`);
   return response.data;
 }
 
-export async function getWasteStats() {
-  const response = await axios.get(`${API_BASE_URL}/waste-stats`);
+export async function getWasteStats(options = {}) {
+  const params = new URLSearchParams();
+  if (options.locationId) params.append('locationId', options.locationId);
+
+  const response = await axios.get(`${API_BASE_URL}/waste-stats?${params}`);
   return response.data;
 }
 
-export async function getSuggestions() {
-  const response = await axios.get(`${API_BASE_URL}/suggestions`);
+export async function getSuggestions(options = {}) {
+  const params = new URLSearchParams();
+  if (options.locationId) params.append('locationId', options.locationId);
+
+  const response = await axios.get(`${API_BASE_URL}/suggestions?${params}`);
   return response.data;
 }
 
@@ -45,8 +235,236 @@ export async function deleteWasteEntry(id) {
   return response.data;
 }
 
+// Downloads a CSV or XLSX export through axios so the auth header is sent
+export async function downloadExport(options = {}) {
+  const params = new URLSearchParams();
+  params.append('format', options.format || 'csv');
+  params.append('view', options.view || 'entries');
+  if (options.startDate) params.append('startDate', options.startDate);
+  if (options.endDate) params.append('endDate', options.endDate);
+  if (options.locationId) params.append('locationId', options.locationId);
+  if (options.category) params.append('category', options.category);
+
+  const response = await axios.get(`${API_BASE_URL}/export?${params}`, { responseType: 'blob' });
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `scrapsnap-${options.view || 'entries'}-${new Date().toISOString().split('T')[0]}.${options.format || 'csv'}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export async function getTrash(options = {}) {
+  const params = new URLSearchParams();
+  if (options.locationId) params.append('locationId', options.locationId);
+
+  const response = await axios.get(`${API_BASE_URL}/trash?${params}`);
+  return response.data;
+}
+
+export async function restoreWasteEntry(id) {
+  const response = await axios.post(`${API_BASE_URL}/trash/${id}/restore`);
+  return response.data;
+}
+
+export async function restoreClearedEntries(batchId) {
+  const response = await axios.post(`${API_BASE_URL}/trash/batches/${batchId}/restore`);
+  return response.data;
+}
+
+export async function emptyTrash() {
+  const response = await axios.delete(`${API_BASE_URL}/trash`);
+  return response.data;
+}
+
+export async function getAuditLog(options = {}) {
+  const params = new URLSearchParams();
+  if (options.entityType) params.append('entityType', options.entityType);
+  if (options.entityId) params.append('entityId', options.entityId);
+  if (options.action) params.append('action', options.action);
+  if (options.limit) params.append('limit', options.limit);
 
+  const response = await axios.get(`${API_BASE_URL}/audit-log?${params}`);
+  return response.data;
+}
 
+export async function updateWasteEntry(id, changes) {
+  const response = await axios.patch(`${API_BASE_URL}/waste-history/${id}`, changes);
+  return response.data;
+}
 
+// Confirms (or changes) the waste stream the AI suggested; open to staff
+export async function confirmWasteStream(id, wasteStream) {
+  const response = await axios.put(`${API_BASE_URL}/waste-history/${id}/waste-stream`, { wasteStream });
+  return response.data;
+}
 
+export async function addWasteItem(entryId, item) {
+  const response = await axios.post(`${API_BASE_URL}/waste-history/${entryId}/items`, item);
+  return response.data;
+}
 
+export async function updateWasteItem(entryId, itemId, changes) {
+  const response = await axios.patch(`${API_BASE_URL}/waste-history/${entryId}/items/${itemId}`, changes);
+  return response.data;
+}
+
+export async function removeWasteItem(entryId, itemId) {
+  const response = await axios.delete(`${API_BASE_URL}/waste-history/${entryId}/items/${itemId}`);
+  return response.data;
+}
+
+export async function getLocations() {
+  const response = await axios.get(`${API_BASE_URL}/locations`);
+  return response.data;
+}
+
+export async function createLocation(location) {
+  const response = await axios.post(`${API_BASE_URL}/locations`, location);
+  return response.data;
+}
+
+export async function getCatalog() {
+  const response = await axios.get(`${API_BASE_URL}/catalog`);
+  return response.data;
+}
+
+export async function createCatalogItem(catalogItem) {
+  const response = await axios.post(`${API_BASE_URL}/catalog`, catalogItem);
+  return response.data;
+}
+
+export async function updateCatalogItem(id, changes) {
+  const response = await axios.patch(`${API_BASE_URL}/catalog/${id}`, changes);
+  return response.data;
+}
+
+export async function deleteCatalogItem(id) {
+  const response = await axios.delete(`${API_BASE_URL}/catalog/${id}`);
+  return response.data;
+}
+
+export async function getCatalogReview() {
+  const response = await axios.get(`${API_BASE_URL}/catalog/review`);
+  return response.data;
+}
+
+export async function resolveCatalogName(name, catalogItemId) {
+  const response = await axios.post(`${API_BASE_URL}/catalog/review/resolve`, { name, catalogItemId });
+  return response.data;
+}
+
+export async function getPrices(options = {}) {
+  const params = {};
+  if (options.locationId) params.locationId = options.locationId;
+  const response = await axios.get(`${API_BASE_URL}/prices`, { params });
+  return response.data;
+}
+
+export async function createPrice(price) {
+  const response = await axios.post(`${API_BASE_URL}/prices`, price);
+  return response.data;
+}
+
+export async function updatePrice(id, changes) {
+  const response = await axios.patch(`${API_BASE_URL}/prices/${id}`, changes);
+  return response.data;
+}
+
+export async function deletePrice(id) {
+  const response = await axios.delete(`${API_BASE_URL}/prices/${id}`);
+  return response.data;
+}
+
+export async function getImpactFactors() {
+  const response = await axios.get(`${API_BASE_URL}/impact-factors`);
+  return response.data;
+}
+
+export async function createImpactFactor(factor) {
+  const response = await axios.post(`${API_BASE_URL}/impact-factors`, factor);
+  return response.data;
+}
+
+export async function updateImpactFactor(id, changes) {
+  const response = await axios.patch(`${API_BASE_URL}/impact-factors/${id}`, changes);
+  return response.data;
+}
+
+export async function deleteImpactFactor(id) {
+  const response = await axios.delete(`${API_BASE_URL}/impact-factors/${id}`);
+  return response.data;
+}
+
+export async function getImageQualitySettings() {
+  const response = await axios.get(`${API_BASE_URL}/image-quality-settings`);
+  return response.data;
+}
+
+export async function getServiceSettings() {
+  const response = await axios.get(`${API_BASE_URL}/service-settings`);
+  return response.data;
+}
+
+export async function updateServiceSettings(changes) {
+  const response = await axios.put(`${API_BASE_URL}/service-settings`, changes);
+  return response.data;
+}
+
+export async function getCovers(options = {}) {
+  const params = {};
+  if (options.startDate) params.startDate = options.startDate;
+  if (options.endDate) params.endDate = options.endDate;
+  if (options.locationId) params.locationId = options.locationId;
+  const response = await axios.get(`${API_BASE_URL}/covers`, { params });
+  return response.data;
+}
+
+// Records (or replaces) the covers of one day
+export async function setCovers(covers) {
+  const response = await axios.put(`${API_BASE_URL}/covers`, covers);
+  return response.data;
+}
+
+export async function deleteCovers(id) {
+  const response = await axios.delete(`${API_BASE_URL}/covers/${id}`);
+  return response.data;
+}
+
+export async function getProduction(options = {}) {
+  const params = {};
+  if (options.startDate) params.startDate = options.startDate;
+  if (options.endDate) params.endDate = options.endDate;
+  if (options.locationId) params.locationId = options.locationId;
+  const response = await axios.get(`${API_BASE_URL}/production`, { params });
+  return response.data;
+}
+
+// Records (or replaces) the portions of one menu item produced on one day
+export async function setProduction(production) {
+  const response = await axios.put(`${API_BASE_URL}/production`, production);
+  return response.data;
+}
+
+export async function deleteProduction(id) {
+  const response = await axios.delete(`${API_BASE_URL}/production/${id}`);
+  return response.data;
+}
+
+// Imports a POS export (CSV or JSON) of covers and production; dryRun only reports what would be imported
+export async function importVolume(file, options = {}) {
+  const formData = new FormData();
+  formData.append('file', file);
+  if (options.dryRun) formData.append('dryRun', 'true');
+  if (options.locationId) formData.append('locationId', options.locationId);
+  if (options.dateFormat) formData.append('dateFormat', options.dateFormat);
+
+  const response = await axios.post(`${API_BASE_URL}/volume/import`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    }
+  });
+  return response.data;
+}
@@ -0,0 +1,169 @@
+import { uploadWasteImage } from './api';
+
+// Uploads captured without a connection (walk-in coolers, dish pits) are kept in
+// IndexedDB with their photos and sent to /api/analyze-waste once the server is
+// reachable again. Entries keep the time they were captured, not synced.
+
+const DB_NAME = 'scrapsnap';
+const STORE = 'pendingUploads';
+// Also retry this often in case the browser missed the online event
+const SYNC_INTERVAL_MS = 30 * 1000;
+
+const listeners = new Set();
+let dbPromise = null;
+let syncing = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, run) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = run(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Sent with the upload so the server logs it once however often it is re-sent
+function newIdempotencyKey() {
+  return window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+// Calls listener whenever uploads are queued, synced or discarded
+export function onQueueChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// True when the request never reached the server, as opposed to the server rejecting it
+export function isOfflineError(error) {
+  return !navigator.onLine || (Boolean(error?.isAxiosError) && !error.response);
+}
+
+// photos is a list of { file, role } for one entry, as for uploadWasteImage
+export async function queueUpload(photos, options = {}) {
+  const id = await withStore('readwrite', store => store.add({
+    photos: photos.map(({ file, role }) => ({ file, role: role || null })),
+    locationId: options.locationId || null,
+    disposition: options.disposition || null,
+    wasteStream: options.wasteStream || null,
+    station: options.station || null,
+    measuredWeight: options.measuredWeight?.weight ? options.measuredWeight : null,
+    capturedAt: new Date().toISOString(),
+    idempotencyKey: newIdempotencyKey(),
+    status: 'pending',
+    error: null
+  }));
+  notify();
+  return id;
+}
+
+export async function getQueuedUploads() {
+  return withStore('readonly', store => store.getAll());
+}
+
+export async function discardQueuedUpload(id) {
+  await withStore('readwrite', store => store.delete(id));
+  notify();
+}
+
+async function saveUpload(upload) {
+  await withStore('readwrite', store => store.put(upload));
+  notify();
+}
+
+// Puts an upload the server rejected back in line and syncs
+export async function retryQueuedUpload(id) {
+  const upload = await withStore('readonly', store => store.get(id));
+  if (upload) await saveUpload({ ...upload, status: 'pending', error: null });
+  return syncQueuedUploads();
+}
+
+// Sends every waiting upload in capture order. Stops at the first one that cannot
+// reach the server; uploads the server rejects (bad photo, unknown location) are
+// marked failed and kept until the user retries or discards them.
+export function syncQueuedUploads() {
+  if (!syncing) {
+    syncing = runSync().finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+}
+
+async function runSync() {
+  // 'uploading' means the page closed mid-upload. It is sent again like an upload whose
+  // answer was lost; the idempotency key keeps the server from logging either twice.
+  const uploads = (await getQueuedUploads()).filter(upload => upload.status !== 'failed');
+  let uploaded = 0;
+
+  for (const queued of uploads) {
+    // Uploads queued before idempotency keys get theirs before the first attempt
+    const upload = { ...queued, idempotencyKey: queued.idempotencyKey || newIdempotencyKey() };
+    try {
+      await saveUpload({ ...upload, status: 'uploading', error: null });
+      await uploadWasteImage(upload.photos, {
+        locationId: upload.locationId,
+        disposition: upload.disposition,
+        wasteStream: upload.wasteStream,
+        station: upload.station,
+        measuredWeight: upload.measuredWeight,
+        capturedAt: upload.capturedAt,
+        idempotencyKey: upload.idempotencyKey
+      });
+      await discardQueuedUpload(upload.id);
+      uploaded++;
+    } catch (error) {
+      const status = error.response?.status;
+      // Client errors will fail the same way next time; anything else is retried later
+      const rejected = status >= 400 && status < 500 && status !== 401 && status !== 429;
+      await saveUpload({
+        ...upload,
+        status: rejected ? 'failed' : 'pending',
+        error: error.response?.data?.error || error.message || 'Upload failed'
+      });
+      if (!rejected) break;
+    }
+  }
+
+  return { uploaded };
+}
+
+// Syncs now, whenever the browser comes back online and periodically after that.
+// onUploaded runs after a sync sent at least one upload.
+export function startOfflineSync(onUploaded) {
+  const sync = async () => {
+    if (!navigator.onLine) return;
+    try {
+      const { uploaded } = await syncQueuedUploads();
+      if (uploaded > 0 && onUploaded) onUploaded(uploaded);
+    } catch (error) {
+      console.error('Error syncing offline uploads:', error);
+    }
+  };
+
+  sync();
+  window.addEventListener('online', sync);
+  const timer = setInterval(sync, SYNC_INTERVAL_MS);
+  return () => {
+    window.removeEventListener('online', sync);
+    clearInterval(timer);
+  };
+}
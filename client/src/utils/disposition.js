@@ -0,0 +1,20 @@
+// Waste dispositions as stored by the server (server/disposition/disposition.js);
+// everything except landfill counts towards the diversion rate
+
+export const DISPOSITIONS = [
+  { id: 'landfill', label: 'Landfill', color: '#6b7280' },
+  { id: 'compost', label: 'Compost', color: '#65a30d' },
+  { id: 'anaerobic_digestion', label: 'Anaerobic digestion', color: '#0d9488' },
+  { id: 'donation', label: 'Donation', color: '#2563eb' },
+  { id: 'animal_feed', label: 'Animal feed', color: '#d97706' },
+  { id: 'rendering', label: 'Rendering', color: '#9333ea' }
+];
+
+export function dispositionLabel(id) {
+  if (!id || id === 'unspecified') return 'Not recorded';
+  return DISPOSITIONS.find(d => d.id === id)?.label || id;
+}
+
+export function dispositionColor(id) {
+  return DISPOSITIONS.find(d => d.id === id)?.color || '#d1d5db';
+}
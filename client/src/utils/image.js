@@ -0,0 +1,72 @@
+// Prepares photos before upload: applies the EXIF orientation, downscales to a
+// max dimension and re-encodes as JPEG, which also drops the metadata (GPS
+// position, camera details). The server enforces the same in server/images.
+
+const MAX_DIMENSION = Number(import.meta.env.VITE_IMAGE_MAX_DIMENSION) || 2048;
+const JPEG_QUALITY = Number(import.meta.env.VITE_IMAGE_JPEG_QUALITY) || 0.85;
+
+// createImageBitmap applies the orientation itself; <img> covers formats only the
+// browser's image decoder knows (HEIC in Safari) and is oriented by CSS defaults
+async function decode(file) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, release: () => bitmap.close() };
+    } catch (error) {
+      // fall through to <img>
+    }
+  }
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.src = url;
+  try {
+    await img.decode();
+  } catch (error) {
+    URL.revokeObjectURL(url);
+    throw error;
+  }
+  return { source: img, width: img.naturalWidth, height: img.naturalHeight, release: () => URL.revokeObjectURL(url) };
+}
+
+function jpegName(name) {
+  return `${name.replace(/\.[^.]+$/, '') || 'photo'}.jpg`;
+}
+
+// Draws any canvas image source (video frame, bitmap, <img>) scaled down to the
+// max dimension and returns it as a JPEG file
+export async function drawToJpeg(source, width, height, name) {
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; PNG cut-outs would otherwise turn black
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', JPEG_QUALITY));
+  if (!blob) throw new Error('Could not encode the photo');
+  return new File([blob], jpegName(name), { type: 'image/jpeg', lastModified: Date.now() });
+}
+
+// Returns the prepared photo, or the original file when the browser cannot
+// decode it (the server then converts it or explains what to upload instead)
+export async function prepareImage(file) {
+  let decoded;
+  try {
+    decoded = await decode(file);
+  } catch (error) {
+    console.warn(`Could not prepare ${file.name} in the browser; uploading it as is`, error);
+    return file;
+  }
+  try {
+    return await drawToJpeg(decoded.source, decoded.width, decoded.height, file.name);
+  } catch (error) {
+    console.warn(`Could not prepare ${file.name} in the browser; uploading it as is`, error);
+    return file;
+  } finally {
+    decoded.release();
+  }
+}
@@ -0,0 +1,122 @@
+import { getImageQualitySettings } from '../services/api';
+
+// Local photo quality check before upload: resolution, sharpness (variance of
+// the Laplacian) and exposure. Mirrors server/images/quality.js with the
+// thresholds the server serves, so photos it would reject are caught while the
+// camera is still in hand.
+
+const WORKING_SIZE = 512;
+const SETTINGS_KEY = 'scrapsnap.imageQualitySettings';
+
+// The last thresholds fetched are kept so the check still works offline. Until the
+// server has been reached once the check is advisory: nothing is refused locally.
+let settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+let settingsRequest = null;
+// The server's defaults, only warning
+const ADVISORY_SETTINGS = { gate: 'warn', minDimension: 480, minSharpness: 20, warnSharpness: 60 };
+
+// Fetched once per page load; a failed request is tried again on the next check
+function loadSettings() {
+  if (!settingsRequest) {
+    settingsRequest = getImageQualitySettings()
+      .then(fetched => {
+        settings = fetched;
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(fetched));
+        return settings;
+      })
+      .catch(() => {
+        settingsRequest = null;
+        return settings;
+      });
+  }
+  return settingsRequest;
+}
+
+function pixelMetrics(pixels, width, height) {
+  let sum = 0;
+  let dark = 0;
+  let bright = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    sum += pixels[i];
+    if (pixels[i] <= 5) dark++;
+    if (pixels[i] >= 250) bright++;
+  }
+
+  let lapSum = 0;
+  let lapSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      lapSum += lap;
+      lapSquares += lap * lap;
+      count++;
+    }
+  }
+  const lapMean = count ? lapSum / count : 0;
+
+  return {
+    sharpness: count ? lapSquares / count - lapMean * lapMean : 0,
+    brightness: sum / pixels.length,
+    darkFraction: dark / pixels.length,
+    brightFraction: bright / pixels.length
+  };
+}
+
+function qualityIssues(metrics, settings) {
+  const issues = [];
+  const add = (code, severity, message) => issues.push({ code, severity, message });
+
+  if (Math.min(metrics.width, metrics.height) < settings.minDimension) {
+    add('low_resolution', 'reject', `The photo is too small (${metrics.width}×${metrics.height}); use at least ${settings.minDimension} pixels on the short side`);
+  }
+  if (metrics.sharpness < settings.minSharpness) {
+    add('blurry', 'reject', 'The photo is too blurry; hold the camera steady and tap to focus');
+  } else if (metrics.sharpness < settings.warnSharpness) {
+    add('blurry', 'warn', 'The photo looks slightly blurry');
+  }
+  if (metrics.brightness < 20) {
+    add('too_dark', 'reject', 'The photo is too dark; turn on a light or use the flash');
+  } else if (metrics.brightness < 50 || metrics.darkFraction > 0.4) {
+    add('too_dark', 'warn', 'The photo is quite dark');
+  }
+  if (metrics.brightness > 240) {
+    add('overexposed', 'reject', 'The photo is washed out; avoid pointing the camera at a light');
+  } else if (metrics.brightness > 210) {
+    add('overexposed', 'warn', 'The photo is very bright');
+  }
+  if (metrics.brightFraction > 0.15 && metrics.brightness <= 240) {
+    add('glare', 'warn', 'Strong glare or reflections; tilt the camera or move away from lights');
+  }
+  return settings.gate === 'warn' ? issues.map(issue => ({ ...issue, severity: 'warn' })) : issues;
+}
+
+// Resolves to { issues, rejected }, or null when the browser cannot decode the
+// file (the server runs the same check after converting it)
+export async function checkImageQuality(file) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (error) {
+    return null;
+  }
+
+  const scale = Math.min(1, WORKING_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+
+  const grey = new Uint8Array(canvas.width * canvas.height);
+  for (let i = 0; i < grey.length; i++) {
+    grey[i] = Math.round(0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]);
+  }
+
+  const metrics = { width: bitmap.width, height: bitmap.height, ...pixelMetrics(grey, canvas.width, canvas.height) };
+  bitmap.close();
+  const issues = qualityIssues(metrics, (await loadSettings()) || ADVISORY_SETTINGS);
+  return { issues, rejected: issues.some(issue => issue.severity === 'reject') };
+}
@@ -0,0 +1,13 @@
+// Display helpers for the carbon (kg CO2e) and water (litres) footprints the server reports
+
+export function formatCo2e(kg) {
+  if (kg == null) return '';
+  if (kg >= 1000) return `${(kg / 1000).toFixed(kg >= 10000 ? 0 : 1)} t CO2e`;
+  return `${kg >= 10 ? Math.round(kg) : kg.toFixed(1)} kg CO2e`;
+}
+
+export function formatWater(litres) {
+  if (litres == null) return '';
+  if (litres >= 1000) return `${(litres / 1000).toFixed(litres >= 10000 ? 0 : 1)} m³ water`;
+  return `${Math.round(litres)} L water`;
+}
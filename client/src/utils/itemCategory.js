@@ -0,0 +1,3 @@
+// Item categories as stored by the server (ITEM_CATEGORIES in server/ai/schema.js)
+
+export const ITEM_CATEGORIES = ['main dish', 'side', 'appetizer', 'dessert', 'beverage', 'other'];
@@ -0,0 +1,15 @@
+// Display helpers for the structured quantities the server attaches to items and entries
+
+export function formatWeight(grams) {
+  if (grams == null) return '';
+  if (grams >= 1000) return `${(grams / 1000).toFixed(grams >= 10000 ? 0 : 1)} kg`;
+  return `${Math.round(grams)} g`;
+}
+
+// "150 g", "200–300 g", "2 portions"
+export function formatQuantity(quantity) {
+  if (!quantity) return '';
+  const amount = quantity.low !== quantity.high ? `${quantity.low}–${quantity.high}` : `${quantity.value}`;
+  const countable = quantity.unit === 'portion' || quantity.unit === 'piece' || quantity.unit === 'cup';
+  return `${amount} ${quantity.unit}${countable && quantity.value !== 1 ? 's' : ''}`;
+}
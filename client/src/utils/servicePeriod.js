@@ -0,0 +1,24 @@
+// Meal periods as stored by the server (server/periods/periods.js); the shifts and
+// stations are configured per installation and come from /api/service-settings
+
+export const MEAL_PERIODS = [
+  { id: 'breakfast', label: 'Breakfast', color: '#f59e0b' },
+  { id: 'lunch', label: 'Lunch', color: '#10b981' },
+  { id: 'dinner', label: 'Dinner', color: '#6366f1' },
+  { id: 'late', label: 'Late night', color: '#1e293b' }
+];
+
+export function mealPeriodLabel(id) {
+  if (!id || id === 'unassigned') return 'Unassigned';
+  return MEAL_PERIODS.find(period => period.id === id)?.label || id;
+}
+
+export function mealPeriodColor(id) {
+  return MEAL_PERIODS.find(period => period.id === id)?.color || '#d1d5db';
+}
+
+// Stations are stored lowercase ("salad bar")
+export function stationLabel(station) {
+  if (!station || station === 'unassigned') return 'Unassigned';
+  return station.replace(/\b\w/g, letter => letter.toUpperCase());
+}
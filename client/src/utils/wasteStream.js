@@ -0,0 +1,18 @@
+// Waste streams as stored by the server (WASTE_STREAMS in server/ai/schema.js):
+// where in the operation the waste happened
+
+export const WASTE_STREAMS = [
+  { id: 'prep', label: 'Prep trim', color: '#a16207' },
+  { id: 'spoilage', label: 'Spoilage / expired', color: '#b91c1c' },
+  { id: 'overproduction', label: 'Overproduction', color: '#7c3aed' },
+  { id: 'plate', label: 'Plate waste', color: '#0369a1' }
+];
+
+export function wasteStreamLabel(id) {
+  if (!id || id === 'unclassified') return 'Unclassified';
+  return WASTE_STREAMS.find(stream => stream.id === id)?.label || id;
+}
+
+export function wasteStreamColor(id) {
+  return WASTE_STREAMS.find(stream => stream.id === id)?.color || '#d1d5db';
+}
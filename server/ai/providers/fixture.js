@@ -0,0 +1,31 @@
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_FIXTURE_DIR = join(__dirname, '..', 'fixtures');
+
+export const name = 'fixture';
+
+// Offline provider for development and tests: returns the canned analysis stored
+// as <sha256 of image>.json in the fixture directory (for several photos, the
+// combined hash in options.imageHash), or default.json otherwise.
+// No network access, same images always yield the same analysis.
+export async function analyze(images, options = {}) {
+  const fixtureDir = options.fixtureDir || process.env.VISION_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+  const hash = options.imageHash || images[0].hash;
+
+  const candidates = [join(fixtureDir, `${hash}.json`), join(fixtureDir, 'default.json')];
+  const fixturePath = candidates.find(path => existsSync(path));
+  if (!fixturePath) {
+    throw new Error(`No fixture analysis found for image ${hash} in ${fixtureDir}`);
+  }
+
+  try {
+    return JSON.parse(readFileSync(fixturePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse fixture ${fixturePath}: ${error.message}`);
+  }
+}
@@ -0,0 +1,149 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || '');
+
+const FALLBACK_MODEL_NAMES = [
+  'gemini-1.5-pro-latest',
+  'gemini-1.5-flash-latest',
+  'gemini-1.5-pro',
+  'gemini-1.5-flash',
+  'gemini-pro-vision',
+  'gemini-pro'
+];
+
+// Model list is fetched once per process instead of on every analysis
+let cachedModelNames = null;
+
+async function resolveModelNames() {
+  if (cachedModelNames) return cachedModelNames;
+
+  // Try to list available models via REST API to see what's actually available
+  let availableModels = [];
+  try {
+    const apiKey = process.env.GEMINI_API_KEY;
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`);
+    if (response.ok) {
+      const data = await response.json();
+      if (data.models) {
+        availableModels = data.models.map(m => m.name.replace('models/', ''));
+        console.log('Available models:', availableModels);
+      }
+    }
+  } catch (err) {
+    console.log('Could not list models via REST API, will try default names:', err.message);
+  }
+
+  if (availableModels.length > 0) {
+    // Filter to models that support vision (typically contain 'pro' or 'flash')
+    const visionModels = availableModels.filter(name =>
+      (name.includes('pro') || name.includes('flash')) && !name.includes('embedding')
+    );
+    cachedModelNames = visionModels.length > 0 ? visionModels : availableModels.slice(0, 3);
+    console.log('Using models from API:', cachedModelNames);
+    return cachedModelNames;
+  }
+
+  // Don't cache the fallback so a transient listing failure is retried next time
+  return FALLBACK_MODEL_NAMES;
+}
+
+export const name = 'gemini';
+
+// Labels the photos so the model knows which one is which in before/after captures
+const ROLE_LABELS = { served: 'SERVED', returned: 'RETURNED' };
+
+export async function analyze(images, options = {}) {
+  try {
+    if (!process.env.GEMINI_API_KEY) {
+      throw new Error('GEMINI_API_KEY is not set in your .env file. Please add it.');
+    }
+
+    const modelNames = options.modelNames || await resolveModelNames();
+    console.log('Trying models:', modelNames);
+
+    let lastError;
+    let modelContent = null;
+
+    // Try each model name until one works
+    for (const modelName of modelNames) {
+      try {
+        const config = {
+          model: modelName,
+          generationConfig: {
+            temperature: 0.4
+          }
+        };
+
+        // Only add JSON response format for models that support it
+        if (modelName.includes('1.5')) {
+          config.generationConfig.responseMimeType = 'application/json';
+        }
+
+        const model = genAI.getGenerativeModel(config);
+
+        const imageParts = images.flatMap((image, index) => [
+          ...(images.length > 1
+            ? [{ text: `Photo ${index + 1}${ROLE_LABELS[image.role] ? ` (${ROLE_LABELS[image.role]})` : ''}:` }]
+            : []),
+          {
+            inlineData: {
+              data: image.buffer.toString('base64'),
+              mimeType: image.mimeType
+            }
+          }
+        ]);
+
+        const result = await model.generateContent([options.prompt, ...imageParts]);
+        const response = await result.response;
+        modelContent = response.text();
+
+        console.log(`Successfully used model: ${modelName}`);
+        break;
+      } catch (err) {
+        lastError = err;
+        console.log(`Model ${modelName} failed, trying next...`);
+        continue;
+      }
+    }
+
+    // If all models failed, throw the last error
+    if (!modelContent) {
+      throw new Error(`All model attempts failed. Last error: ${lastError?.message || 'Unknown error'}. Tried models: ${modelNames.join(', ')}`);
+    }
+
+    // Parse JSON response
+    try {
+      // Clean up any markdown code blocks if present
+      const jsonMatch = modelContent.match(/\{[\s\S]*\}/);
+      return JSON.parse(jsonMatch ? jsonMatch[0] : modelContent);
+    } catch (parseError) {
+      console.error('Error parsing JSON response:', modelContent);
+      const invalidJson = new Error('Failed to parse AI response. The AI did not return valid JSON.');
+      invalidJson.code = 'INVALID_JSON';
+      throw invalidJson;
+    }
+  } catch (error) {
+    // Unparseable output is a validation problem, the caller may re-prompt
+    if (error.code === 'INVALID_JSON') throw error;
+
+    console.error('Error in Gemini vision analysis:', error);
+
+    // Handle specific Gemini API errors
+    if (error.message?.includes('API_KEY')) {
+      throw new Error('Invalid Gemini API key. Please check your .env file and ensure GEMINI_API_KEY is set correctly. Get your key at https://aistudio.google.com/app/apikey');
+    } else if (error.message?.includes('quota') || error.message?.includes('429')) {
+      throw new Error('Gemini API quota exceeded. Please check your Google Cloud billing and add credits. Visit https://console.cloud.google.com/ to manage your quota.');
+    } else if (error.message?.includes('403') || error.message?.includes('PERMISSION_DENIED')) {
+      throw new Error('Gemini API access forbidden. Please check your API key permissions and enable the Generative AI API in Google Cloud Console.');
+    } else if (error.message?.includes('400') || error.message?.includes('INVALID_ARGUMENT')) {
+      throw new Error('Invalid request to Gemini API. Please check the image format and try again.');
+    } else if (error.message?.includes('GEMINI_API_KEY is not set')) {
+      throw error;
+    }
+
+    throw new Error(`AI analysis failed: ${error.message || 'Unknown error occurred'}`);
+  }
+}
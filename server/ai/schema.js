@@ -0,0 +1,301 @@
+import { normalizeQuantity, resolveQuantity } from '../quantity/quantity.js';
+
+// Schema for the analysis returned by a vision provider. validateAnalysis()
+// coerces what it safely can ("$2.50" -> 2.5, "85%" -> 0.85) and reports
+// everything else, so bad model output never reaches the database unnoticed.
+
+export const ITEM_CATEGORIES = ['main dish', 'side', 'appetizer', 'dessert', 'beverage', 'other'];
+export const ITEM_CONDITIONS = ['untouched', 'partially eaten', 'spoiled', 'expired', 'uncertain'];
+// Where in the operation the waste happened: kitchen trim and peelings, stock that
+// spoiled or expired before use, food cooked but never served, food left on plates
+export const WASTE_STREAMS = ['prep', 'spoilage', 'overproduction', 'plate'];
+
+const CATEGORY_ALIASES = {
+  main: 'main dish',
+  mains: 'main dish',
+  entree: 'main dish',
+  'entrée': 'main dish',
+  'main course': 'main dish',
+  protein: 'main dish',
+  sides: 'side',
+  'side dish': 'side',
+  starter: 'appetizer',
+  appetizers: 'appetizer',
+  desserts: 'dessert',
+  sweet: 'dessert',
+  drink: 'beverage',
+  drinks: 'beverage',
+  beverages: 'beverage'
+};
+
+const CONDITION_ALIASES = {
+  unopened: 'untouched',
+  uneaten: 'untouched',
+  fresh: 'untouched',
+  'partially-eaten': 'partially eaten',
+  partial: 'partially eaten',
+  'half eaten': 'partially eaten',
+  eaten: 'partially eaten',
+  leftover: 'partially eaten',
+  rotten: 'spoiled',
+  moldy: 'spoiled',
+  mouldy: 'spoiled',
+  'possibly spoiled': 'uncertain',
+  stale: 'expired',
+  unknown: 'uncertain',
+  unsure: 'uncertain'
+};
+
+const WASTE_STREAM_ALIASES = {
+  trim: 'prep',
+  trimmings: 'prep',
+  preparation: 'prep',
+  'pre-consumer': 'prep',
+  'pre-consumer trim': 'prep',
+  spoiled: 'spoilage',
+  expired: 'spoilage',
+  'spoilage/expired': 'spoilage',
+  overproduced: 'overproduction',
+  unserved: 'overproduction',
+  leftover: 'overproduction',
+  leftovers: 'overproduction',
+  'plate waste': 'plate',
+  'post-consumer': 'plate',
+  'post-consumer plate waste': 'plate',
+  returned: 'plate'
+};
+
+// Severity "repaired" means the value was coerced and is usable as-is;
+// "rejected" means data was dropped or zeroed and the model should try again.
+function issue(path, message, severity) {
+  return { path, message, severity };
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/[$,\s]/g, '').match(/^-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+// Share of a served portion left uneaten (before/after photos), 0-100; null when not reported
+function validatePercent(raw, path, issues) {
+  if (raw == null) return null;
+  const percent = parseNumber(raw);
+  if (percent === null) {
+    issues.push(issue(path, `Percentage "${raw}" is not a number and was dropped`, 'repaired'));
+    return null;
+  }
+  if (percent < 0 || percent > 100) {
+    const clamped = Math.min(100, Math.max(0, percent));
+    issues.push(issue(path, `Percentage ${percent} outside [0,100] clamped to ${clamped}`, 'repaired'));
+    return clamped;
+  }
+  if (typeof raw !== 'number') {
+    issues.push(issue(path, `Percentage "${raw}" coerced to ${percent}`, 'repaired'));
+  }
+  return percent;
+}
+
+function normalizeEnum(value, allowed, aliases) {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase();
+  if (allowed.includes(key)) return key;
+  if (aliases[key]) return aliases[key];
+  // The prompt lists options as "a/b/c"; models sometimes echo several back
+  const first = key.split(/[/,|]/)[0].trim();
+  if (allowed.includes(first)) return first;
+  return aliases[first] || null;
+}
+
+export function validateItem(rawItem, path = 'item') {
+  const issues = [];
+
+  if (!rawItem || typeof rawItem !== 'object') {
+    return { item: null, issues: [issue(path, 'Item is not an object', 'rejected')] };
+  }
+
+  const name = typeof rawItem.name === 'string' ? rawItem.name.trim() : '';
+  if (!name) {
+    return { item: null, issues: [issue(`${path}.name`, 'Item has no name and was dropped', 'rejected')] };
+  }
+
+  let category = normalizeEnum(rawItem.category, ITEM_CATEGORIES, CATEGORY_ALIASES);
+  if (!category) {
+    issues.push(issue(`${path}.category`, `Unknown category "${rawItem.category ?? ''}" replaced with "other"`, 'repaired'));
+    category = 'other';
+  } else if (category !== rawItem.category) {
+    issues.push(issue(`${path}.category`, `Category "${rawItem.category}" normalized to "${category}"`, 'repaired'));
+  }
+
+  let condition = normalizeEnum(rawItem.condition, ITEM_CONDITIONS, CONDITION_ALIASES);
+  if (!condition) {
+    issues.push(issue(`${path}.condition`, rawItem.condition == null
+      ? 'Missing condition set to "uncertain"'
+      : `Unknown condition "${rawItem.condition}" set to "uncertain"`, 'repaired'));
+    condition = 'uncertain';
+  } else if (condition !== rawItem.condition) {
+    issues.push(issue(`${path}.condition`, `Condition "${rawItem.condition}" normalized to "${condition}"`, 'repaired'));
+  }
+
+  let estimatedAmount = rawItem.estimatedAmount;
+  if (typeof estimatedAmount === 'number') {
+    estimatedAmount = String(estimatedAmount);
+  } else if (typeof estimatedAmount !== 'string') {
+    estimatedAmount = '';
+  }
+
+  // The free-text amount fills in what the structured quantity leaves out
+  const trimmedAmount = estimatedAmount.trim();
+  const quantity = resolveQuantity(rawItem.quantity, trimmedAmount);
+  if (rawItem.quantity != null && !normalizeQuantity(rawItem.quantity)) {
+    issues.push(issue(`${path}.quantity`, quantity
+      ? `Unusable quantity replaced by the one stated in "${trimmedAmount}"`
+      : 'Unusable quantity dropped', 'repaired'));
+  }
+
+  let estimatedValue = parseNumber(rawItem.estimatedValue);
+  if (rawItem.estimatedValue == null) {
+    issues.push(issue(`${path}.estimatedValue`, 'Missing value set to 0', 'rejected'));
+    estimatedValue = 0;
+  } else if (estimatedValue === null) {
+    issues.push(issue(`${path}.estimatedValue`, `Value "${rawItem.estimatedValue}" is not a number`, 'rejected'));
+    estimatedValue = 0;
+  } else if (estimatedValue < 0) {
+    issues.push(issue(`${path}.estimatedValue`, `Negative value ${estimatedValue} set to 0`, 'rejected'));
+    estimatedValue = 0;
+  } else if (typeof rawItem.estimatedValue !== 'number') {
+    issues.push(issue(`${path}.estimatedValue`, `Value "${rawItem.estimatedValue}" coerced to ${estimatedValue}`, 'repaired'));
+  }
+
+  return {
+    item: {
+      ...rawItem,
+      name,
+      category,
+      estimatedAmount: trimmedAmount,
+      quantity,
+      condition,
+      estimatedValue,
+      percentUneaten: validatePercent(rawItem.percentUneaten, `${path}.percentUneaten`, issues)
+    },
+    issues
+  };
+}
+
+function validateConfidence(raw, issues) {
+  if (raw == null) {
+    issues.push(issue('confidence', 'Missing confidence', 'repaired'));
+    return null;
+  }
+  let confidence = parseNumber(raw);
+  if (confidence === null) {
+    issues.push(issue('confidence', `Confidence "${raw}" is not a number`, 'repaired'));
+    return null;
+  }
+  // Percentages like 85 or "85%" are the most common slip
+  if (confidence > 1 && confidence <= 100) {
+    issues.push(issue('confidence', `Confidence ${raw} rescaled to ${confidence / 100}`, 'repaired'));
+    confidence = confidence / 100;
+  } else if (typeof raw !== 'number') {
+    issues.push(issue('confidence', `Confidence "${raw}" coerced to ${confidence}`, 'repaired'));
+  }
+  if (confidence < 0 || confidence > 1) {
+    const clamped = Math.min(1, Math.max(0, confidence));
+    issues.push(issue('confidence', `Confidence ${confidence} outside [0,1] clamped to ${clamped}`, 'repaired'));
+    confidence = clamped;
+  }
+  return confidence;
+}
+
+// The stream is a suggestion staff confirm later, so a missing one is only noted
+function validateWasteStream(raw, issues) {
+  if (raw == null || raw === '') {
+    issues.push(issue('wasteStream', 'Missing waste stream', 'repaired'));
+    return null;
+  }
+  const stream = normalizeWasteStream(raw);
+  if (!stream) {
+    issues.push(issue('wasteStream', `Unknown waste stream "${raw}" dropped`, 'repaired'));
+  } else if (stream !== raw) {
+    issues.push(issue('wasteStream', `Waste stream "${raw}" normalized to "${stream}"`, 'repaired'));
+  }
+  return stream;
+}
+
+export function normalizeWasteStream(value) {
+  return normalizeEnum(value, WASTE_STREAMS, WASTE_STREAM_ALIASES);
+}
+
+function validateBoolean(raw, fallback, path, issues) {
+  if (typeof raw === 'boolean') return raw;
+  if (raw === 'true' || raw === 'false') {
+    issues.push(issue(path, `String "${raw}" coerced to boolean`, 'repaired'));
+    return raw === 'true';
+  }
+  issues.push(issue(path, `Missing or invalid ${path} set to ${fallback}`, 'repaired'));
+  return fallback;
+}
+
+// Returns { analysis, issues, fatal }. fatal is set when nothing usable could be
+// recovered (not an object, no items array); analysis is null in that case.
+export function validateAnalysis(raw) {
+  const issues = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { analysis: null, issues: [issue('', 'Response is not a JSON object', 'rejected')], fatal: true };
+  }
+
+  if (!Array.isArray(raw.items)) {
+    return { analysis: null, issues: [issue('items', 'Response has no items array', 'rejected')], fatal: true };
+  }
+
+  const items = [];
+  raw.items.forEach((rawItem, index) => {
+    const result = validateItem(rawItem, `items[${index}]`);
+    issues.push(...result.issues);
+    if (result.item) items.push(result.item);
+  });
+
+  const totalEstimatedValue = items.reduce((sum, item) => sum + item.estimatedValue, 0);
+  const reportedTotal = parseNumber(raw.totalEstimatedValue);
+  if (reportedTotal !== null && Math.abs(reportedTotal - totalEstimatedValue) > 0.05) {
+    issues.push(issue('totalEstimatedValue', `Reported total ${reportedTotal} replaced by item sum ${totalEstimatedValue.toFixed(2)}`, 'repaired'));
+  }
+
+  const confidence = validateConfidence(raw.confidence, issues);
+  const needsBetterPhoto = validateBoolean(
+    raw.needsBetterPhoto,
+    confidence !== null && confidence < 0.6,
+    'needsBetterPhoto',
+    issues
+  );
+
+  const estimatedWaste = raw.estimatedWaste && typeof raw.estimatedWaste === 'object'
+    ? {
+        weight: String(raw.estimatedWaste.weight ?? 'unknown'),
+        percentage: String(raw.estimatedWaste.percentage ?? 'unknown')
+      }
+    : { weight: 'unknown', percentage: 'unknown' };
+  estimatedWaste.quantity = resolveQuantity(raw.estimatedWaste?.quantity, estimatedWaste.weight);
+
+  const analysis = {
+    ...raw,
+    items,
+    totalEstimatedValue,
+    estimatedWaste,
+    confidence,
+    needsBetterPhoto,
+    percentUneaten: validatePercent(raw.percentUneaten, 'percentUneaten', issues),
+    wasteStream: validateWasteStream(raw.wasteStream, issues),
+    uncertaintyDisclaimer: typeof raw.uncertaintyDisclaimer === 'string' ? raw.uncertaintyDisclaimer : '',
+    reasonsUncertain: Array.isArray(raw.reasonsUncertain) ? raw.reasonsUncertain.filter(r => typeof r === 'string') : [],
+    notes: typeof raw.notes === 'string' ? raw.notes : ''
+  };
+
+  return { analysis, issues, fatal: false };
+}
+
+export function hasRejections(issues) {
+  return issues.some(i => i.severity === 'rejected');
+}
@@ -1,32 +1,23 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { createHash } from 'crypto';
 import dotenv from 'dotenv';
+import * as gemini from './providers/gemini.js';
+import * as fixture from './providers/fixture.js';
+import { validateAnalysis, hasRejections, ITEM_CATEGORIES, ITEM_CONDITIONS, WASTE_STREAMS } from './schema.js';
+import { QUANTITY_UNITS } from '../quantity/quantity.js';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// Every provider implements analyze(images, options) and resolves to the raw
+// analysis object; vision.js validates it against schema.js so callers never
+// see provider quirks. images are { path, buffer, mimeType, hash, role }, all
+// showing the same waste; options.imageHash identifies the set.
+const providers = {
+  [gemini.name]: gemini,
+  [fixture.name]: fixture
+};
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || '');
-
-export async function analyzeFoodWaste(imagePath) {
-  try {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY is not set in your .env file. Please add it.');
-    }
-
-    // Read the image file
-    const imageBuffer = readFileSync(imagePath);
-    const base64Image = imageBuffer.toString('base64');
-
-    // Determine MIME type
-    const mimeType = imagePath.toLowerCase().endsWith('.png') ? 'image/png' : 
-                     imagePath.toLowerCase().endsWith('.jpg') || imagePath.toLowerCase().endsWith('.jpeg') ? 'image/jpeg' :
-                     'image/jpeg';
-
-    const prompt = `You are analyzing a photo for FOOD WASTE logging. Be cautious with claims of spoilage (e.g., mold).
+const ANALYSIS_PROMPT = `You are analyzing a photo for FOOD WASTE logging. Be cautious with claims of spoilage (e.g., mold).
 Rules for uncertainty and lighting:
 - Do NOT infer mold solely from bright spots, glare, reflections, specular highlights, or compression noise—especially through plastic bags or containers.
 - If distinguishing mold vs. glare/reflection is ambiguous, do NOT assert spoilage; instead include a clear disclaimer and optionally ask for a clearer photo.
@@ -41,25 +32,34 @@ Analyze this image of food waste. Identify:
 5. Provide a confidence score in [0,1]. If low (<0.6), include an uncertainty disclaimer and optionally request a better photo.
 6. Ensure estimate CONSISTENCY: 
    - Use conservative, typical unit pricing (round each item to nearest $0.10) unless strong evidence suggests otherwise.
-   - Use weight ranges when uncertain; avoid large spread unless necessary.
+   - Give every amount as a structured quantity. Prefer grams; use a low/high range when uncertain and avoid large spread unless necessary.
    - If items look identical (e.g., cookies), apply consistent per-item values across the set.
+7. Suggest the waste stream, i.e. where in the operation this waste happened:
+   - "prep": pre-consumer trim from the kitchen (peelings, trimmings, bones, off-cuts)
+   - "spoilage": stock that spoiled or expired before use (whole or packaged items, visible decay, past date)
+   - "overproduction": food cooked or prepared but never served (full pans, trays, untouched batches)
+   - "plate": post-consumer plate waste returned by guests (partially eaten food on plates or trays)
+   Staff confirm the stream, so pick the most likely one even when unsure.
 
 Respond in JSON format with this structure:
 {
   "items": [
     {
       "name": "item name",
-      "category": "main dish/side/appetizer/dessert",
+      "category": "${ITEM_CATEGORIES.join('/')}",
       "estimatedAmount": "description of amount",
-      "condition": "untouched/partially eaten/spoiled/expired/uncertain",
-      "estimatedValue": estimated value in USD
+      "quantity": { "value": best estimate as a number, "low": number, "high": number, "unit": "${QUANTITY_UNITS.join('/')}" },
+      "condition": "${ITEM_CONDITIONS.join('/')}",
+      "estimatedValue": estimated value in USD as a plain number (no currency symbol)
     }
   ],
   "totalEstimatedValue": total estimated value,
   "estimatedWaste": {
     "weight": "estimated weight in pounds/grams",
+    "quantity": { "value": number, "low": number, "high": number, "unit": "g/kg/oz/lb" },
     "percentage": "estimated percentage of original portion"
   },
+  "wasteStream": "${WASTE_STREAMS.join('/')}",
   "confidence": number between 0 and 1,
   "uncertaintyDisclaimer": "short disclaimer if visual cues could be due to lighting/reflection/poor quality; empty string otherwise",
   "needsBetterPhoto": true or false,
@@ -69,152 +69,127 @@ Respond in JSON format with this structure:
 
 IMPORTANT: Respond ONLY with valid JSON, no additional text before or after.`;
 
-    // Try to list available models via REST API to see what's actually available
-    let availableModels = [];
-    try {
-      const apiKey = process.env.GEMINI_API_KEY;
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`);
-      if (response.ok) {
-        const data = await response.json();
-        if (data.models) {
-          availableModels = data.models.map(m => m.name.replace('models/', ''));
-          console.log('Available models:', availableModels);
-        }
-      }
-    } catch (err) {
-      console.log('Could not list models via REST API, will try default names:', err.message);
-    }
-    
-    // Use recent Gemini multimodal models; try multiple known public names
-    // Note: API key from AI Studio or Cloud may have different availability
-    let modelNames = [];
-    
-    // If we got available models, filter to vision-capable ones
-    if (availableModels.length > 0) {
-      // Filter to models that support vision (typically contain 'pro' or 'flash')
-      const visionModels = availableModels.filter(name => 
-        (name.includes('pro') || name.includes('flash')) && !name.includes('embedding')
-      );
-      modelNames = visionModels.length > 0 ? visionModels : availableModels.slice(0, 3);
-      console.log('Using models from API:', modelNames);
-    } else {
-      // Fallback to common model names - try both with and without versions
-      modelNames = [
-        'gemini-1.5-pro-latest',
-        'gemini-1.5-flash-latest',
-        'gemini-1.5-pro',
-        'gemini-1.5-flash',
-        'gemini-pro-vision',
-        'gemini-pro'
-      ];
-    }
-    
-    console.log('Trying models:', modelNames);
-    
-    let model;
-    let lastError;
-    let modelContent = null;
-    
-    // Try each model name until one works
-    for (const modelName of modelNames) {
-      try {
-        // For vision, some models require different config
-        const config = {
-          model: modelName,
-          generationConfig: {
-            temperature: 0.4
-          }
-        };
-        
-        // Only add JSON response format for models that support it
-        if (modelName.includes('1.5')) {
-          config.generationConfig.responseMimeType = 'application/json';
-        }
-        
-        model = genAI.getGenerativeModel(config);
-        
-        const imagePart = {
-          inlineData: {
-            data: base64Image,
-            mimeType: mimeType
-          }
-        };
-        
-        const result = await model.generateContent([prompt, imagePart]);
-        const response = await result.response;
-        modelContent = response.text();
-        
-        // If we get here, the model worked
-        console.log(`Successfully used model: ${modelName}`);
-        break;
-      } catch (err) {
-        lastError = err;
-        console.log(`Model ${modelName} failed, trying next...`);
-        // Try next model
-        continue;
-      }
-    }
-    
-    // If all models failed, throw the last error
-    if (!modelContent) {
-      throw new Error(`All model attempts failed. Last error: ${lastError?.message || 'Unknown error'}. Tried models: ${modelNames.join(', ')}`);
-    }
-    
-    const content = modelContent;
-    
-    // Parse JSON response
-    let analysis;
+export const CAPTURE_MODES = ['single', 'angles', 'before_after'];
+
+// Extra instructions when an entry has more than one photo
+const MODE_PROMPTS = {
+  angles: `
+You receive several photos of the SAME waste taken from different angles. Combine them into one analysis:
+count each item only once and use the extra angles to judge amounts more accurately.`,
+  before_after: `
+You receive two photos of the same plate or tray: the first was taken when it was SERVED, the second when it
+was RETURNED. Report as items only the food still left in the returned photo, with amounts and values of what
+is left. Add to each item "percentUneaten": the percentage (0-100) of that item's served portion left uneaten,
+and add a top-level "percentUneaten": the percentage (0-100) of the whole served meal left uneaten.`
+};
+
+function promptFor(mode) {
+  return MODE_PROMPTS[mode] ? `${ANALYSIS_PROMPT}\n${MODE_PROMPTS[mode]}` : ANALYSIS_PROMPT;
+}
+
+export function getVisionProvider(providerName = process.env.VISION_PROVIDER || 'gemini') {
+  const provider = providers[String(providerName).toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown vision provider "${providerName}". Available providers: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+function detectMimeType(imagePath) {
+  const lower = imagePath.toLowerCase();
+  if (lower.endsWith('.png')) return 'image/png';
+  if (lower.endsWith('.webp')) return 'image/webp';
+  return 'image/jpeg';
+}
+
+function repromptFor(issues, mode) {
+  const problems = issues
+    .filter(i => i.severity === 'rejected')
+    .map(i => `- ${i.path ? `${i.path}: ` : ''}${i.message}`)
+    .join('\n');
+  return `${promptFor(mode)}
+
+Your previous response did not match the required structure:
+${problems}
+Return the complete analysis again, fixing these problems. Use only the listed categories and conditions and plain numbers for values.`;
+}
+
+// Calls the provider and validates its output, re-prompting once when the
+// response was unparseable or had rejected fields. The validation record is
+// returned alongside the analysis so it can be stored on the entry.
+async function analyzeWithValidation(provider, images, options) {
+  const attempt = async (prompt) => {
     try {
-      // Clean up any markdown code blocks if present
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysis = JSON.parse(jsonMatch[0]);
-      } else {
-        analysis = JSON.parse(content);
-      }
-    } catch (parseError) {
-      console.error('Error parsing JSON response:', content);
-      throw new Error('Failed to parse AI response. The AI did not return valid JSON.');
-    }
-    
-    // Ensure required fields exist with defaults
-    if (!analysis.items || !Array.isArray(analysis.items)) {
-      analysis.items = [];
+      return validateAnalysis(await provider.analyze(images, { ...options, prompt }));
+    } catch (error) {
+      if (error.code !== 'INVALID_JSON') throw error;
+      return { analysis: null, issues: [{ path: '', message: error.message, severity: 'rejected' }], fatal: true };
     }
-    
-    if (typeof analysis.totalEstimatedValue !== 'number') {
-      analysis.totalEstimatedValue = analysis.items.reduce(
-        (sum, item) => sum + (item.estimatedValue || 0), 
-        0
-      );
-    }
-    
-    if (!analysis.estimatedWaste) {
-      analysis.estimatedWaste = {
-        weight: 'unknown',
-        percentage: 'unknown'
-      };
+  };
+
+  let result = await attempt(promptFor(options.mode));
+  let attempts = 1;
+  const firstIssues = result.issues;
+
+  if (result.fatal || hasRejections(result.issues)) {
+    console.log(`Analysis from ${provider.name} failed validation, re-prompting once`);
+    const retry = await attempt(repromptFor(result.issues, options.mode));
+    attempts = 2;
+    // Keep the first result if the retry is worse (e.g. unparseable after a usable response)
+    if (!retry.fatal || result.fatal) {
+      result = retry;
     }
-    
-    return analysis;
+  }
+
+  if (result.fatal) {
+    throw new Error(`AI analysis failed validation: ${result.issues.map(i => i.message).join('; ')}`);
+  }
+
+  const validation = {
+    status: hasRejections(result.issues) ? 'invalid' : result.issues.length > 0 ? 'repaired' : 'valid',
+    attempts,
+    issues: result.issues,
+    initialIssues: attempts > 1 ? firstIssues : []
+  };
+
+  return { analysis: result.analysis, validation };
+}
+
+// Identifies a set of photos: a single photo keeps its own hash so entries logged
+// before multi-photo support still match as duplicates
+export function combinedImageHash(images) {
+  if (images.length === 1) return images[0].hash;
+  return createHash('sha256').update(images.map(image => `${image.role || ''}:${image.hash}`).join('\n')).digest('hex');
+}
+
+function loadImage(imagePath, role = null) {
+  let buffer;
+  try {
+    buffer = readFileSync(imagePath);
   } catch (error) {
-    console.error('Error in AI vision analysis:', error);
-    
-    // Handle specific Gemini API errors
-    if (error.message?.includes('API_KEY')) {
-      throw new Error('Invalid Gemini API key. Please check your .env file and ensure GEMINI_API_KEY is set correctly. Get your key at https://aistudio.google.com/app/apikey');
-    } else if (error.message?.includes('quota') || error.message?.includes('429')) {
-      throw new Error('Gemini API quota exceeded. Please check your Google Cloud billing and add credits. Visit https://console.cloud.google.com/ to manage your quota.');
-    } else if (error.message?.includes('403') || error.message?.includes('PERMISSION_DENIED')) {
-      throw new Error('Gemini API access forbidden. Please check your API key permissions and enable the Generative AI API in Google Cloud Console.');
-    } else if (error.message?.includes('400') || error.message?.includes('INVALID_ARGUMENT')) {
-      throw new Error('Invalid request to Gemini API. Please check the image format and try again.');
-    } else if (error.message?.includes('ENOENT')) {
+    if (error.code === 'ENOENT') {
       throw new Error('Image file not found. Please try uploading again.');
-    } else if (error.message?.includes('GEMINI_API_KEY is not set')) {
-      throw error;
     }
-    
-    throw new Error(`AI analysis failed: ${error.message || 'Unknown error occurred'}`);
+    throw error;
   }
-}
\ No newline at end of file
+  return {
+    path: imagePath,
+    buffer,
+    mimeType: detectMimeType(imagePath),
+    hash: createHash('sha256').update(buffer).digest('hex'),
+    role
+  };
+}
+
+// photos is an image path or a list of { path, role } showing the same waste;
+// options.mode ('single', 'angles' or 'before_after') selects the prompt
+export async function analyzeFoodWaste(photos, options = {}) {
+  const provider = getVisionProvider(options.provider);
+
+  const images = (Array.isArray(photos) ? photos : [{ path: photos }])
+    .map(photo => loadImage(photo.path, photo.role || null));
+  const imageHash = options.imageHash || combinedImageHash(images);
+
+  const { analysis, validation } = await analyzeWithValidation(provider, images, { ...options, imageHash });
+  return { ...analysis, provider: provider.name, validation };
+}
@@ -0,0 +1,213 @@
+import { scryptSync, randomBytes, timingSafeEqual, createHash, createHmac } from 'crypto';
+import {
+  getUserByUsername, getUserById, insertUser, updateUser, createSession, getSessionByTokenHash,
+  deleteSession, deleteUserSessions, touchUserLogin
+} from '../database/db.js';
+
+// Roles are ordered: each one can do everything the previous ones can.
+// staff: upload and view, manager: edit and delete entries, admin: clear data and configure.
+export const ROLES = ['staff', 'manager', 'admin'];
+
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const IMAGE_TOKEN_TTL_MS = (Number(process.env.IMAGE_TOKEN_TTL_MINUTES) || 30) * 60 * 1000;
+// Without a configured secret, image tokens stop working when the server restarts
+const IMAGE_TOKEN_SECRET = process.env.IMAGE_TOKEN_SECRET || randomBytes(32).toString('hex');
+
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+// Only the SHA-256 of a session token is stored, so a leaked database holds no usable tokens
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function formatUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.display_name || user.username,
+    role: user.role,
+    disabled: Boolean(user.disabled),
+    createdAt: user.created_at,
+    lastLoginAt: user.last_login_at || null
+  };
+}
+
+export function hasRole(user, role) {
+  return ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+}
+
+export function login(username, password) {
+  const user = getUserByUsername(username);
+  if (!user || user.disabled || !verifyPassword(password, user.password_hash)) {
+    return null;
+  }
+  const token = randomBytes(32).toString('hex');
+  createSession({
+    token_hash: hashToken(token),
+    user_id: user.id,
+    expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+  });
+  touchUserLogin(user.id);
+  return { token, user: formatUser(user) };
+}
+
+export function logout(token) {
+  if (token) deleteSession(hashToken(token));
+}
+
+export function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// <img> tags and photos opened in a new tab cannot send the Authorization header, so
+// uploaded images take a short-lived image token in the query string instead: the
+// signed user id and expiry, which opens /uploads and nothing else. The expiry is
+// rounded up to a whole period so image URLs (and the browser cache) stay stable.
+function signImageToken(payload) {
+  return createHmac('sha256', IMAGE_TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+export function issueImageToken(user, now = Date.now()) {
+  const expires = Math.ceil((now + IMAGE_TOKEN_TTL_MS) / IMAGE_TOKEN_TTL_MS) * IMAGE_TOKEN_TTL_MS;
+  const payload = `${user.id}.${expires}`;
+  return { imageToken: `${payload}.${signImageToken(payload)}`, expiresAt: new Date(expires).toISOString() };
+}
+
+function imageTokenUser(token) {
+  const [userId, expires, signature = ''] = token.split('.');
+  const expected = Buffer.from(signImageToken(`${userId}.${expires}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected) || Number(expires) < Date.now()) {
+    return null;
+  }
+  const user = getUserById(Number(userId));
+  return user && !user.disabled ? user : null;
+}
+
+// For /uploads: an image token in the query string, otherwise a session as for the API
+export function authenticateImage(req, res, next) {
+  if (typeof req.query.token !== 'string') {
+    return authenticate(req, res, next);
+  }
+  const user = imageTokenUser(req.query.token);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  req.user = formatUser(user);
+  next();
+}
+
+// Attaches req.user for a valid session or answers 401
+export function authenticate(req, res, next) {
+  const token = tokenFromRequest(req);
+  const session = token ? getSessionByTokenHash(hashToken(token)) : null;
+  if (!session || session.expires_at < new Date().toISOString()) {
+    if (session) deleteSession(session.token_hash);
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  const user = getUserById(session.user_id);
+  if (!user || user.disabled) {
+    deleteSession(session.token_hash);
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  req.user = formatUser(user);
+  req.authToken = token;
+  next();
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+function validateAccount(changes, { creating = false } = {}) {
+  if (!changes || typeof changes !== 'object') {
+    return 'Request body must be an object';
+  }
+  if ('username' in changes || creating) {
+    if (typeof changes.username !== 'string' || !/^[a-zA-Z0-9._-]{3,32}$/.test(changes.username.trim())) {
+      return 'Username must be 3-32 letters, digits, dots, dashes or underscores';
+    }
+  }
+  if ('password' in changes || creating) {
+    if (typeof changes.password !== 'string' || changes.password.length < 8) {
+      return 'Password must be at least 8 characters';
+    }
+  }
+  if ('role' in changes && !ROLES.includes(changes.role)) {
+    return `Invalid role "${changes.role}". Expected one of: ${ROLES.join(', ')}`;
+  }
+  if ('displayName' in changes && typeof changes.displayName !== 'string') {
+    return 'displayName must be a string';
+  }
+  if ('disabled' in changes && typeof changes.disabled !== 'boolean') {
+    return 'disabled must be a boolean';
+  }
+  return null;
+}
+
+export function createAccount(accountData = {}, { role } = {}) {
+  const invalid = validateAccount(accountData, { creating: true });
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  if (getUserByUsername(accountData.username)) {
+    return { success: false, message: `User "${accountData.username.trim()}" already exists` };
+  }
+  const user = insertUser({
+    username: accountData.username.trim().toLowerCase(),
+    display_name: (accountData.displayName || accountData.username).trim(),
+    password_hash: hashPassword(accountData.password),
+    role: role || accountData.role || 'staff',
+    disabled: false
+  });
+  return { success: true, message: `User #${user.id} created`, user: formatUser(user) };
+}
+
+export function updateAccount(userId, changes = {}) {
+  const user = getUserById(userId);
+  if (!user) {
+    return { success: false, notFound: true, message: `User #${userId} not found` };
+  }
+  const invalid = validateAccount(changes);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  if ('username' in changes) {
+    const existing = getUserByUsername(changes.username);
+    if (existing && existing.id !== user.id) {
+      return { success: false, message: `User "${changes.username.trim()}" already exists` };
+    }
+  }
+
+  const userChanges = {};
+  if ('username' in changes) userChanges.username = changes.username.trim().toLowerCase();
+  if ('displayName' in changes) userChanges.display_name = changes.displayName.trim();
+  if ('role' in changes) userChanges.role = changes.role;
+  if ('disabled' in changes) userChanges.disabled = changes.disabled;
+  if ('password' in changes) userChanges.password_hash = hashPassword(changes.password);
+
+  const updated = updateUser(user.id, userChanges);
+  // Changed credentials or a disabled account end every open session
+  if ('password' in changes || changes.disabled === true) {
+    deleteUserSessions(user.id);
+  }
+  return { success: true, message: `User #${user.id} updated`, user: formatUser(updated) };
+}
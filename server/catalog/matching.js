@@ -0,0 +1,98 @@
+// Fuzzy matching of free-text food names ("Grilled Chicken Breasts") to canonical
+// catalog items ("Chicken Breast"). Pure functions; persistence lives in db.js.
+
+// Scores at or above this link an item automatically; lower ones go to the review queue
+export const DEFAULT_MATCH_THRESHOLD = 0.75;
+
+export function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Crude singularisation so "fries" / "fry" and "potatoes" / "potato" line up
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 4 && token.endsWith('oes')) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+function tokens(name) {
+  return normalizeName(name).split(' ').filter(Boolean).map(stem);
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Tokens match when equal or, for longer words, one typo apart
+function sameToken(a, b) {
+  if (a === b) return true;
+  return Math.min(a.length, b.length) >= 5 && editDistance(a, b) <= 1;
+}
+
+// 1 for the same name; otherwise rewards candidates whose every word appears in the
+// detected name (containment) and penalises extra words on either side (overlap)
+export function matchScore(name, candidate) {
+  const nameTokens = tokens(name);
+  const candidateTokens = tokens(candidate);
+  if (nameTokens.length === 0 || candidateTokens.length === 0) return 0;
+  if (nameTokens.join(' ') === candidateTokens.join(' ')) return 1;
+
+  const shared = candidateTokens.filter(token => nameTokens.some(other => sameToken(token, other))).length;
+  const containment = shared / candidateTokens.length;
+  const overlap = shared / (nameTokens.length + candidateTokens.length - shared);
+  return (containment + overlap) / 2;
+}
+
+// Best score of a name against a catalog item's canonical name and aliases
+function scoreCatalogItem(name, catalogItem) {
+  return Math.max(...[catalogItem.name, ...(catalogItem.aliases || [])].map(candidate => matchScore(name, candidate)));
+}
+
+// Ranked candidates for a name, best first
+export function suggestCatalogItems(name, catalogItems, limit = 3) {
+  return catalogItems
+    .map(catalogItem => ({ catalogItemId: catalogItem.id, name: catalogItem.name, score: scoreCatalogItem(name, catalogItem) }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Returns { catalogItemId, method, score } for the best match above the threshold, or null
+export function matchCatalogItem(name, catalogItems, threshold = DEFAULT_MATCH_THRESHOLD) {
+  const key = normalizeName(name);
+  if (!key) return null;
+
+  for (const catalogItem of catalogItems) {
+    if (normalizeName(catalogItem.name) === key) {
+      return { catalogItemId: catalogItem.id, method: 'exact', score: 1 };
+    }
+    if ((catalogItem.aliases || []).some(alias => normalizeName(alias) === key)) {
+      return { catalogItemId: catalogItem.id, method: 'alias', score: 1 };
+    }
+  }
+
+  const [best] = suggestCatalogItems(name, catalogItems, 1);
+  if (!best || best.score < threshold) return null;
+  return { catalogItemId: best.catalogItemId, method: 'fuzzy', score: Math.round(best.score * 100) / 100 };
+}
@@ -1,176 +1,638 @@
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { existsSync } from 'fs';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { mkdir } from 'fs/promises';
+import { ITEM_CATEGORIES, ITEM_CONDITIONS, WASTE_STREAMS, normalizeWasteStream } from '../ai/schema.js';
+import { DEFAULT_MATCH_THRESHOLD, matchCatalogItem, normalizeName, suggestCatalogItems } from '../catalog/matching.js';
+import { PRICE_UNITS, valueAtPrice } from '../pricing/pricing.js';
+import { defaultImpactFactor, impactOfQuantity } from '../impact/impact.js';
+import { DISPOSITIONS, effectiveDisposition, isDiverted, normalizeDisposition } from '../disposition/disposition.js';
+import { parseQuantity, resolveQuantity, distributeWeight } from '../quantity/quantity.js';
+import {
+  DEFAULT_SERVICE_SETTINGS, MEAL_PERIODS, WEEKDAYS, inferServicePeriod, localDate, localTime, normalizeStation, validateServiceSettings
+} from '../periods/periods.js';
+import * as jsonStore from './stores/json.js';
+import * as sqliteStore from './stores/sqlite.js';
+import { describeImport, importJsonFile } from './migrate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const DB_PATH = join(__dirname, '..', '..', 'data', 'waste.json');
+const DATA_DIR = join(__dirname, '..', '..', 'data');
+export const JSON_DB_PATH = join(DATA_DIR, 'waste.json');
+export const SQLITE_DB_PATH = join(DATA_DIR, 'waste.db');
 
-let data = {
-  entries: [],
-  items: [],
-  nextEntryId: 1,
-  nextItemId: 1
+// Every store implements the same collection interface (all, find, query, get, insert,
+// update, remove, removeWhere, clear, reserveIds, transaction); db.js holds the business
+// logic and never touches the storage format directly.
+const stores = {
+  [jsonStore.name]: jsonStore,
+  [sqliteStore.name]: sqliteStore
 };
 
+let store = null;
+
+export function getStore(driver = process.env.DB_DRIVER || 'sqlite') {
+  const selected = stores[String(driver).toLowerCase()];
+  if (!selected) {
+    throw new Error(`Unknown database driver "${driver}". Available drivers: ${Object.keys(stores).join(', ')}`);
+  }
+  return selected;
+}
+
 export function initDatabase() {
-  // Ensure data directory exists
-  mkdir(join(__dirname, '..', '..', 'data'), { recursive: true }).catch(() => {});
-
-  // Load existing data if it exists
-  if (existsSync(DB_PATH)) {
-    try {
-      const fileData = readFileSync(DB_PATH, 'utf8');
-      data = JSON.parse(fileData);
-      // Ensure IDs are set
-      if (!data.nextEntryId) {
-        data.nextEntryId = Math.max(0, ...data.entries.map(e => e.id)) + 1;
-      }
-      if (!data.nextItemId) {
-        data.nextItemId = Math.max(0, ...data.items.map(i => i.id)) + 1;
-      }
-    } catch (error) {
-      console.error('Error loading database:', error);
-      data = { entries: [], items: [], nextEntryId: 1, nextItemId: 1 };
-    }
+  store = getStore();
+  const defaultPath = store.name === 'sqlite' ? SQLITE_DB_PATH : JSON_DB_PATH;
+  store.init({ path: process.env.DB_PATH || defaultPath });
+
+  // First start on SQLite: bring over the existing JSON database once. Setup creates
+  // the first user, so a database without users or entries has never been used.
+  if (store.name === 'sqlite' && store.isEmpty('entries') && store.isEmpty('users') && existsSync(JSON_DB_PATH)) {
+    const result = importJsonFile(store, JSON_DB_PATH);
+    console.log(`Imported ${describeImport(result)} from ${JSON_DB_PATH} into SQLite`);
+  }
+}
+
+// Items logged before structured quantities only have the free-text amount
+function itemQuantity(item) {
+  return item.quantity !== undefined ? item.quantity : parseQuantity(item.estimated_amount);
+}
+
+// Entry weight in grams: the sum of the item weights when every item has one,
+// otherwise the entry's own weight estimate, otherwise the items that do have one
+function entryWeightGrams(items, weightQuantity) {
+  const weights = items.map(item => itemQuantity(item)?.grams).filter(grams => grams != null);
+  const itemTotal = weights.length > 0 ? Math.round(weights.reduce((sum, grams) => sum + grams, 0) * 10) / 10 : null;
+  if (itemTotal != null && weights.length === items.length) return itemTotal;
+  return weightQuantity?.grams ?? itemTotal;
+}
+
+function getEntryWeightGrams(entry, items) {
+  if (entry.weight_grams !== undefined) return entry.weight_grams;
+  return entryWeightGrams(items, parseQuantity(entry.estimated_weight));
+}
+
+// Items logged before impact factors existed are estimated with the current factors;
+// callers going through many items pass impactFactors so the table is read once
+function itemImpact(item, impactFactors) {
+  return item.impact !== undefined
+    ? item.impact
+    : estimateImpact(item.catalog_item_id, item.category, itemQuantity(item), impactFactors);
+}
+
+// { co2e_kg, water_litres } summed over the items that have a footprint, or null when none has
+function sumImpact(items, impactFactors) {
+  const impacts = items.map(item => itemImpact(item, impactFactors)).filter(Boolean);
+  if (impacts.length === 0) return null;
+  return {
+    co2e_kg: Math.round(impacts.reduce((sum, impact) => sum + impact.co2e_kg, 0) * 1000) / 1000,
+    water_litres: Math.round(impacts.reduce((sum, impact) => sum + impact.water_litres, 0) * 10) / 10
+  };
+}
+
+// Meal period and shift of an entry; entries logged before service periods existed
+// are placed with the current service windows
+function entryServicePeriod(entry, settings = null) {
+  if (entry.meal_period !== undefined && entry.shift !== undefined) {
+    return { meal_period: entry.meal_period, shift: entry.shift };
   }
+  const inferred = inferServicePeriod(entry.timestamp, settings || getServiceSettings());
+  return {
+    meal_period: entry.meal_period !== undefined ? entry.meal_period : inferred.mealPeriod,
+    shift: entry.shift !== undefined ? entry.shift : inferred.shift
+  };
+}
+
+// API shape of a stored item (camelCase, original AI values only once corrected)
+function formatItem(item, impactFactors) {
+  const impact = itemImpact(item, impactFactors);
+  return {
+    id: item.id,
+    name: item.name,
+    category: item.category,
+    estimatedAmount: item.estimated_amount,
+    quantity: itemQuantity(item),
+    estimatedQuantity: item.estimated_quantity ?? null,
+    percentUneaten: item.percent_uneaten ?? null,
+    condition: item.condition,
+    estimatedValue: item.estimated_value,
+    source: item.source || 'ai',
+    aiOriginal: item.ai_original || null,
+    correctedAt: item.corrected_at || null,
+    correctedBy: item.corrected_by || null,
+    catalogItemId: item.catalog_item_id ?? null,
+    catalogMatch: item.catalog_match || null,
+    valueSource: item.value_source || (item.source === 'manual' ? 'manual' : 'ai'),
+    priceId: item.price_id ?? null,
+    disposition: item.disposition || null,
+    co2eKg: impact?.co2e_kg ?? null,
+    waterLitres: impact?.water_litres ?? null
+  };
+}
+
+function getEntryWithItems(entry, impactFactors) {
+  const items = store.find('items', { waste_entry_id: entry.id });
+  const impact = sumImpact(items, impactFactors);
+  return {
+    ...entry,
+    weight_grams: getEntryWeightGrams(entry, items),
+    weight_source: entry.weight_source || 'estimated',
+    images: entry.images || (entry.image_path ? [{ path: entry.image_path, role: null }] : []),
+    capture_mode: entry.capture_mode || (entry.image_path ? 'single' : null),
+    quality_warnings: entry.quality_warnings || [],
+    disposition: entry.disposition || null,
+    waste_stream: entry.waste_stream || null,
+    ai_waste_stream: entry.ai_waste_stream || null,
+    waste_stream_confirmed_at: entry.waste_stream_confirmed_at || null,
+    waste_stream_confirmed_by: entry.waste_stream_confirmed_by || null,
+    ...entryServicePeriod(entry),
+    station: entry.station || null,
+    co2e_kg: impact?.co2e_kg ?? null,
+    water_litres: impact?.water_litres ?? null,
+    items: items.map(item => formatItem(item, impactFactors))
+  };
+}
+
+// A measured weight replaces the estimated item weights with each item's share of
+// it; the estimate is kept in estimated_quantity
+function applyMeasuredWeight(quantities, items, grams) {
+  const parts = distributeWeight(
+    quantities.map((quantity, index) => ({ grams: quantity?.grams, value: items[index].estimatedValue })),
+    grams
+  );
+  return parts.map((part, index) => ({
+    value: part,
+    low: part,
+    high: part,
+    unit: 'g',
+    grams: part,
+    portions: quantities[index]?.portions ?? null
+  }));
+}
+
+// Deleted entries are only marked (deleted_at); they stay in the trash until restored or purged
+function isTrashed(entry) {
+  return Boolean(entry.deleted_at);
+}
+
+// Entries outside the trash; the location, date range, order and paging are applied by
+// the store (through its indexes) rather than by loading every entry
+function activeEntries({ locationId, startDate, endDate, order = null, limit = null, offset = 0 } = {}) {
+  return store.query('entries', {
+    filter: { deleted_at: null, ...locationFilter(locationId) },
+    ranges: startDate || endDate ? { timestamp: { gte: startDate || null, lte: endDate || null } } : {},
+    order,
+    limit,
+    offset
+  });
+}
+
+function getActiveEntry(entryId) {
+  const entry = store.get('entries', entryId);
+  return entry && !isTrashed(entry) ? entry : null;
+}
 
-  // Save initial structure
-  saveData();
+// Append-only audit trail of creates, edits, deletes and restores. Records are
+// only ever inserted; before/after hold the affected record on each side of the change.
+function recordAudit(action, entityType, entityId, { actor = null, before = null, after = null, details = null } = {}) {
+  return store.insert('audit_log', {
+    action,
+    entity_type: entityType,
+    entity_id: entityId ?? null,
+    actor: actorRef(actor),
+    timestamp: new Date().toISOString(),
+    before,
+    after,
+    details
+  });
+}
+
+function formatAuditRecord(record) {
+  return {
+    id: record.id,
+    action: record.action,
+    entityType: record.entity_type,
+    entityId: record.entity_id,
+    actor: record.actor,
+    timestamp: record.timestamp,
+    before: record.before,
+    after: record.after,
+    details: record.details
+  };
 }
 
-function saveData() {
-  try {
-    writeFileSync(DB_PATH, JSON.stringify(data, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error saving database:', error);
+export function getAuditLog(options = {}) {
+  const { limit = 100, entityType, entityId, action, startDate, endDate } = options;
+
+  const filter = {};
+  if (entityType) filter.entity_type = entityType;
+  if (entityId !== undefined && entityId !== '') filter.entity_id = Number(entityId);
+  if (action) filter.action = action;
+
+  let records = store.find('audit_log', filter);
+  if (startDate) {
+    records = records.filter(r => r.timestamp >= startDate);
   }
+  if (endDate) {
+    records = records.filter(r => r.timestamp <= endDate);
+  }
+
+  // Newest first; ids are assigned in insertion order
+  return records
+    .sort((a, b) => b.id - a.id)
+    .slice(0, limit)
+    .map(formatAuditRecord);
 }
 
 export function logWaste(wasteData) {
-  const { imagePath, items, estimatedWaste, timestamp, notes, imageHash, duplicateOfEntryId, consistencyNote } = wasteData;
-  
-  const totalValue = items.reduce((sum, item) => sum + (item.estimatedValue || 0), 0);
+  const { imagePath, images, captureMode, percentUneaten, items, estimatedWaste, timestamp, notes, imageHash, duplicateOfEntryId, consistencyNote, validation, locationId, createdBy, source = 'photo', importBatch, importFingerprint, measuredWeight, disposition, wasteStream, suggestedWasteStream, mealPeriod, shift, station, inferServicePeriod: infer = true, jobId } = wasteData;
+
+  // image_path stays the main photo: the returned plate in before/after captures
+  const photos = images || (imagePath ? [{ path: imagePath, role: null }] : []);
+  const mainPhoto = photos.find(photo => photo.role === 'returned') || photos[0] || null;
+
+  const estimatedQuantities = items.map(item => resolveQuantity(item.quantity, item.estimatedAmount));
+  const quantities = measuredWeight
+    ? applyMeasuredWeight(estimatedQuantities, items, measuredWeight.grams)
+    : estimatedQuantities;
+
+  // Prices from the price list win over the model's guess; imported values are the
+  // kitchen's own numbers and are only priced when the spreadsheet left them blank
+  const catalogItems = store.all('catalog_items');
+  const impactFactors = store.all('impact_factors');
+  const itemRecords = items.map((item, index) => {
+    const catalogLink = catalogFields(item.name, catalogItems);
+    const quantity = quantities[index];
+    const priced = source !== 'import' || item.estimatedValue == null
+      ? priceItem(catalogLink.catalog_item_id, quantity, locationId)
+      : null;
+    const record = {
+      name: item.name,
+      category: item.category || 'unknown',
+      estimated_amount: item.estimatedAmount || '',
+      // { value, low, high, unit, grams, portions }, or null when the amount states no quantity
+      quantity,
+      percent_uneaten: item.percentUneaten ?? null,
+      condition: item.condition || 'unknown',
+      estimated_value: priced ? priced.value : item.estimatedValue || 0,
+      source: source === 'import' ? 'import' : 'ai',
+      ...catalogLink,
+      value_source: priced ? 'price_list' : source === 'import' ? 'import' : 'ai',
+      price_id: priced ? priced.priceId : null,
+      // Only set when the item went somewhere other than the rest of the entry
+      disposition: item.disposition || null,
+      // { co2e_kg, water_litres, factor_source, factor_id }, or null without a weight
+      impact: estimateImpact(catalogLink.catalog_item_id, item.category || 'unknown', quantity, impactFactors)
+    };
+    if (priced && source !== 'import') {
+      record.ai_estimated_value = item.estimatedValue || 0;
+    }
+    if (measuredWeight) {
+      record.estimated_quantity = estimatedQuantities[index];
+    }
+    return record;
+  });
+  const totalValue = Math.round(itemRecords.reduce((sum, item) => sum + item.estimated_value, 0) * 100) / 100;
+  const weightQuantity = resolveQuantity(estimatedWaste?.quantity, estimatedWaste?.weight);
+  // Imports dated without a time of day say nothing about the service they came from
+  const servicePeriod = infer ? inferServicePeriod(timestamp, getServiceSettings()) : {};
 
-  const entryId = data.nextEntryId++;
   const entry = {
-    id: entryId,
-    image_path: imagePath,
+    image_path: mainPhoto ? mainPhoto.path : null,
+    // [{ path, role, quality }], role 'served' / 'returned' for before/after captures and null
+    // otherwise; quality holds the metrics of the pre-analysis photo check
+    images: photos,
+    capture_mode: photos.length > 0 ? captureMode || (photos.length > 1 ? 'angles' : 'single') : null,
+    // Problems the photo check warned about but let through ('blurry', 'glare', ...)
+    quality_warnings: [...new Set(photos.flatMap(photo => (photo.quality?.issues || []).map(issue => issue.code)))],
+    // Share of the served meal left uneaten, from before/after captures
+    percent_uneaten: percentUneaten ?? null,
+    // 'photo' for analysed uploads, 'import' for historical logs without a photo
+    source,
+    location_id: locationId ?? null,
+    // Where the waste went ('landfill', 'compost', ...); null when not recorded
+    disposition: disposition || null,
+    // Where it came from ('prep', 'spoilage', 'overproduction', 'plate'): the AI's
+    // suggestion (kept in ai_waste_stream) until staff confirm or change it
+    waste_stream: wasteStream || suggestedWasteStream || null,
+    ai_waste_stream: suggestedWasteStream || null,
+    waste_stream_confirmed_at: wasteStream ? new Date().toISOString() : null,
+    waste_stream_confirmed_by: wasteStream ? actorRef(createdBy) : null,
+    // Meal period and shift follow from the local time through the service windows
+    // unless given; the station is the part of the kitchen the waste came from
+    meal_period: mealPeriod || servicePeriod.mealPeriod || null,
+    shift: shift || servicePeriod.shift || null,
+    station: normalizeStation(station),
     timestamp,
     total_estimated_value: totalValue,
     estimated_weight: estimatedWaste?.weight || '',
+    weight_quantity: weightQuantity,
+    weight_grams: measuredWeight ? measuredWeight.grams : entryWeightGrams(itemRecords, weightQuantity),
+    // 'measured' when weighed on a scale or typed in, 'estimated' when read from the photo
+    weight_source: measuredWeight ? 'measured' : 'estimated',
+    // { grams, source: 'manual' | 'scale', scale_id }
+    measured_weight: measuredWeight
+      ? { grams: measuredWeight.grams, source: measuredWeight.source || 'manual', scale_id: measuredWeight.scaleId || null }
+      : null,
     notes: notes || '',
     image_hash: imageHash || '',
     duplicate_of_entry_id: duplicateOfEntryId || null,
     consistency_note: consistencyNote || '',
+    // Schema validation outcome of the AI response, kept for auditing model quality
+    analysis_validation: validation || null,
+    // { id, username } of the user who uploaded the photo
+    created_by: createdBy || null,
+    // Analysis job that logged the entry, so a job resumed after a crash does not log it twice
+    job_id: jobId ?? null,
     created_at: new Date().toISOString()
   };
+  if (source === 'import') {
+    entry.import_batch = importBatch || null;
+    entry.import_fingerprint = importFingerprint || null;
+  }
 
-  data.entries.push(entry);
-
-  const savedItems = items.map(item => {
-    const itemId = data.nextItemId++;
-    const savedItem = {
-      id: itemId,
-      waste_entry_id: entryId,
-      name: item.name,
-      category: item.category || 'unknown',
-      estimated_amount: item.estimatedAmount || '',
-      condition: item.condition || 'unknown',
-      estimated_value: item.estimatedValue || 0
-    };
-    data.items.push(savedItem);
-    return savedItem;
+  const { saved, savedItems } = store.transaction(() => {
+    const saved = store.insert('entries', entry);
+    const savedItems = itemRecords.map(record => store.insert('items', { waste_entry_id: saved.id, ...record }));
+    recordAudit('create', 'entry', saved.id, {
+      actor: createdBy,
+      after: { ...saved, items: savedItems.map(item => formatItem(item)) }
+    });
+    return { saved, savedItems };
   });
 
-  saveData();
+  return formatLoggedEntry(saved, savedItems);
+}
 
+function formatLoggedEntry(entry, items) {
   return {
-    id: entryId,
-    imagePath,
-    timestamp,
-    totalEstimatedValue: totalValue,
-    items: savedItems.map(item => ({
-      id: item.id,
-      name: item.name,
-      category: item.category,
-      estimatedAmount: item.estimated_amount,
-      condition: item.condition,
-      estimatedValue: item.estimated_value
-    }))
+    id: entry.id,
+    imagePath: entry.image_path,
+    images: entry.images,
+    locationId: entry.location_id ?? null,
+    disposition: entry.disposition,
+    wasteStream: entry.waste_stream,
+    wasteStreamConfirmed: Boolean(entry.waste_stream_confirmed_at),
+    mealPeriod: entry.meal_period,
+    shift: entry.shift,
+    station: entry.station,
+    timestamp: entry.timestamp,
+    percentUneaten: entry.percent_uneaten ?? null,
+    notes: entry.notes,
+    totalEstimatedValue: entry.total_estimated_value,
+    weightGrams: entry.weight_grams,
+    weightSource: entry.weight_source,
+    items: items.map(item => formatItem(item))
   };
 }
 
-export function getWasteHistory(options = {}) {
-  const { limit = 50, startDate, endDate } = options;
+// The entry an analysis job logged, in the shape logWaste returns, or null
+export function findEntryByJobId(jobId) {
+  const [entry] = store.query('entries', { filter: { job_id: Number(jobId) }, limit: 1 });
+  return entry ? formatLoggedEntry(entry, store.find('items', { waste_entry_id: entry.id })) : null;
+}
 
-  let entries = [...data.entries];
+// Historical logs imported from spreadsheets. The fingerprint of each imported
+// entry is kept so re-running the same file does not double count.
+export function getImportFingerprints() {
+  return new Set(store.query('entries', { filter: { deleted_at: null }, notNull: ['import_fingerprint'] })
+    .map(entry => entry.import_fingerprint)
+    .filter(Boolean));
+}
 
-  // Filter by date range
-  if (startDate) {
-    entries = entries.filter(e => e.timestamp >= startDate);
+export function logImportedWaste(entries) {
+  return store.transaction(() => entries.map(entry => logWaste({ ...entry, source: 'import' })));
+}
+
+// Location filter from a query string as a store filter: absent or "all" means every
+// location, "unassigned" means entries logged before locations existed
+function locationFilter(locationId) {
+  if (locationId === undefined || locationId === null || locationId === '' || locationId === 'all') {
+    return {};
+  }
+  if (locationId === 'unassigned') {
+    return { location_id: null };
   }
+  return { location_id: Number(locationId) };
+}
 
-  if (endDate) {
-    entries = entries.filter(e => e.timestamp <= endDate);
-  }
-
-  // Sort by timestamp descending and limit
-  entries = entries
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-    .slice(0, limit);
-
-  // Get items for each entry
-  return entries.map(entry => {
-    const items = data.items
-      .filter(item => item.waste_entry_id === entry.id)
-      .map(item => ({
-        id: item.id,
-        name: item.name,
-        category: item.category,
-        estimatedAmount: item.estimated_amount,
-        condition: item.condition,
-        estimatedValue: item.estimated_value
-      }));
+// The same filter for records already loaded
+function filterByLocation(entries, locationId) {
+  const filter = locationFilter(locationId);
+  if (!('location_id' in filter)) return entries;
+  return entries.filter(e => (e.location_id ?? null) === filter.location_id);
+}
 
-    return {
-      ...entry,
-      items
-    };
-  });
+// Newest first; limit and offset page through the history
+export function getWasteHistory(options = {}) {
+  const { limit = 50, offset = 0, startDate, endDate, locationId } = options;
+  const impactFactors = store.all('impact_factors');
+
+  return activeEntries({
+    locationId,
+    startDate,
+    endDate,
+    order: { field: 'timestamp', desc: true },
+    limit,
+    offset
+  }).map(entry => getEntryWithItems(entry, impactFactors));
 }
 
-export function getWasteStats() {
+export function getWasteStats(options = {}) {
+  const { locationId } = options;
   const stats = {};
 
   // Overall stats
-  const entries = data.entries;
+  const everyEntry = activeEntries();
+  const entries = filterByLocation(everyEntry, locationId);
+  const entryIds = new Set(entries.map(e => e.id));
+  const everyItem = store.all('items');
+  const allItems = everyItem.filter(item => entryIds.has(item.waste_entry_id));
   const totalValue = entries.reduce((sum, e) => sum + (e.total_estimated_value || 0), 0);
   const avgValue = entries.length > 0 ? totalValue / entries.length : 0;
 
+  // Weights in grams; entries whose amounts state no weight are left out of the sums
+  const itemsByEntry = new Map();
+  everyItem.forEach(item => {
+    if (!itemsByEntry.has(item.waste_entry_id)) itemsByEntry.set(item.waste_entry_id, []);
+    itemsByEntry.get(item.waste_entry_id).push(item);
+  });
+  const entryWeights = new Map(everyEntry.map(e => [e.id, getEntryWeightGrams(e, itemsByEntry.get(e.id) || [])]));
+  const weighedEntries = entries.filter(e => entryWeights.get(e.id) != null);
+  const totalWeight = weighedEntries.reduce((sum, e) => sum + entryWeights.get(e.id), 0);
+
+  // Carbon and water footprints; items without a weight have none
+  const impactFactors = store.all('impact_factors');
+  const entryImpacts = new Map(everyEntry.map(e => [e.id, sumImpact(itemsByEntry.get(e.id) || [], impactFactors)]));
+  const totalImpact = sumImpact(allItems, impactFactors);
+
   stats.overall = {
     total_entries: entries.length,
     total_value: totalValue,
-    avg_value: avgValue
+    avg_value: avgValue,
+    total_weight_grams: totalWeight,
+    avg_weight_grams: weighedEntries.length > 0 ? totalWeight / weighedEntries.length : 0,
+    weighed_entries: weighedEntries.length,
+    measured_entries: entries.filter(e => e.weight_source === 'measured').length,
+    total_portions: allItems.reduce((sum, item) => sum + (itemQuantity(item)?.portions || 0), 0),
+    total_co2e_kg: totalImpact?.co2e_kg || 0,
+    total_water_litres: totalImpact?.water_litres || 0
+  };
+
+  const catalogById = new Map(store.all('catalog_items').map(c => [c.id, c]));
+
+  // Disposition breakdown by item weight; items follow their entry unless they
+  // were routed separately. The diversion rate is the share of the weight with a
+  // known disposition that stayed out of landfill.
+  const entriesById = new Map(entries.map(e => [e.id, e]));
+  const dispositionCounts = {};
+  allItems.forEach(item => {
+    const disposition = effectiveDisposition(item, entriesById.get(item.waste_entry_id)) || 'unspecified';
+    if (!dispositionCounts[disposition]) {
+      dispositionCounts[disposition] = {
+        disposition,
+        diverted: isDiverted(disposition),
+        frequency: 0,
+        total_value: 0,
+        total_weight_grams: 0
+      };
+    }
+    dispositionCounts[disposition].frequency++;
+    dispositionCounts[disposition].total_value += item.estimated_value || 0;
+    dispositionCounts[disposition].total_weight_grams += itemQuantity(item)?.grams || 0;
+  });
+
+  stats.dispositionStats = Object.values(dispositionCounts)
+    .sort((a, b) => b.total_weight_grams - a.total_weight_grams || b.frequency - a.frequency);
+
+  const knownDispositions = stats.dispositionStats.filter(d => d.disposition !== 'unspecified');
+  const knownWeight = knownDispositions.reduce((sum, d) => sum + d.total_weight_grams, 0);
+  const divertedWeight = knownDispositions.filter(d => d.diverted).reduce((sum, d) => sum + d.total_weight_grams, 0);
+  stats.overall.diverted_weight_grams = divertedWeight;
+  stats.overall.diversion_rate = knownWeight > 0 ? divertedWeight / knownWeight : null;
+
+  // Waste streams per entry, with the items wasted most by value in each; entries
+  // analysed before streams existed are 'unclassified'
+  const streamCounts = {};
+  entries.forEach(entry => {
+    const stream = entry.waste_stream || 'unclassified';
+    if (!streamCounts[stream]) {
+      streamCounts[stream] = {
+        waste_stream: stream,
+        entries: 0,
+        confirmed_entries: 0,
+        total_value: 0,
+        total_weight_grams: 0,
+        co2e_kg: 0,
+        items: {}
+      };
+    }
+    const streamStat = streamCounts[stream];
+    streamStat.entries++;
+    if (entry.waste_stream_confirmed_at) streamStat.confirmed_entries++;
+    streamStat.total_value += entry.total_estimated_value || 0;
+    streamStat.total_weight_grams += entryWeights.get(entry.id) || 0;
+    streamStat.co2e_kg += entryImpacts.get(entry.id)?.co2e_kg || 0;
+    (itemsByEntry.get(entry.id) || []).forEach(item => {
+      const catalogItem = catalogById.get(item.catalog_item_id);
+      const name = catalogItem ? catalogItem.name : item.name;
+      const key = catalogItem ? `catalog:${catalogItem.id}` : `name:${normalizeName(item.name)}`;
+      streamStat.items[key] = streamStat.items[key] || { name, frequency: 0, total_value: 0 };
+      streamStat.items[key].frequency++;
+      streamStat.items[key].total_value += item.estimated_value || 0;
+    });
+  });
+
+  stats.streamStats = Object.values(streamCounts)
+    .map(({ items, ...streamStat }) => ({
+      ...streamStat,
+      share_of_value: totalValue > 0 ? streamStat.total_value / totalValue : 0,
+      top_items: Object.values(items).sort((a, b) => b.total_value - a.total_value).slice(0, 3)
+    }))
+    .sort((a, b) => b.total_value - a.total_value);
+
+  // When and where in service the waste happens: meal periods and shifts, a weekday x
+  // meal period heatmap in the service time zone, and stations with their top items
+  const serviceSettings = getServiceSettings();
+  const periodCounts = {};
+  const shiftCounts = {};
+  const stationCounts = {};
+  const heatmapCells = {};
+  const bucket = (counts, key, fields) => {
+    if (!counts[key]) {
+      counts[key] = { ...fields, entries: 0, total_value: 0, total_weight_grams: 0 };
+    }
+    return counts[key];
+  };
+  const count = (counted, entry) => {
+    counted.entries++;
+    counted.total_value += entry.total_estimated_value || 0;
+    counted.total_weight_grams += entryWeights.get(entry.id) || 0;
   };
+  entries.forEach(entry => {
+    const { meal_period: mealPeriod, shift } = entryServicePeriod(entry, serviceSettings);
+    count(bucket(periodCounts, mealPeriod || 'unassigned', { meal_period: mealPeriod || 'unassigned' }), entry);
+    count(bucket(shiftCounts, shift || 'unassigned', { shift: shift || 'unassigned' }), entry);
+
+    const weekday = localTime(entry.timestamp, serviceSettings.timeZone)?.weekday;
+    if (mealPeriod && weekday != null && weekday >= 0) {
+      count(bucket(heatmapCells, `${weekday}|${mealPeriod}`, { weekday: WEEKDAYS[weekday], meal_period: mealPeriod }), entry);
+    }
+
+    const station = entry.station || 'unassigned';
+    const stationStat = bucket(stationCounts, station, { station, co2e_kg: 0, by_meal_period: {}, items: {} });
+    count(stationStat, entry);
+    stationStat.co2e_kg += entryImpacts.get(entry.id)?.co2e_kg || 0;
+    const periodKey = mealPeriod || 'unassigned';
+    stationStat.by_meal_period[periodKey] = (stationStat.by_meal_period[periodKey] || 0) + (entry.total_estimated_value || 0);
+    (itemsByEntry.get(entry.id) || []).forEach(item => {
+      const catalogItem = catalogById.get(item.catalog_item_id);
+      const key = catalogItem ? `catalog:${catalogItem.id}` : `name:${normalizeName(item.name)}`;
+      stationStat.items[key] = stationStat.items[key] || { name: catalogItem ? catalogItem.name : item.name, frequency: 0, total_value: 0 };
+      stationStat.items[key].frequency++;
+      stationStat.items[key].total_value += item.estimated_value || 0;
+    });
+  });
+
+  const servicePeriodOrder = [...MEAL_PERIODS, 'unassigned'];
+  stats.mealPeriodStats = Object.values(periodCounts)
+    .sort((a, b) => servicePeriodOrder.indexOf(a.meal_period) - servicePeriodOrder.indexOf(b.meal_period));
+  const shiftOrder = [...serviceSettings.shifts.map(window => window.name), 'unassigned'];
+  stats.shiftStats = Object.values(shiftCounts)
+    .sort((a, b) => shiftOrder.indexOf(a.shift) - shiftOrder.indexOf(b.shift));
+  stats.serviceHeatmap = {
+    weekdays: WEEKDAYS,
+    meal_periods: MEAL_PERIODS,
+    time_zone: serviceSettings.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    cells: Object.values(heatmapCells)
+  };
+  stats.stationStats = Object.values(stationCounts)
+    .map(({ items, ...stationStat }) => ({
+      ...stationStat,
+      top_items: Object.values(items).sort((a, b) => b.total_value - a.total_value).slice(0, 3)
+    }))
+    .sort((a, b) => b.total_value - a.total_value);
 
-  // Top wasted items
+  // Top wasted items, grouped by canonical catalog item so name variants count together
   const itemCounts = {};
-  data.items.forEach(item => {
-    if (!itemCounts[item.name]) {
-      itemCounts[item.name] = {
-        name: item.name,
-        category: item.category,
+  allItems.forEach(item => {
+    const catalogItem = catalogById.get(item.catalog_item_id);
+    const key = catalogItem ? `catalog:${catalogItem.id}` : `name:${normalizeName(item.name)}`;
+    if (!itemCounts[key]) {
+      itemCounts[key] = {
+        name: catalogItem ? catalogItem.name : item.name,
+        category: catalogItem ? catalogItem.category : item.category,
+        catalog_item_id: catalogItem ? catalogItem.id : null,
         frequency: 0,
         total_value: 0,
+        total_weight_grams: 0,
         values: []
       };
     }
-    itemCounts[item.name].frequency++;
-    itemCounts[item.name].total_value += item.estimated_value || 0;
-    itemCounts[item.name].values.push(item.estimated_value || 0);
+    itemCounts[key].frequency++;
+    itemCounts[key].total_value += item.estimated_value || 0;
+    itemCounts[key].total_weight_grams += itemQuantity(item)?.grams || 0;
+    itemCounts[key].values.push(item.estimated_value || 0);
   });
 
   stats.topItems = Object.values(itemCounts)
@@ -199,39 +661,189 @@ export function getWasteStats() {
       dailyMap[date] = {
         date,
         entries: 0,
-        total_value: 0
+        total_value: 0,
+        total_weight_grams: 0,
+        co2e_kg: 0,
+        water_litres: 0
       };
     }
     dailyMap[date].entries++;
     dailyMap[date].total_value += entry.total_estimated_value || 0;
+    dailyMap[date].total_weight_grams += entryWeights.get(entry.id) || 0;
+    dailyMap[date].co2e_kg += entryImpacts.get(entry.id)?.co2e_kg || 0;
+    dailyMap[date].water_litres += entryImpacts.get(entry.id)?.water_litres || 0;
   });
 
   stats.dailyStats = Object.values(dailyMap)
     .sort((a, b) => new Date(b.date) - new Date(a.date));
 
+  // Waste relative to business volume. Only days and locations with covers (or an
+  // item's production) recorded are compared, so gaps in the POS data do not inflate
+  // the ratios; waste is dated in the service time zone like the covers.
+  const volumeKey = (date, locationId) => `${date}|${locationId ?? ''}`;
+  const entryDates = new Map(entries.map(e => [e.id, localDate(e.timestamp, serviceSettings.timeZone)]));
+  const coversByDay = new Map();
+  store.query('covers', { filter: locationFilter(locationId) }).forEach(record => {
+    coversByDay.set(volumeKey(record.date, record.location_id), record);
+  });
+  const coverDays = {};
+  entries.forEach(entry => {
+    const record = coversByDay.get(volumeKey(entryDates.get(entry.id), entry.location_id));
+    if (!record) return;
+    const day = coverDays[record.date] || (coverDays[record.date] = { date: record.date, covers: 0, total_value: 0, total_weight_grams: 0 });
+    day.total_value += entry.total_estimated_value || 0;
+    day.total_weight_grams += entryWeights.get(entry.id) || 0;
+  });
+  coversByDay.forEach(record => {
+    const day = coverDays[record.date] || (coverDays[record.date] = { date: record.date, covers: 0, total_value: 0, total_weight_grams: 0 });
+    day.covers += record.covers;
+  });
+  const coverTotals = Object.values(coverDays).reduce((sum, day) => ({
+    covers: sum.covers + day.covers,
+    value: sum.value + day.total_value,
+    grams: sum.grams + day.total_weight_grams
+  }), { covers: 0, value: 0, grams: 0 });
+  stats.overall.total_covers = coverTotals.covers;
+  stats.overall.waste_value_per_cover = coverTotals.covers > 0 ? coverTotals.value / coverTotals.covers : null;
+  stats.overall.waste_grams_per_cover = coverTotals.covers > 0 ? coverTotals.grams / coverTotals.covers : null;
+  const recentCoverDate = localDate(thirtyDaysAgo, serviceSettings.timeZone);
+  stats.coverStats = Object.values(coverDays)
+    .filter(day => day.date >= recentCoverDate)
+    .map(day => ({
+      ...day,
+      value_per_cover: day.covers > 0 ? day.total_value / day.covers : null,
+      grams_per_cover: day.covers > 0 ? day.total_weight_grams / day.covers : null
+    }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  // Share of the produced portions wasted, per item; wasted items are counted in portions,
+  // so items whose amounts give only a weight are reported but cannot be compared
+  const productionItemKey = (catalogItemId, name) => (catalogById.has(catalogItemId) ? `catalog:${catalogItemId}` : `name:${normalizeName(name)}`);
+  const productionByDay = new Map();
+  const productionCounts = {};
+  store.query('production', { filter: locationFilter(locationId) }).forEach(record => {
+    const itemKey = productionItemKey(record.catalog_item_id, record.name);
+    productionByDay.set(`${volumeKey(record.date, record.location_id)}|${itemKey}`, itemKey);
+    if (!productionCounts[itemKey]) {
+      productionCounts[itemKey] = {
+        name: catalogById.get(record.catalog_item_id)?.name || record.name,
+        catalog_item_id: catalogById.has(record.catalog_item_id) ? record.catalog_item_id : null,
+        days: 0,
+        portions_produced: 0,
+        portions_wasted: 0,
+        wasted_items_without_portions: 0
+      };
+    }
+    productionCounts[itemKey].days++;
+    productionCounts[itemKey].portions_produced += record.portions;
+  });
+  entries.forEach(entry => {
+    (itemsByEntry.get(entry.id) || []).forEach(item => {
+      const itemKey = productionByDay.get(`${volumeKey(entryDates.get(entry.id), entry.location_id)}|${productionItemKey(item.catalog_item_id, item.name)}`);
+      if (!itemKey) return;
+      const portions = itemQuantity(item)?.portions;
+      if (portions != null) {
+        productionCounts[itemKey].portions_wasted += portions;
+      } else {
+        productionCounts[itemKey].wasted_items_without_portions++;
+      }
+    });
+  });
+  stats.productionStats = Object.values(productionCounts)
+    .map(production => ({
+      ...production,
+      percent_wasted: production.portions_produced > 0 ? (production.portions_wasted / production.portions_produced) * 100 : null
+    }))
+    .sort((a, b) => (b.percent_wasted ?? -1) - (a.percent_wasted ?? -1));
+  const producedPortions = stats.productionStats.reduce((sum, p) => sum + p.portions_produced, 0);
+  const wastedProducedPortions = stats.productionStats.reduce((sum, p) => sum + p.portions_wasted, 0);
+  stats.overall.produced_portions = producedPortions;
+  stats.overall.wasted_produced_portions = wastedProducedPortions;
+  stats.overall.percent_produced_wasted = producedPortions > 0 ? (wastedProducedPortions / producedPortions) * 100 : null;
+
   // Category breakdown
   const categoryCounts = {};
-  data.items.forEach(item => {
+  allItems.forEach(item => {
     const cat = item.category || 'unknown';
     if (!categoryCounts[cat]) {
       categoryCounts[cat] = {
         category: cat,
         frequency: 0,
-        total_value: 0
+        total_value: 0,
+        total_weight_grams: 0,
+        co2e_kg: 0,
+        water_litres: 0
       };
     }
     categoryCounts[cat].frequency++;
     categoryCounts[cat].total_value += item.estimated_value || 0;
+    categoryCounts[cat].total_weight_grams += itemQuantity(item)?.grams || 0;
+    const impact = itemImpact(item, impactFactors);
+    categoryCounts[cat].co2e_kg += impact?.co2e_kg || 0;
+    categoryCounts[cat].water_litres += impact?.water_litres || 0;
   });
 
   stats.categoryStats = Object.values(categoryCounts)
     .sort((a, b) => b.total_value - a.total_value);
 
+  // Cross-location comparison, always over every location regardless of the filter
+  const locationNames = new Map(store.all('locations').map(l => [l.id, l.name]));
+  const locationMap = {};
+  everyEntry.forEach(entry => {
+    const key = entry.location_id ?? 'unassigned';
+    if (!locationMap[key]) {
+      locationMap[key] = {
+        location_id: entry.location_id ?? null,
+        name: entry.location_id == null ? 'Unassigned' : locationNames.get(entry.location_id) || `Location #${entry.location_id}`,
+        entries: 0,
+        total_value: 0,
+        total_weight_grams: 0,
+        co2e_kg: 0
+      };
+    }
+    locationMap[key].entries++;
+    locationMap[key].total_value += entry.total_estimated_value || 0;
+    locationMap[key].total_weight_grams += entryWeights.get(entry.id) || 0;
+    locationMap[key].co2e_kg += entryImpacts.get(entry.id)?.co2e_kg || 0;
+  });
+
+  stats.locationStats = Object.values(locationMap)
+    .map(loc => ({ ...loc, avg_value: loc.entries > 0 ? loc.total_value / loc.entries : 0 }))
+    .sort((a, b) => b.total_value - a.total_value);
+
   return stats;
 }
 
-export function getSuggestions() {
-  const stats = getWasteStats();
+// Each waste stream calls for a different fix
+const STREAM_SUGGESTIONS = {
+  prep: {
+    label: 'Prep trim',
+    type: 'prep_yield',
+    title: 'Improve trim yields',
+    action: 'Review cutting specs and knife skills, buy pre-cut where trim is high, and use trim in stocks, sauces or staff meals.'
+  },
+  spoilage: {
+    label: 'Spoilage',
+    type: 'ordering',
+    title: 'Order smaller quantities more often',
+    action: 'Lower par levels and order sizes, tighten FIFO rotation and date labels, and check storage temperatures.'
+  },
+  overproduction: {
+    label: 'Overproduction',
+    type: 'production_planning',
+    title: 'Cook closer to demand',
+    action: 'Forecast from covers and past sales, cook in smaller batches through service, and plan how unsold food is reused or donated.'
+  },
+  plate: {
+    label: 'Plate waste',
+    type: 'portion_adjustment',
+    title: 'Adjust portion sizes',
+    action: 'Reduce default portions, offer half portions or sides on request, and ask guests about dishes that keep coming back.'
+  }
+};
+
+export function getSuggestions(options = {}) {
+  const stats = getWasteStats(options);
   const suggestions = [];
 
   // Analyze top wasted items
@@ -263,6 +875,35 @@ export function getSuggestions() {
     });
   }
 
+  // Stream-specific suggestions for streams that make up a real share of the waste
+  stats.streamStats
+    .filter(stream => STREAM_SUGGESTIONS[stream.waste_stream] && stream.entries >= 3 && stream.share_of_value >= 0.15)
+    .forEach(stream => {
+      const rule = STREAM_SUGGESTIONS[stream.waste_stream];
+      const names = stream.top_items.map(item => item.name).join(', ');
+      suggestions.push({
+        type: rule.type,
+        priority: stream.share_of_value >= 0.4 ? 'high' : 'medium',
+        title: names ? `${rule.title} for ${names}` : rule.title,
+        description: `${rule.label} is ${Math.round(stream.share_of_value * 100)}% of wasted value ($${stream.total_value.toFixed(2)} over ${stream.entries} entries)${names ? `, mostly ${names}` : ''}. ${rule.action}`,
+        estimatedSavings: `Up to $${(stream.total_value * 0.3).toFixed(2)} per period`,
+        wasteStream: stream.waste_stream
+      });
+    });
+
+  const unconfirmed = stats.streamStats
+    .filter(stream => stream.waste_stream !== 'unclassified')
+    .reduce((sum, stream) => sum + stream.entries - stream.confirmed_entries, 0);
+  if (unconfirmed >= 5) {
+    suggestions.push({
+      type: 'data_quality',
+      priority: 'low',
+      title: 'Confirm the suggested waste streams',
+      description: `${unconfirmed} entries still carry the AI's waste stream suggestion. Confirming them in the waste history keeps the stream-specific advice accurate.`,
+      estimatedSavings: 'Better targeted suggestions'
+    });
+  }
+
   // Daily trend suggestions
   if (stats.dailyStats && stats.dailyStats.length > 0) {
     const avgDaily = stats.dailyStats.reduce((sum, day) => sum + day.total_value, 0) / stats.dailyStats.length;
@@ -297,45 +938,1344 @@ export function getSuggestions() {
 
 export function findEntryByImageHash(imageHash) {
   if (!imageHash) return null;
-  const entries = [...data.entries]
-    .filter(e => e.image_hash === imageHash)
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const entries = store.query('entries', {
+    filter: { image_hash: imageHash, deleted_at: null },
+    order: { field: 'timestamp', desc: true },
+    limit: 1
+  });
   if (entries.length === 0) return null;
-  const entry = entries[0];
-  const items = data.items
-    .filter(item => item.waste_entry_id === entry.id)
-    .map(item => ({
-      id: item.id,
-      name: item.name,
-      category: item.category,
-      estimatedAmount: item.estimated_amount,
-      condition: item.condition,
-      estimatedValue: item.estimated_value
-    }));
-  return { ...entry, items };
+  return getEntryWithItems(entries[0]);
+}
+
+function trashChanges(actor, batchId = null) {
+  return {
+    deleted_at: new Date().toISOString(),
+    deleted_by: actorRef(actor),
+    // Set when the entry went out with a "clear all", so the whole batch can be restored together
+    deletion_batch: batchId
+  };
+}
+
+const RESTORED = { deleted_at: null, deleted_by: null, deletion_batch: null };
+
+export function deleteEntryById(entryId, actor = null) {
+  const entry = getActiveEntry(entryId);
+  if (!entry) {
+    return { success: false, notFound: true, message: `Entry #${Number(entryId)} not found` };
+  }
+  store.transaction(() => {
+    store.update('entries', entry.id, trashChanges(actor));
+    recordAudit('delete', 'entry', entry.id, { actor, before: getEntryWithItems(entry) });
+  });
+  return { success: true, message: `Entry #${entry.id} moved to the trash` };
+}
+
+export function clearAllWasteData(actor = null) {
+  const entries = activeEntries();
+  const batchId = randomUUID();
+  store.transaction(() => {
+    const changes = trashChanges(actor, batchId);
+    entries.forEach(entry => store.update('entries', entry.id, changes));
+    // The entries themselves stay in the trash, so the log only records which ones went
+    recordAudit('clear', 'entry', null, {
+      actor,
+      details: { batch_id: batchId, entry_ids: entries.map(e => e.id) }
+    });
+  });
+  return {
+    success: true,
+    message: `${entries.length} entries moved to the trash`,
+    batchId,
+    count: entries.length
+  };
+}
+
+export function getTrash(options = {}) {
+  const { limit = 100, locationId } = options;
+  const impactFactors = store.all('impact_factors');
+  return store.query('entries', {
+    filter: locationFilter(locationId),
+    notNull: ['deleted_at'],
+    order: { field: 'deleted_at', desc: true },
+    limit
+  }).map(entry => getEntryWithItems(entry, impactFactors));
+}
+
+export function restoreEntry(entryId, actor = null) {
+  const entry = store.get('entries', entryId);
+  if (!entry || !isTrashed(entry)) {
+    return { success: false, notFound: true, message: `Entry #${Number(entryId)} is not in the trash` };
+  }
+  const restored = store.transaction(() => {
+    const restored = store.update('entries', entry.id, RESTORED);
+    recordAudit('restore', 'entry', entry.id, { actor, before: entry, after: restored });
+    return restored;
+  });
+  return { success: true, message: `Entry #${entry.id} restored`, entry: getEntryWithItems(restored) };
+}
+
+// Undoes a "clear all" in one go
+export function restoreDeletionBatch(batchId, actor = null) {
+  const entries = store.find('entries', { deletion_batch: batchId }).filter(isTrashed);
+  if (entries.length === 0) {
+    return { success: false, notFound: true, message: `No trashed entries from batch ${batchId}` };
+  }
+  store.transaction(() => {
+    entries.forEach(entry => store.update('entries', entry.id, RESTORED));
+    recordAudit('restore', 'entry', null, {
+      actor,
+      details: { batch_id: batchId, entry_ids: entries.map(e => e.id) }
+    });
+  });
+  return { success: true, message: `${entries.length} entries restored`, count: entries.length };
 }
 
-export function deleteEntryById(entryId) {
-  const id = Number(entryId);
-  const index = data.entries.findIndex(e => e.id === id);
-  if (index === -1) {
-    return { success: false, message: `Entry #${id} not found` };
+// Permanently removes everything in the trash
+export function purgeTrash(actor = null) {
+  const entries = store.query('entries', { notNull: ['deleted_at'] });
+  store.transaction(() => {
+    entries.forEach(entry => {
+      store.removeWhere('items', { waste_entry_id: entry.id });
+      store.remove('entries', entry.id);
+    });
+    recordAudit('purge', 'entry', null, { actor, details: { entry_ids: entries.map(e => e.id) } });
+  });
+  return { success: true, message: `${entries.length} entries permanently deleted`, count: entries.length };
+}
+
+// Manual corrections. AI-detected values are snapshotted on the first edit
+// (ai_original on items, ai_total_estimated_value / removed_ai_items on the
+// entry) so model accuracy can be measured against the human values later.
+
+const ITEM_FIELDS = {
+  name: 'name',
+  category: 'category',
+  estimatedAmount: 'estimated_amount',
+  condition: 'condition',
+  estimatedValue: 'estimated_value'
+};
+
+function validateItemChanges(changes, { requireName = false } = {}) {
+  if (!changes || typeof changes !== 'object') {
+    return 'Request body must be an object';
+  }
+  if ('name' in changes || requireName) {
+    if (typeof changes.name !== 'string' || !changes.name.trim()) {
+      return 'Item name is required';
+    }
+  }
+  if ('category' in changes && !ITEM_CATEGORIES.includes(changes.category)) {
+    return `Invalid category "${changes.category}". Expected one of: ${ITEM_CATEGORIES.join(', ')}`;
+  }
+  if ('condition' in changes && !ITEM_CONDITIONS.includes(changes.condition)) {
+    return `Invalid condition "${changes.condition}". Expected one of: ${ITEM_CONDITIONS.join(', ')}`;
+  }
+  if ('estimatedAmount' in changes && typeof changes.estimatedAmount !== 'string') {
+    return 'estimatedAmount must be a string';
   }
-  // Remove items for this entry
-  data.items = data.items.filter(item => item.waste_entry_id !== id);
-  // Remove the entry itself
-  data.entries.splice(index, 1);
-  saveData();
-  return { success: true, message: `Entry #${id} deleted` };
+  if ('disposition' in changes) {
+    const invalid = validateDisposition(changes.disposition);
+    if (invalid) return invalid;
+  }
+  if ('estimatedValue' in changes) {
+    const value = Number(changes.estimatedValue);
+    if (changes.estimatedValue === '' || changes.estimatedValue === null || !Number.isFinite(value) || value < 0) {
+      return 'estimatedValue must be a non-negative number';
+    }
+  }
+  return null;
+}
+
+// null clears the disposition (items then follow their entry)
+function validateDisposition(value) {
+  if (value === null || normalizeDisposition(value)) return null;
+  return `Invalid disposition "${value}". Expected one of: ${DISPOSITIONS.join(', ')}`;
 }
 
-export function clearAllWasteData() {
-  data = {
-    entries: [],
-    items: [],
-    nextEntryId: 1,
-    nextItemId: 1
+function snapshotItem(item) {
+  return {
+    name: item.name,
+    category: item.category,
+    estimated_amount: item.estimated_amount,
+    condition: item.condition,
+    estimated_value: item.estimated_value
   };
-  saveData();
-  return { success: true, message: 'All waste data cleared' };
-}
\ No newline at end of file
+}
+
+function actorRef(actor) {
+  return actor ? { id: actor.id, username: actor.username } : null;
+}
+
+function markEntryCorrected(entry, extraChanges = {}, actor = null) {
+  const items = store.find('items', { waste_entry_id: entry.id });
+  const total = Math.round(items.reduce((sum, item) => sum + (item.estimated_value || 0), 0) * 100) / 100;
+  const weightQuantity = 'weight_quantity' in extraChanges
+    ? extraChanges.weight_quantity
+    : entry.weight_quantity !== undefined ? entry.weight_quantity : parseQuantity(entry.estimated_weight);
+  return store.update('entries', entry.id, {
+    ...extraChanges,
+    ai_total_estimated_value: entry.ai_total_estimated_value ?? entry.total_estimated_value,
+    total_estimated_value: total,
+    weight_grams: entry.measured_weight ? entry.measured_weight.grams : entryWeightGrams(items, weightQuantity),
+    corrected_at: new Date().toISOString(),
+    corrected_by: actorRef(actor)
+  });
+}
+
+// Entry fields that classify the waste rather than correct what the AI saw
+const ROUTING_FIELDS = ['disposition', 'wasteStream', 'mealPeriod', 'shift', 'station'];
+
+// Meal period, shift and station as sent on uploads and entry edits; null clears them
+export function validateServicePeriod(fields) {
+  if (fields.mealPeriod != null && !MEAL_PERIODS.includes(fields.mealPeriod)) {
+    return `Invalid meal period "${fields.mealPeriod}". Expected one of: ${MEAL_PERIODS.join(', ')}`;
+  }
+  if (fields.shift != null) {
+    const shifts = getServiceSettings().shifts.map(window => window.name);
+    if (!shifts.includes(fields.shift)) {
+      return `Invalid shift "${fields.shift}". Expected one of: ${shifts.join(', ')}`;
+    }
+  }
+  if (fields.station != null && (typeof fields.station !== 'string' || fields.station.length > 60)) {
+    return 'station must be a name of at most 60 characters';
+  }
+  return null;
+}
+
+export function updateEntry(entryId, changes = {}, actor = null) {
+  const entry = getActiveEntry(entryId);
+  if (!entry) {
+    return { success: false, notFound: true, message: `Entry #${entryId} not found` };
+  }
+  if ('notes' in changes && typeof changes.notes !== 'string') {
+    return { success: false, message: 'notes must be a string' };
+  }
+  if ('estimatedWeight' in changes && typeof changes.estimatedWeight !== 'string') {
+    return { success: false, message: 'estimatedWeight must be a string' };
+  }
+  if ('locationId' in changes && changes.locationId !== null && !store.get('locations', changes.locationId)) {
+    return { success: false, message: `Location #${changes.locationId} not found` };
+  }
+  const invalidDisposition = 'disposition' in changes ? validateDisposition(changes.disposition) : null;
+  if (invalidDisposition) {
+    return { success: false, message: invalidDisposition };
+  }
+  if ('wasteStream' in changes && !normalizeWasteStream(changes.wasteStream)) {
+    return { success: false, message: `Invalid waste stream "${changes.wasteStream}". Expected one of: ${WASTE_STREAMS.join(', ')}` };
+  }
+  const invalidServicePeriod = validateServicePeriod(changes);
+  if (invalidServicePeriod) {
+    return { success: false, message: invalidServicePeriod };
+  }
+
+  const entryChanges = {};
+  if ('notes' in changes) entryChanges.notes = changes.notes;
+  if ('estimatedWeight' in changes) {
+    entryChanges.estimated_weight = changes.estimatedWeight;
+    entryChanges.weight_quantity = parseQuantity(changes.estimatedWeight);
+  }
+  if ('locationId' in changes) entryChanges.location_id = changes.locationId === null ? null : Number(changes.locationId);
+  if ('disposition' in changes) entryChanges.disposition = changes.disposition === null ? null : normalizeDisposition(changes.disposition);
+  // Saving a stream, even the suggested one unchanged, confirms it
+  if ('wasteStream' in changes) {
+    entryChanges.waste_stream = normalizeWasteStream(changes.wasteStream);
+    entryChanges.waste_stream_confirmed_at = new Date().toISOString();
+    entryChanges.waste_stream_confirmed_by = actorRef(actor);
+  }
+  if ('mealPeriod' in changes) entryChanges.meal_period = changes.mealPeriod;
+  if ('shift' in changes) entryChanges.shift = changes.shift;
+  if ('station' in changes) entryChanges.station = normalizeStation(changes.station);
+  // Classifying where waste came from or went is not a correction of the analysis
+  const routingOnly = Object.keys(changes).every(key => ROUTING_FIELDS.includes(key));
+  const updated = store.transaction(() => {
+    const updated = routingOnly
+      ? store.update('entries', entry.id, entryChanges)
+      : markEntryCorrected(entry, entryChanges, actor);
+    recordAudit('update', 'entry', entry.id, { actor, before: entry, after: updated });
+    return updated;
+  });
+  return { success: true, message: `Entry #${entry.id} updated`, entry: getEntryWithItems(updated) };
+}
+
+export function updateItem(entryId, itemId, changes = {}, actor = null) {
+  const entry = getActiveEntry(entryId);
+  if (!entry) {
+    return { success: false, notFound: true, message: `Entry #${entryId} not found` };
+  }
+  const item = store.get('items', itemId);
+  if (!item || item.waste_entry_id !== entry.id) {
+    return { success: false, notFound: true, message: `Item #${itemId} not found on entry #${entry.id}` };
+  }
+  const invalid = validateItemChanges(changes);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  if ('catalogItemId' in changes && changes.catalogItemId !== null && !store.get('catalog_items', changes.catalogItemId)) {
+    return { success: false, message: `Catalog item #${changes.catalogItemId} not found` };
+  }
+
+  // Where an item went says nothing about what the AI saw, so routing it
+  // elsewhere is not counted as a correction
+  const routingOnly = Object.keys(changes).every(key => key === 'disposition');
+  const itemChanges = routingOnly ? {} : { corrected_at: new Date().toISOString(), corrected_by: actorRef(actor) };
+  if (!routingOnly && (item.source || 'ai') === 'ai' && !item.ai_original) {
+    itemChanges.ai_original = snapshotItem(item);
+  }
+  if ('disposition' in changes) {
+    itemChanges.disposition = changes.disposition === null ? null : normalizeDisposition(changes.disposition);
+  }
+  Object.entries(ITEM_FIELDS).forEach(([key, column]) => {
+    if (!(key in changes)) return;
+    if (key === 'estimatedValue') {
+      itemChanges[column] = Number(changes[key]);
+    } else if (typeof changes[key] === 'string') {
+      itemChanges[column] = changes[key].trim();
+    }
+  });
+  if ('estimated_amount' in itemChanges) {
+    itemChanges.quantity = parseQuantity(itemChanges.estimated_amount);
+  }
+  // An explicit catalogItemId pins the link; null hands it back to automatic matching
+  if ('catalogItemId' in changes && changes.catalogItemId !== null) {
+    itemChanges.catalog_item_id = Number(changes.catalogItemId);
+    itemChanges.catalog_match = { method: 'manual', score: null };
+  } else if ('catalogItemId' in changes || ('name' in itemChanges && item.catalog_match?.method !== 'manual')) {
+    Object.assign(itemChanges, catalogFields(itemChanges.name ?? item.name));
+  }
+  // A typed-in value is final; otherwise a changed item or amount is priced again
+  if ('estimatedValue' in changes) {
+    itemChanges.value_source = 'manual';
+    itemChanges.price_id = null;
+  } else if ('catalog_item_id' in itemChanges || 'estimated_amount' in itemChanges) {
+    Object.assign(itemChanges, repricedValue(
+      item,
+      itemChanges.catalog_item_id !== undefined ? itemChanges.catalog_item_id : item.catalog_item_id,
+      'quantity' in itemChanges ? itemChanges.quantity : itemQuantity(item),
+      entry.location_id
+    ));
+  }
+  if ('catalog_item_id' in itemChanges || 'category' in itemChanges || 'quantity' in itemChanges) {
+    itemChanges.impact = estimateImpact(
+      itemChanges.catalog_item_id !== undefined ? itemChanges.catalog_item_id : item.catalog_item_id,
+      itemChanges.category ?? item.category,
+      'quantity' in itemChanges ? itemChanges.quantity : itemQuantity(item)
+    );
+  }
+
+  const updated = store.transaction(() => {
+    const after = store.update('items', item.id, itemChanges);
+    recordAudit('update', 'item', item.id, { actor, before: item, after, details: { entry_id: entry.id } });
+    return routingOnly ? entry : markEntryCorrected(entry, {}, actor);
+  });
+  return { success: true, message: `Item #${item.id} updated`, entry: getEntryWithItems(updated) };
+}
+
+// Staff confirm or change the waste stream of entries they logged; anyEntry lets
+// managers do it for every entry
+export function confirmWasteStream(entryId, wasteStream, actor = null, { anyEntry = false } = {}) {
+  const entry = getActiveEntry(entryId);
+  if (!entry) {
+    return { success: false, notFound: true, message: `Entry #${entryId} not found` };
+  }
+  if (!anyEntry && entry.created_by?.id !== actor?.id) {
+    return { success: false, forbidden: true, message: 'Only the user who logged this entry or a manager can change its waste stream' };
+  }
+  if (wasteStream == null) {
+    return { success: false, message: `wasteStream is required. Expected one of: ${WASTE_STREAMS.join(', ')}` };
+  }
+  return updateEntry(entry.id, { wasteStream }, actor);
+}
+
+export function addItem(entryId, itemData = {}, actor = null) {
+  const entry = getActiveEntry(entryId);
+  if (!entry) {
+    return { success: false, notFound: true, message: `Entry #${entryId} not found` };
+  }
+  const invalid = validateItemChanges(itemData, { requireName: true });
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+
+  const now = new Date().toISOString();
+  const catalogLink = catalogFields(itemData.name);
+  const estimatedAmount = (itemData.estimatedAmount || '').trim();
+  const quantity = parseQuantity(estimatedAmount);
+  // Without a typed-in value, the price list's value when there is one
+  const value = 'estimatedValue' in itemData
+    ? {}
+    : repricedValue({ source: 'manual', estimated_value: 0 }, catalogLink.catalog_item_id, quantity, entry.location_id);
+  const newItem = {
+    waste_entry_id: entry.id,
+    name: itemData.name.trim(),
+    category: itemData.category || 'other',
+    estimated_amount: estimatedAmount,
+    quantity,
+    condition: itemData.condition || 'uncertain',
+    estimated_value: Number(itemData.estimatedValue) || 0,
+    // Items the AI missed; counted as false negatives when measuring accuracy
+    source: 'manual',
+    corrected_at: now,
+    corrected_by: actorRef(actor),
+    ...catalogLink,
+    value_source: 'manual',
+    price_id: null,
+    ...value,
+    disposition: itemData.disposition ? normalizeDisposition(itemData.disposition) : null,
+    impact: estimateImpact(catalogLink.catalog_item_id, itemData.category || 'other', quantity)
+  };
+
+  const { item, updated } = store.transaction(() => {
+    const item = store.insert('items', newItem);
+    recordAudit('create', 'item', item.id, { actor, after: item, details: { entry_id: entry.id } });
+    return { item, updated: markEntryCorrected(entry, {}, actor) };
+  });
+  return { success: true, message: `Item #${item.id} added`, entry: getEntryWithItems(updated) };
+}
+
+export function removeItem(entryId, itemId, actor = null) {
+  const entry = getActiveEntry(entryId);
+  if (!entry) {
+    return { success: false, notFound: true, message: `Entry #${entryId} not found` };
+  }
+  const item = store.get('items', itemId);
+  if (!item || item.waste_entry_id !== entry.id) {
+    return { success: false, notFound: true, message: `Item #${itemId} not found on entry #${entry.id}` };
+  }
+
+  // Keep what the AI originally reported for items removed as hallucinations
+  const entryChanges = {};
+  if ((item.source || 'ai') === 'ai') {
+    entryChanges.removed_ai_items = [
+      ...(entry.removed_ai_items || []),
+      { id: item.id, ...(item.ai_original || snapshotItem(item)), removed_at: new Date().toISOString(), removed_by: actorRef(actor) }
+    ];
+  }
+
+  const updated = store.transaction(() => {
+    store.remove('items', item.id);
+    recordAudit('delete', 'item', item.id, { actor, before: item, details: { entry_id: entry.id } });
+    return markEntryCorrected(entry, entryChanges, actor);
+  });
+  return { success: true, message: `Item #${item.id} removed`, entry: getEntryWithItems(updated) };
+}
+
+// Canonical item catalog. Every stored item is linked to a catalog item
+// (catalog_item_id) when its name matches the catalog name or an alias exactly or
+// fuzzily; unmatched names wait in the review queue until a manager maps them.
+
+function catalogThreshold() {
+  return Number(process.env.CATALOG_MATCH_THRESHOLD) || DEFAULT_MATCH_THRESHOLD;
+}
+
+function catalogFields(name, catalogItems = store.all('catalog_items')) {
+  const match = matchCatalogItem(name, catalogItems, catalogThreshold());
+  return {
+    catalog_item_id: match ? match.catalogItemId : null,
+    catalog_match: match ? { method: match.method, score: match.score } : null
+  };
+}
+
+// Re-runs matching for every item not linked by hand, after the catalog changes.
+// Relinked items are priced and their footprint estimated again, and the totals of
+// their entries follow.
+function relinkCatalogItems() {
+  const catalogItems = store.all('catalog_items');
+  const impactFactors = store.all('impact_factors');
+  const changedEntryIds = new Set();
+  let relinked = 0;
+  store.transaction(() => {
+    store.all('items').forEach(item => {
+      if (item.catalog_match?.method === 'manual' && catalogItems.some(c => c.id === item.catalog_item_id)) return;
+      const fields = catalogFields(item.name, catalogItems);
+      if (fields.catalog_item_id !== (item.catalog_item_id ?? null) || fields.catalog_match?.method !== item.catalog_match?.method) {
+        const entry = store.get('entries', item.waste_entry_id);
+        const quantity = itemQuantity(item);
+        store.update('items', item.id, {
+          ...fields,
+          ...repricedValue(item, fields.catalog_item_id, quantity, entry?.location_id ?? null),
+          impact: estimateImpact(fields.catalog_item_id, item.category, quantity, impactFactors)
+        });
+        changedEntryIds.add(item.waste_entry_id);
+        relinked++;
+      }
+    });
+    changedEntryIds.forEach(entryId => {
+      if (!store.get('entries', entryId)) return;
+      const items = store.find('items', { waste_entry_id: entryId });
+      const total = Math.round(items.reduce((sum, item) => sum + (item.estimated_value || 0), 0) * 100) / 100;
+      store.update('entries', entryId, { total_estimated_value: total });
+    });
+  });
+  return relinked;
+}
+
+// Catalog id for a free-text name, or null; used to align items across analyses
+export function matchItemName(name) {
+  return catalogFields(name).catalog_item_id;
+}
+
+function formatCatalogItem(catalogItem, itemCount = 0) {
+  return {
+    id: catalogItem.id,
+    name: catalogItem.name,
+    category: catalogItem.category,
+    aliases: catalogItem.aliases || [],
+    itemCount,
+    createdAt: catalogItem.created_at,
+    updatedAt: catalogItem.updated_at || null
+  };
+}
+
+function validateCatalogItem(changes, { requireName = false } = {}) {
+  if (!changes || typeof changes !== 'object') {
+    return 'Request body must be an object';
+  }
+  if ('name' in changes || requireName) {
+    if (typeof changes.name !== 'string' || !changes.name.trim()) {
+      return 'Catalog item name is required';
+    }
+  }
+  if ('category' in changes && !ITEM_CATEGORIES.includes(changes.category)) {
+    return `Invalid category "${changes.category}". Expected one of: ${ITEM_CATEGORIES.join(', ')}`;
+  }
+  if ('aliases' in changes) {
+    if (!Array.isArray(changes.aliases) || changes.aliases.some(alias => typeof alias !== 'string' || !alias.trim())) {
+      return 'aliases must be an array of non-empty strings';
+    }
+  }
+  return null;
+}
+
+function cleanAliases(name, aliases = []) {
+  const seen = new Set([normalizeName(name)]);
+  return aliases.map(alias => alias.trim()).filter(alias => {
+    const key = normalizeName(alias);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// A name or alias may belong to one catalog item only, or exact matching would be ambiguous
+function findCatalogConflict(names, exceptId = null) {
+  const keys = new Set(names.map(normalizeName));
+  for (const other of store.all('catalog_items')) {
+    if (other.id === exceptId) continue;
+    const taken = [other.name, ...(other.aliases || [])].find(name => keys.has(normalizeName(name)));
+    if (taken) return `"${taken}" already belongs to catalog item "${other.name}"`;
+  }
+  return null;
+}
+
+function catalogItemCounts() {
+  const counts = new Map();
+  store.all('items').forEach(item => {
+    if (item.catalog_item_id != null) counts.set(item.catalog_item_id, (counts.get(item.catalog_item_id) || 0) + 1);
+  });
+  return counts;
+}
+
+export function getCatalogItems() {
+  const counts = catalogItemCounts();
+  return store.all('catalog_items')
+    .map(catalogItem => formatCatalogItem(catalogItem, counts.get(catalogItem.id) || 0))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function createCatalogItem(data = {}, actor = null) {
+  const invalid = validateCatalogItem(data, { requireName: true });
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  const name = data.name.trim();
+  const aliases = cleanAliases(name, data.aliases);
+  const conflict = findCatalogConflict([name, ...aliases]);
+  if (conflict) {
+    return { success: false, message: conflict };
+  }
+
+  const { catalogItem, relinked } = store.transaction(() => {
+    const catalogItem = store.insert('catalog_items', {
+      name,
+      category: data.category || 'other',
+      aliases,
+      created_at: new Date().toISOString()
+    });
+    recordAudit('create', 'catalog_item', catalogItem.id, { actor, after: catalogItem });
+    return { catalogItem, relinked: relinkCatalogItems() };
+  });
+  return {
+    success: true,
+    message: `Catalog item #${catalogItem.id} created`,
+    catalogItem: formatCatalogItem(catalogItem, catalogItemCounts().get(catalogItem.id) || 0),
+    relinked
+  };
+}
+
+export function updateCatalogItem(catalogItemId, changes = {}, actor = null) {
+  const catalogItem = store.get('catalog_items', catalogItemId);
+  if (!catalogItem) {
+    return { success: false, notFound: true, message: `Catalog item #${catalogItemId} not found` };
+  }
+  const invalid = validateCatalogItem(changes);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  const name = 'name' in changes ? changes.name.trim() : catalogItem.name;
+  const aliases = cleanAliases(name, 'aliases' in changes ? changes.aliases : catalogItem.aliases);
+  const conflict = findCatalogConflict([name, ...aliases], catalogItem.id);
+  if (conflict) {
+    return { success: false, message: conflict };
+  }
+
+  const catalogChanges = { name, aliases, updated_at: new Date().toISOString() };
+  if ('category' in changes) catalogChanges.category = changes.category;
+
+  const { updated, relinked } = store.transaction(() => {
+    const updated = store.update('catalog_items', catalogItem.id, catalogChanges);
+    recordAudit('update', 'catalog_item', catalogItem.id, { actor, before: catalogItem, after: updated });
+    return { updated, relinked: relinkCatalogItems() };
+  });
+  return {
+    success: true,
+    message: `Catalog item #${catalogItem.id} updated`,
+    catalogItem: formatCatalogItem(updated, catalogItemCounts().get(updated.id) || 0),
+    relinked
+  };
+}
+
+export function deleteCatalogItem(catalogItemId, actor = null) {
+  const catalogItem = store.get('catalog_items', catalogItemId);
+  if (!catalogItem) {
+    return { success: false, notFound: true, message: `Catalog item #${catalogItemId} not found` };
+  }
+  const relinked = store.transaction(() => {
+    store.remove('catalog_items', catalogItem.id);
+    store.removeWhere('prices', { catalog_item_id: catalogItem.id });
+    store.removeWhere('impact_factors', { catalog_item_id: catalogItem.id });
+    recordAudit('delete', 'catalog_item', catalogItem.id, { actor, before: catalogItem });
+    // Linked items fall back to automatic matching against what is left
+    return relinkCatalogItems();
+  });
+  return { success: true, message: `Catalog item #${catalogItem.id} deleted`, relinked };
+}
+
+// Review queue: distinct unmatched item names with how often they occur and the
+// closest catalog items, so a manager can map them with one click
+export function getUnmatchedNames(options = {}) {
+  const { limit = 100 } = options;
+  const entriesById = new Map(activeEntries().map(e => [e.id, e]));
+  const catalogItems = store.all('catalog_items');
+  const groups = new Map();
+
+  store.all('items').forEach(item => {
+    const entry = entriesById.get(item.waste_entry_id);
+    if (!entry || item.catalog_item_id != null) return;
+    const key = normalizeName(item.name);
+    if (!key) return;
+    if (!groups.has(key)) {
+      groups.set(key, { name: item.name, variants: new Set(), count: 0, total_value: 0, last_seen: entry.timestamp });
+    }
+    const group = groups.get(key);
+    group.variants.add(item.name);
+    group.count++;
+    group.total_value += item.estimated_value || 0;
+    if (entry.timestamp > group.last_seen) group.last_seen = entry.timestamp;
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count || b.total_value - a.total_value)
+    .slice(0, limit)
+    .map(group => ({
+      ...group,
+      variants: [...group.variants],
+      suggestions: suggestCatalogItems(group.name, catalogItems)
+    }));
+}
+
+// Maps an unmatched name onto a catalog item by adding it as an alias
+export function resolveUnmatchedName(name, catalogItemId, actor = null) {
+  if (typeof name !== 'string' || !normalizeName(name)) {
+    return { success: false, message: 'name is required' };
+  }
+  const catalogItem = store.get('catalog_items', catalogItemId);
+  if (!catalogItem) {
+    return { success: false, notFound: true, message: `Catalog item #${catalogItemId} not found` };
+  }
+  return updateCatalogItem(catalogItem.id, { aliases: [...(catalogItem.aliases || []), name] }, actor);
+}
+
+// Price list: cost per kg or per portion of a catalog item, either for one
+// location or as the default for every location. Item values are computed from
+// these when an item is stored; the AI estimate is only the fallback.
+
+function formatPrice(price, catalogNames = new Map(), locationNames = new Map()) {
+  return {
+    id: price.id,
+    catalogItemId: price.catalog_item_id,
+    catalogItemName: catalogNames.get(price.catalog_item_id) || null,
+    locationId: price.location_id ?? null,
+    locationName: price.location_id == null ? null : locationNames.get(price.location_id) || null,
+    unit: price.unit,
+    cost: price.cost,
+    updatedAt: price.updated_at || price.created_at
+  };
+}
+
+// The location's own price first, then the default price for all locations
+function findPrice(catalogItemId, locationId) {
+  if (catalogItemId == null) return null;
+  const prices = store.find('prices', { catalog_item_id: catalogItemId });
+  return (locationId != null && prices.find(p => p.location_id === locationId))
+    || prices.find(p => p.location_id == null)
+    || null;
+}
+
+// { value, priceId } when a price exists and the quantity is stated in its unit
+function priceItem(catalogItemId, quantity, locationId) {
+  const price = findPrice(catalogItemId, locationId);
+  if (!price) return null;
+  const value = valueAtPrice(quantity, price);
+  return value == null ? null : { value, priceId: price.id };
+}
+
+// Value changes for an item whose catalog link or amount changed. Typed-in and
+// imported values stay; otherwise the price list wins, and a price-list value
+// without a price for the new link or amount falls back to the AI's estimate.
+function repricedValue(item, catalogItemId, quantity, locationId) {
+  if (item.value_source === 'manual' || item.value_source === 'import') return {};
+  const priced = priceItem(catalogItemId, quantity, locationId);
+  if (priced) {
+    const changes = { estimated_value: priced.value, value_source: 'price_list', price_id: priced.priceId };
+    // Kept for when the price stops applying
+    if (item.value_source !== 'price_list' && (item.source || 'ai') === 'ai') {
+      changes.ai_estimated_value = item.estimated_value;
+    }
+    return changes;
+  }
+  if (item.value_source === 'price_list') {
+    return {
+      estimated_value: item.ai_estimated_value ?? 0,
+      value_source: item.source === 'import' || item.source === 'manual' ? item.source : 'ai',
+      price_id: null
+    };
+  }
+  return {};
+}
+
+function validatePrice(changes, { requireAll = false } = {}) {
+  if (!changes || typeof changes !== 'object') {
+    return 'Request body must be an object';
+  }
+  if ('catalogItemId' in changes || requireAll) {
+    if (!store.get('catalog_items', changes.catalogItemId)) {
+      return `Catalog item #${changes.catalogItemId} not found`;
+    }
+  }
+  if ('locationId' in changes && changes.locationId != null && !store.get('locations', changes.locationId)) {
+    return `Location #${changes.locationId} not found`;
+  }
+  if ('unit' in changes || requireAll) {
+    if (!PRICE_UNITS.includes(changes.unit)) {
+      return `Invalid unit "${changes.unit}". Expected one of: ${PRICE_UNITS.join(', ')}`;
+    }
+  }
+  if ('cost' in changes || requireAll) {
+    const cost = Number(changes.cost);
+    if (changes.cost === '' || changes.cost === null || !Number.isFinite(cost) || cost < 0) {
+      return 'cost must be a non-negative number';
+    }
+  }
+  return null;
+}
+
+function isDuplicatePrice(catalogItemId, locationId, exceptId = null) {
+  return store.find('prices', { catalog_item_id: catalogItemId })
+    .some(p => p.id !== exceptId && (p.location_id ?? null) === locationId);
+}
+
+export function getPrices(options = {}) {
+  const { locationId } = options;
+  const catalogNames = new Map(store.all('catalog_items').map(c => [c.id, c.name]));
+  const locationNames = new Map(store.all('locations').map(l => [l.id, l.name]));
+  let prices = store.all('prices');
+  if (locationId !== undefined && locationId !== '') {
+    // A location sees its own prices plus the defaults
+    prices = prices.filter(p => p.location_id == null || p.location_id === Number(locationId));
+  }
+  return prices
+    .map(price => formatPrice(price, catalogNames, locationNames))
+    .sort((a, b) => (a.catalogItemName || '').localeCompare(b.catalogItemName || '') || (a.locationId ?? 0) - (b.locationId ?? 0));
+}
+
+export function createPrice(priceData = {}, actor = null) {
+  const invalid = validatePrice(priceData, { requireAll: true });
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  const catalogItemId = Number(priceData.catalogItemId);
+  const locationId = priceData.locationId == null ? null : Number(priceData.locationId);
+  if (isDuplicatePrice(catalogItemId, locationId)) {
+    return { success: false, message: 'A price for this item and location already exists; update it instead' };
+  }
+  const price = store.transaction(() => {
+    const price = store.insert('prices', {
+      catalog_item_id: catalogItemId,
+      location_id: locationId,
+      unit: priceData.unit,
+      cost: Number(priceData.cost),
+      created_at: new Date().toISOString()
+    });
+    recordAudit('create', 'price', price.id, { actor, after: price });
+    return price;
+  });
+  return { success: true, message: `Price #${price.id} created`, price: getPrices().find(p => p.id === price.id) };
+}
+
+export function updatePrice(priceId, changes = {}, actor = null) {
+  const price = store.get('prices', priceId);
+  if (!price) {
+    return { success: false, notFound: true, message: `Price #${priceId} not found` };
+  }
+  const invalid = validatePrice(changes);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  const priceChanges = { updated_at: new Date().toISOString() };
+  if ('catalogItemId' in changes) priceChanges.catalog_item_id = Number(changes.catalogItemId);
+  if ('locationId' in changes) priceChanges.location_id = changes.locationId == null ? null : Number(changes.locationId);
+  if ('unit' in changes) priceChanges.unit = changes.unit;
+  if ('cost' in changes) priceChanges.cost = Number(changes.cost);
+  if (isDuplicatePrice(priceChanges.catalog_item_id ?? price.catalog_item_id, priceChanges.location_id !== undefined ? priceChanges.location_id : price.location_id ?? null, price.id)) {
+    return { success: false, message: 'A price for this item and location already exists' };
+  }
+  store.transaction(() => {
+    const updated = store.update('prices', price.id, priceChanges);
+    recordAudit('update', 'price', price.id, { actor, before: price, after: updated });
+  });
+  return { success: true, message: `Price #${price.id} updated`, price: getPrices().find(p => p.id === price.id) };
+}
+
+export function deletePrice(priceId, actor = null) {
+  const price = store.get('prices', priceId);
+  if (!price) {
+    return { success: false, notFound: true, message: `Price #${priceId} not found` };
+  }
+  store.transaction(() => {
+    store.remove('prices', price.id);
+    recordAudit('delete', 'price', price.id, { actor, before: price });
+  });
+  return { success: true, message: `Price #${price.id} deleted` };
+}
+
+// Impact factors (kg CO2e and litres of water per kg of food). A factor set on a
+// catalog item wins over one set on the item's category, which wins over the
+// shipped default for the category (impact/impact.js).
+
+function formatImpactFactor(factor, catalogNames = new Map()) {
+  return {
+    id: factor.id ?? null,
+    category: factor.category ?? null,
+    catalogItemId: factor.catalog_item_id ?? null,
+    catalogItemName: catalogNames.get(factor.catalog_item_id) || null,
+    co2ePerKg: factor.co2e_per_kg,
+    waterLitresPerKg: factor.water_litres_per_kg,
+    // true for a category still on the shipped default
+    isDefault: factor.id == null,
+    updatedAt: factor.updated_at || factor.created_at || null
+  };
+}
+
+function findImpactFactor(catalogItemId, category, factors = store.all('impact_factors')) {
+  return (catalogItemId != null && factors.find(f => f.catalog_item_id === catalogItemId))
+    || factors.find(f => f.category === category)
+    || null;
+}
+
+// The footprint stored on an item when it is logged or corrected; changing a factor
+// later does not restate existing items
+function estimateImpact(catalogItemId, category, quantity, factors) {
+  const factor = findImpactFactor(catalogItemId, category, factors);
+  const impact = impactOfQuantity(quantity, factor || defaultImpactFactor(category));
+  if (!impact) return null;
+  return {
+    ...impact,
+    factor_source: !factor ? 'default' : factor.catalog_item_id != null ? 'catalog_item' : 'category',
+    factor_id: factor ? factor.id : null
+  };
+}
+
+function validateImpactFactor(changes, { requireAll = false } = {}) {
+  if (!changes || typeof changes !== 'object') {
+    return 'Request body must be an object';
+  }
+  if (requireAll) {
+    const hasCategory = changes.category != null;
+    const hasCatalogItem = changes.catalogItemId != null;
+    if (hasCategory === hasCatalogItem) {
+      return 'Set either category or catalogItemId';
+    }
+    if (hasCategory && !ITEM_CATEGORIES.includes(changes.category)) {
+      return `Invalid category "${changes.category}". Expected one of: ${ITEM_CATEGORIES.join(', ')}`;
+    }
+    if (hasCatalogItem && !store.get('catalog_items', changes.catalogItemId)) {
+      return `Catalog item #${changes.catalogItemId} not found`;
+    }
+  }
+  for (const field of ['co2ePerKg', 'waterLitresPerKg']) {
+    if (field in changes || requireAll) {
+      const value = Number(changes[field]);
+      if (changes[field] === '' || changes[field] == null || !Number.isFinite(value) || value < 0) {
+        return `${field} must be a non-negative number`;
+      }
+    }
+  }
+  return null;
+}
+
+// Every category (overridden or on its default) followed by the catalog item factors
+export function getImpactFactors() {
+  const catalogNames = new Map(store.all('catalog_items').map(c => [c.id, c.name]));
+  const factors = store.all('impact_factors');
+  const categories = ITEM_CATEGORIES.map(category =>
+    factors.find(f => f.category === category) || { category, ...defaultImpactFactor(category) }
+  );
+  const catalogFactors = factors
+    .filter(f => f.catalog_item_id != null)
+    .map(factor => formatImpactFactor(factor, catalogNames))
+    .sort((a, b) => (a.catalogItemName || '').localeCompare(b.catalogItemName || ''));
+  return [...categories.map(factor => formatImpactFactor(factor, catalogNames)), ...catalogFactors];
+}
+
+export function createImpactFactor(factorData = {}, actor = null) {
+  const invalid = validateImpactFactor(factorData, { requireAll: true });
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  const target = factorData.category != null
+    ? { category: factorData.category, catalog_item_id: null }
+    : { category: null, catalog_item_id: Number(factorData.catalogItemId) };
+  const exists = store.all('impact_factors').some(f => (target.category != null
+    ? f.category === target.category
+    : f.catalog_item_id === target.catalog_item_id));
+  if (exists) {
+    return { success: false, message: 'An impact factor for this category or item already exists; update it instead' };
+  }
+  const factor = store.transaction(() => {
+    const factor = store.insert('impact_factors', {
+      ...target,
+      co2e_per_kg: Number(factorData.co2ePerKg),
+      water_litres_per_kg: Number(factorData.waterLitresPerKg),
+      created_at: new Date().toISOString()
+    });
+    recordAudit('create', 'impact_factor', factor.id, { actor, after: factor });
+    return factor;
+  });
+  return { success: true, message: `Impact factor #${factor.id} created`, factor: getImpactFactors().find(f => f.id === factor.id) };
+}
+
+export function updateImpactFactor(factorId, changes = {}, actor = null) {
+  const factor = store.get('impact_factors', factorId);
+  if (!factor) {
+    return { success: false, notFound: true, message: `Impact factor #${factorId} not found` };
+  }
+  const invalid = validateImpactFactor(changes);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  const factorChanges = { updated_at: new Date().toISOString() };
+  if ('co2ePerKg' in changes) factorChanges.co2e_per_kg = Number(changes.co2ePerKg);
+  if ('waterLitresPerKg' in changes) factorChanges.water_litres_per_kg = Number(changes.waterLitresPerKg);
+  store.transaction(() => {
+    const updated = store.update('impact_factors', factor.id, factorChanges);
+    recordAudit('update', 'impact_factor', factor.id, { actor, before: factor, after: updated });
+  });
+  return { success: true, message: `Impact factor #${factor.id} updated`, factor: getImpactFactors().find(f => f.id === factor.id) };
+}
+
+// Deleting a category factor puts the category back on its shipped default
+export function deleteImpactFactor(factorId, actor = null) {
+  const factor = store.get('impact_factors', factorId);
+  if (!factor) {
+    return { success: false, notFound: true, message: `Impact factor #${factorId} not found` };
+  }
+  store.transaction(() => {
+    store.remove('impact_factors', factor.id);
+    recordAudit('delete', 'impact_factor', factor.id, { actor, before: factor });
+  });
+  return { success: true, message: `Impact factor #${factor.id} deleted` };
+}
+
+// Service windows, shifts and stations (see server/periods/periods.js); a single
+// settings record whose fields fall back to the shipped defaults
+function serviceSettingsRecord() {
+  return store.find('settings', { key: 'service' })[0] || null;
+}
+
+export function getServiceSettings() {
+  return { ...DEFAULT_SERVICE_SETTINGS, ...(serviceSettingsRecord()?.value || {}) };
+}
+
+// Windows and shifts apply to entries logged afterwards; existing entries keep theirs
+export function updateServiceSettings(changes = {}, actor = null) {
+  const invalid = validateServiceSettings(changes);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  const value = { ...(serviceSettingsRecord()?.value || {}) };
+  if ('timeZone' in changes) value.timeZone = changes.timeZone;
+  if ('mealPeriods' in changes) {
+    value.mealPeriods = changes.mealPeriods.map(({ mealPeriod, start, end }) => ({ mealPeriod, start: start.trim(), end: end.trim() }));
+  }
+  if ('shifts' in changes) {
+    value.shifts = changes.shifts.map(({ name, start, end }) => ({ name: name.trim(), start: start.trim(), end: end.trim() }));
+  }
+  if ('stations' in changes) value.stations = [...new Set(changes.stations.map(normalizeStation))];
+  store.transaction(() => {
+    const existing = serviceSettingsRecord();
+    const saved = existing
+      ? store.update('settings', existing.id, { value, updated_at: new Date().toISOString() })
+      : store.insert('settings', { key: 'service', value, updated_at: new Date().toISOString() });
+    recordAudit('update', 'settings', saved.id, { actor, before: existing, after: saved });
+  });
+  return { success: true, message: 'Service settings updated', settings: getServiceSettings() };
+}
+
+// Business volume: daily covers and portions produced per menu item, per location
+// (null for a single-site setup). There is one record per day and location, and per
+// day, location and item; recording one again replaces it, so re-importing a POS
+// export does not double count.
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function validateVolumeRecord(data, field) {
+  if (!data || typeof data !== 'object') {
+    return 'Request body must be an object';
+  }
+  if (typeof data.date !== 'string' || !DATE_PATTERN.test(data.date) || Number.isNaN(Date.parse(data.date))) {
+    return 'date must be a YYYY-MM-DD date';
+  }
+  if (data.locationId != null && !store.get('locations', Number(data.locationId))) {
+    return `Location #${data.locationId} not found`;
+  }
+  const value = Number(data[field]);
+  if (data[field] === '' || data[field] == null || !Number.isFinite(value) || value < 0) {
+    return `${field} must be a number of at least 0`;
+  }
+  return null;
+}
+
+function formatCovers(record) {
+  return {
+    id: record.id,
+    date: record.date,
+    locationId: record.location_id,
+    covers: record.covers,
+    source: record.source,
+    updatedAt: record.updated_at
+  };
+}
+
+function formatProduction(record, catalogNames) {
+  return {
+    id: record.id,
+    date: record.date,
+    locationId: record.location_id,
+    catalogItemId: record.catalog_item_id,
+    name: catalogNames.get(record.catalog_item_id) || record.name,
+    portions: record.portions,
+    source: record.source,
+    updatedAt: record.updated_at
+  };
+}
+
+function filterVolume(collection, { startDate, endDate, locationId } = {}) {
+  return store.query(collection, {
+    filter: locationFilter(locationId),
+    ranges: startDate || endDate ? { date: { gte: startDate || null, lte: endDate || null } } : {}
+  }).sort((a, b) => b.date.localeCompare(a.date) || a.id - b.id);
+}
+
+export function getCovers(options = {}) {
+  return filterVolume('covers', options).map(formatCovers);
+}
+
+export function getProduction(options = {}) {
+  const catalogNames = new Map(store.all('catalog_items').map(c => [c.id, c.name]));
+  return filterVolume('production', options).map(record => formatProduction(record, catalogNames));
+}
+
+// Inside a transaction; returns the saved record
+function upsertCovers({ date, locationId, covers }, actor, source) {
+  const location_id = locationId == null ? null : Number(locationId);
+  const existing = store.find('covers', { date, location_id })[0];
+  const changes = { covers: Math.round(Number(covers)), source, updated_at: new Date().toISOString() };
+  const saved = existing
+    ? store.update('covers', existing.id, changes)
+    : store.insert('covers', { date, location_id, ...changes });
+  recordAudit(existing ? 'update' : 'create', 'covers', saved.id, { actor, before: existing || null, after: saved });
+  return saved;
+}
+
+// Items are matched to the catalog like waste items, so "Caesar" produced and
+// "caesar salad" wasted count against each other
+function upsertProduction({ date, locationId, catalogItemId, name, portions }, actor, source) {
+  const location_id = locationId == null ? null : Number(locationId);
+  const catalog_item_id = catalogItemId != null ? Number(catalogItemId) : catalogFields(name).catalog_item_id;
+  const existing = store.find('production', { date, location_id }).find(record => (catalog_item_id != null
+    ? record.catalog_item_id === catalog_item_id
+    : record.catalog_item_id == null && normalizeName(record.name) === normalizeName(name)));
+  const changes = { portions: Number(portions), source, updated_at: new Date().toISOString() };
+  const saved = existing
+    ? store.update('production', existing.id, changes)
+    : store.insert('production', { date, location_id, catalog_item_id, name: name || store.get('catalog_items', catalog_item_id)?.name || '', ...changes });
+  recordAudit(existing ? 'update' : 'create', 'production', saved.id, { actor, before: existing || null, after: saved });
+  return saved;
+}
+
+function validateProduction(data) {
+  const invalid = validateVolumeRecord(data, 'portions');
+  if (invalid) return invalid;
+  if (data.catalogItemId != null) {
+    return store.get('catalog_items', Number(data.catalogItemId)) ? null : `Catalog item #${data.catalogItemId} not found`;
+  }
+  return typeof data.name === 'string' && data.name.trim() ? null : 'name or catalogItemId is required';
+}
+
+export function setCovers(data = {}, actor = null) {
+  const invalid = validateVolumeRecord(data, 'covers');
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  const saved = store.transaction(() => upsertCovers(data, actor, 'manual'));
+  return { success: true, message: `Covers for ${saved.date} saved`, covers: formatCovers(saved) };
+}
+
+export function setProduction(data = {}, actor = null) {
+  const invalid = validateProduction(data);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  const saved = store.transaction(() => upsertProduction({ ...data, name: data.name?.trim() }, actor, 'manual'));
+  const catalogNames = new Map(store.all('catalog_items').map(c => [c.id, c.name]));
+  return { success: true, message: `Production for ${saved.date} saved`, production: formatProduction(saved, catalogNames) };
+}
+
+function deleteVolumeRecord(collection, label, id, actor) {
+  const record = store.get(collection, id);
+  if (!record) {
+    return { success: false, notFound: true, message: `${label} #${id} not found` };
+  }
+  store.transaction(() => {
+    store.remove(collection, record.id);
+    recordAudit('delete', collection, record.id, { actor, before: record });
+  });
+  return { success: true, message: `${label} #${record.id} deleted` };
+}
+
+export function deleteCovers(id, actor = null) {
+  return deleteVolumeRecord('covers', 'Covers record', id, actor);
+}
+
+export function deleteProduction(id, actor = null) {
+  return deleteVolumeRecord('production', 'Production record', id, actor);
+}
+
+// Validated rows from server/import/volume.js, written in one transaction
+export function importVolumeRecords({ covers = [], production = [] }, actor = null) {
+  return store.transaction(() => ({
+    covers: covers.map(record => upsertCovers(record, actor, 'import')).length,
+    production: production.map(record => upsertProduction(record, actor, 'import')).length
+  }));
+}
+
+// Analysis jobs are persisted so queued uploads survive a restart
+export function createJob(job) {
+  const now = new Date().toISOString();
+  return store.insert('jobs', { ...job, created_at: now, updated_at: now });
+}
+
+export function updateJob(jobId, changes) {
+  return store.update('jobs', jobId, { ...changes, updated_at: new Date().toISOString() });
+}
+
+export function getJob(jobId) {
+  return store.get('jobs', jobId);
+}
+
+export function findJobByIdempotencyKey(key) {
+  return store.find('jobs', { idempotency_key: key })[0] || null;
+}
+
+export function getFailedJobs() {
+  return store.find('jobs', { status: 'failed' });
+}
+
+export function getUnfinishedJobs() {
+  return [...store.find('jobs', { status: 'queued' }), ...store.find('jobs', { status: 'analyzing' })]
+    .sort((a, b) => a.id - b.id);
+}
+
+// A batch groups the analysis jobs of photos uploaded together
+export function createBatch(batch) {
+  return store.insert('batches', { ...batch, created_at: new Date().toISOString() });
+}
+
+export function getBatch(batchId) {
+  return store.get('batches', batchId);
+}
+
+// Locations (kitchens, cafeterias) that entries are logged against
+function formatLocation(location) {
+  return {
+    id: location.id,
+    name: location.name,
+    description: location.description || '',
+    createdAt: location.created_at
+  };
+}
+
+function validateLocation(changes, { requireName = false } = {}) {
+  if (!changes || typeof changes !== 'object') {
+    return 'Request body must be an object';
+  }
+  if ('name' in changes || requireName) {
+    if (typeof changes.name !== 'string' || !changes.name.trim()) {
+      return 'Location name is required';
+    }
+  }
+  if ('description' in changes && typeof changes.description !== 'string') {
+    return 'description must be a string';
+  }
+  return null;
+}
+
+function isDuplicateLocationName(name, exceptId = null) {
+  const key = name.trim().toLowerCase();
+  return store.all('locations').some(l => l.id !== exceptId && l.name.toLowerCase() === key);
+}
+
+export function getLocations() {
+  return store.all('locations')
+    .map(formatLocation)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getLocation(locationId) {
+  const location = store.get('locations', locationId);
+  return location ? formatLocation(location) : null;
+}
+
+export function createLocation(locationData = {}, actor = null) {
+  const invalid = validateLocation(locationData, { requireName: true });
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  if (isDuplicateLocationName(locationData.name)) {
+    return { success: false, message: `A location named "${locationData.name.trim()}" already exists` };
+  }
+  const location = store.transaction(() => {
+    const location = store.insert('locations', {
+      name: locationData.name.trim(),
+      description: (locationData.description || '').trim(),
+      created_at: new Date().toISOString()
+    });
+    recordAudit('create', 'location', location.id, { actor, after: location });
+    return location;
+  });
+  return { success: true, message: `Location #${location.id} created`, location: formatLocation(location) };
+}
+
+export function updateLocation(locationId, changes = {}, actor = null) {
+  const location = store.get('locations', locationId);
+  if (!location) {
+    return { success: false, notFound: true, message: `Location #${locationId} not found` };
+  }
+  const invalid = validateLocation(changes);
+  if (invalid) {
+    return { success: false, message: invalid };
+  }
+  if ('name' in changes && isDuplicateLocationName(changes.name, location.id)) {
+    return { success: false, message: `A location named "${changes.name.trim()}" already exists` };
+  }
+  const locationChanges = {};
+  if ('name' in changes) locationChanges.name = changes.name.trim();
+  if ('description' in changes) locationChanges.description = changes.description.trim();
+  const updated = store.transaction(() => {
+    const updated = store.update('locations', location.id, locationChanges);
+    recordAudit('update', 'location', location.id, { actor, before: location, after: updated });
+    return updated;
+  });
+  return { success: true, message: `Location #${location.id} updated`, location: formatLocation(updated) };
+}
+
+export function deleteLocation(locationId, actor = null) {
+  const location = store.get('locations', locationId);
+  if (!location) {
+    return { success: false, notFound: true, message: `Location #${locationId} not found` };
+  }
+  // Trashed entries count too, otherwise restoring them would point at a missing location
+  const entries = store.find('entries', { location_id: location.id });
+  if (entries.length > 0) {
+    const trashed = entries.filter(isTrashed).length;
+    return {
+      success: false,
+      message: `Location #${location.id} still has ${entries.length} waste entries${trashed ? ` (${trashed} in the trash)` : ''}`
+    };
+  }
+  store.transaction(() => {
+    store.remove('locations', location.id);
+    store.removeWhere('prices', { location_id: location.id });
+    // Covers and production of a location without entries would only skew waste per cover
+    const covers = store.removeWhere('covers', { location_id: location.id });
+    const production = store.removeWhere('production', { location_id: location.id });
+    recordAudit('delete', 'location', location.id, { actor, before: location, details: { covers, production } });
+  });
+  return { success: true, message: `Location #${location.id} deleted` };
+}
+
+// User accounts and login sessions. Password and token hashing live in
+// server/auth/auth.js; these functions only persist the records.
+export function getUsers() {
+  return store.all('users');
+}
+
+export function countUsers() {
+  return store.all('users').length;
+}
+
+export function getUserById(userId) {
+  return store.get('users', userId);
+}
+
+export function getUserByUsername(username) {
+  if (typeof username !== 'string') return null;
+  return store.find('users', { username: username.trim().toLowerCase() })[0] || null;
+}
+
+export function insertUser(user) {
+  return store.insert('users', { ...user, created_at: new Date().toISOString() });
+}
+
+export function updateUser(userId, changes) {
+  return store.update('users', userId, changes);
+}
+
+export function touchUserLogin(userId) {
+  return store.update('users', userId, { last_login_at: new Date().toISOString() });
+}
+
+export function createSession(session) {
+  return store.insert('sessions', { ...session, created_at: new Date().toISOString() });
+}
+
+export function getSessionByTokenHash(tokenHash) {
+  return store.find('sessions', { token_hash: tokenHash })[0] || null;
+}
+
+export function deleteSession(tokenHash) {
+  return store.removeWhere('sessions', { token_hash: tokenHash });
+}
+
+export function deleteUserSessions(userId) {
+  return store.removeWhere('sessions', { user_id: userId });
+}
@@ -0,0 +1,47 @@
+import { readFileSync } from 'fs';
+
+// waste.json predates the store interface; the other counters are next_<collection>_id
+const LEGACY_COUNTERS = { nextEntryId: 'entries', nextItemId: 'items' };
+
+// { collection: records } of every top-level array and { collection: nextId } of the counters
+function readJsonDatabase(jsonPath) {
+  const data = JSON.parse(readFileSync(jsonPath, 'utf8'));
+  const collections = {};
+  const counters = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      collections[key] = value;
+      return;
+    }
+    const collection = LEGACY_COUNTERS[key] || key.match(/^next_([a-z_]+)_id$/)?.[1];
+    if (collection && Number.isInteger(value)) {
+      counters[collection] = value;
+    }
+  });
+  return { collections, counters };
+}
+
+// One-shot import of a JSON database into another store: every collection (entries,
+// users, catalog, settings, audit log, ...) with its IDs and ID counters, so uploads,
+// sessions, references between records and IDs of since-deleted records stay valid.
+export function importJsonFile(store, jsonPath) {
+  const { collections, counters } = readJsonDatabase(jsonPath);
+
+  const filled = Object.keys(collections).filter(collection => !store.isEmpty(collection));
+  if (filled.length > 0) {
+    throw new Error(`Target database is not empty (${filled.join(', ')}); refusing to import over existing data`);
+  }
+
+  store.transaction(() => {
+    Object.entries(collections).forEach(([collection, records]) => {
+      records.forEach(record => store.insert(collection, record));
+    });
+    Object.entries(counters).forEach(([collection, nextId]) => store.reserveIds(collection, nextId));
+  });
+
+  return Object.fromEntries(Object.entries(collections).map(([collection, records]) => [collection, records.length]));
+}
+
+export function describeImport(counts) {
+  return Object.entries(counts).map(([collection, count]) => `${count} ${collection}`).join(', ') || 'nothing';
+}
@@ -0,0 +1,273 @@
+import {
+  readFileSync, writeFileSync, existsSync, mkdirSync, openSync, fsyncSync, closeSync,
+  renameSync, readdirSync, unlinkSync, copyFileSync
+} from 'fs';
+import { dirname, basename, join } from 'path';
+
+// Legacy store: the whole database lives in memory and is rewritten to a single
+// JSON file on every change. Kept for small installs and as the migration source.
+
+export const name = 'json';
+
+// waste.json predates the store interface, keep its counter names
+const COUNTER_KEYS = { entries: 'nextEntryId', items: 'nextItemId' };
+
+let dbPath = null;
+let backupDir = null;
+let backupCount = 10;
+let backupIntervalMs = 30 * 60 * 1000;
+let lastBackupAt = 0;
+let data = { entries: [], items: [], nextEntryId: 1, nextItemId: 1 };
+let inTransaction = false;
+
+function counterKey(collection) {
+  return COUNTER_KEYS[collection] || `next_${collection}_id`;
+}
+
+function records(collection) {
+  if (!data[collection]) data[collection] = [];
+  return data[collection];
+}
+
+function nextId(collection) {
+  const key = counterKey(collection);
+  if (!data[key]) {
+    data[key] = Math.max(0, ...records(collection).map(r => r.id)) + 1;
+  }
+  return data[key]++;
+}
+
+function matches(record, filter) {
+  return Object.entries(filter).every(([key, value]) => (record[key] ?? null) === value);
+}
+
+function timestampSuffix() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Write to a temp file, fsync, then rename over the target. rename() is atomic on
+// the same filesystem, so a crash leaves either the old or the new file, never half of one.
+function writeAtomic(path, contents) {
+  const tmpPath = `${path}.tmp-${process.pid}`;
+  writeFileSync(tmpPath, contents, 'utf8');
+  const fd = openSync(tmpPath, 'r');
+  try {
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  renameSync(tmpPath, path);
+}
+
+function listBackups() {
+  if (!existsSync(backupDir)) return [];
+  const prefix = `${basename(dbPath, '.json')}-`;
+  // Timestamps are ISO-based, so lexical order is chronological
+  return readdirSync(backupDir)
+    .filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map(file => join(backupDir, file));
+}
+
+function backupData() {
+  if (!existsSync(dbPath)) return;
+  try {
+    mkdirSync(backupDir, { recursive: true });
+    copyFileSync(dbPath, join(backupDir, `${basename(dbPath, '.json')}-${timestampSuffix()}.json`));
+    lastBackupAt = Date.now();
+    // Keep only the newest backups
+    listBackups().slice(backupCount).forEach(file => unlinkSync(file));
+  } catch (error) {
+    console.error('Error backing up database:', error);
+  }
+}
+
+function saveData() {
+  if (inTransaction) return;
+  try {
+    if (Date.now() - lastBackupAt >= backupIntervalMs) {
+      backupData();
+    }
+    writeAtomic(dbPath, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Error saving database:', error);
+  }
+}
+
+function parseDatabaseFile(path) {
+  const parsed = JSON.parse(readFileSync(path, 'utf8'));
+  if (!parsed || !Array.isArray(parsed.entries) || !Array.isArray(parsed.items)) {
+    throw new Error('Missing entries or items array');
+  }
+  return parsed;
+}
+
+// Falls back to the newest backup that parses. The corrupt file is moved aside
+// rather than overwritten so it can still be inspected or repaired by hand.
+function recoverFromBackup(loadError) {
+  console.error(`Database file ${dbPath} is corrupt:`, loadError.message);
+
+  for (const backupPath of listBackups()) {
+    try {
+      const recovered = parseDatabaseFile(backupPath);
+      const corruptPath = `${dbPath}.corrupt-${timestampSuffix()}`;
+      renameSync(dbPath, corruptPath);
+      console.error(`Recovered database from backup ${backupPath}; corrupt file kept as ${corruptPath}`);
+      return recovered;
+    } catch (error) {
+      console.error(`Backup ${backupPath} is not usable:`, error.message);
+    }
+  }
+
+  throw new Error(`Database file ${dbPath} is corrupt and no valid backup was found in ${backupDir}. ` +
+    'Refusing to start so the file is not overwritten; restore it manually or move it aside to start empty.');
+}
+
+export function init({ path, backups = {} }) {
+  dbPath = path;
+  backupDir = backups.dir || process.env.JSON_BACKUP_DIR || join(dirname(dbPath), 'backups');
+  backupCount = Math.max(1, Number(backups.count || process.env.JSON_BACKUP_COUNT) || 10);
+  backupIntervalMs = (Number(backups.intervalMinutes ?? process.env.JSON_BACKUP_INTERVAL_MINUTES) || 30) * 60 * 1000;
+  mkdirSync(dirname(dbPath), { recursive: true });
+
+  // Load existing data if it exists
+  if (existsSync(dbPath)) {
+    try {
+      data = parseDatabaseFile(dbPath);
+    } catch (error) {
+      data = recoverFromBackup(error);
+    }
+    // Ensure IDs are set
+    Object.entries(COUNTER_KEYS).forEach(([collection, key]) => {
+      if (!data[key]) {
+        data[key] = Math.max(0, ...records(collection).map(r => r.id)) + 1;
+      }
+    });
+    // Snapshot the known-good state at every start
+    backupData();
+  }
+
+  // Save initial structure
+  saveData();
+}
+
+export function isEmpty(collection) {
+  return records(collection).length === 0;
+}
+
+export function all(collection) {
+  return records(collection).map(r => ({ ...r }));
+}
+
+export function find(collection, filter = {}) {
+  return records(collection).filter(r => matches(r, filter)).map(r => ({ ...r }));
+}
+
+function inRanges(record, ranges) {
+  return Object.entries(ranges).every(([key, { gte, lte }]) => {
+    const value = record[key] ?? null;
+    if (value === null) return gte == null && lte == null;
+    return (gte == null || value >= gte) && (lte == null || value <= lte);
+  });
+}
+
+// find() with more conditions, ordering and paging: notNull lists fields that must be
+// set, ranges maps fields to { gte, lte } and order is { field, desc }
+export function query(collection, { filter = {}, notNull = [], ranges = {}, order = null, limit = null, offset = 0 } = {}) {
+  const found = records(collection)
+    .filter(r => matches(r, filter) && notNull.every(key => (r[key] ?? null) !== null) && inRanges(r, ranges));
+  if (order) {
+    const direction = order.desc ? -1 : 1;
+    found.sort((a, b) => {
+      const x = a[order.field] ?? null;
+      const y = b[order.field] ?? null;
+      if (x === y) return (a.id - b.id) * direction;
+      if (x === null) return -direction;
+      if (y === null) return direction;
+      return (x < y ? -1 : 1) * direction;
+    });
+  }
+  const start = Math.max(0, Math.floor(Number(offset) || 0));
+  const end = limit != null && Number.isFinite(Number(limit)) ? start + Math.max(0, Math.floor(Number(limit))) : undefined;
+  return found.slice(start, end).map(r => ({ ...r }));
+}
+
+export function get(collection, id) {
+  const record = records(collection).find(r => r.id === Number(id));
+  return record ? { ...record } : null;
+}
+
+export function insert(collection, record) {
+  const list = records(collection);
+  let id = record.id;
+  if (id == null) {
+    id = nextId(collection);
+  } else {
+    // Explicit IDs (imports) must not be handed out again
+    const key = counterKey(collection);
+    data[key] = Math.max(data[key] || 1, id + 1);
+  }
+  const { id: _ignored, ...fields } = record;
+  const stored = { id, ...fields };
+  list.push(stored);
+  saveData();
+  return { ...stored };
+}
+
+export function update(collection, id, changes) {
+  const record = records(collection).find(r => r.id === Number(id));
+  if (!record) return null;
+  Object.assign(record, changes, { id: record.id });
+  saveData();
+  return { ...record };
+}
+
+export function remove(collection, id) {
+  const list = records(collection);
+  const index = list.findIndex(r => r.id === Number(id));
+  if (index === -1) return false;
+  list.splice(index, 1);
+  saveData();
+  return true;
+}
+
+export function removeWhere(collection, filter) {
+  const list = records(collection);
+  const kept = list.filter(r => !matches(r, filter));
+  data[collection] = kept;
+  saveData();
+  return list.length - kept.length;
+}
+
+// Makes the next inserted id at least nextId
+export function reserveIds(collection, nextId) {
+  const key = counterKey(collection);
+  data[key] = Math.max(data[key] || 1, nextId);
+  saveData();
+}
+
+export function clear(collection) {
+  data[collection] = [];
+  data[counterKey(collection)] = 1;
+  saveData();
+}
+
+// Batches the writes of fn into a single save; restores the previous state if fn throws
+export function transaction(fn) {
+  if (inTransaction) return fn();
+  const snapshot = JSON.stringify(data);
+  inTransaction = true;
+  try {
+    const result = fn();
+    inTransaction = false;
+    saveData();
+    return result;
+  } catch (error) {
+    inTransaction = false;
+    data = JSON.parse(snapshot);
+    throw error;
+  }
+}
+
+export function close() {}
@@ -0,0 +1,171 @@
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+// Embedded SQLite store. Each collection is a table of JSON documents keyed by
+// an integer id, so new record fields need no schema migration; fields that are
+// filtered on get expression indexes below.
+
+export const name = 'sqlite';
+
+const INDEXES = {
+  entries: ['timestamp', 'image_hash', 'location_id', 'deletion_batch', 'deleted_at', 'import_fingerprint', 'job_id'],
+  items: ['waste_entry_id', 'catalog_item_id'],
+  jobs: ['status', 'idempotency_key'],
+  users: ['username'],
+  sessions: ['token_hash', 'user_id'],
+  audit_log: ['entity_type', 'entity_id'],
+  prices: ['catalog_item_id'],
+  covers: ['date'],
+  production: ['date']
+};
+
+let db = null;
+const ensured = new Set();
+
+function table(collection) {
+  if (!/^[a-z_]+$/.test(collection)) {
+    throw new Error(`Invalid collection name "${collection}"`);
+  }
+  if (!ensured.has(collection)) {
+    db.exec(`CREATE TABLE IF NOT EXISTS "${collection}" (id INTEGER PRIMARY KEY AUTOINCREMENT, data TEXT NOT NULL)`);
+    (INDEXES[collection] || []).forEach(field => {
+      db.exec(`CREATE INDEX IF NOT EXISTS "idx_${collection}_${field}" ON "${collection}" (json_extract(data, '$.${field}'))`);
+    });
+    ensured.add(collection);
+  }
+  return `"${collection}"`;
+}
+
+function toRecord(row) {
+  return row ? { id: row.id, ...JSON.parse(row.data) } : null;
+}
+
+function toData(record) {
+  const { id, ...rest } = record;
+  return JSON.stringify(rest);
+}
+
+function field(key) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+    throw new Error(`Invalid filter field "${key}"`);
+  }
+  return `json_extract(data, '$.${key}')`;
+}
+
+function whereClause(filter, { notNull = [], ranges = {} } = {}) {
+  const clauses = [];
+  const params = [];
+  Object.entries(filter).forEach(([key, value]) => {
+    if (value === null || value === undefined) {
+      clauses.push(`${field(key)} IS NULL`);
+    } else {
+      clauses.push(`${field(key)} = ?`);
+      params.push(typeof value === 'boolean' ? Number(value) : value);
+    }
+  });
+  notNull.forEach(key => clauses.push(`${field(key)} IS NOT NULL`));
+  Object.entries(ranges).forEach(([key, { gte, lte }]) => {
+    if (gte != null) {
+      clauses.push(`${field(key)} >= ?`);
+      params.push(gte);
+    }
+    if (lte != null) {
+      clauses.push(`${field(key)} <= ?`);
+      params.push(lte);
+    }
+  });
+  return { sql: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+export function init({ path }) {
+  mkdirSync(dirname(path), { recursive: true });
+  db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  ensured.clear();
+}
+
+export function isEmpty(collection) {
+  return !db.prepare(`SELECT 1 FROM ${table(collection)} LIMIT 1`).get();
+}
+
+export function all(collection) {
+  return db.prepare(`SELECT id, data FROM ${table(collection)} ORDER BY id`).all().map(toRecord);
+}
+
+export function find(collection, filter = {}) {
+  const where = whereClause(filter);
+  return db.prepare(`SELECT id, data FROM ${table(collection)} ${where.sql} ORDER BY id`)
+    .all(...where.params)
+    .map(toRecord);
+}
+
+// find() with more conditions, ordering and paging done by SQLite: notNull lists fields
+// that must be set, ranges maps fields to { gte, lte } and order is { field, desc }
+export function query(collection, { filter = {}, notNull = [], ranges = {}, order = null, limit = null, offset = 0 } = {}) {
+  const where = whereClause(filter, { notNull, ranges });
+  const direction = order?.desc ? 'DESC' : 'ASC';
+  const orderBy = order ? `${field(order.field)} ${direction}, id ${direction}` : 'id';
+  const paged = limit != null && Number.isFinite(Number(limit));
+  return db.prepare(`SELECT id, data FROM ${table(collection)} ${where.sql} ORDER BY ${orderBy} LIMIT ? OFFSET ?`)
+    .all(...where.params, paged ? Math.max(0, Math.floor(Number(limit))) : -1, Math.max(0, Math.floor(Number(offset) || 0)))
+    .map(toRecord);
+}
+
+export function get(collection, id) {
+  return toRecord(db.prepare(`SELECT id, data FROM ${table(collection)} WHERE id = ?`).get(Number(id)));
+}
+
+export function insert(collection, record) {
+  const result = db.prepare(`INSERT INTO ${table(collection)} (id, data) VALUES (?, ?)`)
+    .run(record.id ?? null, toData(record));
+  const { id: _ignored, ...fields } = record;
+  return { id: Number(result.lastInsertRowid), ...fields };
+}
+
+export function update(collection, id, changes) {
+  const existing = get(collection, id);
+  if (!existing) return null;
+  const updated = { ...existing, ...changes, id: existing.id };
+  db.prepare(`UPDATE ${table(collection)} SET data = ? WHERE id = ?`).run(toData(updated), existing.id);
+  return updated;
+}
+
+export function remove(collection, id) {
+  return db.prepare(`DELETE FROM ${table(collection)} WHERE id = ?`).run(Number(id)).changes > 0;
+}
+
+export function removeWhere(collection, filter) {
+  const where = whereClause(filter);
+  return db.prepare(`DELETE FROM ${table(collection)} ${where.sql}`).run(...where.params).changes;
+}
+
+export function clear(collection) {
+  db.prepare(`DELETE FROM ${table(collection)}`).run();
+  // Restart IDs at 1 like the JSON store does
+  db.prepare('DELETE FROM sqlite_sequence WHERE name = ?').run(collection);
+}
+
+// Makes the next inserted id at least nextId, e.g. to keep the IDs of deleted records
+// of an imported database from being handed out again
+export function reserveIds(collection, nextId) {
+  table(collection);
+  const seq = db.prepare('SELECT seq FROM sqlite_sequence WHERE name = ?').get(collection);
+  if (!seq) {
+    db.prepare('INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)').run(collection, nextId - 1);
+  } else if (seq.seq < nextId - 1) {
+    db.prepare('UPDATE sqlite_sequence SET seq = ? WHERE name = ?').run(nextId - 1, collection);
+  }
+}
+
+export function transaction(fn) {
+  if (db.inTransaction) return fn();
+  return db.transaction(fn)();
+}
+
+export function close() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
@@ -0,0 +1,40 @@
+// Where wasted food ends up. Entries carry a disposition for everything in them and
+// items may override it; anything not sent to landfill counts as diverted.
+
+export const DISPOSITIONS = ['landfill', 'compost', 'anaerobic_digestion', 'donation', 'animal_feed', 'rendering'];
+
+const ALIASES = {
+  trash: 'landfill',
+  garbage: 'landfill',
+  rubbish: 'landfill',
+  composted: 'compost',
+  composting: 'compost',
+  ad: 'anaerobic_digestion',
+  digester: 'anaerobic_digestion',
+  digestion: 'anaerobic_digestion',
+  donate: 'donation',
+  donated: 'donation',
+  food_bank: 'donation',
+  feed: 'animal_feed',
+  livestock: 'animal_feed',
+  render: 'rendering',
+  rendered: 'rendering'
+};
+
+// Accepts codes, labels ("Anaerobic digestion") and a few common aliases; null
+// when the value names no known disposition
+export function normalizeDisposition(value) {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (DISPOSITIONS.includes(key)) return key;
+  return ALIASES[key] || null;
+}
+
+export function isDiverted(disposition) {
+  return DISPOSITIONS.includes(disposition) && disposition !== 'landfill';
+}
+
+// An item without its own disposition follows its entry
+export function effectiveDisposition(item, entry) {
+  return item.disposition || entry?.disposition || null;
+}
@@ -0,0 +1,205 @@
+import ExcelJS from 'exceljs';
+import { getWasteHistory, getLocations, getCatalogItems } from '../database/db.js';
+import { effectiveDisposition } from '../disposition/disposition.js';
+
+// Spreadsheet exports of waste history for finance and sustainability teams.
+// "entries" gives one row per photo, "items" one row per detected item.
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+export const EXPORT_VIEWS = ['entries', 'items'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const COLUMNS = {
+  entries: [
+    { key: 'entry_id', header: 'Entry ID', width: 10 },
+    { key: 'timestamp', header: 'Timestamp', type: 'date', width: 22 },
+    { key: 'location', header: 'Location', width: 20 },
+    { key: 'meal_period', header: 'Meal Period', width: 12 },
+    { key: 'shift', header: 'Shift', width: 10 },
+    { key: 'station', header: 'Station', width: 16 },
+    { key: 'item_count', header: 'Items', width: 8 },
+    { key: 'item_names', header: 'Item Names', width: 40 },
+    { key: 'total_value', header: 'Estimated Value', type: 'money', width: 16 },
+    { key: 'ai_total_value', header: 'AI Estimated Value', type: 'money', width: 18 },
+    { key: 'estimated_weight', header: 'Estimated Weight', width: 16 },
+    { key: 'weight_grams', header: 'Weight (g)', width: 12 },
+    { key: 'weight_source', header: 'Weight Source', width: 14 },
+    { key: 'co2e_kg', header: 'CO2e (kg)', width: 12 },
+    { key: 'water_litres', header: 'Water (L)', width: 12 },
+    { key: 'photo_count', header: 'Photos', width: 8 },
+    { key: 'percent_uneaten', header: 'Percent Uneaten', width: 14 },
+    { key: 'disposition', header: 'Disposition', width: 18 },
+    { key: 'waste_stream', header: 'Waste Stream', width: 16 },
+    { key: 'waste_stream_confirmed', header: 'Stream Confirmed', width: 16 },
+    { key: 'quality_warnings', header: 'Photo Quality Warnings', width: 24 },
+    { key: 'notes', header: 'Notes', width: 30 },
+    { key: 'logged_by', header: 'Logged By', width: 14 },
+    { key: 'corrected_at', header: 'Corrected At', type: 'date', width: 22 },
+    { key: 'corrected_by', header: 'Corrected By', width: 14 }
+  ],
+  items: [
+    { key: 'entry_id', header: 'Entry ID', width: 10 },
+    { key: 'timestamp', header: 'Timestamp', type: 'date', width: 22 },
+    { key: 'location', header: 'Location', width: 20 },
+    { key: 'meal_period', header: 'Meal Period', width: 12 },
+    { key: 'shift', header: 'Shift', width: 10 },
+    { key: 'station', header: 'Station', width: 16 },
+    { key: 'item_id', header: 'Item ID', width: 10 },
+    { key: 'name', header: 'Item', width: 24 },
+    { key: 'canonical_name', header: 'Catalog Item', width: 24 },
+    { key: 'category', header: 'Category', width: 14 },
+    { key: 'condition', header: 'Condition', width: 16 },
+    { key: 'estimated_amount', header: 'Estimated Amount', width: 18 },
+    { key: 'weight_grams', header: 'Weight (g)', width: 12 },
+    { key: 'portions', header: 'Portions', width: 10 },
+    { key: 'estimated_value', header: 'Estimated Value', type: 'money', width: 16 },
+    { key: 'co2e_kg', header: 'CO2e (kg)', width: 12 },
+    { key: 'water_litres', header: 'Water (L)', width: 12 },
+    { key: 'disposition', header: 'Disposition', width: 18 },
+    { key: 'waste_stream', header: 'Waste Stream', width: 16 },
+    { key: 'source', header: 'Source', width: 10 },
+    { key: 'corrected', header: 'Corrected', width: 10 }
+  ]
+};
+
+export function validateExportOptions({ format = 'csv', view = 'entries' } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    return `Invalid format "${format}". Expected one of: ${EXPORT_FORMATS.join(', ')}`;
+  }
+  if (!EXPORT_VIEWS.includes(view)) {
+    return `Invalid view "${view}". Expected one of: ${EXPORT_VIEWS.join(', ')}`;
+  }
+  return null;
+}
+
+function buildRows({ view = 'entries', startDate, endDate, locationId, category }) {
+  const locationNames = new Map(getLocations().map(l => [l.id, l.name]));
+  const catalogNames = new Map(getCatalogItems().map(c => [c.id, c.name]));
+  const locationName = entry => (entry.location_id == null ? '' : locationNames.get(entry.location_id) || `Location #${entry.location_id}`);
+
+  let entries = getWasteHistory({ limit: Infinity, startDate, endDate, locationId });
+  if (category) {
+    entries = entries.filter(entry => entry.items.some(item => item.category === category));
+  }
+  // Oldest first reads more naturally in a spreadsheet
+  entries = entries.reverse();
+
+  if (view === 'items') {
+    return entries.flatMap(entry => entry.items
+      .filter(item => !category || item.category === category)
+      .map(item => ({
+        entry_id: entry.id,
+        timestamp: entry.timestamp,
+        location: locationName(entry),
+        meal_period: entry.meal_period || '',
+        shift: entry.shift || '',
+        station: entry.station || '',
+        item_id: item.id,
+        name: item.name,
+        canonical_name: catalogNames.get(item.catalogItemId) || '',
+        category: item.category,
+        condition: item.condition,
+        estimated_amount: item.estimatedAmount,
+        weight_grams: item.quantity?.grams ?? '',
+        portions: item.quantity?.portions ?? '',
+        estimated_value: item.estimatedValue || 0,
+        co2e_kg: item.co2eKg ?? '',
+        water_litres: item.waterLitres ?? '',
+        disposition: effectiveDisposition(item, entry) || '',
+        waste_stream: entry.waste_stream || '',
+        source: item.source,
+        corrected: item.correctedAt ? 'yes' : 'no'
+      })));
+  }
+
+  return entries.map(entry => ({
+    entry_id: entry.id,
+    timestamp: entry.timestamp,
+    location: locationName(entry),
+    meal_period: entry.meal_period || '',
+    shift: entry.shift || '',
+    station: entry.station || '',
+    item_count: entry.items.length,
+    item_names: entry.items.map(item => item.name).join('; '),
+    total_value: entry.total_estimated_value || 0,
+    ai_total_value: entry.ai_total_estimated_value ?? entry.total_estimated_value ?? 0,
+    estimated_weight: entry.estimated_weight || '',
+    weight_grams: entry.weight_grams ?? '',
+    weight_source: entry.weight_grams != null ? entry.weight_source : '',
+    co2e_kg: entry.co2e_kg ?? '',
+    water_litres: entry.water_litres ?? '',
+    photo_count: entry.images.length,
+    percent_uneaten: entry.percent_uneaten ?? '',
+    disposition: entry.disposition || '',
+    waste_stream: entry.waste_stream || '',
+    waste_stream_confirmed: entry.waste_stream ? (entry.waste_stream_confirmed_at ? 'yes' : 'no') : '',
+    quality_warnings: entry.quality_warnings.join('; '),
+    notes: entry.notes || '',
+    logged_by: entry.created_by?.username || '',
+    corrected_at: entry.corrected_at || '',
+    corrected_by: entry.corrected_by?.username || ''
+  }));
+}
+
+// Text cells starting with these are evaluated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [
+    columns.map(column => csvCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column.key])).join(','))
+  ];
+  // BOM so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+async function toXlsx(columns, rows, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(({ key, header, width }) => ({ key, header, width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  rows.forEach(row => {
+    const values = {};
+    columns.forEach(column => {
+      const value = row[column.key];
+      values[column.key] = column.type === 'date' && value ? new Date(value) : value;
+    });
+    sheet.addRow(values);
+  });
+
+  columns.forEach(column => {
+    if (column.type === 'money') sheet.getColumn(column.key).numFmt = '"$"#,##0.00';
+    if (column.type === 'date') sheet.getColumn(column.key).numFmt = 'yyyy-mm-dd hh:mm';
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Returns { body, contentType, filename, rows } for the requested export
+export async function exportWasteData(options = {}) {
+  const { format = 'csv', view = 'entries' } = options;
+  const columns = COLUMNS[view];
+  const rows = buildRows({ ...options, view });
+  const filename = `scrapsnap-${view}-${new Date().toISOString().split('T')[0]}.${format}`;
+
+  const body = format === 'xlsx'
+    ? await toXlsx(columns, rows, view)
+    : toCsv(columns, rows);
+
+  return { body, contentType: CONTENT_TYPES[format], filename, rows: rows.length };
+}
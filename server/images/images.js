@@ -0,0 +1,58 @@
+import sharp from 'sharp';
+import { unlink } from 'fs/promises';
+import { parse, join } from 'path';
+
+// Normalizes uploaded photos before they are stored or analyzed: applies the EXIF
+// orientation, downscales to IMAGE_MAX_DIMENSION, re-encodes as JPEG and drops all
+// metadata (GPS position, camera serials). The client does the same before
+// uploading; this is the enforcement for clients that skip it.
+
+export function imageSettings() {
+  return {
+    maxDimension: Math.max(256, Number(process.env.IMAGE_MAX_DIMENSION) || 2048),
+    quality: Math.min(100, Math.max(30, Number(process.env.IMAGE_JPEG_QUALITY) || 85))
+  };
+}
+
+// Already-prepared photos (what the client sends) are kept byte for byte
+function isNormalized(metadata, maxDimension) {
+  return metadata.format === 'jpeg'
+    && Math.max(metadata.width, metadata.height) <= maxDimension
+    && (metadata.orientation || 1) === 1
+    && !metadata.exif && !metadata.xmp && !metadata.iptc;
+}
+
+// Rewrites a multer file in place (path, filename, mimetype, size). Rejects with
+// code UNSUPPORTED_IMAGE when the file cannot be decoded, e.g. HEIC photos from
+// a browser that could not convert them.
+export async function normalizeImage(file) {
+  const { maxDimension, quality } = imageSettings();
+  let metadata;
+  try {
+    metadata = await sharp(file.path).metadata();
+  } catch (error) {
+    const unsupported = new Error(`Could not read "${file.originalname}". Upload photos as JPEG, PNG or WebP (HEIC is not supported).`);
+    unsupported.code = 'UNSUPPORTED_IMAGE';
+    throw unsupported;
+  }
+  if (isNormalized(metadata, maxDimension)) return file;
+
+  const { dir, name } = parse(file.path);
+  const outputPath = join(dir, `${name}.normalized.jpg`);
+  const info = await sharp(file.path)
+    .rotate()
+    .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality, mozjpeg: true })
+    .toFile(outputPath);
+  await unlink(file.path);
+
+  const { name: outputName } = parse(file.filename);
+  Object.assign(file, {
+    path: outputPath,
+    filename: `${outputName}.normalized.jpg`,
+    mimetype: 'image/jpeg',
+    size: info.size
+  });
+  return file;
+}
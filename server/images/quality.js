@@ -0,0 +1,105 @@
+import sharp from 'sharp';
+
+// Cheap local checks run before a photo is sent to the vision model: resolution,
+// sharpness (variance of the Laplacian) and exposure. Failing a reject threshold
+// stops the upload with the reason; warnings are recorded on the entry.
+// client/src/utils/imageQuality.js computes the same metrics with the thresholds
+// served by GET /api/image-quality-settings.
+
+// Metrics are computed on a copy this size so they do not depend on the upload's resolution
+const WORKING_SIZE = 512;
+
+export function qualitySettings() {
+  const minSharpness = Number(process.env.IMAGE_MIN_SHARPNESS) || 20;
+  return {
+    // 'reject' stops bad photos; 'warn' only records the problems
+    gate: process.env.IMAGE_QUALITY_GATE === 'warn' ? 'warn' : 'reject',
+    minDimension: Number(process.env.IMAGE_MIN_DIMENSION) || 480,
+    minSharpness,
+    warnSharpness: minSharpness * 3
+  };
+}
+
+// Sharpness, mean brightness and the fractions of clipped pixels, from 8-bit
+// greyscale pixels (one byte each, row by row)
+export function pixelMetrics(pixels, width, height) {
+  let sum = 0;
+  let dark = 0;
+  let bright = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    sum += pixels[i];
+    if (pixels[i] <= 5) dark++;
+    if (pixels[i] >= 250) bright++;
+  }
+
+  // 4-neighbour Laplacian; a blurry photo has little edge energy
+  let lapSum = 0;
+  let lapSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      lapSum += lap;
+      lapSquares += lap * lap;
+      count++;
+    }
+  }
+  const lapMean = count ? lapSum / count : 0;
+
+  return {
+    sharpness: count ? Math.round((lapSquares / count - lapMean * lapMean) * 10) / 10 : 0,
+    brightness: Math.round(sum / pixels.length),
+    darkFraction: Math.round((dark / pixels.length) * 1000) / 1000,
+    brightFraction: Math.round((bright / pixels.length) * 1000) / 1000
+  };
+}
+
+export function qualityIssues(metrics, settings = qualitySettings()) {
+  const issues = [];
+  const add = (code, severity, message) => issues.push({ code, severity, message });
+
+  if (Math.min(metrics.width, metrics.height) < settings.minDimension) {
+    add('low_resolution', 'reject', `The photo is too small (${metrics.width}×${metrics.height}); use at least ${settings.minDimension} pixels on the short side`);
+  }
+  if (metrics.sharpness < settings.minSharpness) {
+    add('blurry', 'reject', 'The photo is too blurry; hold the camera steady and tap to focus');
+  } else if (metrics.sharpness < settings.warnSharpness) {
+    add('blurry', 'warn', 'The photo looks slightly blurry');
+  }
+  if (metrics.brightness < 20) {
+    add('too_dark', 'reject', 'The photo is too dark; turn on a light or use the flash');
+  } else if (metrics.brightness < 50 || metrics.darkFraction > 0.4) {
+    add('too_dark', 'warn', 'The photo is quite dark');
+  }
+  if (metrics.brightness > 240) {
+    add('overexposed', 'reject', 'The photo is washed out; avoid pointing the camera at a light');
+  } else if (metrics.brightness > 210) {
+    add('overexposed', 'warn', 'The photo is very bright');
+  }
+  if (metrics.brightFraction > 0.15 && metrics.brightness <= 240) {
+    add('glare', 'warn', 'Strong glare or reflections; tilt the camera or move away from lights');
+  }
+
+  // In warn mode nothing is rejected, but the problems are still recorded
+  return settings.gate === 'warn'
+    ? issues.map(issue => ({ ...issue, severity: 'warn' }))
+    : issues;
+}
+
+// Measures a stored (normalized) photo. Returns { width, height, sharpness,
+// brightness, darkFraction, brightFraction, issues, rejected }.
+export async function assessImageQuality(imagePath) {
+  const image = sharp(imagePath);
+  const { width, height } = await image.metadata();
+  const { data, info } = await image
+    .resize({ width: WORKING_SIZE, height: WORKING_SIZE, fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const metrics = { width, height, ...pixelMetrics(data, info.width, info.height) };
+  const issues = qualityIssues(metrics);
+  return { ...metrics, issues, rejected: issues.some(issue => issue.severity === 'reject') };
+}
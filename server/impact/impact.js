@@ -0,0 +1,31 @@
+// Environmental footprint of wasted food: greenhouse gas emissions (kg CO2e) and
+// water (litres) embedded in producing it. A factor gives both per kg of food; the
+// footprint of an item is its weight in kg times the factor. Pure functions; the
+// editable factor table lives in db.js.
+
+// Shipped defaults per item category. Categories are courses rather than foods, so
+// these are rough averages for typical restaurant dishes (life-cycle figures from
+// Poore & Nemecek 2018 and the Water Footprint Network); set factors on catalog
+// items for foods far from the average, e.g. beef or salad.
+export const DEFAULT_IMPACT_FACTORS = {
+  'main dish': { co2e_per_kg: 6.0, water_litres_per_kg: 2500 },
+  side: { co2e_per_kg: 1.5, water_litres_per_kg: 700 },
+  appetizer: { co2e_per_kg: 3.0, water_litres_per_kg: 1200 },
+  dessert: { co2e_per_kg: 3.5, water_litres_per_kg: 1800 },
+  beverage: { co2e_per_kg: 1.0, water_litres_per_kg: 400 },
+  other: { co2e_per_kg: 2.5, water_litres_per_kg: 1000 }
+};
+
+export function defaultImpactFactor(category) {
+  return DEFAULT_IMPACT_FACTORS[category] || DEFAULT_IMPACT_FACTORS.other;
+}
+
+// { co2e_kg, water_litres } of a quantity, or null when it states no weight
+export function impactOfQuantity(quantity, factor) {
+  if (quantity?.grams == null) return null;
+  const kg = quantity.grams / 1000;
+  return {
+    co2e_kg: Math.round(kg * factor.co2e_per_kg * 1000) / 1000,
+    water_litres: Math.round(kg * factor.water_litres_per_kg * 10) / 10
+  };
+}
@@ -0,0 +1,322 @@
+import { createHash, randomUUID } from 'crypto';
+import { ITEM_CATEGORIES, ITEM_CONDITIONS } from '../ai/schema.js';
+import { getLocations, getImportFingerprints, getServiceSettings, logImportedWaste } from '../database/db.js';
+import { MEAL_PERIODS, normalizeStation } from '../periods/periods.js';
+
+// Bulk import of hand-kept waste logs. Each CSV row is one wasted item; rows that
+// share an entry key (or, without one, the same date and location) become one entry.
+// Entries are written through logWaste, so stats and trends treat them like photo entries.
+
+// Header names recognised for each field when no explicit mapping is given
+export const IMPORT_FIELDS = {
+  date: ['date', 'timestamp', 'logged at', 'day'],
+  item: ['item', 'item name', 'name', 'food'],
+  category: ['category', 'type'],
+  condition: ['condition', 'state'],
+  amount: ['amount', 'quantity', 'qty', 'estimated amount'],
+  value: ['value', 'cost', 'estimated value', 'price'],
+  weight: ['weight', 'estimated weight'],
+  location: ['location', 'kitchen', 'site'],
+  notes: ['notes', 'note', 'comments'],
+  meal: ['meal', 'meal period', 'service'],
+  shift: ['shift'],
+  station: ['station', 'section'],
+  entry: ['entry', 'entry id', 'log id', 'group']
+};
+
+const REQUIRED_FIELDS = ['date', 'item'];
+export const DATE_FORMATS = ['mdy', 'dmy'];
+
+// RFC 4180 parsing: quoted fields may contain commas, quotes ("") and newlines
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Maps each field to a column index, from the explicit mapping or the header aliases;
+// fields and required default to the waste log columns
+export function resolveColumns(headers, mapping = {}, fields = IMPORT_FIELDS, required = REQUIRED_FIELDS) {
+  const normalized = headers.map(header => header.trim().toLowerCase());
+  const columns = {};
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!fields[field]) {
+      return { error: `Unknown import field "${field}". Expected one of: ${Object.keys(fields).join(', ')}` };
+    }
+    const index = normalized.indexOf(String(header).trim().toLowerCase());
+    if (index === -1) {
+      return { error: `Column "${header}" mapped to ${field} is not in the CSV header` };
+    }
+    columns[field] = index;
+  }
+
+  Object.entries(fields).forEach(([field, aliases]) => {
+    if (field in columns) return;
+    const index = normalized.findIndex(header => aliases.includes(header));
+    if (index !== -1) columns[field] = index;
+  });
+
+  const missing = required.filter(field => !(field in columns));
+  if (missing.length > 0) {
+    return { error: `Missing required column(s): ${missing.join(', ')}. Map them to the CSV columns` };
+  }
+  return { columns };
+}
+
+// Date-only values are pinned to local noon so they never shift a day in UTC
+export function parseDate(value, dateFormat) {
+  const text = value.trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+    const [, first, second, rawYear] = match.map(Number);
+    [month, day] = dateFormat === 'dmy' ? [second, first] : [first, second];
+    year = rawYear < 100 ? 2000 + rawYear : rawYear;
+  } else if (/^\d{4}-\d{2}-\d{2}T/.test(text) && !Number.isNaN(Date.parse(text))) {
+    return new Date(text).toISOString();
+  } else {
+    return null;
+  }
+
+  const date = new Date(year, month - 1, day, 12);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date.toISOString();
+}
+
+// Blank values are left for the price list to fill in; undefined marks an invalid value
+function parseValue(value) {
+  const text = value.replace(/[$,\s]/g, '');
+  if (text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+function fingerprint(entry) {
+  const items = entry.items
+    .map(item => [item.name.toLowerCase(), item.category, item.estimatedAmount, item.estimatedValue])
+    .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+  return createHash('sha256')
+    .update(JSON.stringify([entry.timestamp, entry.locationId, items]))
+    .digest('hex');
+}
+
+// Parses and validates every row. Returns the entries that would be created plus
+// per-row errors and warnings; nothing is written here.
+function planImport(rows, columns, { locationId = null, dateFormat = 'mdy' }) {
+  const errors = [];
+  const warnings = [];
+  const locations = getLocations();
+  const findLocation = (value) => {
+    const key = value.trim().toLowerCase();
+    return locations.find(l => String(l.id) === key || l.name.toLowerCase() === key) || null;
+  };
+  const cell = (row, field) => (field in columns ? (row[columns[field]] ?? '').trim() : '');
+  const shifts = getServiceSettings().shifts.map(window => window.name);
+
+  const groups = new Map();
+  const duplicates = [];
+  const seenRows = new Map();
+  rows.forEach((row, index) => {
+    // Row 1 is the header
+    const rowNumber = index + 2;
+    if (row.every(value => !value.trim())) return;
+
+    // Identical lines are usually a copy-paste slip in the spreadsheet
+    const rowKey = JSON.stringify(row.map(value => value.trim()));
+    if (seenRows.has(rowKey)) {
+      duplicates.push({ rows: [rowNumber], message: `Same as row ${seenRows.get(rowKey)}` });
+      return;
+    }
+    seenRows.set(rowKey, rowNumber);
+
+    const rowErrors = [];
+    const timestamp = parseDate(cell(row, 'date'), dateFormat);
+    if (!timestamp) {
+      rowErrors.push({ row: rowNumber, field: 'date', message: `Unrecognised date "${cell(row, 'date')}"` });
+    }
+    const name = cell(row, 'item');
+    if (!name) {
+      rowErrors.push({ row: rowNumber, field: 'item', message: 'Item name is required' });
+    }
+    const value = parseValue(cell(row, 'value'));
+    if (value === undefined) {
+      rowErrors.push({ row: rowNumber, field: 'value', message: `Invalid value "${cell(row, 'value')}"` });
+    }
+
+    let rowLocationId = locationId;
+    if (cell(row, 'location')) {
+      const location = findLocation(cell(row, 'location'));
+      if (location) {
+        rowLocationId = location.id;
+      } else {
+        rowErrors.push({ row: rowNumber, field: 'location', message: `Unknown location "${cell(row, 'location')}"` });
+      }
+    }
+
+    let category = cell(row, 'category').toLowerCase() || 'other';
+    if (!ITEM_CATEGORIES.includes(category)) {
+      warnings.push({ row: rowNumber, field: 'category', message: `Category "${cell(row, 'category')}" imported as "other"` });
+      category = 'other';
+    }
+    let condition = cell(row, 'condition').toLowerCase() || 'uncertain';
+    if (!ITEM_CONDITIONS.includes(condition)) {
+      warnings.push({ row: rowNumber, field: 'condition', message: `Condition "${cell(row, 'condition')}" imported as "uncertain"` });
+      condition = 'uncertain';
+    }
+
+    let mealPeriod = cell(row, 'meal').toLowerCase() || null;
+    if (mealPeriod && !MEAL_PERIODS.includes(mealPeriod)) {
+      warnings.push({ row: rowNumber, field: 'meal', message: `Meal period "${cell(row, 'meal')}" is not one of ${MEAL_PERIODS.join(', ')}; left empty` });
+      mealPeriod = null;
+    }
+    let shift = cell(row, 'shift') || null;
+    if (shift && !shifts.includes(shift)) {
+      warnings.push({ row: rowNumber, field: 'shift', message: `Shift "${shift}" is not one of ${shifts.join(', ')}; left empty` });
+      shift = null;
+    }
+
+    const key = cell(row, 'entry') ? `entry:${cell(row, 'entry')}` : `${timestamp}|${rowLocationId}`;
+    if (!groups.has(key)) {
+      // Only dates with a time of day place the entry in a meal period and shift by themselves
+      const hasTime = /^\d{4}-\d{2}-\d{2}T/.test(cell(row, 'date'));
+      groups.set(key, { rows: [], errors: [], timestamp, hasTime, locationId: rowLocationId, items: [], notes: [], weight: '', mealPeriod: null, shift: null, station: null });
+    }
+    const group = groups.get(key);
+    group.rows.push(rowNumber);
+    group.errors.push(...rowErrors);
+    group.items.push({ name, category, condition, estimatedAmount: cell(row, 'amount'), estimatedValue: value });
+    if (cell(row, 'notes') && !group.notes.includes(cell(row, 'notes'))) group.notes.push(cell(row, 'notes'));
+    if (!group.weight) group.weight = cell(row, 'weight');
+    if (!group.mealPeriod) group.mealPeriod = mealPeriod;
+    if (!group.shift) group.shift = shift;
+    if (!group.station) group.station = normalizeStation(cell(row, 'station'));
+  });
+
+  // A group with a bad row is skipped whole rather than imported as a partial entry
+  const entries = [];
+  const existing = getImportFingerprints();
+  const seen = new Map();
+  groups.forEach(group => {
+    if (group.errors.length > 0) {
+      errors.push(...group.errors);
+      const failedRows = new Set(group.errors.map(error => error.row));
+      group.rows.filter(row => !failedRows.has(row)).forEach(row => {
+        errors.push({ row, field: null, message: 'Skipped because another row of the same entry has errors' });
+      });
+      return;
+    }
+
+    const entry = {
+      timestamp: group.timestamp,
+      locationId: group.locationId,
+      items: group.items,
+      notes: group.notes.join('; '),
+      estimatedWaste: { weight: group.weight },
+      mealPeriod: group.mealPeriod,
+      shift: group.shift,
+      station: group.station,
+      inferServicePeriod: group.hasTime,
+      rows: group.rows
+    };
+    entry.importFingerprint = fingerprint(entry);
+
+    if (existing.has(entry.importFingerprint)) {
+      duplicates.push({ rows: group.rows, message: 'Already imported' });
+    } else if (seen.has(entry.importFingerprint)) {
+      duplicates.push({ rows: group.rows, message: `Same as rows ${seen.get(entry.importFingerprint).join(', ')}` });
+    } else {
+      seen.set(entry.importFingerprint, group.rows);
+      entries.push(entry);
+    }
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { entries, duplicates, errors, warnings };
+}
+
+// Imports a CSV document. With dryRun the report is produced without writing anything.
+export function importWasteCsv(text, options = {}) {
+  const { mapping, dryRun = false, locationId = null, dateFormat = 'mdy', actor = null } = options;
+
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    return { success: false, message: `Invalid dateFormat "${dateFormat}". Expected one of: ${DATE_FORMATS.join(', ')}` };
+  }
+  const defaultLocation = locationId == null || locationId === ''
+    ? null
+    : getLocations().find(l => l.id === Number(locationId));
+  if (locationId != null && locationId !== '' && !defaultLocation) {
+    return { success: false, message: `Location #${locationId} not found` };
+  }
+
+  const [headers, ...rows] = parseCsv(text);
+  if (!headers || rows.length === 0) {
+    return { success: false, message: 'The CSV file has no data rows' };
+  }
+  const { columns, error } = resolveColumns(headers, mapping);
+  if (error) {
+    return { success: false, message: error };
+  }
+
+  const plan = planImport(rows, columns, { locationId: defaultLocation?.id ?? null, dateFormat });
+  const batchId = dryRun ? null : randomUUID();
+  if (!dryRun && plan.entries.length > 0) {
+    logImportedWaste(plan.entries.map(({ rows: _rows, ...entry }) => ({
+      ...entry,
+      imagePath: null,
+      importBatch: batchId,
+      createdBy: actor ? { id: actor.id, username: actor.username } : null
+    })));
+  }
+
+  const itemCount = plan.entries.reduce((sum, entry) => sum + entry.items.length, 0);
+  return {
+    success: true,
+    dryRun,
+    batchId,
+    message: `${dryRun ? 'Would import' : 'Imported'} ${plan.entries.length} entries (${itemCount} items)`,
+    entries: plan.entries.length,
+    items: itemCount,
+    duplicates: plan.duplicates,
+    errors: plan.errors,
+    warnings: plan.warnings
+  };
+}
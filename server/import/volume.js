@@ -0,0 +1,181 @@
+import { getLocations, importVolumeRecords } from '../database/db.js';
+import { normalizeName } from '../catalog/matching.js';
+import { localDate } from '../periods/periods.js';
+import { DATE_FORMATS, parseCsv, parseDate, resolveColumns } from './import.js';
+
+// Import of daily covers and production counts from a POS export, as CSV or as a JSON
+// array of row objects with the same field names. A row gives the day's covers, the
+// portions produced of one menu item, or both. Days and items already recorded are
+// replaced, so the same export can be imported again after a correction.
+
+export const VOLUME_FIELDS = {
+  date: ['date', 'business date', 'day'],
+  location: ['location', 'store', 'site', 'kitchen'],
+  covers: ['covers', 'guests', 'guest count'],
+  item: ['item', 'menu item', 'item name', 'name'],
+  portions: ['portions', 'produced', 'portions produced', 'quantity', 'qty']
+};
+
+const REQUIRED_FIELDS = ['date'];
+
+// [headers, ...rows] of a JSON export, in the shape parseCsv returns
+function jsonRows(text) {
+  let records;
+  try {
+    records = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+    return null;
+  }
+  const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return [headers, ...records.map(record => headers.map(header => (record[header] == null ? '' : String(record[header]))))];
+}
+
+function parseCount(value) {
+  const text = value.replace(/[,\s]/g, '');
+  if (text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+function planVolumeImport(rows, columns, { locationId = null, dateFormat = 'mdy' }) {
+  const errors = [];
+  const warnings = [];
+  const locations = getLocations();
+  const findLocation = (value) => {
+    const key = value.trim().toLowerCase();
+    return locations.find(l => String(l.id) === key || l.name.toLowerCase() === key) || null;
+  };
+  const cell = (row, field) => (field in columns ? (row[columns[field]] ?? '').trim() : '');
+
+  // Rows without an item add their covers to the day (one row per meal period, say);
+  // item rows may repeat the day's total, which then counts once
+  const coverDays = new Map();
+  const production = new Map();
+  rows.forEach((row, index) => {
+    // Row 1 is the header
+    const rowNumber = index + 2;
+    if (row.every(value => !value.trim())) return;
+
+    const timestamp = parseDate(cell(row, 'date'), dateFormat);
+    if (!timestamp) {
+      errors.push({ row: rowNumber, field: 'date', message: `Unrecognised date "${cell(row, 'date')}"` });
+      return;
+    }
+    const date = localDate(timestamp);
+
+    let rowLocationId = locationId;
+    if (cell(row, 'location')) {
+      const location = findLocation(cell(row, 'location'));
+      if (!location) {
+        errors.push({ row: rowNumber, field: 'location', message: `Unknown location "${cell(row, 'location')}"` });
+        return;
+      }
+      rowLocationId = location.id;
+    }
+
+    const covers = parseCount(cell(row, 'covers'));
+    if (covers === undefined) {
+      errors.push({ row: rowNumber, field: 'covers', message: `Invalid covers "${cell(row, 'covers')}"` });
+      return;
+    }
+    const item = cell(row, 'item');
+    const portions = parseCount(cell(row, 'portions'));
+    if (portions === undefined || (item && portions === null)) {
+      errors.push({ row: rowNumber, field: 'portions', message: `Invalid portions "${cell(row, 'portions')}"` });
+      return;
+    }
+    if (!item && covers === null) {
+      errors.push({ row: rowNumber, field: null, message: 'The row has neither covers nor an item' });
+      return;
+    }
+    if (!item && portions !== null) {
+      warnings.push({ row: rowNumber, field: 'portions', message: 'Portions without an item were ignored' });
+    }
+
+    const dayKey = `${date}|${rowLocationId ?? ''}`;
+    if (covers !== null) {
+      const day = coverDays.get(dayKey) || { date, locationId: rowLocationId, summed: null, repeated: new Map() };
+      if (item) {
+        day.repeated.set(covers, [...(day.repeated.get(covers) || []), rowNumber]);
+      } else {
+        day.summed = (day.summed || 0) + covers;
+      }
+      coverDays.set(dayKey, day);
+    }
+    if (item) {
+      const itemKey = `${dayKey}|${normalizeName(item)}`;
+      const produced = production.get(itemKey) || { date, locationId: rowLocationId, name: item, portions: 0 };
+      produced.portions += portions;
+      production.set(itemKey, produced);
+    }
+  });
+
+  const covers = [];
+  coverDays.forEach(day => {
+    if (day.summed !== null) {
+      covers.push({ date: day.date, locationId: day.locationId, covers: day.summed });
+    } else if (day.repeated.size === 1) {
+      covers.push({ date: day.date, locationId: day.locationId, covers: [...day.repeated.keys()][0] });
+    } else {
+      errors.push({
+        row: Math.min(...[...day.repeated.values()].flat()),
+        field: 'covers',
+        message: `Item rows of ${day.date} give different covers (${[...day.repeated.keys()].join(', ')}); put the day's covers on a row of their own`
+      });
+    }
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { covers, production: [...production.values()], errors, warnings };
+}
+
+// Imports a CSV or JSON document (format 'csv' or 'json'; detected from the content
+// when omitted). With dryRun the report is produced without writing anything.
+export function importVolume(text, options = {}) {
+  const { format, mapping, dryRun = false, locationId = null, dateFormat = 'mdy', actor = null } = options;
+
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    return { success: false, message: `Invalid dateFormat "${dateFormat}". Expected one of: ${DATE_FORMATS.join(', ')}` };
+  }
+  const defaultLocation = locationId == null || locationId === ''
+    ? null
+    : getLocations().find(l => l.id === Number(locationId));
+  if (locationId != null && locationId !== '' && !defaultLocation) {
+    return { success: false, message: `Location #${locationId} not found` };
+  }
+
+  const isJson = format ? format === 'json' : /^\s*[[{]/.test(text);
+  const parsed = isJson ? jsonRows(text) : parseCsv(text);
+  if (!parsed) {
+    return { success: false, message: 'The JSON file must hold an array of row objects' };
+  }
+  const [headers, ...rows] = parsed;
+  if (!headers || rows.length === 0) {
+    return { success: false, message: 'The file has no data rows' };
+  }
+  const { columns, error } = resolveColumns(headers, mapping, VOLUME_FIELDS, REQUIRED_FIELDS);
+  if (error) {
+    return { success: false, message: error };
+  }
+  if (!('covers' in columns) && !('item' in columns && 'portions' in columns)) {
+    return { success: false, message: 'The file needs a covers column, or item and portions columns' };
+  }
+
+  const plan = planVolumeImport(rows, columns, { locationId: defaultLocation?.id ?? null, dateFormat });
+  if (!dryRun && (plan.covers.length > 0 || plan.production.length > 0)) {
+    importVolumeRecords(plan, actor ? { id: actor.id, username: actor.username } : null);
+  }
+
+  return {
+    success: true,
+    dryRun,
+    message: `${dryRun ? 'Would import' : 'Imported'} covers for ${plan.covers.length} days and ${plan.production.length} production counts`,
+    covers: plan.covers.length,
+    production: plan.production.length,
+    errors: plan.errors,
+    warnings: plan.warnings
+  };
+}
@@ -3,10 +3,21 @@ import cors from 'cors';
 import multer from 'multer';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { analyzeFoodWaste } from './ai/vision.js';
-import { initDatabase, logWaste, getWasteHistory, getWasteStats, getSuggestions, findEntryByImageHash, deleteEntryById, clearAllWasteData } from './database/db.js';
+import { initDatabase, getWasteHistory, getWasteStats, getSuggestions, deleteEntryById, clearAllWasteData, getTrash, restoreEntry, restoreDeletionBatch, purgeTrash, getAuditLog, updateEntry, confirmWasteStream, updateItem, addItem, removeItem, getLocations, getLocation, createLocation, updateLocation, deleteLocation, countUsers, getUsers, getCatalogItems, createCatalogItem, updateCatalogItem, deleteCatalogItem, getUnmatchedNames, resolveUnmatchedName, getPrices, createPrice, updatePrice, deletePrice, getImpactFactors, createImpactFactor, updateImpactFactor, deleteImpactFactor, validateServicePeriod, getServiceSettings, updateServiceSettings, getCovers, setCovers, deleteCovers, getProduction, setProduction, deleteProduction } from './database/db.js';
+import { initJobQueue, registerJobHandler, enqueueJob, findJobForRequest, getJobStatus } from './jobs/queue.js';
+import { analyzeWasteJob, removeJobUploads } from './jobs/analyzeWaste.js';
+import { enqueueAnalysisBatch, getBatchSummary, retryBatch } from './jobs/batch.js';
+import { exportWasteData, validateExportOptions } from './export/export.js';
+import { importWasteCsv } from './import/import.js';
+import { importVolume } from './import/volume.js';
+import { measuredGrams } from './quantity/quantity.js';
+import { recordScaleReading, getScaleReading } from './scale/scale.js';
+import { normalizeImage } from './images/images.js';
+import { assessImageQuality, qualitySettings } from './images/quality.js';
+import { DISPOSITIONS, normalizeDisposition } from './disposition/disposition.js';
+import { WASTE_STREAMS, normalizeWasteStream } from './ai/schema.js';
+import { authenticate, authenticateImage, issueImageToken, requireRole, hasRole, login, logout, createAccount, updateAccount, formatUser } from './auth/auth.js';
 import dotenv from 'dotenv';
-import { createHash } from 'crypto';
 
 dotenv.config();
 
@@ -23,6 +34,10 @@ app.use(express.json());
 // Initialize database
 initDatabase();
 
+// Start the analysis queue (resumes jobs left over from the last run)
+registerJobHandler('analyze-waste', analyzeWasteJob, { cleanup: removeJobUploads });
+initJobQueue();
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -46,8 +61,92 @@ const upload = multer({
   }
 });
 
+// One entry can have several photos: angles of the same waste ("images", or the
+// single "image" field) or a before/after pair ("served" and "returned")
+const MAX_PHOTOS_PER_ENTRY = 4;
+const photoUpload = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_PHOTOS_PER_ENTRY },
+  { name: 'served', maxCount: 1 },
+  { name: 'returned', maxCount: 1 }
+]);
+
+function uploadedPhotos(files = {}) {
+  const angles = [...(files.image || []), ...(files.images || [])];
+  const served = files.served?.[0];
+  const returned = files.returned?.[0];
+  if (served || returned) {
+    if (!served || !returned) return { error: 'Before/after entries need both a served and a returned photo' };
+    if (angles.length > 0) return { error: 'Send either served/returned photos or image(s), not both' };
+    return { mode: 'before_after', photos: [{ file: served, role: 'served' }, { file: returned, role: 'returned' }] };
+  }
+  if (angles.length === 0) return { error: 'No image file provided' };
+  if (angles.length > MAX_PHOTOS_PER_ENTRY) return { error: `At most ${MAX_PHOTOS_PER_ENTRY} photos per entry` };
+  return { mode: angles.length > 1 ? 'angles' : 'single', photos: angles.map(file => ({ file, role: null })) };
+}
+
+// Batch uploads: many photos at once (e.g. every bin at the end of a shift), one entry each
+const MAX_BATCH_PHOTOS = 20;
+const batchUpload = upload.array('images', MAX_BATCH_PHOTOS);
+
+// Leeway for device clocks that run slightly ahead when checking capturedAt
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Meal period, shift and station form fields; blank fields are left to inference
+function uploadServicePeriod(body) {
+  return {
+    mealPeriod: body.mealPeriod || null,
+    shift: body.shift || null,
+    station: body.station || null
+  };
+}
+
+async function discardUploads(files = {}) {
+  await Promise.all(Object.values(files).flat().map(file => unlink(file.path).catch(() => {})));
+}
+
+// Runs after multer: every stored photo is oriented, downscaled and stripped of
+// its metadata before anything else reads it
+async function normalizeUploads(req, res, next) {
+  const files = Object.values(req.files || {}).flat();
+  try {
+    for (const file of files) {
+      await normalizeImage(file);
+    }
+    return next();
+  } catch (error) {
+    await discardUploads(files);
+    if (error.code === 'UNSUPPORTED_IMAGE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error processing uploaded image:', error);
+    return res.status(500).json({ error: 'Failed to process uploaded image' });
+  }
+}
+
+// Local quality check of an entry's photos before paying for a model call.
+// rejected lists the failed checks, labelled with the photo they belong to.
+async function checkPhotoQuality(photos) {
+  const qualities = [];
+  for (const { file } of photos) {
+    const { rejected, ...quality } = await assessImageQuality(file.path);
+    qualities.push(quality);
+  }
+  const rejected = qualities.flatMap((quality, index) => quality.issues
+    .filter(issue => issue.severity === 'reject')
+    .map(issue => ({ ...issue, photo: photos.length > 1 ? photos[index].role || `photo ${index + 1}` : null })));
+  const message = rejected.map(issue => (issue.photo ? `${issue.photo}: ${issue.message}` : issue.message)).join('; ');
+  return { qualities, rejected, message };
+}
+
+// Spreadsheet imports are parsed in memory and never written to uploads/
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
 // Ensure uploads directory exists
-import { mkdir } from 'fs/promises';
+import { mkdir, unlink } from 'fs/promises';
 import { existsSync } from 'fs';
 if (!existsSync('uploads')) {
   mkdir('uploads', { recursive: true }).catch(err => {
@@ -56,99 +155,347 @@ if (!existsSync('uploads')) {
 }
 
 // Serve uploaded files
-app.use('/uploads', express.static('uploads'));
+app.use('/uploads', authenticateImage, express.static('uploads'));
 
 // Health check route
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Auth routes (public): the first account can be created without logging in
+app.get('/api/auth/status', (req, res) => {
+  res.json({ needsSetup: countUsers() === 0 });
+});
+
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    if (countUsers() > 0) {
+      return res.status(409).json({ error: 'Setup has already been completed' });
+    }
+    const result = createAccount(req.body, { role: 'admin' });
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    res.status(201).json(login(req.body.username, req.body.password));
+  } catch (error) {
+    console.error('Error during setup:', error);
+    res.status(500).json({ error: 'Failed to create admin account' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const session = typeof password === 'string' ? login(username, password) : null;
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    res.json(session);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Every route below requires a logged-in user
+app.use('/api', authenticate);
+
+app.post('/api/auth/logout', (req, res) => {
+  logout(req.authToken);
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
+});
+
+// Short-lived token for loading uploaded images; the session token never goes into a URL
+app.get('/api/auth/image-token', (req, res) => {
+  res.json(issueImageToken(req.user));
+});
+
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(getUsers().map(formatUser));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const result = createAccount(req.body);
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    return res.status(201).json(result);
+  } catch (error) {
+    console.error('Error creating user:', error);
+    return res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+app.patch('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (Number(req.params.id) === req.user.id && ((req.body?.role && req.body.role !== 'admin') || req.body?.disabled)) {
+      return res.status(400).json({ error: 'You cannot demote or disable your own account' });
+    }
+    return sendCorrectionResult(res, updateAccount(req.params.id, req.body));
+  } catch (error) {
+    console.error('Error updating user:', error);
+    return res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
 // Routes
-app.post('/api/analyze-waste', upload.single('image'), async (req, res) => {
+app.post('/api/analyze-waste', requireRole('staff'), photoUpload, normalizeUploads, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
-    }
-
-    const imagePath = req.file.path;
-    // Compute hash for deduplication/consistency
-    const buffer = await (await import('fs/promises')).readFile(imagePath);
-    const imageHash = createHash('sha256').update(buffer).digest('hex');
-
-    // If duplicate image seen before, prefer previous consistent values
-    const previous = findEntryByImageHash(imageHash);
-    let analysis = await analyzeFoodWaste(imagePath);
-
-    let duplicateOfEntryId = null;
-    let consistencyNote = '';
-    if (previous) {
-      duplicateOfEntryId = previous.id || null;
-      // Reuse monetary totals and item values for consistency
-      // Keep latest qualitative notes from current analysis but align values
-      if (previous.items && previous.items.length > 0) {
-        // Map previous items by name for best-effort alignment
-        const prevByName = new Map(previous.items.map(it => [it.name?.toLowerCase?.() || '', it]));
-        analysis.items = analysis.items.map(it => {
-          const key = (it.name || '').toLowerCase();
-          const prev = prevByName.get(key);
-          return {
-            ...it,
-            estimatedValue: prev?.estimatedValue ?? it.estimatedValue
-          };
-        });
+    const { mode, photos, error } = uploadedPhotos(req.files);
+    if (error) {
+      await discardUploads(req.files);
+      return res.status(400).json({ error });
+    }
+
+    const locationId = req.body.locationId ? Number(req.body.locationId) : null;
+    if (locationId !== null && !getLocation(locationId)) {
+      await discardUploads(req.files);
+      return res.status(400).json({ error: `Location #${req.body.locationId} not found` });
+    }
+
+    const disposition = req.body.disposition ? normalizeDisposition(req.body.disposition) : null;
+    if (req.body.disposition && !disposition) {
+      await discardUploads(req.files);
+      return res.status(400).json({ error: `Invalid disposition "${req.body.disposition}". Expected one of: ${DISPOSITIONS.join(', ')}` });
+    }
+
+    // A stream chosen by staff counts as confirmed; without one the AI suggests it
+    const wasteStream = req.body.wasteStream ? normalizeWasteStream(req.body.wasteStream) : null;
+    if (req.body.wasteStream && !wasteStream) {
+      await discardUploads(req.files);
+      return res.status(400).json({ error: `Invalid waste stream "${req.body.wasteStream}". Expected one of: ${WASTE_STREAMS.join(', ')}` });
+    }
+
+    // Meal period and shift are inferred from the time unless given; the station is chosen on the device
+    const servicePeriod = uploadServicePeriod(req.body);
+    const invalidServicePeriod = validateServicePeriod(servicePeriod);
+    if (invalidServicePeriod) {
+      await discardUploads(req.files);
+      return res.status(400).json({ error: invalidServicePeriod });
+    }
+
+    // Optional weight from a scale or typed in; it replaces the estimated item weights
+    let measuredWeight = null;
+    if (req.body.measuredWeight) {
+      const grams = measuredGrams(req.body.measuredWeight, req.body.measuredWeightUnit || 'g');
+      if (grams === null) {
+        await discardUploads(req.files);
+        return res.status(400).json({ error: 'measuredWeight must be a positive number in g, kg, oz or lb' });
       }
-      // Recompute total to match previous total if significantly close
-      const currentTotal = analysis.items.reduce((s, it) => s + (it.estimatedValue || 0), 0);
-      const previousTotal = parseFloat(previous.total_estimated_value || 0);
-      if (previousTotal > 0) {
-        analysis.totalEstimatedValue = previousTotal;
-        consistencyNote = `Values aligned with duplicate of entry #${previous.id} for consistency.`;
-      } else {
-        // Otherwise, round to nearest $0.10 for stability
-        analysis.totalEstimatedValue = Math.round(currentTotal * 10) / 10;
+      measuredWeight = { grams, source: req.body.scaleId ? 'scale' : 'manual', scaleId: req.body.scaleId || null };
+    }
+
+    // Uploads queued while offline carry the time the photos were taken
+    let timestamp = new Date().toISOString();
+    if (req.body.capturedAt) {
+      const capturedAt = Date.parse(req.body.capturedAt);
+      if (Number.isNaN(capturedAt) || capturedAt > Date.now() + MAX_CLOCK_SKEW_MS) {
+        await discardUploads(req.files);
+        return res.status(400).json({ error: 'capturedAt must be an ISO date-time that is not in the future' });
       }
-    } else {
-      // First time: round total to nearest $0.10 for stability
-      const currentTotal = analysis.items.reduce((s, it) => s + (it.estimatedValue || 0), 0);
-      analysis.totalEstimatedValue = Math.round(currentTotal * 10) / 10;
-    }
-
-    // Log the waste entry
-    const wasteEntry = await logWaste({
-      imagePath: `/uploads/${req.file.filename}`,
-      items: analysis.items || [],
-      estimatedWaste: analysis.estimatedWaste || {},
-      timestamp: new Date().toISOString(),
-      notes: [analysis.notes || '', consistencyNote].filter(Boolean).join(' ').trim(),
-      imageHash,
-      duplicateOfEntryId,
-      consistencyNote
+      timestamp = new Date(capturedAt).toISOString();
+    }
+
+    const quality = await checkPhotoQuality(photos);
+    if (quality.rejected.length > 0) {
+      await discardUploads(req.files);
+      return res.status(422).json({ error: quality.message, qualityIssues: quality.rejected });
+    }
+
+    // Offline uploads are re-sent when the answer got lost; the Idempotency-Key header
+    // (scoped to the user) makes the repeat return the first request's job
+    const idempotencyKey = req.get('Idempotency-Key') ? `${req.user.id}:${req.get('Idempotency-Key')}` : null;
+    const previousJob = findJobForRequest(idempotencyKey);
+    if (previousJob) {
+      await discardUploads(req.files);
+      return res.status(200).json({ success: true, jobId: previousJob.id, job: previousJob, duplicate: true });
+    }
+
+    // Analysis runs in the job queue; the client polls GET /api/jobs/:id
+    const job = enqueueJob('analyze-waste', {
+      photos: photos.map(({ file, role }, index) => ({
+        imagePath: file.path,
+        publicPath: `/uploads/${file.filename}`,
+        role,
+        quality: quality.qualities[index]
+      })),
+      mode,
+      timestamp,
+      locationId,
+      disposition,
+      wasteStream,
+      servicePeriod,
+      user: { id: req.user.id, username: req.user.username },
+      measuredWeight
+    }, { idempotencyKey });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job
+    });
+  } catch (error) {
+    console.error('Error queueing waste analysis:', error);
+    res.status(500).json({
+      error: 'Failed to queue analysis',
+      message: error.message || 'An unknown error occurred while queueing the image'
+    });
+  }
+});
+
+app.post('/api/analyze-waste/batch', requireRole('staff'), batchUpload, normalizeUploads, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No image files provided' });
+    }
+
+    const locationId = req.body.locationId ? Number(req.body.locationId) : null;
+    if (locationId !== null && !getLocation(locationId)) {
+      await discardUploads({ images: req.files });
+      return res.status(400).json({ error: `Location #${req.body.locationId} not found` });
+    }
+
+    const disposition = req.body.disposition ? normalizeDisposition(req.body.disposition) : null;
+    if (req.body.disposition && !disposition) {
+      await discardUploads({ images: req.files });
+      return res.status(400).json({ error: `Invalid disposition "${req.body.disposition}". Expected one of: ${DISPOSITIONS.join(', ')}` });
+    }
+
+    const wasteStream = req.body.wasteStream ? normalizeWasteStream(req.body.wasteStream) : null;
+    if (req.body.wasteStream && !wasteStream) {
+      await discardUploads({ images: req.files });
+      return res.status(400).json({ error: `Invalid waste stream "${req.body.wasteStream}". Expected one of: ${WASTE_STREAMS.join(', ')}` });
+    }
+
+    const servicePeriod = uploadServicePeriod(req.body);
+    const invalidServicePeriod = validateServicePeriod(servicePeriod);
+    if (invalidServicePeriod) {
+      await discardUploads({ images: req.files });
+      return res.status(400).json({ error: invalidServicePeriod });
+    }
+
+    // Photos failing the quality check are listed in the batch as failed without
+    // being analyzed; the others each become their own job
+    const photos = [];
+    for (const file of req.files) {
+      const quality = await checkPhotoQuality([{ file }]);
+      if (quality.rejected.length > 0) {
+        await discardUploads([file]);
+      }
+      photos.push({ file, quality: quality.qualities[0], rejectedReason: quality.message || null });
+    }
+
+    // The client polls GET /api/batches/:id
+    const batch = enqueueAnalysisBatch(photos, {
+      locationId,
+      disposition,
+      wasteStream,
+      servicePeriod,
+      user: { id: req.user.id, username: req.user.username }
+    });
+    res.status(202).json({ success: true, batchId: batch.id, batch });
+  } catch (error) {
+    console.error('Error queueing batch analysis:', error);
+    res.status(500).json({
+      error: 'Failed to queue batch',
+      message: error.message || 'An unknown error occurred while queueing the images'
     });
+  }
+});
+
+// Jobs and batches are visible to the user who queued them and to managers
+function canAccessQueued(user, createdBy) {
+  return hasRole(user, 'manager') || (createdBy != null && createdBy.id === user.id);
+}
 
+app.get('/api/batches/:id', async (req, res) => {
+  try {
+    const batch = getBatchSummary(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: `Batch #${req.params.id} not found` });
+    }
+    if (!canAccessQueued(req.user, batch.createdBy)) {
+      return res.status(403).json({ error: 'Only the user who uploaded this batch or a manager can view it' });
+    }
+    res.json(batch);
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({ error: 'Failed to fetch batch' });
+  }
+});
+
+app.post('/api/batches/:id/retry', requireRole('staff'), async (req, res) => {
+  try {
+    const batch = getBatchSummary(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: `Batch #${req.params.id} not found` });
+    }
+    if (!canAccessQueued(req.user, batch.createdBy)) {
+      return res.status(403).json({ error: 'Only the user who uploaded this batch or a manager can retry it' });
+    }
+    const result = retryBatch(batch.id);
     res.json({
       success: true,
-      analysis,
-      wasteEntry
+      message: result.retried > 0 ? `Retrying ${result.retried} photo(s)` : 'No failed photos to retry',
+      ...result
     });
   } catch (error) {
-    console.error('Error analyzing waste:', error);
-    
-    // Determine appropriate status code
-    let statusCode = 500;
-    if (error.message.includes('quota') || error.message.includes('429') || error.message.includes('rate limit')) {
-      statusCode = 429;
-    } else if (error.message.includes('API key') || error.message.includes('API_KEY') || error.message.includes('401') || error.message.includes('403') || error.message.includes('PERMISSION_DENIED')) {
-      statusCode = 401;
-    } else if (error.message.includes('file not found') || error.message.includes('ENOENT')) {
-      statusCode = 404;
-    } else if (error.message.includes('400') || error.message.includes('INVALID_ARGUMENT')) {
-      statusCode = 400;
-    }
-    
-    res.status(statusCode).json({ 
-      error: 'Failed to analyze waste',
-      message: error.message || 'An unknown error occurred while analyzing the image'
-    });
+    console.error('Error retrying batch:', error);
+    res.status(500).json({ error: 'Failed to retry batch' });
+  }
+});
+
+// Scale readings, pushed by network scales or scripts/scale-bridge.js and read
+// back by the upload form to fill in the measured weight
+app.post('/api/scale/readings', requireRole('staff'), async (req, res) => {
+  try {
+    const result = recordScaleReading(req.body, req.user);
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    return res.status(201).json(result);
+  } catch (error) {
+    console.error('Error recording scale reading:', error);
+    return res.status(500).json({ error: 'Failed to record scale reading' });
+  }
+});
+
+app.get('/api/scale/readings/:scaleId', async (req, res) => {
+  try {
+    const reading = getScaleReading(req.params.scaleId);
+    if (!reading) {
+      return res.status(404).json({ error: `No recent reading from scale "${req.params.scaleId}"` });
+    }
+    return res.json(reading);
+  } catch (error) {
+    console.error('Error fetching scale reading:', error);
+    return res.status(500).json({ error: 'Failed to fetch scale reading' });
+  }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = getJobStatus(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `Job #${req.params.id} not found` });
+    }
+    if (!canAccessQueued(req.user, job.createdBy)) {
+      return res.status(403).json({ error: 'Only the user who queued this job or a manager can view it' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
   }
 });
 
@@ -164,7 +511,7 @@ app.get('/api/waste-history', async (req, res) => {
 
 app.get('/api/waste-stats', async (req, res) => {
   try {
-    const stats = await getWasteStats();
+    const stats = await getWasteStats(req.query);
     res.json(stats);
   } catch (error) {
     console.error('Error fetching waste stats:', error);
@@ -174,7 +521,7 @@ app.get('/api/waste-stats', async (req, res) => {
 
 app.get('/api/suggestions', async (req, res) => {
   try {
-    const suggestions = await getSuggestions();
+    const suggestions = await getSuggestions(req.query);
     res.json(suggestions);
   } catch (error) {
     console.error('Error fetching suggestions:', error);
@@ -182,23 +529,120 @@ app.get('/api/suggestions', async (req, res) => {
   }
 });
 
-app.delete('/api/waste-history/:id', async (req, res) => {
+// CSV / XLSX download of entries or flattened items, with the same filters as the history
+app.get('/api/export', async (req, res) => {
+  try {
+    const invalid = validateExportOptions(req.query);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const { body, contentType, filename } = await exportWasteData(req.query);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(body);
+  } catch (error) {
+    console.error('Error exporting waste data:', error);
+    return res.status(500).json({ error: 'Failed to export waste data' });
+  }
+});
+
+// Bulk import of historical waste logs; dryRun=true returns the report without writing
+app.post('/api/import', requireRole('manager'), csvUpload.single('file'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = deleteEntryById(id);
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file provided' });
+    }
+    let mapping;
+    try {
+      mapping = req.body.mapping ? JSON.parse(req.body.mapping) : undefined;
+    } catch {
+      return res.status(400).json({ error: 'mapping must be a JSON object of field to column name' });
+    }
+    const result = importWasteCsv(req.file.buffer.toString('utf8'), {
+      mapping,
+      dryRun: req.body.dryRun === 'true',
+      locationId: req.body.locationId,
+      dateFormat: req.body.dateFormat,
+      actor: req.user
+    });
     if (!result.success) {
-      return res.status(404).json({ error: result.message });
+      return res.status(400).json({ error: result.message });
     }
-    return res.json(result);
+    return res.status(result.dryRun ? 200 : 201).json(result);
+  } catch (error) {
+    console.error('Error importing waste logs:', error);
+    return res.status(500).json({ error: 'Failed to import waste logs' });
+  }
+});
+
+// Manual corrections of AI-detected entries and items
+function sendCorrectionResult(res, result) {
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : result.forbidden ? 403 : 400).json({ error: result.message });
+  }
+  return res.json(result);
+}
+
+app.patch('/api/waste-history/:id', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, updateEntry(req.params.id, req.body, req.user));
+  } catch (error) {
+    console.error('Error updating waste entry:', error);
+    return res.status(500).json({ error: 'Failed to update entry' });
+  }
+});
+
+// Staff confirm or change the suggested waste stream of an entry they logged
+app.put('/api/waste-history/:id/waste-stream', requireRole('staff'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, confirmWasteStream(req.params.id, req.body?.wasteStream, req.user, {
+      anyEntry: hasRole(req.user, 'manager')
+    }));
+  } catch (error) {
+    console.error('Error confirming waste stream:', error);
+    return res.status(500).json({ error: 'Failed to confirm waste stream' });
+  }
+});
+
+app.post('/api/waste-history/:id/items', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, addItem(req.params.id, req.body, req.user));
+  } catch (error) {
+    console.error('Error adding item:', error);
+    return res.status(500).json({ error: 'Failed to add item' });
+  }
+});
+
+app.patch('/api/waste-history/:id/items/:itemId', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, updateItem(req.params.id, req.params.itemId, req.body, req.user));
+  } catch (error) {
+    console.error('Error updating item:', error);
+    return res.status(500).json({ error: 'Failed to update item' });
+  }
+});
+
+app.delete('/api/waste-history/:id/items/:itemId', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, removeItem(req.params.id, req.params.itemId, req.user));
+  } catch (error) {
+    console.error('Error removing item:', error);
+    return res.status(500).json({ error: 'Failed to remove item' });
+  }
+});
+
+app.delete('/api/waste-history/:id', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, deleteEntryById(req.params.id, req.user));
   } catch (error) {
     console.error('Error deleting waste entry:', error);
     return res.status(500).json({ error: 'Failed to delete entry' });
   }
 });
 
-app.delete('/api/waste-history', async (req, res) => {
+app.delete('/api/waste-history', requireRole('admin'), async (req, res) => {
   try {
-    const result = clearAllWasteData();
+    const result = clearAllWasteData(req.user);
     res.json(result);
   } catch (error) {
     console.error('Error clearing waste history:', error);
@@ -206,6 +650,363 @@ app.delete('/api/waste-history', async (req, res) => {
   }
 });
 
+// Deleted and cleared entries wait in the trash until restored or purged
+app.get('/api/trash', requireRole('manager'), async (req, res) => {
+  try {
+    res.json(getTrash(req.query));
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+app.post('/api/trash/:id/restore', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, restoreEntry(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error restoring entry:', error);
+    return res.status(500).json({ error: 'Failed to restore entry' });
+  }
+});
+
+app.post('/api/trash/batches/:batchId/restore', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, restoreDeletionBatch(req.params.batchId, req.user));
+  } catch (error) {
+    console.error('Error restoring cleared entries:', error);
+    return res.status(500).json({ error: 'Failed to restore entries' });
+  }
+});
+
+app.delete('/api/trash', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(purgeTrash(req.user));
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+app.get('/api/audit-log', requireRole('manager'), async (req, res) => {
+  try {
+    res.json(getAuditLog(req.query));
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+app.get('/api/locations', async (req, res) => {
+  try {
+    res.json(getLocations());
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({ error: 'Failed to fetch locations' });
+  }
+});
+
+app.post('/api/locations', requireRole('admin'), async (req, res) => {
+  try {
+    const result = createLocation(req.body, req.user);
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    return res.status(201).json(result);
+  } catch (error) {
+    console.error('Error creating location:', error);
+    return res.status(500).json({ error: 'Failed to create location' });
+  }
+});
+
+app.patch('/api/locations/:id', requireRole('admin'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, updateLocation(req.params.id, req.body, req.user));
+  } catch (error) {
+    console.error('Error updating location:', error);
+    return res.status(500).json({ error: 'Failed to update location' });
+  }
+});
+
+app.delete('/api/locations/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = deleteLocation(req.params.id, req.user);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 409).json({ error: result.message });
+    }
+    return res.json(result);
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    return res.status(500).json({ error: 'Failed to delete location' });
+  }
+});
+
+// Canonical item catalog and the review queue of names that matched nothing
+app.get('/api/catalog', async (req, res) => {
+  try {
+    res.json(getCatalogItems());
+  } catch (error) {
+    console.error('Error fetching catalog:', error);
+    res.status(500).json({ error: 'Failed to fetch catalog' });
+  }
+});
+
+app.post('/api/catalog', requireRole('manager'), async (req, res) => {
+  try {
+    const result = createCatalogItem(req.body, req.user);
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    return res.status(201).json(result);
+  } catch (error) {
+    console.error('Error creating catalog item:', error);
+    return res.status(500).json({ error: 'Failed to create catalog item' });
+  }
+});
+
+app.get('/api/catalog/review', requireRole('manager'), async (req, res) => {
+  try {
+    res.json(getUnmatchedNames(req.query));
+  } catch (error) {
+    console.error('Error fetching catalog review queue:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
+app.post('/api/catalog/review/resolve', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, resolveUnmatchedName(req.body?.name, req.body?.catalogItemId, req.user));
+  } catch (error) {
+    console.error('Error resolving unmatched name:', error);
+    return res.status(500).json({ error: 'Failed to resolve name' });
+  }
+});
+
+app.patch('/api/catalog/:id', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, updateCatalogItem(req.params.id, req.body, req.user));
+  } catch (error) {
+    console.error('Error updating catalog item:', error);
+    return res.status(500).json({ error: 'Failed to update catalog item' });
+  }
+});
+
+app.delete('/api/catalog/:id', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, deleteCatalogItem(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error deleting catalog item:', error);
+    return res.status(500).json({ error: 'Failed to delete catalog item' });
+  }
+});
+
+// Price list used to value wasted items (cost per kg or portion of a catalog item)
+app.get('/api/prices', async (req, res) => {
+  try {
+    res.json(getPrices(req.query));
+  } catch (error) {
+    console.error('Error fetching prices:', error);
+    res.status(500).json({ error: 'Failed to fetch prices' });
+  }
+});
+
+app.post('/api/prices', requireRole('manager'), async (req, res) => {
+  try {
+    const result = createPrice(req.body, req.user);
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    return res.status(201).json(result);
+  } catch (error) {
+    console.error('Error creating price:', error);
+    return res.status(500).json({ error: 'Failed to create price' });
+  }
+});
+
+app.patch('/api/prices/:id', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, updatePrice(req.params.id, req.body, req.user));
+  } catch (error) {
+    console.error('Error updating price:', error);
+    return res.status(500).json({ error: 'Failed to update price' });
+  }
+});
+
+app.delete('/api/prices/:id', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, deletePrice(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error deleting price:', error);
+    return res.status(500).json({ error: 'Failed to delete price' });
+  }
+});
+
+// Carbon and water factors (per kg of food) for each category and catalog item
+app.get('/api/impact-factors', async (req, res) => {
+  try {
+    res.json(getImpactFactors());
+  } catch (error) {
+    console.error('Error fetching impact factors:', error);
+    res.status(500).json({ error: 'Failed to fetch impact factors' });
+  }
+});
+
+app.post('/api/impact-factors', requireRole('manager'), async (req, res) => {
+  try {
+    const result = createImpactFactor(req.body, req.user);
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    return res.status(201).json(result);
+  } catch (error) {
+    console.error('Error creating impact factor:', error);
+    return res.status(500).json({ error: 'Failed to create impact factor' });
+  }
+});
+
+app.patch('/api/impact-factors/:id', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, updateImpactFactor(req.params.id, req.body, req.user));
+  } catch (error) {
+    console.error('Error updating impact factor:', error);
+    return res.status(500).json({ error: 'Failed to update impact factor' });
+  }
+});
+
+app.delete('/api/impact-factors/:id', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, deleteImpactFactor(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error deleting impact factor:', error);
+    return res.status(500).json({ error: 'Failed to delete impact factor' });
+  }
+});
+
+// Thresholds of the photo quality check, so the client's check before upload matches this one
+app.get('/api/image-quality-settings', (req, res) => {
+  res.json(qualitySettings());
+});
+
+// Service windows that place entries in a meal period and shift, and the station list
+app.get('/api/service-settings', async (req, res) => {
+  try {
+    res.json(getServiceSettings());
+  } catch (error) {
+    console.error('Error fetching service settings:', error);
+    res.status(500).json({ error: 'Failed to fetch service settings' });
+  }
+});
+
+app.put('/api/service-settings', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, updateServiceSettings(req.body, req.user));
+  } catch (error) {
+    console.error('Error updating service settings:', error);
+    return res.status(500).json({ error: 'Failed to update service settings' });
+  }
+});
+
+// Business volume: daily covers and portions produced per menu item, for waste per cover
+app.get('/api/covers', async (req, res) => {
+  try {
+    res.json(getCovers(req.query));
+  } catch (error) {
+    console.error('Error fetching covers:', error);
+    res.status(500).json({ error: 'Failed to fetch covers' });
+  }
+});
+
+app.put('/api/covers', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, setCovers(req.body, req.user));
+  } catch (error) {
+    console.error('Error saving covers:', error);
+    return res.status(500).json({ error: 'Failed to save covers' });
+  }
+});
+
+app.delete('/api/covers/:id', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, deleteCovers(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error deleting covers:', error);
+    return res.status(500).json({ error: 'Failed to delete covers' });
+  }
+});
+
+app.get('/api/production', async (req, res) => {
+  try {
+    res.json(getProduction(req.query));
+  } catch (error) {
+    console.error('Error fetching production:', error);
+    res.status(500).json({ error: 'Failed to fetch production' });
+  }
+});
+
+app.put('/api/production', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, setProduction(req.body, req.user));
+  } catch (error) {
+    console.error('Error saving production:', error);
+    return res.status(500).json({ error: 'Failed to save production' });
+  }
+});
+
+app.delete('/api/production/:id', requireRole('manager'), async (req, res) => {
+  try {
+    return sendCorrectionResult(res, deleteProduction(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error deleting production:', error);
+    return res.status(500).json({ error: 'Failed to delete production' });
+  }
+});
+
+// POS exports (CSV or JSON) of covers and production; dryRun=true returns the report without writing
+app.post('/api/volume/import', requireRole('manager'), csvUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
+    let mapping;
+    try {
+      mapping = req.body.mapping ? JSON.parse(req.body.mapping) : undefined;
+    } catch {
+      return res.status(400).json({ error: 'mapping must be a JSON object of field to column name' });
+    }
+    const result = importVolume(req.file.buffer.toString('utf8'), {
+      format: req.body.format || (req.file.originalname.toLowerCase().endsWith('.json') ? 'json' : undefined),
+      mapping,
+      dryRun: req.body.dryRun === 'true',
+      locationId: req.body.locationId,
+      dateFormat: req.body.dateFormat,
+      actor: req.user
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    return res.status(result.dryRun ? 200 : 201).json(result);
+  } catch (error) {
+    console.error('Error importing covers and production:', error);
+    return res.status(500).json({ error: 'Failed to import covers and production' });
+  }
+});
+
+// Upload errors (file too large, too many or unexpected files) are the client's fault
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    let message = error.message;
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = req.path === '/api/analyze-waste/batch'
+        ? `Unexpected file in "${error.field}": send up to ${MAX_BATCH_PHOTOS} "images"`
+        : `Unexpected file in "${error.field}": send up to ${MAX_PHOTOS_PER_ENTRY} "images", or one "served" and one "returned" photo`;
+    }
+    return res.status(400).json({ error: message });
+  }
+  if (error?.message === 'Only image files are allowed') {
+    return res.status(400).json({ error: error.message });
+  }
+  return next(error);
+});
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 }).on('error', (err) => {
@@ -0,0 +1,147 @@
+import { readFile, unlink } from 'fs/promises';
+import { createHash } from 'crypto';
+import { analyzeFoodWaste, combinedImageHash } from '../ai/vision.js';
+import { findEntryByImageHash, findEntryByJobId, logWaste, matchItemName } from '../database/db.js';
+import { normalizeName } from '../catalog/matching.js';
+
+// Full analysis pipeline for one entry's photos: vision call, duplicate
+// alignment and logging. Runs inside the job queue, not the HTTP request.
+// photos are { imagePath, publicPath, role, quality }; jobs queued before multi-photo
+// entries carry a single imagePath / publicPath instead.
+export async function runWasteAnalysis({ photos, mode = 'single', imagePath, publicPath, timestamp, locationId, disposition, wasteStream, servicePeriod, user, measuredWeight, jobId }) {
+  const images = photos || [{ imagePath, publicPath, role: null }];
+
+  // A job resumed after a crash may have logged its entry before it could be marked
+  // done; report that entry instead of analysing and logging the photos again
+  const logged = jobId ? findEntryByJobId(jobId) : null;
+  if (logged) {
+    return { analysis: analysisOfLoggedEntry(logged), wasteEntry: logged };
+  }
+
+  // Compute hash for deduplication/consistency
+  const hashes = await Promise.all(images.map(async image => ({
+    role: image.role,
+    hash: createHash('sha256').update(await readFile(image.imagePath)).digest('hex')
+  })));
+  const imageHash = combinedImageHash(hashes);
+
+  // If duplicate image seen before, prefer previous consistent values
+  const previous = findEntryByImageHash(imageHash);
+  let analysis = await analyzeFoodWaste(
+    images.map(image => ({ path: image.imagePath, role: image.role })),
+    { imageHash, mode }
+  );
+
+  let duplicateOfEntryId = null;
+  let consistencyNote = '';
+  if (previous) {
+    duplicateOfEntryId = previous.id || null;
+    // Reuse monetary totals and item values for consistency
+    // Keep latest qualitative notes from current analysis but align values
+    if (previous.items && previous.items.length > 0) {
+      // Map previous items by canonical catalog item (or normalized name) for best-effort alignment
+      const prevByName = new Map(previous.items.map(it => [
+        it.catalogItemId ? `catalog:${it.catalogItemId}` : normalizeName(it.name),
+        it
+      ]));
+      analysis.items = analysis.items.map(it => {
+        const catalogItemId = matchItemName(it.name);
+        const prev = prevByName.get(catalogItemId ? `catalog:${catalogItemId}` : normalizeName(it.name));
+        return {
+          ...it,
+          estimatedValue: prev?.estimatedValue ?? it.estimatedValue
+        };
+      });
+    }
+    if (parseFloat(previous.total_estimated_value || 0) > 0) {
+      consistencyNote = `Values aligned with duplicate of entry #${previous.id} for consistency.`;
+    }
+  }
+
+  // Log the waste entry
+  const wasteEntry = await logWaste({
+    images: images.map(image => ({ path: image.publicPath, role: image.role, quality: image.quality || null })),
+    captureMode: mode,
+    percentUneaten: analysis.percentUneaten,
+    items: analysis.items || [],
+    estimatedWaste: analysis.estimatedWaste || {},
+    timestamp: timestamp || new Date().toISOString(),
+    notes: [analysis.notes || '', consistencyNote].filter(Boolean).join(' ').trim(),
+    imageHash,
+    duplicateOfEntryId,
+    consistencyNote,
+    validation: analysis.validation,
+    locationId,
+    disposition,
+    // A stream chosen on the upload form is already confirmed; otherwise the AI's
+    // suggestion waits for staff. Before/after captures are plate waste by definition.
+    wasteStream,
+    suggestedWasteStream: analysis.wasteStream || (mode === 'before_after' ? 'plate' : null),
+    // { mealPeriod, shift, station } from the upload form; blank ones are inferred from the timestamp
+    ...servicePeriod,
+    createdBy: user || null,
+    measuredWeight: measuredWeight || null,
+    jobId
+  });
+
+  // Report the stored values: the price list and a measured weight override the model's estimates
+  analysis.items = analysis.items.map((item, index) => ({
+    ...item,
+    estimatedValue: wasteEntry.items[index]?.estimatedValue ?? item.estimatedValue,
+    valueSource: wasteEntry.items[index]?.valueSource,
+    quantity: wasteEntry.items[index]?.quantity ?? item.quantity
+  }));
+  analysis.totalEstimatedValue = wasteEntry.totalEstimatedValue;
+  analysis.totalWeightGrams = wasteEntry.weightGrams;
+  analysis.weightSource = wasteEntry.weightSource;
+
+  return { analysis, wasteEntry };
+}
+
+// What is left of the analysis once only the logged entry remains
+function analysisOfLoggedEntry(entry) {
+  return {
+    items: entry.items,
+    percentUneaten: entry.percentUneaten,
+    notes: entry.notes,
+    estimatedWaste: {},
+    totalEstimatedValue: entry.totalEstimatedValue,
+    totalWeightGrams: entry.weightGrams,
+    weightSource: entry.weightSource
+  };
+}
+
+// Maps pipeline errors to the HTTP status the client should see
+export function statusCodeForError(error) {
+  const message = error?.message || '';
+  if (message.includes('quota') || message.includes('429') || message.includes('rate limit')) {
+    return 429;
+  } else if (message.includes('API key') || message.includes('API_KEY') || message.includes('401') || message.includes('403') || message.includes('PERMISSION_DENIED')) {
+    return 401;
+  } else if (message.includes('file not found') || message.includes('ENOENT')) {
+    return 404;
+  } else if (message.includes('400') || message.includes('INVALID_ARGUMENT')) {
+    return 400;
+  }
+  return 500;
+}
+
+// Queue handler: tags failures with a status code, which decides retries and
+// is reported to the client when polling the job
+export async function analyzeWasteJob(payload, { jobId } = {}) {
+  try {
+    return await runWasteAnalysis({ ...payload, jobId });
+  } catch (error) {
+    console.error('Error analyzing waste:', error);
+    error.statusCode = statusCodeForError(error);
+    throw error;
+  }
+}
+
+// Queue cleanup of a job that failed for good: its uploaded photos belong to no entry
+export async function removeJobUploads({ photos, imagePath }) {
+  const paths = photos ? photos.map(photo => photo.imagePath) : [imagePath];
+  await Promise.all(paths.filter(Boolean).map(path => unlink(path).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  })));
+}
@@ -0,0 +1,99 @@
+import { createBatch, getBatch } from '../database/db.js';
+import { enqueueJob, getJobStatus, retryJob } from './queue.js';
+
+// Batch uploads: every photo becomes its own entry and its own analysis job, so
+// the queue's concurrency limit applies and one bad photo never fails the rest.
+// The batch record only remembers which job belongs to which uploaded file.
+
+const FINISHED = ['done', 'failed'];
+
+// photos are { file, quality, rejectedReason }; photos rejected by the quality
+// check are recorded as failed without a job
+export function enqueueAnalysisBatch(photos, { locationId = null, disposition = null, wasteStream = null, servicePeriod = null, user = null } = {}) {
+  const timestamp = new Date().toISOString();
+  const batchFiles = photos.map(({ file, quality, rejectedReason }) => {
+    if (rejectedReason) {
+      return { name: file.originalname, job_id: null, error: rejectedReason };
+    }
+    const job = enqueueJob('analyze-waste', {
+      photos: [{ imagePath: file.path, publicPath: `/uploads/${file.filename}`, role: null, quality }],
+      mode: 'single',
+      timestamp,
+      locationId,
+      disposition,
+      wasteStream,
+      servicePeriod,
+      user
+    });
+    return { name: file.originalname, job_id: job.id };
+  });
+  const batch = createBatch({ files: batchFiles, location_id: locationId, created_by: user });
+  return getBatchSummary(batch.id);
+}
+
+function fileStatus(file) {
+  const job = file.job_id ? getJobStatus(file.job_id) : null;
+  if (!job) {
+    return {
+      name: file.name,
+      jobId: file.job_id,
+      status: 'failed',
+      retryable: false,
+      error: file.error || 'Analysis job not found',
+      itemCount: 0
+    };
+  }
+  const entry = job.result?.wasteEntry;
+  return {
+    name: file.name,
+    jobId: job.id,
+    status: job.status,
+    queuePosition: job.queuePosition,
+    attempts: job.attempts,
+    retryable: job.retryable,
+    error: job.status === 'failed' ? job.error?.message || 'Analysis failed' : null,
+    entryId: entry?.id ?? null,
+    itemCount: entry ? entry.items.length : 0,
+    totalEstimatedValue: entry?.totalEstimatedValue ?? null,
+    weightGrams: entry?.weightGrams ?? null
+  };
+}
+
+// Per-file progress plus the totals of the entries logged so far
+export function getBatchSummary(batchId) {
+  const batch = getBatch(batchId);
+  if (!batch) return null;
+
+  const files = batch.files.map(fileStatus);
+  const counts = { queued: 0, analyzing: 0, done: 0, failed: 0 };
+  files.forEach(file => { counts[file.status] = (counts[file.status] || 0) + 1; });
+  const logged = files.filter(file => file.status === 'done');
+
+  return {
+    id: batch.id,
+    status: files.every(file => FINISHED.includes(file.status)) ? 'finished' : 'processing',
+    locationId: batch.location_id ?? null,
+    createdBy: batch.created_by || null,
+    createdAt: batch.created_at,
+    counts,
+    totals: {
+      entries: logged.length,
+      items: logged.reduce((sum, file) => sum + file.itemCount, 0),
+      estimatedValue: Math.round(logged.reduce((sum, file) => sum + (file.totalEstimatedValue || 0), 0) * 100) / 100,
+      weightGrams: logged.some(file => file.weightGrams != null)
+        ? logged.reduce((sum, file) => sum + (file.weightGrams || 0), 0)
+        : null
+    },
+    files
+  };
+}
+
+// Re-queues the batch's failed analyses; the uploaded files stay on disk for
+// FAILED_JOB_RETENTION_HOURS after a failure.
+// Photos rejected by the quality check were never stored and need a new photo.
+export function retryBatch(batchId) {
+  const batch = getBatch(batchId);
+  if (!batch) return null;
+  const retried = batch.files.filter(file => file.job_id && retryJob(file.job_id)).length;
+  return { retried, batch: getBatchSummary(batch.id) };
+}
@@ -0,0 +1,157 @@
+import { createJob, updateJob, getJob, getFailedJobs, getUnfinishedJobs, findJobByIdempotencyKey } from '../database/db.js';
+
+// In-process job queue. Jobs are persisted through db.js, run with a bounded
+// concurrency and retried with exponential backoff when the failure looks
+// transient (rate limits, network errors), but not for bad input or bad keys.
+// Handlers must be idempotent per job id: a job interrupted by a restart runs again.
+
+const handlers = {};
+const cleanups = {};
+const pending = [];
+let running = 0;
+let concurrency = 2;
+let maxAttempts = 3;
+let retryDelayMs = 2000;
+let failedRetentionMs = 24 * 60 * 60 * 1000;
+let sweepTimer = null;
+
+// cleanup(payload) removes what a job that failed for good leaves behind (uploaded
+// files); it runs once the job has been failed for the retention period, until then
+// the job can still be retried
+export function registerJobHandler(type, handler, { cleanup = null } = {}) {
+  handlers[type] = handler;
+  if (cleanup) cleanups[type] = cleanup;
+}
+
+// Resumes jobs that were queued or running when the server last stopped
+export function initJobQueue(options = {}) {
+  concurrency = Math.max(1, Number(options.concurrency || process.env.ANALYSIS_CONCURRENCY) || 2);
+  maxAttempts = Math.max(1, Number(options.maxAttempts || process.env.ANALYSIS_MAX_ATTEMPTS) || 3);
+  retryDelayMs = Number(options.retryDelayMs ?? process.env.ANALYSIS_RETRY_DELAY_MS) || 2000;
+  failedRetentionMs = (Number(options.failedRetentionHours ?? process.env.FAILED_JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+  const unfinished = getUnfinishedJobs();
+  unfinished.forEach(job => {
+    updateJob(job.id, { status: 'queued' });
+    pending.push(job.id);
+  });
+  if (unfinished.length > 0) {
+    console.log(`Resuming ${unfinished.length} unfinished job(s)`);
+  }
+  pump();
+
+  sweepFailedJobs();
+  clearInterval(sweepTimer);
+  sweepTimer = setInterval(sweepFailedJobs, 60 * 60 * 1000);
+  sweepTimer.unref();
+}
+
+async function sweepFailedJobs() {
+  const cutoff = new Date(Date.now() - failedRetentionMs).toISOString();
+  const expired = getFailedJobs()
+    .filter(job => cleanups[job.type] && !job.cleaned_up_at && (job.finished_at || job.updated_at) < cutoff);
+  for (const job of expired) {
+    try {
+      await cleanups[job.type](job.payload);
+      updateJob(job.id, { cleaned_up_at: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Cleaning up failed job #${job.id} failed:`, error.message);
+    }
+  }
+}
+
+// idempotencyKey identifies a request the client may send more than once; see findJobForRequest
+export function enqueueJob(type, payload, { idempotencyKey = null } = {}) {
+  if (!handlers[type]) {
+    throw new Error(`No handler registered for job type "${type}"`);
+  }
+  const job = createJob({ type, payload, status: 'queued', attempts: 0, result: null, error: null, idempotency_key: idempotencyKey });
+  pending.push(job.id);
+  pump();
+  return formatJob(job);
+}
+
+// The job an earlier request with the same idempotency key created, or null
+export function findJobForRequest(idempotencyKey) {
+  const job = idempotencyKey ? findJobByIdempotencyKey(idempotencyKey) : null;
+  return job ? formatJob(job) : null;
+}
+
+// Puts a failed job back in the queue with a fresh set of attempts, unless its
+// leftovers have already been cleaned up
+export function retryJob(jobId) {
+  const job = getJob(jobId);
+  if (!job || job.status !== 'failed' || job.cleaned_up_at) return null;
+  updateJob(job.id, { status: 'queued', attempts: 0, error: null, finished_at: null });
+  pending.push(job.id);
+  pump();
+  return formatJob(getJob(job.id));
+}
+
+export function getJobStatus(jobId) {
+  const job = getJob(jobId);
+  return job ? formatJob(job) : null;
+}
+
+export function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    queuePosition: job.status === 'queued' ? pending.indexOf(job.id) + 1 || null : null,
+    result: job.result || null,
+    error: job.error || null,
+    // The user the job was queued for; payload.user of analysis jobs
+    createdBy: job.payload?.user || null,
+    retryable: job.status === 'failed' && !job.cleaned_up_at,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    finishedAt: job.finished_at || null
+  };
+}
+
+function isRetryable(error) {
+  const statusCode = error.statusCode || 500;
+  return statusCode === 429 || statusCode >= 500;
+}
+
+function pump() {
+  while (running < concurrency && pending.length > 0) {
+    const jobId = pending.shift();
+    running++;
+    runJob(jobId).finally(() => {
+      running--;
+      pump();
+    });
+  }
+}
+
+async function runJob(jobId) {
+  const job = getJob(jobId);
+  if (!job || job.status !== 'queued') return;
+
+  const attempts = (job.attempts || 0) + 1;
+  updateJob(job.id, { status: 'analyzing', attempts, started_at: new Date().toISOString() });
+
+  try {
+    const result = await handlers[job.type](job.payload, { jobId: job.id, attempt: attempts });
+    updateJob(job.id, { status: 'done', result, error: null, finished_at: new Date().toISOString() });
+  } catch (error) {
+    const failure = { message: error.message || 'Unknown error', statusCode: error.statusCode || 500 };
+
+    if (attempts < maxAttempts && isRetryable(error)) {
+      const delay = retryDelayMs * 2 ** (attempts - 1);
+      console.log(`Job #${job.id} failed (attempt ${attempts}/${maxAttempts}), retrying in ${delay}ms: ${failure.message}`);
+      updateJob(job.id, { status: 'queued', error: failure });
+      setTimeout(() => {
+        pending.push(job.id);
+        pump();
+      }, delay);
+      return;
+    }
+
+    console.error(`Job #${job.id} failed:`, failure.message);
+    updateJob(job.id, { status: 'failed', error: failure, finished_at: new Date().toISOString() });
+  }
+}
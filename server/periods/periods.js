@@ -0,0 +1,150 @@
+// When and where in service waste was logged: the meal period and shift follow from the
+// entry's local time through configurable service windows; the station is chosen by
+// staff. Pure functions; the settings themselves are stored in db.js.
+
+export const MEAL_PERIODS = ['breakfast', 'lunch', 'dinner', 'late'];
+
+// Monday first, as kitchens plan their week
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Windows are local "HH:MM" times; a window whose end is before its start runs past
+// midnight. timeZone null means the server's own time zone.
+export const DEFAULT_SERVICE_SETTINGS = {
+  timeZone: null,
+  mealPeriods: [
+    { mealPeriod: 'breakfast', start: '05:00', end: '11:00' },
+    { mealPeriod: 'lunch', start: '11:00', end: '16:00' },
+    { mealPeriod: 'dinner', start: '16:00', end: '22:00' },
+    { mealPeriod: 'late', start: '22:00', end: '05:00' }
+  ],
+  shifts: [
+    { name: 'AM', start: '05:00', end: '15:00' },
+    { name: 'PM', start: '15:00', end: '05:00' }
+  ],
+  stations: ['grill', 'salad bar', 'bakery']
+};
+
+// Minutes past midnight of an "HH:MM" time, or null when it is not one
+export function parseClock(value) {
+  const match = typeof value === 'string' ? value.trim().match(/^(\d{1,2}):(\d{2})$/) : null;
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function inWindow(minutes, window) {
+  const start = parseClock(window.start);
+  const end = parseClock(window.end);
+  if (start === null || end === null) return false;
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// Minutes past midnight and weekday (0 = Monday) of a timestamp in the given time zone
+export function localTime(timestamp, timeZone = null) {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return null;
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return {
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// Business date ("YYYY-MM-DD") of a timestamp in the given time zone, for matching
+// waste against daily covers and production
+export function localDate(timestamp, timeZone = null) {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return null;
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timeZone || undefined, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(date);
+}
+
+// { mealPeriod, shift, weekday } of a timestamp; mealPeriod and shift are null when no
+// window covers the time
+export function inferServicePeriod(timestamp, settings = DEFAULT_SERVICE_SETTINGS) {
+  const local = localTime(timestamp, settings.timeZone);
+  if (!local) return { mealPeriod: null, shift: null, weekday: null };
+  return {
+    mealPeriod: settings.mealPeriods.find(window => inWindow(local.minutes, window))?.mealPeriod || null,
+    shift: settings.shifts.find(window => inWindow(local.minutes, window))?.name || null,
+    weekday: local.weekday
+  };
+}
+
+// Stations are free text so kitchens can add their own; "Salad  Bar" and "salad bar" are the same station
+export function normalizeStation(value) {
+  if (typeof value !== 'string') return null;
+  const station = value.trim().replace(/\s+/g, ' ').toLowerCase();
+  return station || null;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function validateWindows(windows, label, nameField, allowedNames = null) {
+  if (!Array.isArray(windows)) {
+    return `${label} must be an array`;
+  }
+  const names = new Set();
+  for (const window of windows) {
+    const name = window?.[nameField];
+    if (typeof name !== 'string' || !name.trim()) {
+      return `Every entry in ${label} needs a ${nameField}`;
+    }
+    if (allowedNames && !allowedNames.includes(name)) {
+      return `Invalid ${nameField} "${name}". Expected one of: ${allowedNames.join(', ')}`;
+    }
+    if (names.has(name)) {
+      return `${label} lists "${name}" more than once`;
+    }
+    names.add(name);
+    if (parseClock(window.start) === null || parseClock(window.end) === null) {
+      return `${label} "${name}" needs start and end times as HH:MM`;
+    }
+  }
+  return null;
+}
+
+// Validation message for a (partial) settings change, or null when it is valid
+export function validateServiceSettings(changes) {
+  if (!changes || typeof changes !== 'object') {
+    return 'Request body must be an object';
+  }
+  if ('timeZone' in changes && changes.timeZone !== null
+    && (typeof changes.timeZone !== 'string' || !isValidTimeZone(changes.timeZone))) {
+    return `Unknown time zone "${changes.timeZone}"`;
+  }
+  if ('mealPeriods' in changes) {
+    const invalid = validateWindows(changes.mealPeriods, 'mealPeriods', 'mealPeriod', MEAL_PERIODS);
+    if (invalid) return invalid;
+  }
+  if ('shifts' in changes) {
+    const invalid = validateWindows(changes.shifts, 'shifts', 'name');
+    if (invalid) return invalid;
+  }
+  if ('stations' in changes) {
+    if (!Array.isArray(changes.stations) || changes.stations.some(station => !normalizeStation(station))) {
+      return 'stations must be a list of names';
+    }
+  }
+  return null;
+}
@@ -0,0 +1,15 @@
+// Waste valuation from the price list. A price is a cost per kg or per portion of
+// a catalog item; the value of a wasted item is that cost times the item's
+// structured quantity (see quantity/quantity.js). Pure functions; price records live in db.js.
+
+export const PRICE_UNITS = ['kg', 'portion'];
+
+// Value of a quantity at a price, or null when the quantity is not in the price's unit
+export function valueAtPrice(quantity, price) {
+  if (!quantity) return null;
+  const amount = price.unit === 'kg'
+    ? (quantity.grams == null ? null : quantity.grams / 1000)
+    : quantity.portions;
+  if (amount == null) return null;
+  return Math.round(price.cost * amount * 100) / 100;
+}
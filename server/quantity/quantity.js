@@ -0,0 +1,148 @@
+// Structured quantities for free-text amounts such as "200-300 g", "about half a cup"
+// or "1 portion, about 150 g". A quantity is { value, low, high, unit } in the stated
+// unit plus grams and portions, so amounts can be summed. Pure functions.
+
+export const QUANTITY_UNITS = ['g', 'kg', 'oz', 'lb', 'ml', 'l', 'cup', 'tbsp', 'tsp', 'portion', 'piece'];
+
+// Volumes assume the density of water, which is close enough for most cooked food
+const GRAMS_PER_UNIT = { g: 1, kg: 1000, oz: 28.349523, lb: 453.59237, ml: 1, l: 1000, cup: 240, tbsp: 15, tsp: 5 };
+
+const UNIT_ALIASES = {
+  g: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  ml: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  l: ['l', 'liter', 'liters', 'litre', 'litres'],
+  cup: ['cup', 'cups'],
+  tbsp: ['tbsp', 'tablespoon', 'tablespoons'],
+  tsp: ['tsp', 'teaspoon', 'teaspoons'],
+  portion: ['portion', 'portions', 'serving', 'servings', 'plate', 'plates', 'bowl', 'bowls', 'helping', 'helpings'],
+  piece: ['piece', 'pieces', 'pc', 'pcs', 'slice', 'slices']
+};
+
+const UNIT_BY_ALIAS = new Map(Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit])));
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, half: 0.5, quarter: 0.25, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, dozen: 12
+};
+
+const NUMBER = `\\d+(?:\\.\\d+)?(?:\\s+\\d+\\/\\d+)?|\\d+\\/\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+// Longest aliases first so "kg" is not read as "g"
+const UNIT = [...UNIT_BY_ALIAS.keys()].sort((a, b) => b.length - a.length).join('|');
+const AMOUNT_PATTERN = new RegExp(
+  `\\b(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?(?:\\s+(?:a|an|of\\s+an?))?\\s*(${UNIT})\\b`,
+  'g'
+);
+
+function parseNumber(text) {
+  if (text in NUMBER_WORDS) return NUMBER_WORDS[text];
+  // "1 1/2" and "3/4"
+  return text.split(/\s+/).reduce((sum, part) => {
+    if (!part.includes('/')) return sum + Number(part);
+    const [numerator, denominator] = part.split('/').map(Number);
+    return sum + (denominator ? numerator / denominator : NaN);
+  }, 0);
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export function normalizeUnit(unit) {
+  return UNIT_BY_ALIAS.get(String(unit || '').trim().toLowerCase().replace(/\.$/, '')) || null;
+}
+
+// Completes { value, low, high, unit } with grams and portions; null when the
+// numbers are unusable or the unit is unknown
+export function normalizeQuantity(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const unit = normalizeUnit(raw.unit);
+  const value = Number(raw.value);
+  if (!unit || !Number.isFinite(value) || value <= 0) return null;
+
+  let low = raw.low == null ? value : Number(raw.low);
+  let high = raw.high == null ? value : Number(raw.high);
+  if (!Number.isFinite(low) || !Number.isFinite(high) || low <= 0) {
+    low = value;
+    high = value;
+  }
+  if (low > high) [low, high] = [high, low];
+
+  const gramsPerUnit = GRAMS_PER_UNIT[unit];
+  return {
+    value: round(value, 3),
+    low: round(low, 3),
+    high: round(high, 3),
+    unit,
+    grams: gramsPerUnit ? round(value * gramsPerUnit) : null,
+    portions: unit === 'portion' ? round(value, 3) : null
+  };
+}
+
+// Reads the quantity out of free text. A weight or volume is preferred as the main
+// measure; a portion count stated alongside it is kept in portions. Ranges use their
+// midpoint as the value. Returns null when the text states no quantity.
+export function parseQuantity(text) {
+  const normalized = String(text || '').toLowerCase();
+  const amounts = [...normalized.matchAll(AMOUNT_PATTERN)].map(match => {
+    const low = parseNumber(match[1]);
+    const high = match[2] ? parseNumber(match[2]) : low;
+    return normalizeQuantity({ value: (low + high) / 2, low, high, unit: UNIT_BY_ALIAS.get(match[3]) });
+  }).filter(Boolean);
+  if (amounts.length === 0) return null;
+
+  const main = amounts.find(amount => amount.grams != null)
+    || amounts.find(amount => amount.unit === 'portion')
+    || amounts[0];
+  const portion = amounts.find(amount => amount.unit === 'portion');
+  return { ...main, portions: portion ? portion.value : null };
+}
+
+// Structured quantity reported by the model, completed from the free text where it
+// leaves grams or portions out; falls back to parsing the text alone
+export function resolveQuantity(structured, text) {
+  const fromModel = normalizeQuantity(structured);
+  const fromText = parseQuantity(text);
+  if (!fromModel) return fromText;
+  return {
+    ...fromModel,
+    grams: fromModel.grams ?? fromText?.grams ?? null,
+    portions: fromModel.portions ?? fromText?.portions ?? null
+  };
+}
+
+export const WEIGHT_UNITS = ['g', 'kg', 'oz', 'lb'];
+
+// Measured weight typed in or read from a scale, in grams; null unless it is a
+// positive number in a weight unit
+export function measuredGrams(value, unit = 'g') {
+  if (!WEIGHT_UNITS.includes(normalizeUnit(unit))) return null;
+  return normalizeQuantity({ value, unit })?.grams ?? null;
+}
+
+// Splits a measured total across items in proportion to their estimated weights.
+// Items without a weight count as the average of those with one; when no item has
+// a weight the estimated values decide, and equal shares are the last resort.
+export function distributeWeight(items, totalGrams) {
+  if (items.length === 0) return [];
+  const known = items.map(item => item.grams).filter(grams => grams > 0);
+  const averageKnown = known.length > 0 ? known.reduce((sum, grams) => sum + grams, 0) / known.length : 0;
+  let shares = items.map(item => (item.grams > 0 ? item.grams : averageKnown));
+  if (known.length === 0) {
+    shares = items.map(item => (item.value > 0 ? item.value : 0));
+  }
+  const totalShare = shares.reduce((sum, share) => sum + share, 0);
+  if (totalShare <= 0) {
+    shares = items.map(() => 1);
+  }
+  const shareSum = shares.reduce((sum, share) => sum + share, 0);
+
+  // The last item takes the rounding remainder so the parts add up to the total
+  const grams = shares.map(share => round(totalGrams * share / shareSum));
+  const assigned = grams.slice(0, -1).reduce((sum, part) => sum + part, 0);
+  grams[grams.length - 1] = round(totalGrams - assigned);
+  return grams;
+}
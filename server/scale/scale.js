@@ -0,0 +1,53 @@
+import { measuredGrams } from '../quantity/quantity.js';
+
+// Latest readings pushed by kitchen scales, either directly over HTTP or through
+// scripts/scale-bridge.js for serial scales. Readings are only useful for the
+// photo being taken right now, so they are kept in memory, one per scale.
+
+const readings = new Map();
+
+function maxAgeMs() {
+  return (Number(process.env.SCALE_READING_MAX_AGE_SECONDS) || 120) * 1000;
+}
+
+export function recordScaleReading(data = {}, actor = null) {
+  const scaleId = typeof data.scaleId === 'string' ? data.scaleId.trim() : '';
+  if (!scaleId) {
+    return { success: false, message: 'scaleId is required' };
+  }
+  const grams = measuredGrams(data.weight, data.unit || 'g');
+  if (grams === null) {
+    return { success: false, message: 'weight must be a positive number in g, kg, oz or lb' };
+  }
+
+  const reading = {
+    scaleId,
+    grams,
+    stable: data.stable !== false,
+    receivedAt: new Date().toISOString(),
+    receivedBy: actor ? { id: actor.id, username: actor.username } : null
+  };
+  readings.set(scaleId, reading);
+  return { success: true, message: `Reading recorded for scale "${scaleId}"`, reading };
+}
+
+// The latest reading of a scale, or null when there is none recent enough to
+// belong to the photo being logged
+export function getScaleReading(scaleId) {
+  const reading = readings.get(String(scaleId || '').trim());
+  if (!reading || Date.now() - Date.parse(reading.receivedAt) > maxAgeMs()) {
+    return null;
+  }
+  return reading;
+}
+
+// Reads a weight out of one line of scale output, e.g. "ST,GS,+  1.234kg" or
+// "US,NT,   250 g". Lines flagged unstable (US) are reported with stable: false.
+export function parseScaleLine(line) {
+  const text = String(line || '').trim();
+  const match = text.match(/([-+]?\s*\d+(?:\.\d+)?)\s*(kg|g|lb|oz)\b/i);
+  if (!match) return null;
+  const weight = Number(match[1].replace(/\s+/g, ''));
+  if (!(weight > 0)) return null;
+  return { weight, unit: match[2].toLowerCase(), stable: !/^US\b/i.test(text) };
+}
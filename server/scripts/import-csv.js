@@ -0,0 +1,60 @@
+// Bulk import of historical waste logs from a CSV file.
+// Usage: npm run import:csv -- <file.csv> [--dry-run] [--location <id>] [--date-format mdy|dmy] [--map field=Column ...]
+import { readFileSync } from 'fs';
+import dotenv from 'dotenv';
+import { initDatabase } from '../database/db.js';
+import { importWasteCsv } from '../import/import.js';
+
+dotenv.config();
+
+function parseArgs(args) {
+  const options = { mapping: {}, dryRun: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--location') {
+      options.locationId = args[++i];
+    } else if (arg === '--date-format') {
+      options.dateFormat = args[++i];
+    } else if (arg === '--map') {
+      const [field, ...column] = (args[++i] || '').split('=');
+      options.mapping[field] = column.join('=');
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+  if (!options.file) {
+    throw new Error('Usage: npm run import:csv -- <file.csv> [--dry-run] [--location <id>] [--date-format mdy|dmy] [--map field=Column ...]');
+  }
+  return options;
+}
+
+function printIssues(label, issues) {
+  if (issues.length === 0) return;
+  console.log(`\n${label} (${issues.length}):`);
+  issues.forEach(issue => {
+    const rows = issue.rows || [issue.row];
+    const where = `${rows.length > 1 ? 'rows' : 'row'} ${rows.join(', ')}`;
+    console.log(`  ${where}${issue.field ? ` [${issue.field}]` : ''}: ${issue.message}`);
+  });
+}
+
+try {
+  const { file, ...options } = parseArgs(process.argv.slice(2));
+  initDatabase();
+  const result = importWasteCsv(readFileSync(file, 'utf8'), options);
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+  console.log(result.message);
+  printIssues('Errors', result.errors);
+  printIssues('Duplicates skipped', result.duplicates);
+  printIssues('Warnings', result.warnings);
+  if (result.errors.length > 0) process.exitCode = 1;
+} catch (error) {
+  console.error('Import failed:', error.message);
+  process.exitCode = 1;
+}
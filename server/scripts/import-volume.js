@@ -0,0 +1,56 @@
+// Import of daily covers and production counts from a POS export (CSV or JSON), for
+// scheduling after the POS writes its nightly export.
+// Usage: npm run import:volume -- <file.csv|file.json> [--dry-run] [--location <id>] [--date-format mdy|dmy] [--map field=Column ...]
+import { readFileSync } from 'fs';
+import dotenv from 'dotenv';
+import { initDatabase } from '../database/db.js';
+import { importVolume } from '../import/volume.js';
+
+dotenv.config();
+
+function parseArgs(args) {
+  const options = { mapping: {}, dryRun: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--location') {
+      options.locationId = args[++i];
+    } else if (arg === '--date-format') {
+      options.dateFormat = args[++i];
+    } else if (arg === '--map') {
+      const [field, ...column] = (args[++i] || '').split('=');
+      options.mapping[field] = column.join('=');
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+  if (!options.file) {
+    throw new Error('Usage: npm run import:volume -- <file.csv|file.json> [--dry-run] [--location <id>] [--date-format mdy|dmy] [--map field=Column ...]');
+  }
+  return options;
+}
+
+try {
+  const { file, ...options } = parseArgs(process.argv.slice(2));
+  initDatabase();
+  const result = importVolume(readFileSync(file, 'utf8'), {
+    ...options,
+    format: file.toLowerCase().endsWith('.json') ? 'json' : undefined
+  });
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+  console.log(result.message);
+  [['Errors', result.errors], ['Warnings', result.warnings]].forEach(([label, issues]) => {
+    if (issues.length === 0) return;
+    console.log(`\n${label} (${issues.length}):`);
+    issues.forEach(issue => console.log(`  row ${issue.row}${issue.field ? ` [${issue.field}]` : ''}: ${issue.message}`));
+  });
+  if (result.errors.length > 0) process.exitCode = 1;
+} catch (error) {
+  console.error('Import failed:', error.message);
+  process.exitCode = 1;
+}
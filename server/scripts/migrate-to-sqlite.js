@@ -0,0 +1,19 @@
+// One-shot migration of the JSON database into SQLite.
+// Usage: npm run migrate:sqlite -- [path/to/waste.json] [path/to/waste.db]
+import { JSON_DB_PATH, SQLITE_DB_PATH, getStore } from '../database/db.js';
+import { describeImport, importJsonFile } from '../database/migrate.js';
+
+const jsonPath = process.argv[2] || JSON_DB_PATH;
+const sqlitePath = process.argv[3] || SQLITE_DB_PATH;
+
+const store = getStore('sqlite');
+try {
+  store.init({ path: sqlitePath });
+  const result = importJsonFile(store, jsonPath);
+  console.log(`Imported ${describeImport(result)} from ${jsonPath} into ${sqlitePath}`);
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  store.close();
+}
@@ -0,0 +1,91 @@
+// Forwards weights from a serial kitchen scale to the server so the upload form can
+// fill in the measured weight. Configure the port first (e.g. stty -F /dev/ttyUSB0 9600 raw).
+// Usage: npm run scale:bridge -- --scale <id> [--device /dev/ttyUSB0] [--url http://localhost:3001]
+// Without --device, lines are read from stdin. Logs in with SCALE_BRIDGE_USERNAME and
+// SCALE_BRIDGE_PASSWORD (a staff account is enough).
+import { createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import dotenv from 'dotenv';
+import { parseScaleLine } from '../scale/scale.js';
+
+dotenv.config();
+
+// Resend an unchanged weight this often so the server's reading does not go stale
+const REPEAT_MS = 30 * 1000;
+
+function parseArgs(args) {
+  const options = { url: process.env.SCALE_BRIDGE_URL || `http://localhost:${process.env.PORT || 3001}` };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--scale') {
+      options.scaleId = args[++i];
+    } else if (arg === '--device') {
+      options.device = args[++i];
+    } else if (arg === '--url') {
+      options.url = args[++i];
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+  if (!options.scaleId) {
+    throw new Error('Usage: npm run scale:bridge -- --scale <id> [--device /dev/ttyUSB0] [--url http://localhost:3001]');
+  }
+  return options;
+}
+
+async function login(url) {
+  const response = await fetch(`${url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: process.env.SCALE_BRIDGE_USERNAME, password: process.env.SCALE_BRIDGE_PASSWORD })
+  });
+  if (!response.ok) {
+    throw new Error(`Login failed (${response.status}); check SCALE_BRIDGE_USERNAME and SCALE_BRIDGE_PASSWORD`);
+  }
+  return (await response.json()).token;
+}
+
+async function run({ scaleId, device, url }) {
+  let token = await login(url);
+  let last = null;
+
+  const push = async (reading) => {
+    const send = () => fetch(`${url}/api/scale/readings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ scaleId, ...reading })
+    });
+    let response = await send();
+    // Sessions expire; log in again once and retry
+    if (response.status === 401) {
+      token = await login(url);
+      response = await send();
+    }
+    if (!response.ok) {
+      throw new Error(`Server rejected reading (${response.status}): ${(await response.json().catch(() => ({}))).error || ''}`);
+    }
+  };
+
+  const input = device ? createReadStream(device) : process.stdin;
+  console.log(`Forwarding ${device || 'stdin'} as scale "${scaleId}" to ${url}`);
+  for await (const line of createInterface({ input })) {
+    const reading = parseScaleLine(line);
+    if (!reading || !reading.stable) continue;
+    const unchanged = last && last.weight === reading.weight && last.unit === reading.unit && Date.now() - last.at < REPEAT_MS;
+    if (unchanged) continue;
+    try {
+      await push(reading);
+      last = { ...reading, at: Date.now() };
+      console.log(`${new Date().toISOString()} ${reading.weight} ${reading.unit}`);
+    } catch (error) {
+      console.error(error.message);
+    }
+  }
+}
+
+try {
+  await run(parseArgs(process.argv.slice(2)));
+} catch (error) {
+  console.error('Scale bridge failed:', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,149 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import sharp from 'sharp';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SERVER_ENTRY = join(__dirname, '..', 'index.js');
+const DEFAULT_FIXTURE = join(__dirname, '..', 'ai', 'fixtures', 'default.json');
+
+// The upload, job and entry path of /api/analyze-waste against a real server with
+// the fixture vision provider: no network access and no API key. The server runs in
+// a temporary directory with its own database, so uploads and data stay out of the repo.
+
+let workDir;
+let server;
+let baseUrl;
+let authHeader;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function startServer(port) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER_ENTRY], {
+      cwd: workDir,
+      env: {
+        ...process.env,
+        PORT: String(port),
+        VISION_PROVIDER: 'fixture',
+        DB_DRIVER: 'sqlite',
+        DB_PATH: join(workDir, 'waste.db')
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('Server running')) resolve(child);
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', code => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+  });
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: { ...(authHeader && { Authorization: authHeader }), ...options.headers }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Random noise is sharp and evenly exposed enough to pass the photo quality check
+async function photo({ blank = false } = {}) {
+  const width = 1200;
+  const height = 900;
+  const pixels = Buffer.alloc(width * height * 3, 128);
+  if (!blank) {
+    for (let i = 0; i < pixels.length; i++) pixels[i] = Math.floor(Math.random() * 256);
+  }
+  const jpeg = await sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg().toBuffer();
+  return new Blob([jpeg], { type: 'image/jpeg' });
+}
+
+async function upload(image) {
+  const form = new FormData();
+  form.append('image', image, 'plate.jpg');
+  return request('/api/analyze-waste', { method: 'POST', body: form });
+}
+
+async function waitForJob(jobId, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { body: job } = await request(`/api/jobs/${jobId}`);
+    if (job.status === 'done' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Job #${jobId} did not finish within ${timeoutMs} ms`);
+}
+
+before(async () => {
+  workDir = await mkdtemp(join(tmpdir(), 'scrapsnap-test-'));
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = await startServer(port);
+
+  const { status, body } = await request('/api/auth/setup', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'password123' })
+  });
+  assert.equal(status, 201);
+  authHeader = `Bearer ${body.token}`;
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  if (workDir) await rm(workDir, { recursive: true, force: true });
+});
+
+test('an uploaded photo is analyzed by the fixture provider and logged as an entry', async () => {
+  const fixture = JSON.parse(await readFile(DEFAULT_FIXTURE, 'utf8'));
+
+  const { status, body } = await upload(await photo());
+  assert.equal(status, 202);
+  assert.ok(body.jobId);
+
+  const job = await waitForJob(body.jobId);
+  assert.equal(job.status, 'done', job.error);
+  assert.equal(job.result.analysis.provider, 'fixture');
+  const { wasteEntry } = job.result;
+  assert.deepEqual(wasteEntry.items.map(item => item.name), fixture.items.map(item => item.name));
+  assert.equal(wasteEntry.totalEstimatedValue, fixture.totalEstimatedValue);
+
+  const { body: history } = await request('/api/waste-history');
+  assert.equal(history.length, 1);
+  assert.equal(history[0].id, wasteEntry.id);
+  assert.equal(history[0].waste_stream, fixture.wasteStream);
+  assert.deepEqual(history[0].items.map(item => item.name), fixture.items.map(item => item.name));
+});
+
+test('a photo failing the quality check is refused without queueing a job', async () => {
+  const { status, body } = await upload(await photo({ blank: true }));
+  assert.equal(status, 422);
+  assert.ok(body.qualityIssues.some(issue => issue.code === 'blurry'));
+
+  const { body: history } = await request('/api/waste-history');
+  assert.equal(history.length, 1);
+});